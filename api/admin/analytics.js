@@ -1,18 +1,8 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../../database.js');
-const jwt = require('jsonwebtoken');
+const { auditChange } = require('../services/admin-audit.js');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
-
-function verifyAdminToken(req) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    throw new Error('Unauthorized');
-  }
-  const token = authHeader.substring(7);
-  jwt.verify(token, JWT_SECRET); 
-}
 
 /**
  * GET /api/admin/analytics
@@ -20,7 +10,6 @@ function verifyAdminToken(req) {
  */
 router.get('/', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const supabase = getSupabaseAdminClient();
     const { timeframe = '7d', type = 'all' } = req.query;
     const now = new Date();
@@ -104,9 +93,6 @@ router.get('/', async (req, res) => {
     return res.json(result);
   } catch (error) {
     console.error('Error fetching analytics:', error);
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     return res.status(500).json({ error: 'Failed to fetch analytics' });
   }
 });
@@ -145,6 +131,7 @@ router.post('/', async (req, res) => {
       .select()
       .single();
     if (error) throw error;
+    auditChange(req, { action: 'analytics.record', target: event.id, after: event });
     return res.status(201).json(event);
   } catch (error) {
     console.error('Error recording analytics:', error);
@@ -0,0 +1,180 @@
+/**
+ * Announcements Admin API
+ *
+ * Admin endpoints for Discord and Telegram announcements (api/services/announcements.js):
+ * - Bot tokens, channels and their events, message templates
+ * - Preview a message, or send a test one to the configured channels
+ */
+
+const express = require('express');
+const {
+  ANNOUNCEMENT_EVENTS,
+  getAnnouncementSettings,
+  saveAnnouncementSettings,
+  previewAnnouncement,
+  sendTestAnnouncement
+} = require('../services/announcements.js');
+const { requireRole } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
+
+const router = express.Router();
+
+/**
+ * Check the event, template and data of a preview or test request
+ * @returns {string|null} Error message
+ */
+function validateMessageRequest({ event, template, data }) {
+  if (!ANNOUNCEMENT_EVENTS[event]) {
+    return `event must be one of ${Object.keys(ANNOUNCEMENT_EVENTS).join(', ')}`;
+  }
+  if (template !== undefined && template !== null && typeof template !== 'string') {
+    return 'template must be a string';
+  }
+  if (data !== undefined && data !== null && (typeof data !== 'object' || Array.isArray(data))) {
+    return 'data must be an object';
+  }
+  return null;
+}
+
+/**
+ * Events with their placeholders and sample data, for the template editor
+ */
+function describeEvents() {
+  return Object.fromEntries(Object.entries(ANNOUNCEMENT_EVENTS).map(([event, definition]) => [event, {
+    description: definition.description,
+    defaultTemplate: definition.defaultTemplate,
+    placeholders: Object.keys(definition.fields(definition.sample)),
+    sample: definition.sample
+  }]));
+}
+
+router.use(requireRole('content'));
+
+/**
+ * GET /api/admin/announcements - Settings (bot tokens masked) and the announced events
+ */
+router.get('/', async (req, res) => {
+  try {
+    const settings = await getAnnouncementSettings();
+
+    res.json({
+      success: true,
+      settings,
+      events: describeEvents(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to get announcement settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get announcement settings',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/announcements - Update settings
+ * Body: { enabled?, discordBotToken?, telegramBotToken?, channels?, templates? }
+ */
+router.put('/', async (req, res) => {
+  try {
+    const { enabled, discordBotToken, telegramBotToken, channels, templates } = req.body;
+    const previous = await getAnnouncementSettings();
+    const result = await saveAnnouncementSettings({ enabled, discordBotToken, telegramBotToken, channels, templates });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid announcement settings',
+        details: result.errors
+      });
+    }
+
+    auditChange(req, { action: 'announcements.update', before: previous, after: result.settings });
+    console.log(`📢 Announcement settings updated by ${req.admin.username || req.admin.email || 'admin'}`);
+    res.json({
+      success: true,
+      settings: result.settings,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to save announcement settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save announcement settings',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/announcements/preview - Render a message without sending it
+ * Body: { event, template?, data? } (default: configured template, sample data)
+ */
+router.post('/preview', async (req, res) => {
+  try {
+    const { event, template, data } = req.body;
+    const invalid = validateMessageRequest({ event, template, data });
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const preview = await previewAnnouncement(event, { template, data });
+
+    res.json({
+      success: true,
+      ...preview,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to preview announcement:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview announcement',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/announcements/test - Send a [TEST] message now, even while disabled
+ * Body: { event, template?, data?, channelIndex? } (default: every channel subscribed to the event)
+ */
+router.post('/test', async (req, res) => {
+  try {
+    const { event, template, data, channelIndex } = req.body;
+    const invalid = validateMessageRequest({ event, template, data });
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+    if (channelIndex !== undefined && channelIndex !== null && !(Number.isInteger(channelIndex) && channelIndex >= 0)) {
+      return res.status(400).json({ success: false, error: 'channelIndex must be the index of a configured channel' });
+    }
+
+    const result = await sendTestAnnouncement(event, { template, data, channelIndex });
+
+    if (!result) {
+      return res.status(404).json({ success: false, error: `No channel at index ${channelIndex}` });
+    }
+    if (result.results.length === 0) {
+      return res.status(400).json({ success: false, error: `No channel is subscribed to ${event}` });
+    }
+
+    auditChange(req, { action: 'announcements.test', target: event, after: result });
+    res.json({
+      success: result.results.every(channel => channel.sent),
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to send test announcement:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send test announcement',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
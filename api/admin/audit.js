@@ -0,0 +1,80 @@
+/**
+ * Admin Audit Log API
+ *
+ * Read-only view of admin_audit_log (api/services/admin-audit.js): every
+ * admin write with its actor, route, outcome and before/after state.
+ * There is deliberately no way to change or delete entries.
+ */
+
+const express = require('express');
+const { AUDITED_METHODS, MAX_QUERY_LIMIT, getAdminAuditLog } = require('../services/admin-audit.js');
+const { requireRole } = require('../../lib/admin-auth.js');
+
+const router = express.Router();
+
+router.use(requireRole('owner'));
+
+/**
+ * Whether a query value is a usable timestamp
+ */
+function isValidTimestamp(value) {
+  return !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * GET /api/admin/audit - Audit entries, newest first
+ * Query: actor (email), action, method, route (prefix), target, status,
+ *        from, to (ISO timestamps), limit, offset
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { actor, action, method, route, target, from, to } = req.query;
+    const statusCode = Number.parseInt(req.query.status, 10);
+    const limit = Number.parseInt(req.query.limit, 10);
+    const offset = Number.parseInt(req.query.offset, 10);
+
+    if (method && !AUDITED_METHODS.has(method.toUpperCase())) {
+      return res.status(400).json({
+        success: false,
+        error: `method must be one of ${[...AUDITED_METHODS].join(', ')}`
+      });
+    }
+    if (req.query.status && !(statusCode >= 100 && statusCode <= 599)) {
+      return res.status(400).json({ success: false, error: 'status must be an HTTP status code' });
+    }
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && !isValidTimestamp(value)) {
+        return res.status(400).json({ success: false, error: `${name} must be an ISO timestamp` });
+      }
+    }
+
+    const result = await getAdminAuditLog({
+      actor: actor || null,
+      action: action || null,
+      method: method || null,
+      route: route || null,
+      target: target || null,
+      statusCode: req.query.status ? statusCode : null,
+      from: from ? new Date(from).toISOString() : null,
+      to: to ? new Date(to).toISOString() : null,
+      limit: limit > 0 ? Math.min(limit, MAX_QUERY_LIMIT) : 100,
+      offset: offset > 0 ? offset : 0
+    });
+
+    res.json({
+      success: true,
+      entries: result.entries,
+      total: result.total,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to get admin audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get admin audit log',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,23 +1,15 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../../database.js');
-const jwt = require('jsonwebtoken');
+const { requireRole } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
 
-function verifyAdminToken(req) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    throw new Error('Unauthorized');
-  }
-  const token = authHeader.substring(7);
-  jwt.verify(token, JWT_SECRET);
-}
+router.use(requireRole('content'));
 
 // GET /api/admin/content
 router.get('/', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const supabase = getSupabaseAdminClient();
     const { data: contentEntries, error } = await supabase
       .from('content_entries')
@@ -90,9 +82,6 @@ router.get('/', async (req, res) => {
     });
   } catch (error) {
     console.error('Error getting content:', error);
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     return res.status(500).json({ success: false, error: 'Failed to fetch content entries' });
   }
 });
@@ -177,9 +166,6 @@ function handleError(error, req, res) {
     details: error?.details,
     hint: error?.hint
   });
-  if (error instanceof Error && error.message === 'Unauthorized') {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
   // Provide more specific error message for constraint violations
   let errorMessage = 'Failed to create content entry';
   if (error?.code === '23514') {
@@ -197,7 +183,6 @@ function handleError(error, req, res) {
 // POST /api/admin/content
 router.post('/', async (req, res) => {
   try {
-    verifyAdminToken(req);
     console.log('📥 Received content creation request:', {
       status: req.body.status,
       media_type: req.body.media_type,
@@ -221,6 +206,7 @@ router.post('/', async (req, res) => {
       throw error;
     }
     console.log('✅ Content entry created successfully:', contentEntry.id);
+    auditChange(req, { action: 'content.create', target: contentEntry.id, after: contentEntry });
     return res.status(201).json({ success: true, entry: contentEntry });
   } catch (error) {
     return handleError(error, req, res);
@@ -287,7 +273,6 @@ async function attemptFallbackUpdate(supabase, requestBody, fallbackEntry) {
 // PUT /api/admin/content/:id - Update existing content entry
 router.put('/:id', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const { id } = req.params;
     
     if (!id) {
@@ -319,6 +304,7 @@ router.put('/:id', async (req, res) => {
         const updatedEntry = await attemptFallbackUpdate(supabase, req.body, fallbackEntry);
         
         if (updatedEntry) {
+          auditChange(req, { action: 'content.update', target: fallbackEntry.id, before: fallbackEntry, after: updatedEntry });
           return res.status(200).json({ 
             success: true, 
             entry: updatedEntry,
@@ -348,6 +334,7 @@ router.put('/:id', async (req, res) => {
     }
 
     console.log('✅ Content entry updated successfully:', id);
+    auditChange(req, { action: 'content.update', target: id, before: existingEntry, after: updatedEntry });
     return res.json({
       success: true,
       entry: updatedEntry,
@@ -362,17 +349,18 @@ router.put('/:id', async (req, res) => {
 // DELETE /api/admin/content/:id
 router.delete('/:id', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const { id } = req.params;
     if (!id) {
       return res.status(400).json({ success: false, error: 'Missing content ID' });
     }
     const supabase = getSupabaseAdminClient();
-    const { error } = await supabase
+    const { data: deleted, error } = await supabase
       .from('content_entries')
       .delete()
-      .eq('id', id);
+      .eq('id', id)
+      .select();
     if (error) throw error;
+    auditChange(req, { action: 'content.delete', target: id, before: deleted?.[0] ?? null });
     return res.json({ success: true, message: `Content entry ${id} deleted` });
   } catch (error) {
     return handleError(error, req, res);
@@ -382,7 +370,6 @@ router.delete('/:id', async (req, res) => {
 // POST /api/admin/content/repair - Repair orphaned content entries
 router.post('/repair', async (req, res) => {
   try {
-    verifyAdminToken(req);
     console.log('🔧 Starting content repair process...');
     
     const supabase = getSupabaseAdminClient();
@@ -422,7 +409,6 @@ router.post('/repair', async (req, res) => {
 // POST /api/admin/content/organize-folders - Organize existing content into folders by matching titles
 router.post('/organize-folders', async (req, res) => {
   try {
-    verifyAdminToken(req);
     
     const supabase = getSupabaseAdminClient();
     
@@ -460,6 +446,8 @@ router.post('/organize-folders', async (req, res) => {
     
     let foldersCreated = 0;
     let contentUpdated = 0;
+    const before = [];
+    const after = [];
     
     // Process groups with multiple items
     for (const [baseTitle, items] of titleGroups.entries()) {
@@ -473,19 +461,22 @@ router.post('/organize-folders', async (req, res) => {
           const item = items[i];
           const partNumber = i + 1;
           
+          const folderFields = {
+            folder_title: baseTitle,
+            folder_description: `Collection: ${baseTitle}`,
+            batch_id: batchId,
+            part_number: partNumber,
+            title: `${baseTitle} - Part ${partNumber}`
+          };
           const { error: updateError } = await supabase
             .from('content_entries')
-            .update({
-              folder_title: baseTitle,
-              folder_description: `Collection: ${baseTitle}`,
-              batch_id: batchId,
-              part_number: partNumber,
-              title: `${baseTitle} - Part ${partNumber}`
-            })
+            .update(folderFields)
             .eq('id', item.id);
           
           if (!updateError) {
             contentUpdated++;
+            before.push(item);
+            after.push({ id: item.id, ...folderFields });
           }
         }
         
@@ -494,6 +485,7 @@ router.post('/organize-folders', async (req, res) => {
     }
     
     console.log(`✅ Folder organization complete: ${foldersCreated} folders, ${contentUpdated} items organized`);
+    auditChange(req, { action: 'content.organize_folders', before, after });
     
     return res.json({
       success: true,
@@ -515,7 +507,6 @@ router.post('/organize-folders', async (req, res) => {
 // GET /api/admin/content/folders - Get all content organized by folders
 router.get('/folders', async (req, res) => {
   try {
-    verifyAdminToken(req);
     
     const supabase = getSupabaseAdminClient();
     
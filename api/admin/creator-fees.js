@@ -1,36 +1,19 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { claimCreatorFees, isCreatorFeeClaimingAvailable } = require('../../lib/creator-fee-claimer.js');
+const { RECONCILIATION_JOB, getReconciliationReport } = require('../services/creator-fee-reconciliation.js');
+const { requireRole, requireFreshTwoFactor } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
 
-function verifyAdminToken(req) {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      throw new Error('Unauthorized');
-    }
-    const token = authHeader.substring(7);
-    const decoded = jwt.verify(token, JWT_SECRET);
-    return decoded.admin ? decoded : null;
-  } catch (error) {
-    console.error('❌ Token verification failed:', error.message);
-    return null;
-  }
-}
+router.use(requireRole('finance'));
 
 /**
  * POST /api/admin/creator-fees/claim
  * Manually trigger creator fee claiming
  */
-router.post('/claim', async (req, res) => {
+router.post('/claim', requireFreshTwoFactor(), async (req, res) => {
   try {
-    const admin = verifyAdminToken(req);
-    if (!admin) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
     console.log('🔧 Admin triggered manual creator fee claim');
 
     // Check if creator fee claiming is available
@@ -47,6 +30,7 @@ router.post('/claim', async (req, res) => {
 
     // Trigger the creator fee claim
     const result = await claimCreatorFees();
+    auditChange(req, { action: 'creator_fees.claim', after: result });
 
     if (result.success) {
       console.log('✅ Manual creator fee claim successful');
@@ -84,15 +68,11 @@ router.post('/claim', async (req, res) => {
 
 /**
  * GET /api/admin/creator-fees/status
- * Check creator fee claiming status and configuration
+ * Check creator fee claiming status and configuration, with the totals
+ * of the last reconciliation against the creator wallet's history
  */
 router.get('/status', async (req, res) => {
   try {
-    const admin = verifyAdminToken(req);
-    if (!admin) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
     console.log('🔍 Admin checking creator fee claiming status');
 
     // Check if creator fee claiming is available
@@ -100,6 +80,15 @@ router.get('/status', async (req, res) => {
 
     // Check configuration status
     const awsConfigured = !!(process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY && process.env.AWS_SECRET_NAME);
+
+    // Report what reconciliation found without failing the status check
+    let reconciliation;
+    try {
+      reconciliation = { jobName: RECONCILIATION_JOB, ...(await getReconciliationReport()) };
+    } catch (reconciliationError) {
+      console.error('❌ Failed to get creator fee reconciliation:', reconciliationError.message);
+      reconciliation = { jobName: RECONCILIATION_JOB, error: reconciliationError.message };
+    }
     
     return res.json({
       success: true,
@@ -114,7 +103,8 @@ router.get('/status', async (req, res) => {
         message: isAvailable 
           ? 'Creator fee claiming is ready and configured'
           : 'Creator fee claiming requires AWS configuration'
-      }
+      },
+      reconciliation
     });
 
   } catch (error) {
@@ -133,11 +123,6 @@ router.get('/status', async (req, res) => {
  */
 router.get('/info', async (req, res) => {
   try {
-    const admin = verifyAdminToken(req);
-    if (!admin) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
     return res.json({
       success: true,
       info: {
@@ -150,7 +135,8 @@ router.get('/info', async (req, res) => {
           'Helius RPC for reliable transaction broadcasting',
           'AWS Secrets Manager for secure key storage',
           'Real-time transaction confirmation',
-          'Solscan explorer link generation'
+          'Solscan explorer link generation',
+          'Hourly reconciliation of claims against the creator wallet history'
         ],
         integration: {
           dividendSystem: 'Automatically called during scheduled dividend distributions',
@@ -161,7 +147,7 @@ router.get('/info', async (req, res) => {
         security: {
           keyStorage: 'AWS Secrets Manager (encrypted)',
           keyHandling: 'Private keys never logged or stored in memory after use',
-          authentication: 'JWT token required for admin access',
+          authentication: 'Admin token with the finance or owner role required',
           transactions: 'Signed locally, broadcast via secure RPC'
         }
       }
@@ -1,8 +1,22 @@
 const express = require('express');
 const { getSupabaseAdminClient } = require('../../database.js');
+const {
+  DEFAULT_ELIGIBILITY_POLICY,
+  POLICY_RULES,
+  getEligibilityPolicy,
+  saveEligibilityPolicy
+} = require('../services/eligibility-policy.js');
+const { DISTRIBUTION_MODES, getDistributionMode, saveDistributionMode } = require('../services/twab.js');
+const { takePeriodicSnapshotIfDue, changesClaimAddresses } = require('../services/dividend-service.js');
+const { PAYOUT_MODES, getPayoutModeSettings, savePayoutModeSettings } = require('../services/dividend-withdrawals.js');
+const { getMinPayoutSol, saveMinPayoutSol } = require('../services/dividend-carry-forward.js');
+const { requireRole, requireFreshTwoFactorIf } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
 
 const router = express.Router();
 
+router.use(requireRole('finance'));
+
 /**
  * GET /admin/dividend-config - Get current dividend system configuration
  */
@@ -57,9 +71,31 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * POST /admin/dividend-config - Update dividend system configuration
+ * Whether a config update changes the PumpFun contract, the token mint or the
+ * wallets fees are claimed into
+ */
+async function changesContractOrWallets(req) {
+  const { pumpfun_contract_address } = req.body;
+  // An empty contract address leaves the current one in place
+  if (pumpfun_contract_address) {
+    const { data, error } = await getSupabaseAdminClient()
+      .from('app_settings')
+      .select('value')
+      .eq('key', 'pumpfun_contract_address')
+      .maybeSingle();
+    if (error) throw error;
+    if (pumpfun_contract_address !== data?.value) {
+      return true;
+    }
+  }
+  return changesClaimAddresses(req.body);
+}
+
+/**
+ * POST /admin/dividend-config - Update dividend system configuration.
+ * Changing the contract, mint or wallets needs a fresh 2FA code.
  */
-router.post('/', async (req, res) => {
+router.post('/', requireFreshTwoFactorIf(changesContractOrWallets), async (req, res) => {
   try {
     const {
       enabled,
@@ -104,6 +140,16 @@ router.post('/', async (req, res) => {
       });
     }
     
+    const { data: previousSettings } = await supabase
+      .from('auto_claim_settings')
+      .select('*')
+      .maybeSingle();
+    const { data: previousContract } = await supabase
+      .from('app_settings')
+      .select('value')
+      .eq('key', 'pumpfun_contract_address')
+      .maybeSingle();
+    
     // Update auto_claim_settings
     const settingsData = {
       enabled: enabled ?? false,
@@ -139,6 +185,13 @@ router.post('/', async (req, res) => {
       }
     }
     
+    auditChange(req, {
+      action: 'dividend_config.update',
+      target: 'auto_claim_settings',
+      before: { ...previousSettings, pumpfun_contract_address: previousContract?.value ?? null },
+      after: { ...settings, pumpfun_contract_address: pumpfun_contract_address || previousContract?.value || null }
+    });
+    
     console.log('✅ Dividend configuration updated successfully');
     
     res.json({
@@ -156,6 +209,283 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /admin/dividend-config/eligibility-policy - Get the holder eligibility policy
+ */
+router.get('/eligibility-policy', async (req, res) => {
+  try {
+    const policy = await getEligibilityPolicy();
+    
+    res.json({
+      policy,
+      defaults: DEFAULT_ELIGIBILITY_POLICY,
+      rules: POLICY_RULES.map(rule => ({ name: rule.name, description: rule.description }))
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching eligibility policy:', error);
+    res.status(500).json({
+      error: 'Failed to fetch eligibility policy',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /admin/dividend-config/eligibility-policy - Replace the holder eligibility policy
+ * Omitted fields fall back to their defaults
+ */
+router.put('/eligibility-policy', async (req, res) => {
+  try {
+    console.log('🔧 Updating eligibility policy:', req.body);
+    
+    const previous = await getEligibilityPolicy();
+    const result = await saveEligibilityPolicy(req.body);
+    
+    if (!result.success) {
+      return res.status(400).json({
+        error: 'Invalid eligibility policy',
+        details: result.errors
+      });
+    }
+    
+    auditChange(req, { action: 'eligibility_policy.update', before: previous, after: result.policy });
+    
+    res.json({
+      message: 'Eligibility policy updated successfully',
+      policy: result.policy,
+      status: 'updated'
+    });
+    
+  } catch (error) {
+    console.error('❌ Error updating eligibility policy:', error);
+    res.status(500).json({
+      error: 'Failed to update eligibility policy',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/dividend-config/distribution-mode - Get how dividends are split between holders
+ */
+router.get('/distribution-mode', async (req, res) => {
+  try {
+    const settings = await getDistributionMode();
+    
+    res.json({
+      ...settings,
+      modes: DISTRIBUTION_MODES
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching distribution mode:', error);
+    res.status(500).json({
+      error: 'Failed to fetch distribution mode',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /admin/dividend-config/distribution-mode - Select snapshot or time-weighted (twab) dividends
+ */
+router.put('/distribution-mode', async (req, res) => {
+  try {
+    const { mode, snapshotIntervalMinutes } = req.body;
+    
+    console.log('🔧 Updating distribution mode:', req.body);
+    
+    if (mode === undefined && snapshotIntervalMinutes === undefined) {
+      return res.status(400).json({
+        error: 'mode or snapshotIntervalMinutes is required'
+      });
+    }
+    
+    const previous = await getDistributionMode();
+    const result = await saveDistributionMode({ mode, snapshotIntervalMinutes });
+    
+    if (!result.success) {
+      return res.status(400).json({
+        error: 'Invalid distribution mode settings',
+        details: result.errors
+      });
+    }
+    
+    auditChange(req, { action: 'distribution_mode.update', before: previous, after: result.settings });
+    
+    res.json({
+      message: 'Distribution mode updated successfully',
+      ...result.settings,
+      status: 'updated'
+    });
+    
+  } catch (error) {
+    console.error('❌ Error updating distribution mode:', error);
+    res.status(500).json({
+      error: 'Failed to update distribution mode',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/dividend-config/distribution-mode/snapshot - Take a periodic holder snapshot now
+ */
+router.post('/distribution-mode/snapshot', async (req, res) => {
+  try {
+    const result = await takePeriodicSnapshotIfDue(true);
+    
+    if (!result.taken) {
+      return res.status(400).json({
+        error: 'Snapshot not taken',
+        details: result.reason
+      });
+    }
+    
+    auditChange(req, { action: 'distribution_mode.snapshot', after: result });
+    
+    res.json({
+      message: 'Periodic holder snapshot recorded',
+      ...result
+    });
+    
+  } catch (error) {
+    console.error('❌ Error taking periodic snapshot:', error);
+    res.status(500).json({
+      error: 'Failed to take periodic snapshot',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/dividend-config/payout-mode - Get whether dividends are pushed or claimed by holders
+ */
+router.get('/payout-mode', async (req, res) => {
+  try {
+    const settings = await getPayoutModeSettings();
+    
+    res.json({
+      ...settings,
+      modes: PAYOUT_MODES
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching payout mode:', error);
+    res.status(500).json({
+      error: 'Failed to fetch payout mode',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /admin/dividend-config/payout-mode - Select push or pull payouts, minimum claim and expiry
+ */
+router.put('/payout-mode', async (req, res) => {
+  try {
+    const { mode, minClaimSol, expiryDays } = req.body;
+    
+    console.log('🔧 Updating payout mode:', req.body);
+    
+    if (mode === undefined && minClaimSol === undefined && expiryDays === undefined) {
+      return res.status(400).json({
+        error: 'mode, minClaimSol or expiryDays is required'
+      });
+    }
+    
+    const previous = await getPayoutModeSettings();
+    const result = await savePayoutModeSettings({ mode, minClaimSol, expiryDays });
+    
+    if (!result.success) {
+      return res.status(400).json({
+        error: 'Invalid payout mode settings',
+        details: result.errors
+      });
+    }
+    
+    auditChange(req, { action: 'payout_mode.update', before: previous, after: result.settings });
+    
+    res.json({
+      message: 'Payout mode updated successfully',
+      ...result.settings,
+      status: 'updated'
+    });
+    
+  } catch (error) {
+    console.error('❌ Error updating payout mode:', error);
+    res.status(500).json({
+      error: 'Failed to update payout mode',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/dividend-config/min-payout - Get the smallest push payout sent on-chain
+ */
+router.get('/min-payout', async (req, res) => {
+  try {
+    const minPayoutSol = await getMinPayoutSol();
+    
+    res.json({ minPayoutSol });
+    
+  } catch (error) {
+    console.error('❌ Error fetching minimum payout:', error);
+    res.status(500).json({
+      error: 'Failed to fetch minimum payout',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /admin/dividend-config/min-payout - Set the minimum payout; smaller shares are carried forward
+ */
+router.put('/min-payout', async (req, res) => {
+  try {
+    const { minPayoutSol } = req.body;
+    
+    console.log('🔧 Updating minimum payout:', minPayoutSol);
+    
+    if (minPayoutSol === undefined) {
+      return res.status(400).json({
+        error: 'minPayoutSol is required'
+      });
+    }
+    
+    const previous = await getMinPayoutSol();
+    const result = await saveMinPayoutSol(minPayoutSol);
+    
+    if (!result.success) {
+      return res.status(400).json({
+        error: 'Invalid minimum payout',
+        details: result.errors
+      });
+    }
+    
+    auditChange(req, {
+      action: 'min_payout.update',
+      before: { minPayoutSol: previous },
+      after: result.settings
+    });
+    
+    res.json({
+      message: 'Minimum payout updated successfully',
+      ...result.settings,
+      status: 'updated'
+    });
+    
+  } catch (error) {
+    console.error('❌ Error updating minimum payout:', error);
+    res.status(500).json({
+      error: 'Failed to update minimum payout',
+      details: error.message
+    });
+  }
+});
+
 /**
  * POST /admin/dividend-config/test-token - Test if a token mint address is valid
  */
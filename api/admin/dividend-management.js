@@ -7,31 +7,45 @@
  * - Wallet minimum SOL balance
  * - System enable/disable toggles
  * - Manual claim triggers
+ * - Wallets excluded from dividends (pools, exchanges, team)
+ * - Dust carried forward below the minimum payout
  */
 
 const express = require('express');
-const { createConnection } = require('../../database/database');
-const { claimCreatorFeesWithDividends, getDividendConfig } = require('../../lib/comprehensive-dividend-system');
-const { authenticateAdmin } = require('../../middleware/auth'); // Assuming you have admin auth middleware
+const { getSupabaseAdminClient } = require('../../database.js');
+const { triggerManualClaim } = require('../services/dividend-service.js');
+const {
+  EXCLUSION_CATEGORIES,
+  listHolderExclusions,
+  getHolderExclusion,
+  addHolderExclusion,
+  removeHolderExclusion
+} = require('../services/holder-exclusions.js');
+const { getCarryForwardSummary } = require('../services/dividend-carry-forward.js');
+const { requireRole, requireFreshTwoFactor } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
 
 const router = express.Router();
 
+router.use(requireRole('finance'));
+
 /**
  * Get current dividend system configuration
  */
-router.get('/config', authenticateAdmin, async (req, res) => {
+router.get('/config', async (req, res) => {
   try {
-    const db = createConnection();
+    const supabase = getSupabaseAdminClient();
+    
+    const { data: configRows, error } = await supabase
+      .from('dividend_config')
+      .select('key, value, value_type, description, is_active')
+      .eq('is_active', true)
+      .order('key');
     
-    const configResult = await db.query(`
-      SELECT key, value, value_type, description, is_active
-      FROM dividend_config 
-      WHERE is_active = true
-      ORDER BY key
-    `);
+    if (error) throw error;
     
     const config = {};
-    for (const row of configResult.rows) {
+    for (const row of configRows) {
       config[row.key] = {
         value: row.value,
         type: row.value_type,
@@ -58,7 +72,7 @@ router.get('/config', authenticateAdmin, async (req, res) => {
 /**
  * Update dividend system configuration
  */
-router.put('/config', authenticateAdmin, async (req, res) => {
+router.put('/config', async (req, res) => {
   try {
     const { key, value } = req.body;
     
@@ -69,15 +83,18 @@ router.put('/config', authenticateAdmin, async (req, res) => {
       });
     }
     
-    const db = createConnection();
+    const supabase = getSupabaseAdminClient();
     
     // Validate key exists
-    const existingConfig = await db.query(
-      'SELECT key, value_type FROM dividend_config WHERE key = $1',
-      [key]
-    );
+    const { data: existingConfig, error: fetchError } = await supabase
+      .from('dividend_config')
+      .select('key, value, value_type')
+      .eq('key', key)
+      .maybeSingle();
+    
+    if (fetchError) throw fetchError;
     
-    if (existingConfig.rows.length === 0) {
+    if (!existingConfig) {
       return res.status(404).json({
         success: false,
         error: `Configuration key '${key}' not found`
@@ -85,7 +102,7 @@ router.put('/config', authenticateAdmin, async (req, res) => {
     }
     
     // Validate value based on type
-    const valueType = existingConfig.rows[0].value_type;
+    const valueType = existingConfig.value_type;
     const validationResult = validateConfigValue(value, valueType);
     
     if (!validationResult.valid) {
@@ -96,18 +113,25 @@ router.put('/config', authenticateAdmin, async (req, res) => {
     }
     
     // Update configuration
-    await db.query(`
-      UPDATE dividend_config 
-      SET value = $2, updated_at = NOW()
-      WHERE key = $1
-    `, [key, validationResult.processedValue]);
+    const { error: updateError } = await supabase
+      .from('dividend_config')
+      .update({ value: validationResult.processedValue, updated_at: new Date().toISOString() })
+      .eq('key', key);
+    
+    if (updateError) throw updateError;
     
     console.log(`✅ Updated dividend config: ${key} = ${validationResult.processedValue}`);
+    auditChange(req, {
+      action: 'dividend_config.update',
+      target: key,
+      before: existingConfig,
+      after: { ...existingConfig, value: validationResult.processedValue }
+    });
     
     res.json({
       success: true,
       message: `Configuration '${key}' updated successfully`,
-      oldValue: existingConfig.rows[0].value,
+      oldValue: existingConfig.value,
       newValue: validationResult.processedValue,
       timestamp: new Date().toISOString()
     });
@@ -125,63 +149,104 @@ router.put('/config', authenticateAdmin, async (req, res) => {
 /**
  * Get dividend system statistics
  */
-router.get('/stats', authenticateAdmin, async (req, res) => {
+router.get('/stats', async (req, res) => {
   try {
-    const db = createConnection();
+    const supabase = getSupabaseAdminClient();
+    
+    const countRows = async (table, column, value) => {
+      const { count, error } = await supabase
+        .from(table)
+        .select('*', { count: 'exact', head: true })
+        .eq(column, value);
+      if (error) throw error;
+      return count || 0;
+    };
     
     // Get comprehensive statistics
-    const statsQuery = `
-      SELECT 
-        (SELECT COUNT(*) FROM dividend_claims WHERE status = 'completed') as total_claims,
-        (SELECT COALESCE(SUM(claimed_amount), 0) FROM dividend_claims WHERE status = 'completed') as total_claimed_sol,
-        (SELECT COALESCE(SUM(distribution_amount), 0) FROM dividend_claims WHERE status = 'completed') as total_distributed_sol,
-        (SELECT COUNT(*) FROM holder_eligibility WHERE is_eligible = true) as eligible_holders,
-        (SELECT COUNT(*) FROM holder_eligibility WHERE is_eligible = false) as ineligible_holders,
-        (SELECT COUNT(*) FROM holder_eligibility WHERE permanently_blacklisted = true) as blacklisted_holders,
-        (SELECT MAX(claim_timestamp) FROM dividend_claims WHERE status = 'completed') as last_claim_timestamp,
-        (SELECT COUNT(*) FROM dividend_distributions WHERE status = 'completed') as total_distributions,
-        (SELECT COUNT(*) FROM dividend_payouts WHERE payout_status = 'completed') as total_payouts
-    `;
-    
-    const statsResult = await db.query(statsQuery);
-    const stats = statsResult.rows[0];
-    
-    // Get recent claims
-    const recentClaimsResult = await db.query(`
-      SELECT 
-        id, claimed_amount, distribution_amount, 
-        holder_count, claim_timestamp, status,
-        transaction_id
-      FROM dividend_claims 
-      ORDER BY claim_timestamp DESC 
-      LIMIT 10
-    `);
+    const [
+      completedClaimsResult,
+      eligibleHolders,
+      ineligibleHolders,
+      blacklistedHolders,
+      totalDistributions,
+      totalPayouts,
+      recentClaimsResult,
+      eligibilityResult,
+      carryForward
+    ] = await Promise.all([
+      supabase
+        .from('dividend_claims')
+        .select('claimed_amount, distribution_amount, claim_timestamp')
+        .eq('status', 'completed'),
+      countRows('holder_eligibility', 'is_eligible', true),
+      countRows('holder_eligibility', 'is_eligible', false),
+      countRows('holder_eligibility', 'permanently_blacklisted', true),
+      countRows('dividend_distributions', 'status', 'completed'),
+      supabase
+        .from('dividend_payouts')
+        .select('*', { count: 'exact', head: true })
+        .in('payout_status', ['confirmed', 'completed']),
+      supabase
+        .from('dividend_claims')
+        .select('id, claimed_amount, distribution_amount, holder_count, claim_timestamp, status, transaction_id')
+        .order('claim_timestamp', { ascending: false })
+        .limit(10),
+      supabase
+        .from('holder_eligibility')
+        .select('is_eligible, retention_percentage'),
+      getCarryForwardSummary()
+    ]);
+    
+    for (const result of [completedClaimsResult, totalPayouts, recentClaimsResult, eligibilityResult]) {
+      if (result.error) throw result.error;
+    }
+    
+    const completedClaims = completedClaimsResult.data;
+    const stats = {
+      total_claims: completedClaims.length,
+      total_claimed_sol: completedClaims.reduce((sum, claim) => sum + Number.parseFloat(claim.claimed_amount || 0), 0),
+      total_distributed_sol: completedClaims.reduce((sum, claim) => sum + Number.parseFloat(claim.distribution_amount || 0), 0),
+      eligible_holders: eligibleHolders,
+      ineligible_holders: ineligibleHolders,
+      blacklisted_holders: blacklistedHolders,
+      last_claim_timestamp: completedClaims.reduce(
+        (latest, claim) => (!latest || claim.claim_timestamp > latest ? claim.claim_timestamp : latest),
+        null
+      ),
+      total_distributions: totalDistributions,
+      total_payouts: totalPayouts.count || 0
+    };
     
     // Get holder eligibility breakdown
-    const eligibilityResult = await db.query(`
-      SELECT 
-        is_eligible,
-        COUNT(*) as count,
-        AVG(retention_percentage) as avg_retention
-      FROM holder_eligibility 
-      GROUP BY is_eligible
-    `);
+    const eligibilityBreakdown = [true, false].map(isEligible => {
+      const rows = eligibilityResult.data.filter(row => row.is_eligible === isEligible);
+      return {
+        is_eligible: isEligible,
+        count: rows.length,
+        avg_retention: rows.length > 0
+          ? rows.reduce((sum, row) => sum + Number.parseFloat(row.retention_percentage || 0), 0) / rows.length
+          : null
+      };
+    }).filter(row => row.count > 0);
     
     res.json({
       success: true,
       stats: {
-        totalClaims: Number.parseInt(stats.total_claims),
-        totalClaimedSol: Number.parseFloat(stats.total_claimed_sol),
-        totalDistributedSol: Number.parseFloat(stats.total_distributed_sol),
-        eligibleHolders: Number.parseInt(stats.eligible_holders),
-        ineligibleHolders: Number.parseInt(stats.ineligible_holders),
-        blacklistedHolders: Number.parseInt(stats.blacklisted_holders),
+        totalClaims: stats.total_claims,
+        totalClaimedSol: stats.total_claimed_sol,
+        totalDistributedSol: stats.total_distributed_sol,
+        eligibleHolders: stats.eligible_holders,
+        ineligibleHolders: stats.ineligible_holders,
+        blacklistedHolders: stats.blacklisted_holders,
         lastClaimTimestamp: stats.last_claim_timestamp,
-        totalDistributions: Number.parseInt(stats.total_distributions),
-        totalPayouts: Number.parseInt(stats.total_payouts)
+        totalDistributions: stats.total_distributions,
+        totalPayouts: stats.total_payouts,
+        carriedForwardSol: carryForward.totalCarriedSol,
+        carriedForwardHolders: carryForward.holderCount
       },
-      recentClaims: recentClaimsResult.rows,
-      eligibilityBreakdown: eligibilityResult.rows,
+      carryForward,
+      recentClaims: recentClaimsResult.data,
+      eligibilityBreakdown: eligibilityBreakdown,
       timestamp: new Date().toISOString()
     });
     
@@ -198,14 +263,13 @@ router.get('/stats', authenticateAdmin, async (req, res) => {
 /**
  * Manually trigger creator fee claim with dividends
  */
-router.post('/claim', authenticateAdmin, async (req, res) => {
+router.post('/claim', requireFreshTwoFactor(), async (req, res) => {
   try {
-    const { creatorWallet, contractAddress } = req.body;
-    
     console.log('🚀 Manual dividend claim triggered by admin');
     
-    // Execute the comprehensive dividend claim
-    const result = await claimCreatorFeesWithDividends(creatorWallet, contractAddress);
+    // Run the same dividend pipeline as the scheduled claim
+    const result = await triggerManualClaim(true);
+    auditChange(req, { action: 'dividend.manual_claim', after: result });
     
     if (result.success) {
       res.json({
@@ -235,33 +299,36 @@ router.post('/claim', authenticateAdmin, async (req, res) => {
 /**
  * Get holder eligibility status
  */
-router.get('/holders', authenticateAdmin, async (req, res) => {
+router.get('/holders', async (req, res) => {
   try {
-    const db = createConnection();
-    
-    const holdersResult = await db.query(`
-      SELECT 
-        he.holder_address,
-        he.current_balance,
-        he.initial_balance,
-        he.retention_percentage,
-        he.is_eligible,
-        he.permanently_blacklisted,
-        he.last_violation_date,
-        he.violation_count,
-        he.last_checked_at,
-        hs.total_dividends_received,
-        hs.total_claims_participated
-      FROM holder_eligibility he
-      LEFT JOIN holder_stats hs ON he.holder_address = hs.holder_address
-      ORDER BY he.current_balance DESC
-      LIMIT 100
-    `);
+    const supabase = getSupabaseAdminClient();
+    
+    const { data: eligibilityRows, error } = await supabase
+      .from('holder_eligibility')
+      .select('holder_address, current_balance, initial_balance, retention_percentage, is_eligible, permanently_blacklisted, last_violation_date, violation_count, last_checked_at')
+      .order('current_balance', { ascending: false })
+      .limit(100);
+    
+    if (error) throw error;
+    
+    const { data: statsRows, error: statsError } = await supabase
+      .from('holder_stats')
+      .select('holder_address, total_dividends_received, total_claims_participated')
+      .in('holder_address', eligibilityRows.map(row => row.holder_address));
+    
+    if (statsError) throw statsError;
+    
+    const statsByHolder = new Map(statsRows.map(row => [row.holder_address, row]));
+    const holders = eligibilityRows.map(row => ({
+      ...row,
+      total_dividends_received: statsByHolder.get(row.holder_address)?.total_dividends_received ?? null,
+      total_claims_participated: statsByHolder.get(row.holder_address)?.total_claims_participated ?? null
+    }));
     
     res.json({
       success: true,
-      holders: holdersResult.rows,
-      count: holdersResult.rows.length,
+      holders: holders,
+      count: holders.length,
       timestamp: new Date().toISOString()
     });
     
@@ -278,28 +345,23 @@ router.get('/holders', authenticateAdmin, async (req, res) => {
 /**
  * Get wallet balance history
  */
-router.get('/wallet-history', authenticateAdmin, async (req, res) => {
+router.get('/wallet-history', async (req, res) => {
   try {
     const { limit = 50 } = req.query;
-    const db = createConnection();
-    
-    const historyResult = await db.query(`
-      SELECT 
-        wallet_address,
-        balance_sol,
-        balance_lamports,
-        check_reason,
-        notes,
-        checked_at
-      FROM wallet_balance_history
-      ORDER BY checked_at DESC
-      LIMIT $1
-    `, [Number.parseInt(limit)]);
+    const supabase = getSupabaseAdminClient();
+    
+    const { data: history, error } = await supabase
+      .from('wallet_balance_history')
+      .select('wallet_address, balance_sol, balance_lamports, check_reason, notes, checked_at')
+      .order('checked_at', { ascending: false })
+      .limit(Number.parseInt(limit));
+    
+    if (error) throw error;
     
     res.json({
       success: true,
-      history: historyResult.rows,
-      count: historyResult.rows.length,
+      history: history,
+      count: history.length,
       timestamp: new Date().toISOString()
     });
     
@@ -316,28 +378,44 @@ router.get('/wallet-history', authenticateAdmin, async (req, res) => {
 /**
  * Reset holder eligibility (admin function)
  */
-router.post('/reset-holder/:address', authenticateAdmin, async (req, res) => {
+router.post('/reset-holder/:address', async (req, res) => {
   try {
     const { address } = req.params;
     const { reason } = req.body;
     
-    const db = createConnection();
+    const supabase = getSupabaseAdminClient();
+
+    const { data: previousEligibility } = await supabase
+      .from('holder_eligibility')
+      .select('*')
+      .eq('holder_address', address)
+      .maybeSingle();
     
     // Reset eligibility status
-    await db.query(`
-      UPDATE holder_eligibility 
-      SET 
-        is_eligible = true,
-        permanently_blacklisted = false,
-        violation_count = 0,
-        last_violation_date = NULL,
-        blacklisted_at = NULL,
-        blacklist_reason = NULL,
-        last_checked_at = NOW()
-      WHERE holder_address = $1
-    `, [address]);
+    const { data: resetEligibility, error } = await supabase
+      .from('holder_eligibility')
+      .update({
+        is_eligible: true,
+        permanently_blacklisted: false,
+        violation_count: 0,
+        last_violation_date: null,
+        blacklisted_at: null,
+        blacklist_reason: null,
+        last_checked_at: new Date().toISOString()
+      })
+      .eq('holder_address', address)
+      .select()
+      .maybeSingle();
+    
+    if (error) throw error;
     
     console.log(`✅ Reset eligibility for holder: ${address}, reason: ${reason}`);
+    auditChange(req, {
+      action: 'holder.reset_eligibility',
+      target: address,
+      before: previousEligibility,
+      after: resetEligibility
+    });
     
     res.json({
       success: true,
@@ -356,6 +434,110 @@ router.post('/reset-holder/:address', authenticateAdmin, async (req, res) => {
   }
 });
 
+/**
+ * List wallets excluded from dividends
+ */
+router.get('/exclusions', async (req, res) => {
+  try {
+    const exclusions = await listHolderExclusions({
+      includeInactive: req.query.includeInactive === 'true'
+    });
+    
+    res.json({
+      success: true,
+      exclusions,
+      categories: EXCLUSION_CATEGORIES,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ Failed to get excluded wallets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve excluded wallets',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Exclude a wallet from dividends (or update an existing exclusion)
+ */
+router.post('/exclusions', async (req, res) => {
+  try {
+    const { wallet_address, label, category, reason } = req.body;
+    
+    const previous = typeof wallet_address === 'string' ? await getHolderExclusion(wallet_address) : null;
+    const result = await addHolderExclusion({ wallet_address, label, category, reason });
+    
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid exclusion',
+        details: result.errors
+      });
+    }
+    
+    auditChange(req, {
+      action: 'holder.exclude',
+      target: result.exclusion.wallet_address,
+      before: previous,
+      after: result.exclusion
+    });
+    
+    res.json({
+      success: true,
+      message: `Wallet ${result.exclusion.wallet_address} excluded from dividends`,
+      exclusion: result.exclusion,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ Failed to exclude wallet:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to exclude wallet',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Stop excluding a wallet from dividends
+ */
+router.delete('/exclusions/:address', async (req, res) => {
+  try {
+    const { address } = req.params;
+    
+    const previous = await getHolderExclusion(address);
+    const removed = await removeHolderExclusion(address);
+    
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: `Wallet ${address} is not on the exclusion list`
+      });
+    }
+    
+    auditChange(req, { action: 'holder.unexclude', target: address, before: previous, after: removed });
+    
+    res.json({
+      success: true,
+      message: `Wallet ${address} is no longer excluded from dividends`,
+      exclusion: removed,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ Failed to remove excluded wallet:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove excluded wallet',
+      details: error.message
+    });
+  }
+});
+
 /**
  * Validate configuration value based on type
  */
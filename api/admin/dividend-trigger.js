@@ -4,11 +4,15 @@
  */
 
 const express = require('express');
-const { processDividendClaim } = require('../services/dividend-claimer');
+const { processDividendClaim } = require('../services/dividend-service.js');
+const { simulateDividendDistribution, planToCsv } = require('../services/dividend-simulator.js');
 const { getSupabaseAdminClient } = require('../../database.js');
+const { requireRole } = require('../../lib/admin-auth.js');
 
 const router = express.Router();
 
+router.use(requireRole('finance'));
+
 /**
  * Manual dividend trigger with configurable parameters
  */
@@ -43,7 +47,7 @@ async function triggerDividendDistribution(req, res) {
     }
 
     // Process the dividend claim
-    const result = await processDividendClaim(amount, min_retention, force);
+    const result = await processDividendClaim(force);
 
     console.log(`✅ MANUAL DIVIDEND TRIGGER COMPLETED`);
 
@@ -71,6 +75,49 @@ async function triggerDividendDistribution(req, res) {
   }
 }
 
+/**
+ * Dry-run a distribution and return the plan as JSON or CSV
+ */
+async function simulateDividend(req, res) {
+  try {
+    const { amount } = req.body;
+
+    console.log(`🧪 DIVIDEND SIMULATION REQUESTED`);
+
+    if (amount !== undefined && !(Number.parseFloat(amount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Distribution amount must be positive',
+        amount: amount
+      });
+    }
+
+    const plan = await simulateDividendDistribution({ amount });
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="dividend-plan-${plan.generatedAt.replaceAll(':', '-')}.csv"`);
+      return res.status(200).send(planToCsv(plan));
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Dividend distribution simulated - nothing was sent',
+      data: plan
+    });
+
+  } catch (error) {
+    console.error('❌ DIVIDEND SIMULATION FAILED:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Dividend simulation failed',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
 /**
  * Get dividend distribution status and history
  */
@@ -148,6 +195,7 @@ async function getDividendStatus(req, res) {
 
 // Routes
 router.post('/execute', triggerDividendDistribution);
+router.post('/simulate', simulateDividend);
 router.get('/status', getDividendStatus);
 
 // Info endpoint
@@ -156,6 +204,7 @@ router.get('/', (req, res) => {
     message: 'Dividend Trigger API',
     endpoints: {
       'POST /execute': 'Manually trigger dividend distribution',
+      'POST /simulate': 'Dry-run a distribution and return the plan (add ?format=csv for CSV)',
       'GET /status': 'Get dividend system status and history'
     },
     parameters: {
@@ -163,6 +212,9 @@ router.get('/', (req, res) => {
         amount: 'SOL amount to distribute (default: 1)',
         min_retention: 'Minimum retention percentage required (default: 70)',
         force: 'Force execution even if auto-claim is disabled (default: false)'
+      },
+      simulate: {
+        amount: 'SOL amount to distribute (default: estimated from the fee account balance)'
       }
     }
   });
@@ -1,9 +1,9 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../../database.js');
-const jwt = require('jsonwebtoken');
+const { requireRole } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'whatnext-jwt-secret-2025';
 
 // Add a basic test route to verify ecosystem is working
 router.get('/health', (req, res) => {
@@ -40,42 +40,16 @@ try {
   // Don't let this failure prevent the rest of ecosystem from loading
 }
 
-function verifyAdminToken(req) {
-  const authHeader = req.headers.authorization;
-  console.log('🔐 Auth Header Check:', { 
-    hasAuthHeader: !!authHeader, 
-    headerPrefix: authHeader?.substring(0, 10),
-    jwtSecret: JWT_SECRET ? 'SET' : 'NOT_SET',
-    environment: process.env.NODE_ENV || 'development'
-  });
-  
-  if (!authHeader?.startsWith('Bearer ')) {
-    console.log('❌ Missing or invalid Bearer token format');
-    throw new Error('Unauthorized');
-  }
-  const token = authHeader.substring(7);
-  try {
-    jwt.verify(token, JWT_SECRET);
-    console.log('✅ JWT verification successful');
-  } catch (jwtError) {
-    console.log('❌ JWT verification failed:', jwtError.message);
-    console.log('🔍 JWT Details:', {
-      tokenLength: token.length,
-      secretLength: JWT_SECRET.length,
-      errorType: jwtError.name
-    });
-    throw new Error('Unauthorized');
-  }
-}
-
 // Note: /spend routes are now handled by the mounted ./ecosystem/spend.js router above
 
+// Ecosystem content and locations; /spend checks for finance itself
+router.use(requireRole('content'));
+
 
 
 // GET /api/admin/ecosystem/content
 router.get('/content', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const supabase = getSupabaseAdminClient();
     const { data, error } = await supabase
       .from('ecosystem_content')
@@ -99,9 +73,6 @@ router.get('/content', async (req, res) => {
       content: data || []
     });
   } catch (error) {
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     console.error('Error in ecosystem content endpoint:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -110,7 +81,6 @@ router.get('/content', async (req, res) => {
 // POST /api/admin/ecosystem/content
 router.post('/content', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const supabase = getSupabaseAdminClient();
     const {
       title,
@@ -163,15 +133,13 @@ router.post('/content', async (req, res) => {
       console.error('Error creating ecosystem content:', error);
       return res.status(500).json({ error: 'Failed to create ecosystem content' });
     }
+    auditChange(req, { action: 'ecosystem_content.create', target: data.id, after: data });
     res.json({
       success: true,
       message: 'Ecosystem content created successfully',
       data
     });
   } catch (error) {
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     console.error('Error creating ecosystem content:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -180,7 +148,6 @@ router.post('/content', async (req, res) => {
 // PATCH /api/admin/ecosystem/content/:id
 router.patch('/content/:id', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const supabase = getSupabaseAdminClient();
     const { id } = req.params;
     const updateData = { ...req.body };
@@ -196,6 +163,11 @@ router.patch('/content/:id', async (req, res) => {
       }
     }
     updateData.updated_at = new Date().toISOString();
+    const { data: previous } = await supabase
+      .from('ecosystem_content')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
     const { data, error } = await supabase
       .from('ecosystem_content')
       .update(updateData)
@@ -218,15 +190,13 @@ router.patch('/content/:id', async (req, res) => {
     if (!data) {
       return res.status(404).json({ error: 'Content not found' });
     }
+    auditChange(req, { action: 'ecosystem_content.update', target: id, before: previous, after: data });
     res.json({
       success: true,
       message: 'Ecosystem content updated successfully',
       data
     });
   } catch (error) {
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     console.error('Error updating ecosystem content:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -235,28 +205,26 @@ router.patch('/content/:id', async (req, res) => {
 // DELETE /api/admin/ecosystem/content/:id
 router.delete('/content/:id', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const supabase = getSupabaseAdminClient();
     const { id } = req.params;
     if (!id) {
       return res.status(400).json({ error: 'Content ID is required' });
     }
-    const { error } = await supabase
+    const { data: deleted, error } = await supabase
       .from('ecosystem_content')
       .delete()
-      .eq('id', id);
+      .eq('id', id)
+      .select();
     if (error) {
       console.error('Error deleting ecosystem content:', error);
       return res.status(500).json({ error: 'Failed to delete ecosystem content' });
     }
+    auditChange(req, { action: 'ecosystem_content.delete', target: id, before: deleted?.[0] ?? null });
     res.json({
       success: true,
       message: 'Ecosystem content deleted successfully'
     });
   } catch (error) {
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     console.error('Error deleting ecosystem content:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -265,7 +233,6 @@ router.delete('/content/:id', async (req, res) => {
 // GET /api/admin/ecosystem/locations
 router.get('/locations', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const supabase = getSupabaseAdminClient();
     const { data, error } = await supabase
       .from('locations')
@@ -280,9 +247,6 @@ router.get('/locations', async (req, res) => {
       locations: data || []
     });
   } catch (error) {
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     console.error('Error in locations endpoint:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
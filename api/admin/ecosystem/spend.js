@@ -1,9 +1,11 @@
 const express = require('express');
 const { getSupabaseAdminClient } = require('../../../database.js');
-const jwt = require('jsonwebtoken');
+const { requireRole } = require('../../../lib/admin-auth.js');
+const { auditChange } = require('../../services/admin-audit.js');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'whatnext-jwt-secret-2025';
+
+router.use(requireRole('finance'));
 
 // Health check endpoint for spend router
 router.get('/health', (req, res) => {
@@ -33,35 +35,6 @@ router.get('/test-delete/:id', (req, res) => {
   });
 });
 
-function verifyAdminToken(req) {
-  const authHeader = req.headers.authorization;
-  console.log('🔐 Spend Auth Check:', { 
-    hasAuthHeader: !!authHeader, 
-    headerPrefix: authHeader?.substring(0, 10),
-    jwtSecret: JWT_SECRET ? 'SET' : 'NOT_SET',
-    environment: process.env.NODE_ENV || 'development',
-    requestPath: req.path
-  });
-  
-  if (!authHeader?.startsWith('Bearer ')) {
-    console.log('❌ Missing or invalid Bearer token format');
-    throw new Error('Unauthorized');
-  }
-  const token = authHeader.substring(7);
-  try {
-    jwt.verify(token, JWT_SECRET);
-    console.log('✅ Spend JWT verification successful');
-  } catch (jwtError) {
-    console.log('❌ Spend JWT verification failed:', jwtError.message);
-    console.log('🔍 JWT Details:', {
-      tokenLength: token.length,
-      secretLength: JWT_SECRET.length,
-      errorType: jwtError.name
-    });
-    throw new Error('Unauthorized');
-  }
-}
-
 // Helper functions to reduce cognitive complexity
 
 async function fetchSpendEntries(supabase) {
@@ -180,7 +153,6 @@ function createSpendingSummary(processedSpends, processedGiveaways, processedCla
  */
 router.get('/', async (req, res) => {
   try {
-    verifyAdminToken(req);
     console.log('🔍 Admin ecosystem/spend: Fetching spending data from ALL tables (spend_log + giveaway_payouts + claim_links)...');
     
     const supabase = getSupabaseAdminClient();
@@ -227,9 +199,6 @@ router.get('/', async (req, res) => {
     
   } catch (error) {
     console.error('Admin ecosystem/spend error:', error);
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     return res.status(500).json({
       success: false,
       error: 'Failed to fetch spending data',
@@ -250,17 +219,19 @@ async function deleteFromTable(supabase, tableName, id, selectFields, successMes
     return { success: false, entry: null };
   }
 
-  const { error: deleteError } = await supabase
+  const { data: deletedRows, error: deleteError } = await supabase
     .from(tableName)
     .delete()
-    .eq('id', id);
+    .eq('id', id)
+    .select();
   
   if (deleteError) {
     throw deleteError;
   }
 
   console.log(`✅ Admin ecosystem/spend: ${successMessage}:`, id);
-  return { success: true, entry: existingEntry };
+  // record is the whole deleted row, kept for the audit log
+  return { success: true, entry: existingEntry, record: deletedRows?.[0] || existingEntry };
 }
 
 // Helper function to handle successful deletion response
@@ -325,7 +296,6 @@ async function bulkDeleteFromTable(supabase, tableName, ids, selectFields) {
  */
 router.delete('/:id', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const { id } = req.params;
     
     if (!id) {
@@ -352,6 +322,7 @@ router.delete('/:id', async (req, res) => {
     
     if (result1.success) {
       console.log('✅ Deleted from spend_log:', id);
+      auditChange(req, { action: 'spend.delete', target: `spend_log:${id}`, before: result1.record });
       return res.json({
         success: true,
         message: 'Spending entry deleted successfully',
@@ -371,6 +342,7 @@ router.delete('/:id', async (req, res) => {
     
     if (result2.success) {
       console.log('✅ Deleted from giveaway_payouts:', id);
+      auditChange(req, { action: 'spend.delete', target: `giveaway_payouts:${id}`, before: result2.record });
       return res.json({
         success: true,
         message: 'Giveaway payout deleted successfully',
@@ -390,6 +362,7 @@ router.delete('/:id', async (req, res) => {
     
     if (result3.success) {
       console.log('✅ Deleted from claim_links:', actualId);
+      auditChange(req, { action: 'spend.delete', target: `claim_links:${actualId}`, before: result3.record });
       return res.json({
         success: true,
         message: 'Claim link deleted successfully',
@@ -406,13 +379,6 @@ router.delete('/:id', async (req, res) => {
 
   } catch (error) {
     console.error('❌ Admin ecosystem/spend DELETE error:', error);
-    if (error instanceof Error && (error.message === 'Unauthorized' || error.message.includes('invalid signature') || error.message.includes('jwt'))) {
-      return res.status(401).json({ 
-        success: false,
-        error: 'Unauthorized - Please log in again',
-        message: 'JWT token is invalid or expired'
-      });
-    }
     return res.status(500).json({
       success: false,
       error: 'Failed to delete spending entry',
@@ -427,7 +393,6 @@ router.delete('/:id', async (req, res) => {
  */
 router.post('/', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const { title, description, amount_sol, amount_usd, category, transaction_hash } = req.body;
     
     if (!title && !description) {
@@ -479,9 +444,6 @@ router.post('/', async (req, res) => {
     
   } catch (error) {
     console.error('Admin ecosystem/spend POST error:', error);
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     return res.status(500).json({
       success: false,
       error: 'Failed to create spending entry',
@@ -496,7 +458,6 @@ router.post('/', async (req, res) => {
  */
 router.get('/bulk', async (req, res) => {
   try {
-    verifyAdminToken(req);
     console.log('ℹ️ Admin ecosystem/spend/bulk GET: Returning bulk operations info');
     
     res.json({
@@ -514,9 +475,6 @@ router.get('/bulk', async (req, res) => {
       }
     });
   } catch (error) {
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     return res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -558,7 +516,7 @@ async function attemptDeleteFromTables(supabase, id, tableConfigs, deletedByType
       if (result.success) {
         deletedByType[config.table]++;
         console.log(`✅ Deleted ID ${id} from ${config.table}`);
-        return { success: true, entry: result.entry };
+        return { success: true, entry: result.entry, table: config.table, record: result.record };
       }
     } catch (error) {
       console.log(`❌ Failed to delete ID ${id} from ${config.table}:`, error.message);
@@ -586,7 +544,6 @@ function createBulkDeleteResponse(totalDeleted, deletedEntries, deletedByType) {
  */
 router.delete('/bulk', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const { ids } = req.body;
     
     // Validate request
@@ -601,6 +558,7 @@ router.delete('/bulk', async (req, res) => {
     console.log('🗑️ Admin ecosystem/spend/bulk DELETE: Deleting entries:', { ids });
     
     const deletedEntries = [];
+    const deletedRecords = [];
     let totalDeleted = 0;
     const deletedByType = {
       spend_log: 0,
@@ -616,6 +574,7 @@ router.delete('/bulk', async (req, res) => {
       
       if (deleteResult.success) {
         deletedEntries.push(deleteResult.entry);
+        deletedRecords.push({ table: deleteResult.table, record: deleteResult.record });
         totalDeleted++;
       } else {
         console.log(`⚠️ ID ${id} not found in any table`);
@@ -630,15 +589,13 @@ router.delete('/bulk', async (req, res) => {
     }
 
     console.log(`✅ Admin ecosystem/spend/bulk DELETE: Successfully deleted ${totalDeleted} entries total`);
+    auditChange(req, { action: 'spend.bulk_delete', before: deletedRecords });
     console.log('Deletion summary:', deletedByType);
     
     return res.json(createBulkDeleteResponse(totalDeleted, deletedEntries, deletedByType));
     
   } catch (error) {
     console.error('Admin ecosystem/spend/bulk DELETE error:', error);
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     return res.status(500).json({
       success: false,
       error: 'Failed to bulk delete spending entries',
@@ -652,7 +609,6 @@ router.delete('/bulk', async (req, res) => {
  */
 router.post('/bulk', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const { action, ids } = req.body;
     
     // Validate request
@@ -668,6 +624,7 @@ router.post('/bulk', async (req, res) => {
     console.log('🗑️ Admin ecosystem/spend/bulk POST: Deleting entries:', { ids });
     
     const deletedEntries = [];
+    const deletedRecords = [];
     let totalDeleted = 0;
     const deletedByType = {
       spend_log: 0,
@@ -683,6 +640,7 @@ router.post('/bulk', async (req, res) => {
       
       if (deleteResult.success) {
         deletedEntries.push(deleteResult.entry);
+        deletedRecords.push({ table: deleteResult.table, record: deleteResult.record });
         totalDeleted++;
       } else {
         console.log(`⚠️ ID ${id} not found in any table`);
@@ -697,15 +655,13 @@ router.post('/bulk', async (req, res) => {
     }
 
     console.log(`✅ Admin ecosystem/spend/bulk POST: Successfully deleted ${totalDeleted} entries total`);
+    auditChange(req, { action: 'spend.bulk_delete', before: deletedRecords });
     console.log('Deletion summary:', deletedByType);
     
     return res.json(createBulkDeleteResponse(totalDeleted, deletedEntries, deletedByType));
     
   } catch (error) {
     console.error('Admin ecosystem/spend/bulk POST error:', error);
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     return res.status(500).json({
       success: false,
       error: 'Failed to bulk delete spending entries',
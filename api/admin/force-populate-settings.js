@@ -1,29 +1,22 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../../database.js');
-const jwt = require('jsonwebtoken');
+const { requireRole } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
 
-function verifyAdminToken(req) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    throw new Error('Unauthorized');
-  }
-  const token = authHeader.substring(7);
-  jwt.verify(token, JWT_SECRET);
-}
+router.use(requireRole('owner'));
 
 // POST /api/admin/force-populate-settings
 router.post('/', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const supabase = getSupabaseAdminClient();
     // Clear existing settings first (force populate)
-    const { error: deleteError } = await supabase
+    const { data: clearedSettings, error: deleteError } = await supabase
       .from('app_settings')
       .delete()
-      .neq('id', 0);
+      .neq('id', 0)
+      .select();
     if (deleteError && !deleteError.message.includes('No rows found')) {
       console.log('Note: No existing settings to clear');
     }
@@ -66,6 +59,7 @@ router.post('/', async (req, res) => {
       .insert(defaultSettings)
       .select();
     if (error) throw error;
+    auditChange(req, { action: 'settings.force_populate', before: clearedSettings || [], after: newSettings || [] });
     const categoryCount = defaultSettings.reduce((acc, setting) => {
       acc[setting.category] = (acc[setting.category] || 0) + 1;
       return acc;
@@ -79,9 +73,6 @@ router.post('/', async (req, res) => {
     });
   } catch (error) {
     console.error('Error force-populating settings:', error);
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     return res.status(500).json({ error: 'Failed to force-populate settings' });
   }
 });
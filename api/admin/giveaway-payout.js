@@ -2,6 +2,8 @@ const express = require('express');
 const { getSupabaseAdminClient  } = require('../../database.js');
 const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
 const { getCurrentSolPrice } = require('../../utils/sol-price.js');
+const { requireRole, requireFreshTwoFactor } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
 
 // Safe import of Solana payment service with fallback
 let solanaPaymentService = null;
@@ -17,14 +19,8 @@ const router = express.Router();
 const LAMPORTS_PER_SOL = 1000000000;
 
 // POST - Process giveaway payout with REAL SOL transfer
-router.post('/', async (req, res) => {
+router.post('/', requireRole('finance'), requireFreshTwoFactor(), async (req, res) => {
   try {
-    // Add basic auth check
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
     const { recipientAddress, amountSol, description, payoutType = 'manual_payout' } = req.body;
 
     // Validate input
@@ -70,6 +66,11 @@ router.post('/', async (req, res) => {
       txSignature = await solanaPaymentService.sendSOL(recipientAddress, lamports);
       
       console.log(`✅ Payment successful! TX: ${txSignature}`);
+      auditChange(req, {
+        action: 'giveaway.payout',
+        target: recipientAddress,
+        after: { recipientAddress, amountSol, description, payoutType, txSignature }
+      });
     } catch (paymentError) {
       console.error('❌ SOL payment failed:', paymentError);
       return res.status(500).json({
@@ -117,6 +118,7 @@ router.post('/', async (req, res) => {
     }
 
     console.log('✅ Created payout record:', payout.id);
+    auditChange(req, { after: payout });
     console.log(`🔗 Explorer: https://solscan.io/tx/${txSignature}`);
 
     res.json({
@@ -1,6 +1,10 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../../database.js');
 const { getCurrentSolPrice } = require('../../utils/sol-price.js');
+const { emitWebhookEvent } = require('../services/webhooks.js');
+const { announce } = require('../services/announcements.js');
+const { requireRole, requireFreshTwoFactor } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
 
 // Safe import of Solana payment service with fallback
 let solanaPaymentService = null;
@@ -12,23 +16,11 @@ try {
   console.warn('⚠️ Solana payment service not available, using fallback mode:', error.message);
 }
 
-const jwt = require('jsonwebtoken');
 const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'whatnext-jwt-secret-2025';
 const LAMPORTS_PER_SOL = 1000000000;
 
-async function verifyAdminToken(req) {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) throw new Error('No token provided');
-  try {
-    return jwt.verify(token, JWT_SECRET);
-  } catch {
-    throw new Error('Invalid token');
-  }
-}
-
 /**
  * Get today's giveaway from database
  */
@@ -355,7 +347,6 @@ function getErrorStatusCode(error) {
   
   const message = error.message;
   
-  if (message.includes('token')) return 401;
   if (message.includes('No giveaway found')) return 404;
   if (message.includes('already been processed')) return 400;
   if (message.includes('No pump.fun contract')) return 400;
@@ -367,11 +358,7 @@ function getErrorStatusCode(error) {
 /**
  * Build error response object
  */
-function buildErrorResponse(error, statusCode) {
-  if (statusCode === 401) {
-    return { error: 'Unauthorized' };
-  }
-  
+function buildErrorResponse(error) {
   return {
     success: false,
     message: error instanceof Error ? error.message : 'Unknown error'
@@ -383,7 +370,7 @@ function buildErrorResponse(error, statusCode) {
  */
 function handleRouteError(error, res) {
   const statusCode = getErrorStatusCode(error);
-  const responseBody = buildErrorResponse(error, statusCode);
+  const responseBody = buildErrorResponse(error);
   
   if (statusCode === 500) {
     console.error('❌ Giveaway processing error:', error);
@@ -440,11 +427,8 @@ async function processWinnersAndPayments(supabase, giveaway, winners) {
  * POST /api/admin/giveaway/process
  * Process giveaway snapshot, determine winners, and send REAL SOL payments
  */
-router.post('/', async (req, res) => {
+router.post('/', requireRole('finance'), requireFreshTwoFactor(), async (req, res) => {
   try {
-    // Verify admin authentication
-    await verifyAdminToken(req);
-
     console.log('🎯 Starting giveaway processing with REAL SOL payments...');
 
     const supabase = getSupabaseAdminClient();
@@ -456,7 +440,10 @@ router.post('/', async (req, res) => {
     // Handle case with no winners
     if (winners.length === 0) {
       await markGiveawayCompleted(supabase, giveaway.id);
-      return res.json(buildNoWinnersResponse(giveaway.id, actualMarketCap));
+      const response = buildNoWinnersResponse(giveaway.id, actualMarketCap);
+      auditChange(req, { action: 'giveaway.complete', target: giveaway.id, before: giveaway, after: response.data });
+      emitWebhookEvent('giveaway.completed', { date: giveaway.date, ...response.data });
+      return res.json(response);
     }
 
     // Process winners and payments
@@ -466,7 +453,13 @@ router.post('/', async (req, res) => {
     await markGiveawayCompleted(supabase, giveaway.id);
 
     // Return success response
-    res.json(buildSuccessResponse(actualMarketCap, giveaway.id, winners, paymentResults, prizePool, prizePerWinner));
+    const response = buildSuccessResponse(actualMarketCap, giveaway.id, winners, paymentResults, prizePool, prizePerWinner);
+    auditChange(req, { action: 'giveaway.complete', target: giveaway.id, before: giveaway, after: response.data });
+    emitWebhookEvent('giveaway.completed', { date: giveaway.date, ...response.data });
+    if (response.data.successfulPayments > 0) {
+      announce('giveaway.completed', { date: giveaway.date, ...response.data });
+    }
+    res.json(response);
 
   } catch (error) {
     return handleRouteError(error, res);
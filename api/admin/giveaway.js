@@ -1,19 +1,11 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../../database.js');
-const jwt = require('jsonwebtoken');
+const { requireRole } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'whatnext-jwt-secret-2025';
 
-async function verifyAdminToken(req) {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) throw new Error('No token provided');
-  try {
-    return jwt.verify(token, JWT_SECRET);
-  } catch {
-    throw new Error('Invalid token');
-  }
-}
+router.use(requireRole('moderator'));
 
 /**
  * Validate giveaway request body
@@ -146,10 +138,6 @@ function buildGiveawayResponse(giveaway, winners, contractAddress, entries, allE
  */
 function handleGiveawayError(error, res) {
   if (error instanceof Error) {
-    if (error.message.includes('token')) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-    
     if (error.message.includes('required') || error.message.includes('must be')) {
       return res.status(400).json({ error: error.message });
     }
@@ -288,10 +276,6 @@ async function getFinalPrizePoolSettings(supabase, today, defaultPrizePool) {
  */
 function handlePrizePoolError(error, res) {
   if (error instanceof Error) {
-    if (error.message.includes('token')) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-    
     if (error.message.includes('Invalid updateType') || error.message.includes('must be a positive number')) {
       return res.status(400).json({ error: error.message });
     }
@@ -307,15 +291,26 @@ function handlePrizePoolError(error, res) {
 // POST /api/admin/giveaway
 router.post('/', async (req, res) => {
   try {
-    await verifyAdminToken(req);
     
     // Validate request
     const { giveawayId, marketCapNum, contractAddress } = validateGiveawayRequest(req.body);
     
     const supabase = getSupabaseAdminClient();
     
+    const { data: previousGiveaway } = await supabase
+      .from('daily_giveaways')
+      .select('*')
+      .eq('id', giveawayId)
+      .maybeSingle();
+    
     // Update giveaway with market cap
     const giveaway = await updateGiveawaySnapshot(supabase, giveawayId, marketCapNum);
+    auditChange(req, {
+      action: 'giveaway.process',
+      target: giveawayId,
+      before: previousGiveaway,
+      after: { ...giveaway, contractAddress }
+    });
     
     // Get entries for this contract
     const entries = await getGiveawayEntries(supabase, giveawayId, contractAddress);
@@ -334,6 +329,7 @@ router.post('/', async (req, res) => {
     
     // Get winners
     const winners = await getWinnersForContract(supabase, giveawayId, contractAddress);
+    auditChange(req, { after: { ...giveaway, contractAddress, winners } });
     
     // Mark as completed if pump.fun
     await markPumpFunCompleted(supabase, giveawayId, contractAddress);
@@ -352,7 +348,6 @@ router.post('/', async (req, res) => {
 // POST /api/admin/giveaway/cleanup
 router.post('/cleanup', async (req, res) => {
   try {
-    await verifyAdminToken(req);
     const supabase = getSupabaseAdminClient();
     const { error: cleanupError } = await supabase.rpc('cleanup_old_giveaway_data');
     if (cleanupError) throw cleanupError;
@@ -362,11 +357,9 @@ router.post('/cleanup', async (req, res) => {
       .order('cleaned_at', { ascending: false })
       .limit(1);
     if (statsError) throw statsError;
+    auditChange(req, { action: 'giveaway.cleanup', after: cleanupStats?.[0] || null });
     return res.json({ success: true, message: 'Database cleanup completed successfully', lastCleanup: cleanupStats?.[0] || null });
   } catch (error) {
-    if (error instanceof Error && error.message.includes('token')) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     console.error('Error during cleanup:', error);
     return res.status(500).json({ error: 'Failed to cleanup database' });
   }
@@ -375,7 +368,6 @@ router.post('/cleanup', async (req, res) => {
 // GET /api/admin/giveaway
 router.get('/', async (req, res) => {
   try {
-    await verifyAdminToken(req);
     const supabase = getSupabaseAdminClient();
     
     console.log('📊 Admin: Fetching today\'s giveaway data...');
@@ -446,9 +438,6 @@ router.get('/', async (req, res) => {
       todayGiveaway: todayGiveaway
     });
   } catch (error) {
-    if (error instanceof Error && error.message.includes('token')) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     console.error('❌ Error fetching giveaways:', error);
     return res.status(500).json({ error: 'Failed to fetch giveaways' });
   }
@@ -458,7 +447,6 @@ router.get('/', async (req, res) => {
 router.get('/prize-pool', async (req, res) => {
   try {
     console.log('� Prize-pool API: Fetching prize pool settings...');
-    await verifyAdminToken(req);
     
     const supabase = getSupabaseAdminClient();
     const today = new Date().toISOString().split('T')[0];
@@ -494,19 +482,15 @@ router.get('/prize-pool', async (req, res) => {
       }
     });
   } catch (error) {
-    if (error instanceof Error && error.message.includes('token')) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     console.error('❌ Error in prize pool GET:', error);
     return res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // Prize Pool Management - UPDATE settings
-router.post('/prize-pool', async (req, res) => {
+router.post('/prize-pool', requireRole('finance'), async (req, res) => {
   try {
     console.log('💰 Prize-pool API: Updating prize pool...');
-    await verifyAdminToken(req);
     
     const { updateType, defaultPrizePool } = req.body;
     
@@ -515,6 +499,7 @@ router.post('/prize-pool', async (req, res) => {
     
     const supabase = getSupabaseAdminClient();
     const today = new Date().toISOString().split('T')[0];
+    const previousSettings = await getFinalPrizePoolSettings(supabase, today, defaultPrizePool);
     
     // Update today's giveaway prize pool if requested
     if (updateType === 'today' || updateType === 'both') {
@@ -528,6 +513,7 @@ router.post('/prize-pool', async (req, res) => {
     
     // Get final settings
     const finalSettings = await getFinalPrizePoolSettings(supabase, today, defaultPrizePool);
+    auditChange(req, { action: 'giveaway.prize_pool', target: today, before: previousSettings, after: finalSettings });
     
     return res.json({
       success: true,
@@ -543,11 +529,16 @@ router.post('/prize-pool', async (req, res) => {
 router.post('/uncomplete', async (req, res) => {
   try {
     console.log('🔄 Uncomplete API: Marking giveaway as not completed...');
-    await verifyAdminToken(req);
     
     const supabase = getSupabaseAdminClient();
     const today = new Date().toISOString().split('T')[0];
     
+    const { data: previousGiveaway } = await supabase
+      .from('daily_giveaways')
+      .select('*')
+      .eq('date', today)
+      .maybeSingle();
+
     const { data: updatedGiveaway, error: updateError } = await supabase
       .from('daily_giveaways')
       .update({ is_completed: false })
@@ -564,6 +555,12 @@ router.post('/uncomplete', async (req, res) => {
     }
     
     console.log('✅ Giveaway marked as not completed');
+    auditChange(req, {
+      action: 'giveaway.uncomplete',
+      target: today,
+      before: previousGiveaway,
+      after: updatedGiveaway
+    });
     
     return res.json({
       success: true,
@@ -571,9 +568,6 @@ router.post('/uncomplete', async (req, res) => {
       data: updatedGiveaway
     });
   } catch (error) {
-    if (error instanceof Error && error.message.includes('token')) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     console.error('❌ Error in uncomplete endpoint:', error);
     return res.status(500).json({ 
       error: 'Failed to uncomplete giveaway',
@@ -585,12 +579,6 @@ router.post('/uncomplete', async (req, res) => {
 // Statistics endpoint
 router.get('/stats', async (req, res) => {
   try {
-    try {
-      await verifyAdminToken(req);
-    } catch (authError) {
-      console.warn('Authentication failed:', authError);
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     const supabase = getSupabaseAdminClient();
     const { count: totalEntries, error: entriesError } = await supabase
       .from('giveaway_entries')
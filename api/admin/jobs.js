@@ -0,0 +1,193 @@
+/**
+ * Background Jobs Admin API
+ *
+ * Admin endpoints for the job runner (api/services/job-runner.js):
+ * - List registered jobs with their schedule, state and last run
+ * - Recent run history (start, end, outcome, error, duration)
+ * - Trigger a run now
+ * - Pause and resume scheduled runs on every instance
+ */
+
+const express = require('express');
+const {
+  runJob,
+  isJobPaused,
+  setJobPaused,
+  getJobRuns,
+  listJobs,
+  hasJob
+} = require('../services/job-runner.js');
+const { INSTANCE_ID, isJobLeader } = require('../../lib/job-lease.js');
+const { requireRole } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
+
+const router = express.Router();
+const RUN_STATUSES = ['running', 'succeeded', 'failed', 'skipped'];
+const MAX_RUNS = 200;
+
+/**
+ * 404 for job names this instance does not know
+ */
+function requireKnownJob(req, res, next) {
+  if (!hasJob(req.params.name)) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown job: ${req.params.name}`
+    });
+  }
+  next();
+}
+
+/**
+ * Parse run history filters from the query string
+ */
+function parseRunFilters(query) {
+  const limit = Number.parseInt(query.limit, 10);
+  const status = RUN_STATUSES.includes(query.status) ? query.status : null;
+
+  return {
+    status,
+    limit: limit > 0 ? Math.min(limit, MAX_RUNS) : 50
+  };
+}
+
+router.use(requireRole('owner'));
+
+/**
+ * GET /api/admin/jobs - List every registered job
+ */
+router.get('/', async (req, res) => {
+  try {
+    const jobs = await listJobs();
+
+    res.json({
+      success: true,
+      instanceId: INSTANCE_ID,
+      isJobLeader: isJobLeader(),
+      jobs,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to list jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list jobs',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/jobs/runs - Recent runs of every job (?status, ?limit)
+ */
+router.get('/runs', async (req, res) => {
+  try {
+    const runs = await getJobRuns(parseRunFilters(req.query));
+
+    res.json({
+      success: true,
+      runs,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to get job runs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get job runs',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/jobs/:name/runs - Recent runs of one job (?status, ?limit)
+ */
+router.get('/:name/runs', requireKnownJob, async (req, res) => {
+  try {
+    const runs = await getJobRuns({ name: req.params.name, ...parseRunFilters(req.query) });
+
+    res.json({
+      success: true,
+      job: req.params.name,
+      runs,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`❌ Failed to get runs for job ${req.params.name}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get job runs',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/jobs/:name/run - Start a run now; the outcome appears in the run history
+ */
+router.post('/:name/run', requireKnownJob, (req, res) => {
+  const { name } = req.params;
+  console.log(`🚀 Job ${name} triggered by admin`);
+  auditChange(req, { action: 'job.run', target: name });
+
+  // Jobs can take minutes, so answer straight away
+  runJob(name, { trigger: 'manual' })
+    .then(run => console.log(`✅ Manual run of job ${name} finished: ${run.status}`))
+    .catch(error => console.error(`❌ Manual run of job ${name} could not be run:`, error.message));
+
+  res.status(202).json({
+    success: true,
+    message: `Job ${name} started`,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * POST /api/admin/jobs/:name/pause - Stop scheduled runs on every instance
+ */
+router.post('/:name/pause', requireKnownJob, async (req, res) => {
+  try {
+    const wasPaused = await isJobPaused(req.params.name);
+    await setJobPaused(req.params.name, true, req.admin.username || req.admin.email || 'admin');
+    auditChange(req, { action: 'job.pause', target: req.params.name, before: { paused: wasPaused }, after: { paused: true } });
+
+    res.json({
+      success: true,
+      message: `Job ${req.params.name} paused`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`❌ Failed to pause job ${req.params.name}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to pause job',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/jobs/:name/resume - Let scheduled runs continue
+ */
+router.post('/:name/resume', requireKnownJob, async (req, res) => {
+  try {
+    const wasPaused = await isJobPaused(req.params.name);
+    await setJobPaused(req.params.name, false);
+    auditChange(req, { action: 'job.resume', target: req.params.name, before: { paused: wasPaused }, after: { paused: false } });
+
+    res.json({
+      success: true,
+      message: `Job ${req.params.name} resumed`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`❌ Failed to resume job ${req.params.name}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume job',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,28 +1,33 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../../database.js');
-const jwt = require('jsonwebtoken');
+const { requireRole } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
+const STREAM_SETTING_KEYS = ['live_stream_url', 'stream_title', 'stream_description', 'rtmp_key', 'rtmp_server'];
 
-function verifyAdminToken(req) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    throw new Error('Unauthorized');
-  }
-  const token = authHeader.substring(7);
-  jwt.verify(token, JWT_SECRET);
+/**
+ * Live stream settings by key, for the audit log
+ */
+async function getStreamSettings(supabase) {
+  const { data, error } = await supabase
+    .from('app_settings')
+    .select('key, value')
+    .in('key', STREAM_SETTING_KEYS);
+  if (error) throw error;
+  return Object.fromEntries((data || []).map(setting => [setting.key, setting.value]));
 }
 
+router.use(requireRole('content'));
+
 // GET /api/admin/live-stream
 router.get('/', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const supabase = getSupabaseAdminClient();
     const { data: streamSettings, error } = await supabase
       .from('app_settings')
       .select('key, value')
-      .in('key', ['live_stream_url', 'stream_title', 'stream_description', 'rtmp_key', 'rtmp_server']);
+      .in('key', STREAM_SETTING_KEYS);
     if (error) throw error;
     const settings = {};
     (streamSettings || []).forEach(setting => {
@@ -38,9 +43,6 @@ router.get('/', async (req, res) => {
     });
   } catch (error) {
     console.error('Error getting live stream:', error);
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     return res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -48,7 +50,6 @@ router.get('/', async (req, res) => {
 // POST /api/admin/live-stream
 router.post('/', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const { url, title, description, rtmpKey, rtmpServer } = req.body;
     const supabase = getSupabaseAdminClient();
     const settingsToUpsert = [
@@ -58,16 +59,19 @@ router.post('/', async (req, res) => {
       { key: 'rtmp_key', value: rtmpKey || '', description: 'RTMP stream key for broadcasting' },
       { key: 'rtmp_server', value: rtmpServer || 'rtmp://ingest.pump.fun/live/', description: 'RTMP server URL' }
     ];
+    const previous = await getStreamSettings(supabase);
     const { error } = await supabase
       .from('app_settings')
       .upsert(settingsToUpsert, { onConflict: 'key' });
     if (error) throw error;
+    auditChange(req, {
+      action: 'live_stream.update',
+      before: previous,
+      after: Object.fromEntries(settingsToUpsert.map(setting => [setting.key, setting.value]))
+    });
     return res.json({ success: true, message: 'Live stream settings updated successfully', url, title, description, rtmpKey, rtmpServer });
   } catch (error) {
     console.error('Error updating live stream:', error);
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     return res.status(500).json({ error: 'Failed to update live stream settings' });
   }
 });
@@ -75,19 +79,17 @@ router.post('/', async (req, res) => {
 // DELETE /api/admin/live-stream
 router.delete('/', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const supabase = getSupabaseAdminClient();
+    const previous = await getStreamSettings(supabase);
     const { error } = await supabase
       .from('app_settings')
       .update({ value: '' })
       .in('key', ['live_stream_url', 'stream_title', 'stream_description', 'rtmp_key']);
     if (error) throw error;
+    auditChange(req, { action: 'live_stream.clear', before: previous, after: await getStreamSettings(supabase) });
     return res.json({ success: true, message: 'Live stream settings cleared successfully' });
   } catch (error) {
     console.error('Error clearing live stream:', error);
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     return res.status(500).json({ error: 'Failed to clear live stream settings' });
   }
 });
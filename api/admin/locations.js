@@ -1,18 +1,11 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../../database.js');
-const jwt = require('jsonwebtoken');
+const { requireRole } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'whatnext-jwt-secret-2025';
 
-function verifyAdminToken(req) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    throw new Error('Unauthorized');
-  }
-  const token = authHeader.substring(7);
-  jwt.verify(token, JWT_SECRET);
-}
+router.use(requireRole('content'));
 
 // GET /api/admin/locations
 router.get('/', (req, res) => {
@@ -29,7 +22,6 @@ router.get('/', (req, res) => {
 // POST /api/admin/locations
 router.post('/', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const { name, country, country_iso3, lat, lng, status, summary, description, tags, slug } = req.body;
     if (!name || !lat || !lng) {
       return res.status(400).json({ success: false, error: 'Name, latitude, and longitude are required' });
@@ -74,12 +66,10 @@ router.post('/', async (req, res) => {
       throw error;
     }
     console.log(`✅ Created new location: ${name} (ID: ${location.id})`);
+    auditChange(req, { action: 'location.create', target: location.id, after: location });
     return res.status(201).json({ success: true, location, message: `Location ${name} created successfully` });
   } catch (error) {
     console.error('Error in POST /admin/locations:', error);
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     return res.status(500).json({ success: false, error: 'Failed to create location' });
   }
 });
@@ -1,40 +1,213 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const { signTwoFactorChallenge, verifyTwoFactorChallenge } = require('../../lib/admin-auth.js');
+const {
+  authenticateAdminUser,
+  getAdminUser,
+  getLockedUntil,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} = require('../services/admin-accounts.js');
+const { verifyTwoFactorCode } = require('../services/admin-two-factor.js');
+const { createAdminSession } = require('../services/admin-sessions.js');
+const { getRequestIp } = require('../../lib/request-ip.js');
 
 const router = express.Router();
 
-const JWT_SECRET = process.env.JWT_SECRET || 'whatnext-jwt-secret-2025';
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'WhatNext2025Admin!';
+// Wrong codes allowed per challenge before the password must be entered again
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const failedChallenges = new Map(); // challenge jti -> { count, expiresAt }
+
+// Failed sign-ins allowed from one IP per window, across all accounts
+const MAX_FAILURES_PER_IP = 20;
+const IP_WINDOW_MS = 15 * 60 * 1000;
+const failuresByIp = new Map(); // ip -> { count, windowStart }
+
+/**
+ * Count a wrong code against a challenge; true once it has run out
+ */
+function recordFailedChallenge(challenge) {
+  const now = Date.now();
+  for (const [jti, entry] of failedChallenges) {
+    if (entry.expiresAt < now) failedChallenges.delete(jti);
+  }
+
+  const entry = failedChallenges.get(challenge.jti) || { count: 0, expiresAt: challenge.exp * 1000 };
+  entry.count++;
+  failedChallenges.set(challenge.jti, entry);
+  return entry.count >= MAX_CHALLENGE_ATTEMPTS;
+}
+
+/**
+ * Seconds until an IP may try again, or 0 if it is not blocked
+ */
+function getIpRetryAfter(ip) {
+  const entry = failuresByIp.get(ip);
+  if (!entry || Date.now() - entry.windowStart >= IP_WINDOW_MS) {
+    return 0;
+  }
+  return entry.count >= MAX_FAILURES_PER_IP
+    ? Math.ceil((entry.windowStart + IP_WINDOW_MS - Date.now()) / 1000)
+    : 0;
+}
+
+/**
+ * Count a failed sign-in against an IP
+ */
+function recordIpFailure(ip) {
+  const now = Date.now();
+  for (const [key, entry] of failuresByIp) {
+    if (now - entry.windowStart >= IP_WINDOW_MS) failuresByIp.delete(key);
+  }
+
+  const entry = failuresByIp.get(ip) || { count: 0, windowStart: now };
+  entry.count++;
+  failuresByIp.set(ip, entry);
+}
+
+/**
+ * 429 for a locked account or a blocked IP
+ */
+function sendTooManyAttempts(res, retryAfterSeconds) {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    error: 'Too many failed sign-in attempts',
+    details: `Try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s)`,
+    retryAfter: retryAfterSeconds
+  });
+}
+
+/**
+ * Seconds until a lock ends
+ */
+function secondsUntil(timestamp) {
+  return Math.max(1, Math.ceil((new Date(timestamp).getTime() - Date.now()) / 1000));
+}
+
+/**
+ * Open a session and build the response body for a signed-in admin
+ */
+async function loginResponse(req, user, { twoFactorConfirmed = false } = {}) {
+  const session = await createAdminSession(user, {
+    ip: getRequestIp(req),
+    userAgent: req.headers['user-agent'] || null,
+    twoFactorConfirmed
+  });
+
+  return {
+    success: true,
+    token: session.token,
+    refreshToken: session.refreshToken,
+    expiresIn: session.expiresIn,
+    sessionId: session.session.id,
+    user: {
+      id: user.id,
+      email: user.email,
+      displayName: user.display_name,
+      role: user.role,
+      twoFactorEnabled: Boolean(user.totp_enabled)
+    },
+    message: 'Login successful'
+  };
+}
 
 // POST /api/admin/login
 router.post('/', async (req, res) => {
   try {
-    const { password } = req.body;
-    if (!password) {
-      return res.status(400).json({ error: 'Password is required' });
-    }
-    if (password !== ADMIN_PASSWORD) {
-      return res.status(401).json({ error: 'Invalid password' });
-    }
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        admin: true,
-        timestamp: Date.now()
-      },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    const ip = getRequestIp(req);
+    const ipRetryAfter = getIpRetryAfter(ip);
+    if (ipRetryAfter > 0) {
+      return sendTooManyAttempts(res, ipRetryAfter);
+    }
+
+    const { email, password } = req.body;
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+    const result = await authenticateAdminUser(email, password);
+    if (!result.success) {
+      recordIpFailure(ip);
+      if (result.lockedUntil) {
+        return sendTooManyAttempts(res, secondsUntil(result.lockedUntil));
+      }
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    const { user } = result;
+    if (user.totp_enabled) {
+      console.log(`🔐 Admin password accepted, waiting for 2FA: ${user.email}`);
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(user),
+        message: 'Enter the code from your authenticator app or a backup code'
+      });
+    }
+
+    console.log(`🔐 Admin login: ${user.email} (${user.role})`);
+    return res.json(await loginResponse(req, user));
+  } catch (error) {
+    console.error('Admin login error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/login/2fa - Second step for accounts with 2FA
+router.post('/2fa', async (req, res) => {
+  try {
+    const ip = getRequestIp(req);
+    const ipRetryAfter = getIpRetryAfter(ip);
+    if (ipRetryAfter > 0) {
+      return sendTooManyAttempts(res, ipRetryAfter);
+    }
+
+    const { challengeToken, code } = req.body;
+    if (!challengeToken || !code) {
+      return res.status(400).json({ error: 'challengeToken and code are required' });
+    }
+
+    let challenge;
+    try {
+      challenge = verifyTwoFactorChallenge(challengeToken);
+    } catch (error) {
+      return res.status(401).json({ error: 'Login expired, sign in again' });
+    }
+    if ((failedChallenges.get(challenge.jti)?.count || 0) >= MAX_CHALLENGE_ATTEMPTS) {
+      return res.status(401).json({ error: 'Too many wrong codes, sign in again' });
+    }
+
+    const account = await getAdminUser(challenge.sub);
+    if (!account || !account.is_active) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+    const lockedUntil = getLockedUntil(account);
+    if (lockedUntil) {
+      return sendTooManyAttempts(res, secondsUntil(lockedUntil));
+    }
+
+    const check = await verifyTwoFactorCode(challenge.sub, code);
+    if (!check.valid) {
+      recordIpFailure(ip);
+      const lockedNow = await recordFailedLogin(challenge.sub);
+      if (lockedNow) {
+        return sendTooManyAttempts(res, secondsUntil(lockedNow));
+      }
+      const exhausted = recordFailedChallenge(challenge);
+      return res.status(401).json({
+        error: exhausted ? 'Too many wrong codes, sign in again' : 'Invalid authentication code'
+      });
+    }
+    failedChallenges.delete(challenge.jti);
+
+    const user = { ...account, ...(await recordSuccessfulLogin(account.id)) };
+    console.log(`🔐 Admin login with 2FA (${check.method}): ${user.email} (${user.role})`);
     return res.json({
-      success: true,
-      token,
-      message: 'Login successful'
+      ...(await loginResponse(req, user, { twoFactorConfirmed: true })),
+      ...(check.method === 'backup_code' && { backupCodesRemaining: check.backupCodesRemaining })
     });
   } catch (error) {
-    console.error('Admin login error:', error);
+    console.error('Admin 2FA login error:', error);
     return res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 module.exports = router;
-
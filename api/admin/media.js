@@ -1,23 +1,15 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../../database.js');
-const jwt = require('jsonwebtoken');
+const { requireRole } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
 
-function verifyAdminToken(req) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    throw new Error('Unauthorized');
-  }
-  const token = authHeader.substring(7);
-  jwt.verify(token, JWT_SECRET);
-}
+router.use(requireRole('content'));
 
 // GET /api/admin/media
 router.get('/', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const supabase = getSupabaseAdminClient();
     const { data: media, error } = await supabase
       .from('media')
@@ -57,9 +49,6 @@ router.get('/', async (req, res) => {
     return res.json(mediaWithLocations ?? []);
   } catch (error) {
     console.error('Error fetching media:', error);
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     return res.status(500).json({ error: 'Failed to fetch media' });
   }
 });
@@ -67,7 +56,6 @@ router.get('/', async (req, res) => {
 // POST /api/admin/media
 router.post('/', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const body = req.body;
     const { location_id, type, title, description, url, thumbnail, duration, metadata } = body;
     // Validate required fields
@@ -90,12 +78,10 @@ router.post('/', async (req, res) => {
       .select()
       .single();
     if (error) throw error;
+    auditChange(req, { action: 'media.create', target: media.id, after: media });
     return res.status(201).json(media);
   } catch (error) {
     console.error('Error creating media:', error);
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     return res.status(500).json({ error: 'Failed to create media' });
   }
 });
@@ -1,23 +1,15 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../../database.js');
-const jwt = require('jsonwebtoken');
+const { requireRole } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
 
-function verifyAdminToken(req) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    throw new Error('Unauthorized');
-  }
-  const token = authHeader.substring(7);
-  jwt.verify(token, JWT_SECRET);
-}
+router.use(requireRole('owner'));
 
 // POST /api/admin/populate-settings
 router.post('/', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const supabase = getSupabaseAdminClient();
     // Check if settings already exist
     const { data: existingSettings } = await supabase
@@ -54,6 +46,7 @@ router.post('/', async (req, res) => {
       .insert(defaultSettings)
       .select();
     if (error) throw error;
+    auditChange(req, { action: 'settings.populate', after: newSettings || [] });
     const categoryCount = defaultSettings.reduce((acc, setting) => {
       acc[setting.category] = (acc[setting.category] || 0) + 1;
       return acc;
@@ -66,9 +59,6 @@ router.post('/', async (req, res) => {
     });
   } catch (error) {
     console.error('Error populating settings:', error);
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     return res.status(500).json({ error: 'Failed to populate settings' });
   }
 });
@@ -1,38 +1,15 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../../database.js');
-const jwt = require('jsonwebtoken');
+const { requireRole, requireFreshTwoFactor } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'whatnext-jwt-secret-2025';
 
-function verifyAdminToken(req) {
-  try {
-    const authHeader = req.headers.authorization;
-    console.log('🔑 TOKEN: Auth header:', authHeader ? `${authHeader.substring(0, 20)}...` : 'NOT FOUND');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      console.log('🔑 TOKEN: Invalid auth header format');
-      return null;
-    }
-    const token = authHeader.substring(7);
-    console.log('🔑 TOKEN: Extracted token:', `${token.substring(0, 20)}...`);
-    const decoded = jwt.verify(token, JWT_SECRET);
-    console.log('🔑 TOKEN: Decoded token:', decoded);
-    const isValid = decoded.admin ? decoded : null;
-    console.log('🔑 TOKEN: Token valid:', !!isValid);
-    return isValid;
-  } catch (error) {
-    console.error('🔑 TOKEN: Verification error:', error);
-    return null;
-  }
-}
+router.use(requireRole('owner'));
 
 // GET /api/admin/pumpfun
 router.get('/', async (req, res) => {
   try {
-    const admin = verifyAdminToken(req);
-    if (!admin) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     const supabase = getSupabaseAdminClient();
     const { data: setting, error } = await supabase
       .from('app_settings')
@@ -62,12 +39,8 @@ router.get('/', async (req, res) => {
 });
 
 // POST /api/admin/pumpfun
-router.post('/', async (req, res) => {
+router.post('/', requireFreshTwoFactor(), async (req, res) => {
   try {
-    const admin = verifyAdminToken(req);
-    if (!admin) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     const { contractAddress } = req.body;
     console.log('POST: Contract address received:', contractAddress);
     if (!contractAddress || typeof contractAddress !== 'string') {
@@ -80,6 +53,17 @@ router.post('/', async (req, res) => {
     console.log('POST: DANGER - This will INSERT a new contract address into database:', cleanAddress);
     console.log('POST: If you just deleted the contract, this should NOT be happening!');
     const supabase = getSupabaseAdminClient();
+    const { data: previousSetting } = await supabase
+      .from('app_settings')
+      .select('value, updated_at')
+      .eq('key', 'pumpfun_contract_address')
+      .maybeSingle();
+    auditChange(req, {
+      action: 'contract.set',
+      target: 'pumpfun_contract_address',
+      before: previousSetting,
+      after: { value: cleanAddress }
+    });
     // Delete existing entries first
     console.log('POST: Deleting existing entries...');
     await supabase
@@ -122,12 +106,8 @@ router.post('/', async (req, res) => {
 });
 
 // DELETE /api/admin/pumpfun
-router.delete('/', async (req, res) => {
+router.delete('/', requireFreshTwoFactor(), async (req, res) => {
   try {
-    const admin = verifyAdminToken(req);
-    if (!admin) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     const supabase = getSupabaseAdminClient();
     // Step 0: Get the current contract address BEFORE deletion for cascade cleanup
     console.log('DELETE: Getting current contract address for cascade cleanup...');
@@ -138,6 +118,12 @@ router.delete('/', async (req, res) => {
       .single();
     const contractToDelete = currentContract?.value;
     console.log('DELETE: Contract address to cascade delete:', contractToDelete);
+    auditChange(req, {
+      action: 'contract.delete',
+      target: 'pumpfun_contract_address',
+      before: currentContract,
+      after: null
+    });
     
     // Step 0.5: Check what's currently in app_settings BEFORE delete
     console.log('DELETE: Checking current app_settings entries...');
@@ -0,0 +1,120 @@
+/**
+ * Rate Limits Admin API
+ *
+ * Admin endpoints for the public endpoint rate limiter (api/services/rate-limits.js):
+ * - Rules in force, blocked and allowed counts, and the busiest counters
+ * - Change a rule's limits or turn it off
+ * - Clear a counter to unblock an IP or wallet
+ */
+
+const express = require('express');
+const {
+  getRateLimitRules,
+  saveRateLimitRules,
+  getRateLimitStatus,
+  resetRateLimitKey
+} = require('../services/rate-limits.js');
+const { requireRole } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
+
+const router = express.Router();
+
+router.use(requireRole('moderator'));
+
+/**
+ * GET /api/admin/rate-limits - Rules, counts and the busiest counters
+ */
+router.get('/', async (req, res) => {
+  try {
+    const status = await getRateLimitStatus();
+
+    res.json({
+      success: true,
+      ...status,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to get rate limit status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get rate limit status',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/rate-limits - Override rules
+ * Body: { rules: { 'giveaway-entry': { enabled?, ip?, wallet?, route? } } }
+ * A limit is { max, windowSeconds }, or null to turn it off.
+ */
+router.put('/', requireRole('owner'), async (req, res) => {
+  try {
+    const before = await getRateLimitRules();
+    const result = await saveRateLimitRules(req.body.rules);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rate limit rules',
+        details: result.errors
+      });
+    }
+
+    auditChange(req, {
+      action: 'rate_limits.update',
+      target: 'rate_limit_rules',
+      before,
+      after: result.rules
+    });
+
+    res.json({
+      success: true,
+      rules: result.rules,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to update rate limit rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update rate limit rules',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/rate-limits/reset - Clear one counter
+ * Body: { key } as listed in GET /api/admin/rate-limits
+ */
+router.post('/reset', async (req, res) => {
+  try {
+    const { key } = req.body;
+    if (!key || typeof key !== 'string') {
+      return res.status(400).json({ success: false, error: 'key is required' });
+    }
+
+    const cleared = await resetRateLimitKey(key);
+    if (!cleared) {
+      return res.status(404).json({ success: false, error: 'Counter not found' });
+    }
+
+    auditChange(req, { action: 'rate_limits.reset', target: key });
+    console.log(`🚦 Rate limit counter ${key} cleared by ${req.admin.email}`);
+
+    res.json({
+      success: true,
+      message: 'Counter cleared',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to clear rate limit counter:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clear rate limit counter',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
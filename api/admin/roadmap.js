@@ -1,8 +1,12 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../../database.js');
+const { requireRole } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
 
 const router = express.Router();
 
+router.use(requireRole('content'));
+
 // GET /api/admin/roadmap
 router.get('/', async (req, res) => {
   try {
@@ -131,6 +135,10 @@ router.post('/', async (req, res) => {
           order_index: 3
         }
       ];
+      const { data: previousSteps } = await supabase
+        .from('roadmap_steps')
+        .select('*')
+        .in('step_number', defaultSteps.map(step => step.step_number));
       const { data, error } = await supabase
         .from('roadmap_steps')
         .upsert(defaultSteps, { onConflict: 'step_number' })
@@ -142,6 +150,7 @@ router.post('/', async (req, res) => {
           error: error.message 
         });
       }
+      auditChange(req, { action: 'roadmap.populate', before: previousSteps || [], after: data });
       return res.json({
         success: true,
         message: `Successfully populated ${data?.length || 0} roadmap steps`,
@@ -160,6 +169,7 @@ router.post('/', async (req, res) => {
         error: error.message 
       });
     }
+    auditChange(req, { action: 'roadmap.create', target: data[0]?.id, after: data[0] });
     return res.json({
       success: true,
       data: data[0]
@@ -180,6 +190,11 @@ router.put('/step/:id', async (req, res) => {
     const { id } = req.params;
     const updateData = req.body;
     const supabase = getSupabaseAdminClient();
+    const { data: previous } = await supabase
+      .from('roadmap_steps')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
     const { data, error } = await supabase
       .from('roadmap_steps')
       .update({ ...updateData, updated_at: new Date().toISOString() })
@@ -192,6 +207,7 @@ router.put('/step/:id', async (req, res) => {
         error: error.message 
       });
     }
+    auditChange(req, { action: 'roadmap.update', target: id, before: previous, after: data[0] });
     return res.json({
       success: true,
       data: data[0]
@@ -213,6 +229,11 @@ router.put('/task/:id', async (req, res) => {
     const { completed } = req.body;
     const supabase = getSupabaseAdminClient();
     console.log(`Updating task ${id} completion to:`, completed);
+    const { data: previous } = await supabase
+      .from('roadmap_tasks')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
     const { data, error } = await supabase
       .from('roadmap_tasks')
       .update({ 
@@ -229,6 +250,7 @@ router.put('/task/:id', async (req, res) => {
       });
     }
     console.log('Task updated successfully:', data);
+    auditChange(req, { action: 'roadmap.update_task', target: id, before: previous, after: data[0] });
     return res.json({
       success: true,
       data: data[0]
@@ -248,10 +270,11 @@ router.delete('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     const supabase = getSupabaseAdminClient();
-    const { error } = await supabase
+    const { data: deleted, error } = await supabase
       .from('roadmap_steps')
       .delete()
-      .eq('id', id);
+      .eq('id', id)
+      .select();
     if (error) {
       console.error('Error deleting roadmap step:', error);
       return res.status(500).json({ 
@@ -259,6 +282,7 @@ router.delete('/:id', async (req, res) => {
         error: error.message 
       });
     }
+    auditChange(req, { action: 'roadmap.delete', target: id, before: deleted?.[0] ?? null });
     return res.json({
       success: true,
       message: 'Roadmap step deleted successfully'
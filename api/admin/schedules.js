@@ -1,8 +1,12 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../../database.js');
+const { requireRole } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
 
 const router = express.Router();
 
+router.use(requireRole('content'));
+
 // GET - Fetch schedules with optional filters
 router.get('/', async (req, res) => {
   try {
@@ -88,6 +92,7 @@ router.post('/', async (req, res) => {
       console.error('Error creating schedule:', error);
       return res.status(500).json({ error: 'Failed to create schedule' });
     }
+    auditChange(req, { action: 'schedule.create', target: data.id, after: data });
     res.status(201).json({ schedule: data });
   } catch (error) {
     console.error('Server error:', error);
@@ -124,6 +129,11 @@ router.put('/', async (req, res) => {
     if (is_featured !== undefined) updateData.is_featured = is_featured;
     if (status !== undefined) updateData.status = status;
     const supabase = getSupabaseAdminClient();
+    const { data: previous } = await supabase
+      .from('schedules')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
     const { data, error } = await supabase
       .from('schedules')
       .update(updateData)
@@ -134,6 +144,7 @@ router.put('/', async (req, res) => {
       console.error('Error updating schedule:', error);
       return res.status(500).json({ error: 'Failed to update schedule' });
     }
+    auditChange(req, { action: 'schedule.update', target: id, before: previous, after: data });
     res.json({ schedule: data });
   } catch (error) {
     console.error('Server error:', error);
@@ -149,14 +160,16 @@ router.delete('/', async (req, res) => {
       return res.status(400).json({ error: 'Schedule ID is required' });
     }
     const supabase = getSupabaseAdminClient();
-    const { error } = await supabase
+    const { data: deleted, error } = await supabase
       .from('schedules')
       .delete()
-      .eq('id', id);
+      .eq('id', id)
+      .select();
     if (error) {
       console.error('Error deleting schedule:', error);
       return res.status(500).json({ error: 'Failed to delete schedule' });
     }
+    auditChange(req, { action: 'schedule.delete', target: id, before: deleted?.[0] ?? null });
     res.json({ message: 'Schedule deleted successfully' });
   } catch (error) {
     console.error('Server error:', error);
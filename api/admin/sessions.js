@@ -0,0 +1,175 @@
+/**
+ * Admin Sessions API
+ *
+ * Sessions of the signed-in admin (api/services/admin-sessions.js):
+ * - Swap a refresh token for a new access token (no access token needed)
+ * - List live sessions with their device and IP
+ * - Sign out this session, another one, or all of them
+ */
+
+const express = require('express');
+const { requireRole } = require('../../lib/admin-auth.js');
+const {
+  refreshAdminSession,
+  listAdminSessions,
+  revokeAdminSession,
+  revokeAllAdminSessions
+} = require('../services/admin-sessions.js');
+const { getRequestIp } = require('../../lib/request-ip.js');
+const { auditChange } = require('../services/admin-audit.js');
+
+const router = express.Router();
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * POST /api/admin/sessions/refresh - New access and refresh tokens
+ * Body: { refreshToken }
+ * The refresh token sent is used up; keep the one in the response.
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const result = await refreshAdminSession(req.body.refreshToken, {
+      ip: getRequestIp(req),
+      userAgent: req.headers['user-agent'] || null
+    });
+
+    if (!result.success) {
+      return res.status(401).json({ success: false, error: result.error });
+    }
+
+    res.json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to refresh admin session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh admin session',
+      details: error.message
+    });
+  }
+});
+
+router.use(requireRole());
+
+/**
+ * GET /api/admin/sessions - The signed-in admin's live sessions
+ */
+router.get('/', async (req, res) => {
+  try {
+    const sessions = await listAdminSessions(req.admin.sub, req.admin.sid);
+
+    res.json({
+      success: true,
+      sessions,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to list admin sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list admin sessions',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/sessions/logout - End this session
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    const sessions = await listAdminSessions(req.admin.sub, req.admin.sid);
+    await revokeAdminSession(req.admin.sid, { userId: req.admin.sub, reason: 'logout' });
+    auditChange(req, {
+      action: 'session.logout',
+      target: req.admin.sid,
+      before: sessions.find(session => session.current) || null
+    });
+    console.log(`👋 Admin logout: ${req.admin.email}`);
+
+    res.json({
+      success: true,
+      message: 'Signed out',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to sign out:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sign out',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/sessions/revoke-all - Sign out every session, this one included
+ */
+router.post('/revoke-all', async (req, res) => {
+  try {
+    const sessions = await listAdminSessions(req.admin.sub, req.admin.sid);
+    const revoked = await revokeAllAdminSessions(req.admin.sub, 'sign_out_everywhere');
+    auditChange(req, {
+      action: 'session.revoke_all',
+      target: req.admin.sub,
+      before: sessions,
+      after: await listAdminSessions(req.admin.sub, req.admin.sid)
+    });
+    console.log(`👋 ${req.admin.email} signed out of ${revoked} session(s)`);
+
+    res.json({
+      success: true,
+      revoked,
+      message: 'Signed out of all sessions',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to sign out of all sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sign out of all sessions',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/sessions/:id - Sign out one of the signed-in admin's sessions
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const sessions = await listAdminSessions(req.admin.sub, req.admin.sid);
+    const revoked = UUID_PATTERN.test(req.params.id)
+      && await revokeAdminSession(req.params.id, { userId: req.admin.sub, reason: 'revoked' });
+
+    if (!revoked) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    auditChange(req, {
+      action: 'session.revoke',
+      target: req.params.id,
+      before: sessions.find(session => session.id === req.params.id) || null
+    });
+
+    res.json({
+      success: true,
+      message: 'Session signed out',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to revoke admin session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke admin session',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,24 +1,47 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../../database.js');
-const jwt = require('jsonwebtoken');
+const { requireRole, requireFreshTwoFactorIf } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
 
 const router = express.Router();
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
+router.use(requireRole('owner'));
 
-function verifyAdminToken(req) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    throw new Error('Unauthorized');
+// Settings that point the app at a contract or wallet: changing them needs a fresh 2FA code
+const PROTECTED_SETTING_KEYS = new Set([
+  'pumpfun_contract_address',
+  'developer_contract_address',
+  'developer_wallet_address'
+]);
+
+/**
+ * Whether a write touches a protected setting, by the key in the body or the
+ * key of the row it targets by id
+ */
+async function touchesProtectedSetting(req) {
+  const { key } = req.body || {};
+  if (PROTECTED_SETTING_KEYS.has(key)) {
+    return true;
+  }
+
+  const id = req.body?.id || req.query.id;
+  if (!id) {
+    return false;
   }
-  const token = authHeader.substring(7);
-  jwt.verify(token, JWT_SECRET);
+  const { data, error } = await getSupabaseAdminClient()
+    .from('app_settings')
+    .select('key')
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw error;
+  return PROTECTED_SETTING_KEYS.has(data?.key);
 }
 
+const requireTwoFactorForProtectedKeys = requireFreshTwoFactorIf(touchesProtectedSetting);
+
 // GET /api/admin/settings
 router.get('/', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const supabase = getSupabaseAdminClient();
     const { data: settings, error } = await supabase
       .from('app_settings')
@@ -28,17 +51,13 @@ router.get('/', async (req, res) => {
     return res.json(settings || []);
   } catch (error) {
     console.error('Error fetching settings:', error);
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     return res.status(500).json({ error: 'Failed to fetch settings' });
   }
 });
 
 // POST /api/admin/settings
-router.post('/', async (req, res) => {
+router.post('/', requireTwoFactorForProtectedKeys, async (req, res) => {
   try {
-    verifyAdminToken(req);
     const body = req.body;
     const { key, value, description } = body;
     if (!key || !value) {
@@ -51,26 +70,28 @@ router.post('/', async (req, res) => {
       .select()
       .single();
     if (error) throw error;
+    auditChange(req, { action: 'settings.create', target: key, after: setting });
     return res.status(201).json(setting);
   } catch (error) {
     console.error('Error creating setting:', error);
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     return res.status(500).json({ error: 'Failed to create setting' });
   }
 });
 
 // PUT /api/admin/settings
-router.put('/', async (req, res) => {
+router.put('/', requireTwoFactorForProtectedKeys, async (req, res) => {
   try {
-    verifyAdminToken(req);
     const body = req.body;
     const { id, key, value, description } = body;
     if (!key && !value && !description && !id) {
       return res.status(400).json({ error: 'At least one field is required to update' });
     }
     const supabase = getSupabaseAdminClient();
+    const { data: previous } = await supabase
+      .from('app_settings')
+      .select('*')
+      .eq(id ? 'id' : 'key', id || key)
+      .maybeSingle();
     let updateData = { updated_at: new Date().toISOString() };
     if (key) updateData.key = key;
     if (value !== undefined) updateData.value = value;
@@ -82,36 +103,32 @@ router.put('/', async (req, res) => {
       .select()
       .single();
     if (error) throw error;
+    auditChange(req, { action: 'settings.update', target: setting.key, before: previous, after: setting });
     return res.json(setting);
   } catch (error) {
     console.error('Error updating setting:', error);
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     return res.status(500).json({ error: 'Failed to update setting' });
   }
 });
 
 // DELETE /api/admin/settings
-router.delete('/', async (req, res) => {
+router.delete('/', requireTwoFactorForProtectedKeys, async (req, res) => {
   try {
-    verifyAdminToken(req);
     const { id } = req.query;
     if (!id) {
       return res.status(400).json({ error: 'Setting ID is required' });
     }
     const supabase = getSupabaseAdminClient();
-    const { error } = await supabase
+    const { data: deleted, error } = await supabase
       .from('app_settings')
       .delete()
-      .eq('id', id);
+      .eq('id', id)
+      .select();
     if (error) throw error;
+    auditChange(req, { action: 'settings.delete', target: deleted?.[0]?.key ?? id, before: deleted?.[0] ?? null });
     return res.json({ success: true, message: 'Setting deleted successfully' });
   } catch (error) {
     console.error('Error deleting setting:', error);
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     return res.status(500).json({ error: 'Failed to delete setting' });
   }
 });
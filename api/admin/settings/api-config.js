@@ -1,8 +1,11 @@
 const express = require('express');
+const { requireRole } = require('../../../lib/admin-auth.js');
 const { getSupabaseAdminClient  } = require('../../../database.js');
 
 const router = express.Router();
 
+router.use(requireRole('owner'));
+
 // GET /api/admin/settings/api-config
 router.get('/', async (req, res) => {
   try {
@@ -1,24 +1,16 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../../database.js');
-const jwt = require('jsonwebtoken');
+const { requireRole } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
 
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
 
-function verifyAdminToken(req) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    throw new Error('Unauthorized');
-  }
-  const token = authHeader.substring(7);
-  jwt.verify(token, JWT_SECRET);
-}
+router.use(requireRole('content'));
 
 // GET /api/admin/social/config
 router.get('/config', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const supabase = getSupabaseAdminClient();
     const { data: twitterConfig, error: twitterError } = await supabase
       .from('social_config')
@@ -51,9 +43,6 @@ router.get('/config', async (req, res) => {
       }
     });
   } catch (error) {
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     console.error('Error fetching social config:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -62,7 +51,6 @@ router.get('/config', async (req, res) => {
 // POST /api/admin/social/config
 router.post('/config', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const supabase = getSupabaseAdminClient();
     const { twitter_username, twitter_bearer_token, auto_fetch_enabled = false, fetch_interval_minutes = 60 } = req.body;
     if (!twitter_username && !twitter_bearer_token) {
@@ -81,7 +69,7 @@ router.post('/config', async (req, res) => {
     };
     const { data: existing } = await supabase
       .from('social_config')
-      .select('id')
+      .select('*')
       .eq('platform', 'twitter')
       .single();
     let result;
@@ -109,6 +97,7 @@ router.post('/config', async (req, res) => {
       }
       result = data;
     }
+    auditChange(req, { action: 'social.update_config', target: 'twitter', before: existing || null, after: result });
     res.json({
       success: true,
       message: 'Social media configuration updated successfully',
@@ -122,9 +111,6 @@ router.post('/config', async (req, res) => {
       }
     });
   } catch (error) {
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     console.error('Error updating social config:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -133,7 +119,6 @@ router.post('/config', async (req, res) => {
 // POST /api/admin/social/test-twitter
 router.post('/test-twitter', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const { bearer_token, username } = req.body;
     if (!bearer_token || !username) {
       return res.status(400).json({ error: 'Bearer token and username are required for testing' });
@@ -163,9 +148,6 @@ router.post('/test-twitter', async (req, res) => {
       }
     });
   } catch (error) {
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     console.error('Error testing Twitter API:', error);
     res.status(500).json({ error: 'Failed to test Twitter API connection', details: error instanceof Error ? error.message : 'Unknown error' });
   }
@@ -174,7 +156,6 @@ router.post('/test-twitter', async (req, res) => {
 // POST /api/admin/social/refresh-followers
 router.post('/refresh-followers', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const supabase = getSupabaseAdminClient();
     const { data: config, error: configError } = await supabase
       .from('social_config')
@@ -209,6 +190,7 @@ router.post('/refresh-followers', async (req, res) => {
       console.error('Error saving follower count:', insertError);
       return res.status(500).json({ error: 'Failed to save follower count' });
     }
+    auditChange(req, { action: 'social.refresh_followers', target: config.username, after: { follower_count: followerCount } });
     res.json({
       success: true,
       message: 'Follower count refreshed successfully',
@@ -219,9 +201,6 @@ router.post('/refresh-followers', async (req, res) => {
       }
     });
   } catch (error) {
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     console.error('Error refreshing followers:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -230,7 +209,6 @@ router.post('/refresh-followers', async (req, res) => {
 // GET /api/admin/social/stats
 router.get('/stats', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const supabase = getSupabaseAdminClient();
     const { count: totalTweets, error: tweetsError } = await supabase
       .from('community_tweets')
@@ -285,9 +263,6 @@ router.get('/stats', async (req, res) => {
       }
     });
   } catch (error) {
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     console.error('Error fetching social stats:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
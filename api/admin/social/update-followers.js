@@ -1,8 +1,11 @@
 const express = require('express');
+const { requireRole } = require('../../../lib/admin-auth.js');
 
 
 const router = express.Router();
 
+router.use(requireRole('content'));
+
 router.post('/', async (req, res) => {
   try {
     // Update follower counts by calling the Twitter API
@@ -4,11 +4,6 @@ const { getSupabaseAdminClient  } = require('../../database.js');
 
 const router = express.Router();
 
-function verifyAdminToken(req) {
-  // Temporarily disabled for dashboard testing - return early
-  console.log('🔒 Auth check bypassed for testing');
-}
-
 // Helper function to get real Twitter followers
 async function getTwitterFollowers() {
   try {
@@ -46,7 +41,6 @@ async function getTwitterFollowers() {
 // GET /api/admin/stats
 router.get('/', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const supabase = getSupabaseAdminClient();
     const [contentResult, analyticsResult, communityMembers] = await Promise.all([
       supabase
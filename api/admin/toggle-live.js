@@ -1,28 +1,27 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../../database.js');
-const jwt = require('jsonwebtoken');
+const { emitWebhookEvent } = require('../services/webhooks.js');
+const { announce } = require('../services/announcements.js');
+const { requireRole } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
 
-function verifyAdminToken(req) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    throw new Error('Unauthorized');
-  }
-  const token = authHeader.substring(7);
-  jwt.verify(token, JWT_SECRET);
-}
+router.use(requireRole('content'));
 
 router.post('/', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const { locationId, isLive } = req.body;
     if (!locationId) {
       return res.status(400).json({ error: 'Location ID is required' });
     }
     const supabase = getSupabaseAdminClient();
     const newStatus = isLive ? 'live' : 'visited';
+    const { data: previous } = await supabase
+      .from('locations')
+      .select('*')
+      .eq('id', locationId)
+      .maybeSingle();
     const { data, error } = await supabase
       .from('locations')
       .update({ status: newStatus, updated_at: new Date().toISOString() })
@@ -32,6 +31,16 @@ router.post('/', async (req, res) => {
     if (!data || data.length === 0) {
       return res.status(404).json({ error: 'Location not found' });
     }
+    auditChange(req, { action: 'location.toggle_live', target: locationId, before: previous, after: data[0] });
+    emitWebhookEvent('live_stream.toggled', {
+      locationId,
+      isLive: !!isLive,
+      status: newStatus,
+      location: data[0]
+    });
+    if (isLive) {
+      announce('live_stream.started', { location: data[0] });
+    }
     return res.json({
       success: true,
       message: `Location ${isLive ? 'set to live' : 'set to offline'}`,
@@ -39,9 +48,6 @@ router.post('/', async (req, res) => {
       status: newStatus
     });
   } catch (error) {
-    if (error instanceof Error && error.message === 'Unauthorized') {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     return res.status(500).json({ error: 'Failed to toggle live status' });
   }
 });
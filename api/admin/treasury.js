@@ -0,0 +1,173 @@
+/**
+ * Treasury Admin API
+ *
+ * Admin endpoints for the treasury monitor (api/services/treasury-monitor.js):
+ * - Latest balance of the creator, claims and payout wallets against their floors
+ * - Balance history for charting
+ * - Wallet floors and the low-balance alert webhook
+ */
+
+const express = require('express');
+const {
+  TREASURY_JOB,
+  WALLET_ROLES,
+  getTreasurySettings,
+  saveTreasurySettings,
+  getTreasuryStatus,
+  getTreasuryHistory
+} = require('../services/treasury-monitor.js');
+const { requireRole } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
+
+const router = express.Router();
+const HISTORY_INTERVALS = ['raw', 'hour', 'day'];
+const DEFAULT_HISTORY_DAYS = 7;
+const MAX_HISTORY_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse the history query string
+ * @returns {{options?: Object, errors: string[]}}
+ */
+function parseHistoryQuery(query) {
+  const errors = [];
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_HISTORY_DAYS * DAY_MS);
+  const interval = query.interval || 'hour';
+  const roles = query.roles ? String(query.roles).split(',').map(role => role.trim()) : WALLET_ROLES;
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    errors.push('from and to must be dates');
+  } else if (from >= to) {
+    errors.push('from must be before to');
+  } else if (to - from > MAX_HISTORY_DAYS * DAY_MS) {
+    errors.push(`The range can be at most ${MAX_HISTORY_DAYS} days`);
+  }
+
+  if (!HISTORY_INTERVALS.includes(interval)) {
+    errors.push(`interval must be one of ${HISTORY_INTERVALS.join(', ')}`);
+  }
+
+  const unknownRoles = roles.filter(role => !WALLET_ROLES.includes(role));
+  if (unknownRoles.length > 0) {
+    errors.push(`Unknown wallet roles: ${unknownRoles.join(', ')} (${WALLET_ROLES.join(', ')})`);
+  }
+
+  return errors.length > 0 ? { errors } : { options: { roles, from, to, interval }, errors };
+}
+
+router.use(requireRole('finance'));
+
+/**
+ * GET /api/admin/treasury - Latest balance of each treasury wallet
+ */
+router.get('/', async (req, res) => {
+  try {
+    const status = await getTreasuryStatus();
+
+    res.json({
+      success: true,
+      ...status,
+      jobName: TREASURY_JOB,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to get treasury status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get treasury status',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/treasury/history - Balance series per wallet
+ * (?roles=creator,payout&from&to&interval=raw|hour|day)
+ */
+router.get('/history', async (req, res) => {
+  const { options, errors } = parseHistoryQuery(req.query);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid history query',
+      details: errors
+    });
+  }
+
+  try {
+    const history = await getTreasuryHistory(options);
+
+    res.json({
+      success: true,
+      ...history,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to get treasury history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get treasury history',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/treasury/settings - Wallet floors and the alert webhook
+ */
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = await getTreasurySettings();
+
+    res.json({
+      success: true,
+      settings,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to get treasury settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get treasury settings',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/treasury/settings - Update wallet floors and the alert webhook
+ * Body: { wallets?: { creator|claims|payout: { address?, floorSol? } }, alertWebhookUrl? }
+ */
+router.put('/settings', async (req, res) => {
+  try {
+    const { wallets, alertWebhookUrl } = req.body;
+    const previous = await getTreasurySettings();
+    const result = await saveTreasurySettings({ wallets, alertWebhookUrl });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid treasury settings',
+        details: result.errors
+      });
+    }
+
+    auditChange(req, { action: 'treasury.update_settings', before: previous, after: result.settings });
+    res.json({
+      success: true,
+      settings: result.settings,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to update treasury settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update treasury settings',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
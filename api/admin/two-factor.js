@@ -0,0 +1,251 @@
+/**
+ * Two-Factor Authentication API
+ *
+ * Each admin manages 2FA on their own account (api/services/admin-two-factor.js):
+ * - Enroll with a QR code, confirm with the first code, keep the backup codes
+ * - Replace the backup codes or turn 2FA off, each confirmed with a code
+ * - Confirm a code before a high-risk action to get a token with fresh 2FA
+ */
+
+const express = require('express');
+const { FRESH_TWO_FACTOR_SECONDS, requireRole } = require('../../lib/admin-auth.js');
+const { confirmSessionTwoFactor } = require('../services/admin-sessions.js');
+const {
+  getTwoFactorStatus,
+  startTwoFactorEnrollment,
+  confirmTwoFactorEnrollment,
+  verifyTwoFactorCode,
+  regenerateBackupCodes,
+  disableTwoFactor
+} = require('../services/admin-two-factor.js');
+const { auditChange } = require('../services/admin-audit.js');
+
+const router = express.Router();
+
+router.use(requireRole());
+
+/**
+ * Record a 2FA change on the signed-in admin's account, from the status before it
+ */
+async function auditTwoFactorChange(req, action, before) {
+  auditChange(req, { action, target: req.admin.sub, before, after: await getTwoFactorStatus(req.admin.sub) });
+}
+
+/**
+ * A token for the signed-in admin's session with 2FA confirmed now
+ */
+function issueFreshToken(req) {
+  return confirmSessionTwoFactor(req.admin.sid, req.admin.sub);
+}
+
+/**
+ * GET /api/admin/2fa - Whether 2FA is on for the signed-in admin
+ */
+router.get('/', async (req, res) => {
+  try {
+    const status = await getTwoFactorStatus(req.admin.sub);
+
+    if (!status) {
+      return res.status(404).json({ success: false, error: 'Admin account not found' });
+    }
+
+    res.json({
+      success: true,
+      twoFactor: status,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to get two-factor status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get two-factor status',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/2fa/enroll - New secret and QR code for an authenticator app
+ */
+router.post('/enroll', async (req, res) => {
+  try {
+    const previous = await getTwoFactorStatus(req.admin.sub);
+    const result = await startTwoFactorEnrollment(req.admin.sub);
+
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Admin account not found' });
+    }
+    if (!result.success) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot start enrollment',
+        details: result.errors
+      });
+    }
+
+    await auditTwoFactorChange(req, '2fa.enroll', previous);
+    res.json({
+      success: true,
+      secret: result.secret,
+      otpauthUrl: result.otpauthUrl,
+      qrCode: result.qrCode,
+      message: 'Scan the QR code, then confirm with the first code at /api/admin/2fa/enroll/confirm',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to start two-factor enrollment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start two-factor enrollment',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/2fa/enroll/confirm - Turn 2FA on
+ * Body: { code }
+ * The response holds the backup codes; they are not shown again.
+ */
+router.post('/enroll/confirm', async (req, res) => {
+  try {
+    const previous = await getTwoFactorStatus(req.admin.sub);
+    const result = await confirmTwoFactorEnrollment(req.admin.sub, req.body.code);
+
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Admin account not found' });
+    }
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Could not enable two-factor authentication',
+        details: result.errors
+      });
+    }
+
+    await auditTwoFactorChange(req, '2fa.enable', previous);
+    res.json({
+      success: true,
+      backupCodes: result.backupCodes,
+      token: await issueFreshToken(req),
+      message: 'Two-factor authentication enabled. Store the backup codes somewhere safe.',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to confirm two-factor enrollment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to confirm two-factor enrollment',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/2fa/challenge - Confirm a code before a high-risk action
+ * Body: { code }
+ * Returns a token that passes requireFreshTwoFactor for the next few minutes.
+ */
+router.post('/challenge', async (req, res) => {
+  try {
+    const check = await verifyTwoFactorCode(req.admin.sub, req.body.code);
+
+    if (!check.valid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid authentication code',
+        details: 'Two-factor authentication must be enabled on your account to confirm high-risk actions'
+      });
+    }
+
+    const token = await issueFreshToken(req);
+    if (!token) {
+      return res.status(401).json({ success: false, error: 'Session ended, sign in again' });
+    }
+
+    auditChange(req, { action: '2fa.challenge', target: req.admin.sub, after: { method: check.method } });
+    res.json({
+      success: true,
+      token,
+      freshForSeconds: FRESH_TWO_FACTOR_SECONDS,
+      ...(check.method === 'backup_code' && { backupCodesRemaining: check.backupCodesRemaining }),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to check two-factor code:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check two-factor code',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/2fa/backup-codes - Replace the backup codes
+ * Body: { code }
+ */
+router.post('/backup-codes', async (req, res) => {
+  try {
+    const previous = await getTwoFactorStatus(req.admin.sub);
+    const result = await regenerateBackupCodes(req.admin.sub, req.body.code);
+
+    if (!result.success) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid authentication code',
+        details: result.errors
+      });
+    }
+
+    await auditTwoFactorChange(req, '2fa.regenerate_backup_codes', previous);
+    res.json({
+      success: true,
+      backupCodes: result.backupCodes,
+      message: 'New backup codes issued; the old ones no longer work',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to replace backup codes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replace backup codes',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/2fa/disable - Turn 2FA off
+ * Body: { code }
+ */
+router.post('/disable', async (req, res) => {
+  try {
+    const previous = await getTwoFactorStatus(req.admin.sub);
+    const result = await disableTwoFactor(req.admin.sub, req.body.code);
+
+    if (!result.success) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid authentication code',
+        details: result.errors
+      });
+    }
+
+    await auditTwoFactorChange(req, '2fa.disable', previous);
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to disable two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable two-factor authentication',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,44 +1,20 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const { requireRole } = require('../../lib/admin-auth.js');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
+
+router.use(requireRole('content'));
+
 const BUNNY_LIBRARY_ID = process.env.BUNNY_LIBRARY_ID;
 const BUNNY_API_KEY = process.env.BUNNY_API_KEY;
 
 // Use global fetch if available (Node 18+) or require node-fetch v2
 const fetch = globalThis.fetch || require('node-fetch');
 
-function verifyAdminToken(req) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    throw new Error('Unauthorized');
-  }
-  const token = authHeader.substring(7);
-  try {
-    jwt.verify(token, JWT_SECRET);
-  } catch (e) {
-    console.error('Token verification failed:', e);
-    throw new Error('Invalid token');
-  }
-}
-
 // Get direct upload credentials for large files
 router.post('/credentials', async (req, res) => {
   console.log('🎯 DIRECT UPLOAD CREDENTIALS REQUEST');
   
-  try {
-    // Verify admin authentication
-    verifyAdminToken(req);
-    console.log('✅ Admin authentication verified');
-  } catch (authError) {
-    console.error('❌ Authentication failed:', authError.message);
-    return res.status(401).json({ 
-      error: 'Unauthorized',
-      details: 'Valid authentication token required'
-    });
-  }
-
   // Check Bunny CDN configuration
   if (!BUNNY_LIBRARY_ID || !BUNNY_API_KEY) {
     console.error('❌ BUNNY CDN NOT CONFIGURED');
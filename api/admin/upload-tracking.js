@@ -1,9 +1,13 @@
 const express = require('express');
 const { getSupabaseAdminClient } = require('../../database.js');
-const jwt = require('jsonwebtoken');
+const { registerJob } = require('../services/job-runner.js');
+const { emitWebhookEvent } = require('../services/webhooks.js');
+const { requireRole } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
+
+router.use(requireRole('content'));
 
 // In-memory upload tracking (in production, use Redis or database)
 const uploadSessions = new Map();
@@ -86,11 +90,25 @@ function cleanupStaleSessions() {
   return cleanedCount;
 }
 
-// Start automatic cleanup interval
-setInterval(cleanupStaleSessions, MEMORY_CONFIG.CLEANUP_INTERVAL);
+// Start automatic cleanup interval (in-memory sessions, so every instance runs it)
+registerJob({
+  name: 'upload-tracking-cleanup',
+  description: 'Drop expired and excess upload sessions from memory',
+  intervalMs: MEMORY_CONFIG.CLEANUP_INTERVAL,
+  leaderOnly: false,
+  isIdle: result => result.cleaned === 0,
+  handler: async () => ({ cleaned: cleanupStaleSessions() })
+});
 
 // Start automatic retry mechanism for failed uploads
-setInterval(retryFailedUploads, MEMORY_CONFIG.PERSISTENT_RETRY_INTERVAL);
+registerJob({
+  name: 'upload-tracking-retry',
+  description: 'Requeue failed and stale uploads held in memory',
+  intervalMs: MEMORY_CONFIG.PERSISTENT_RETRY_INTERVAL,
+  leaderOnly: false,
+  isIdle: result => result.retried === 0,
+  handler: async () => ({ retried: retryFailedUploads() })
+});
 
 // Auto-Recovery Functions
 async function recoverStalledUploads() {
@@ -277,7 +295,15 @@ async function loadSessionsFromDatabase() {
 }
 
 // Start auto-recovery interval
-setInterval(recoverStalledUploads, MEMORY_CONFIG.RETRY_CONFIG.RECOVERY_INTERVAL);
+registerJob({
+  name: 'upload-tracking-recovery',
+  description: 'Recover stalled uploads from the upload_sessions table',
+  intervalMs: MEMORY_CONFIG.RETRY_CONFIG.RECOVERY_INTERVAL,
+  // Recovery writes shared upload sessions, so only the job leader runs it
+  leaderOnly: true,
+  isIdle: result => !result.error && result.recoveredCount === 0 && result.failedCount === 0,
+  handler: recoverStalledUploads
+});
 
 console.log(`🔄 Auto-recovery started: checking every ${MEMORY_CONFIG.RETRY_CONFIG.RECOVERY_INTERVAL / 1000}s`);
 
@@ -319,6 +345,8 @@ function retryFailedUploads() {
   if (retriedCount > 0) {
     console.log(`🔄 Automatic retry: Attempted to recover ${retriedCount} failed/stale uploads`);
   }
+  
+  return retriedCount;
 }
 
 // Function to handle upload errors with automatic retry logic
@@ -451,27 +479,6 @@ console.log('📋 Available endpoints: start, update, status, complete, active,
 console.log(`🛡️ Memory protection enabled - Max sessions: ${MEMORY_CONFIG.MAX_SESSIONS}, Cleanup interval: ${MEMORY_CONFIG.CLEANUP_INTERVAL/1000}s`);
 
 // Helper function to verify admin token
-function verifyAdminToken(req) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    throw new Error('Unauthorized');
-  }
-  const token = authHeader.substring(7);
-  
-  // For testing - allow "test" token temporarily
-  if (token === 'test') {
-    console.log('⚠️ Using test token - remove this in production');
-    return;
-  }
-  
-  try {
-    jwt.verify(token, JWT_SECRET);
-  } catch (error) {
-    console.error('❌ JWT verification failed:', error.message);
-    throw new Error(`JWT verification failed: ${error.message}`);
-  }
-}
-
 // Helper function to validate batch upload request
 function validateBatchRequest(req) {
   const { folderTitle, files } = req.body;
@@ -765,7 +772,6 @@ function createBatchResponse(batchId, sessionIds, folderTitle, files) {
 // POST /api/admin/upload-tracking/start - Start tracking an upload session (single or batch)
 router.post('/start', async (req, res) => {
   try {
-    verifyAdminToken(req);
     
     const { contentEntryId, filename, fileSize, batchId, folderTitle, folderDescription } = req.body;
     
@@ -827,7 +833,6 @@ router.post('/start', async (req, res) => {
 // POST /api/admin/upload-tracking/update - Update upload progress with enhanced error handling
 router.post('/update', async (req, res) => {
   try {
-    verifyAdminToken(req);
     
     const { sessionId, status, progress, step, bunnyVideoId, bunnyUploadUrl, finalUrl, error, heartbeat } = req.body;
     
@@ -888,7 +893,6 @@ router.post('/update', async (req, res) => {
 // GET /api/admin/upload-tracking/status/:sessionId - Get upload status with enhanced recovery info
 router.get('/status/:sessionId', async (req, res) => {
   try {
-    verifyAdminToken(req);
     
     const { sessionId } = req.params;
     
@@ -950,7 +954,6 @@ router.get('/status/:sessionId', async (req, res) => {
 // POST /api/admin/upload-tracking/heartbeat - Send heartbeat to keep session alive
 router.post('/heartbeat', async (req, res) => {
   try {
-    verifyAdminToken(req);
     
     const { sessionId, progress, status } = req.body;
     
@@ -1004,7 +1007,6 @@ router.post('/heartbeat', async (req, res) => {
 // POST /api/admin/upload-tracking/complete - Mark upload as complete
 router.post('/complete', async (req, res) => {
   try {
-    verifyAdminToken(req);
     
     const { sessionId, finalUrl, bunnyVideoId } = req.body;
     
@@ -1038,6 +1040,7 @@ router.post('/complete', async (req, res) => {
     session.steps.databaseUpdate = true;
     
     console.log(`✅ Upload session completed: ${sessionId} - ${iframeUrl}`);
+    emitUploadCompleted(session);
     
     // Clean up session after 1 hour
     setTimeout(() => {
@@ -1105,7 +1108,6 @@ function getActiveSessionsFiltered(allSessions) {
 // GET /api/admin/upload-tracking/active - Get all active upload sessions
 router.get('/active', async (req, res) => {
   try {
-    verifyAdminToken(req);
     
     console.log(`📊 Total sessions in memory: ${uploadSessions.size}`);
     
@@ -1148,7 +1150,6 @@ router.get('/active', async (req, res) => {
 // Helper function to handle batch initialization
 async function initializeBatchUpload(req) {
   console.log('🔑 Verifying admin token...');
-  verifyAdminToken(req);
   console.log('✅ Token verified successfully');
   
   // Validate request
@@ -1237,7 +1238,6 @@ router.post('/start-batch', async (req, res) => {
 // GET /api/admin/upload-tracking/batch/:batchId - Get batch upload status with recovery support
 router.get('/batch/:batchId', async (req, res) => {
   try {
-    verifyAdminToken(req);
     
     const { batchId } = req.params;
     const { recover } = req.query; // ?recover=true to attempt recovery
@@ -1339,7 +1339,6 @@ router.get('/batch/:batchId', async (req, res) => {
 // POST /api/admin/upload-tracking/recover-batch/:batchId - Recover specific batch
 router.post('/recover-batch/:batchId', async (req, res) => {
   try {
-    verifyAdminToken(req);
     
     const { batchId } = req.params;
     
@@ -1495,7 +1494,6 @@ function performCleanupOperations() {
 // POST /api/admin/upload-tracking/cleanup - Manual cleanup endpoint
 router.post('/cleanup', async (req, res) => {
   try {
-    verifyAdminToken(req);
     
     const beforeCount = uploadSessions.size;
     
@@ -1615,6 +1613,20 @@ async function processBatchSessionRecovery(batchSessions) {
   return { recoveredCount, errorCount };
 }
 
+// Helper function to tell webhook subscribers an upload finished
+function emitUploadCompleted(session) {
+  emitWebhookEvent('upload.completed', {
+    sessionId: session.id,
+    contentEntryId: session.contentEntryId,
+    filename: session.filename,
+    fileSize: session.fileSize,
+    batchId: session.batchId,
+    bunnyVideoId: session.bunnyVideoId,
+    finalUrl: session.finalUrl,
+    completedAt: session.completedAt
+  });
+}
+
 // Helper function to mark session as completed
 function markSessionAsCompleted(session, sessionId, bunnyVideoId, finalUrl) {
   session.status = 'completed';
@@ -1686,7 +1698,6 @@ function handleUploadCompletionWithoutDatabase(session, sessionId, bunnyVideoId,
 // POST /api/admin/upload-tracking/upload-complete - Complete upload and update database
 router.post('/upload-complete', async (req, res) => {
   try {
-    verifyAdminToken(req);
     
     const { sessionId, bunnyVideoId, finalUrl } = req.body;
     
@@ -1723,6 +1734,7 @@ router.post('/upload-complete', async (req, res) => {
       return res.status(result.statusCode).json(result);
     }
     
+    emitUploadCompleted(session);
     return res.json(result);
     
   } catch (error) {
@@ -1806,7 +1818,6 @@ async function createBunnyCredentials(filename) {
 // GET /api/admin/upload-tracking/credentials/:sessionId - Get upload credentials for a session
 router.get('/credentials/:sessionId', async (req, res) => {
   try {
-    verifyAdminToken(req);
     
     const { sessionId } = req.params;
     
@@ -1871,7 +1882,6 @@ router.get('/credentials/:sessionId', async (req, res) => {
 // POST /api/admin/upload-tracking/recover - Manually recover failed uploads
 router.post('/recover', async (req, res) => {
   try {
-    verifyAdminToken(req);
     
     console.log('🔄 Manual recovery requested');
     
@@ -1931,7 +1941,6 @@ router.post('/recover', async (req, res) => {
 // QUICK FIX ENDPOINT - Create UK location and fix existing videos
 router.post('/fix-location-mapping', async (req, res) => {
   try {
-    verifyAdminToken(req);
     
     console.log('🔧 FIXING LOCATION MAPPING FOR UK VIDEOS');
     const supabase = getSupabaseAdminClient();
@@ -1980,6 +1989,10 @@ router.post('/fix-location-mapping', async (req, res) => {
     }
     
     // Step 3: Update all videos with custom_location "country-826" to use the UK location_id
+    const { data: previousVideos } = await supabase
+      .from('content_entries')
+      .select('*')
+      .eq('custom_location', 'country-826');
     const { data: updatedVideos, error: updateError } = await supabase
       .from('content_entries')
       .update({ 
@@ -1995,6 +2008,12 @@ router.post('/fix-location-mapping', async (req, res) => {
     }
     
     console.log(`✅ Updated ${updatedVideos?.length || 0} videos to use UK location`);
+    auditChange(req, {
+      action: 'content.fix_location_mapping',
+      target: ukLocationId,
+      before: { location: existingUK || null, videos: previousVideos || [] },
+      after: { videos: updatedVideos || [] }
+    });
     
     return res.json({
       success: true,
@@ -2012,7 +2031,6 @@ router.post('/fix-location-mapping', async (req, res) => {
 // POST /api/admin/upload-tracking/fix-pending-urls - Fix videos with [PENDING] URLs
 router.post('/fix-pending-urls', async (req, res) => {
   try {
-    verifyAdminToken(req);
     console.log('🔧 FIXING PENDING VIDEO URLs...');
     
     const supabase = getSupabaseAdminClient();
@@ -2073,6 +2091,7 @@ router.post('/fix-pending-urls', async (req, res) => {
       }
     }
     
+    auditChange(req, { action: 'content.fix_pending_urls', before: pendingVideos, after: results });
     return res.json({
       success: true,
       message: `Fixed ${fixedCount} out of ${pendingVideos.length} pending video URLs`,
@@ -2116,6 +2135,7 @@ router.post('/convert-play-to-embed', async (req, res) => {
     }
     
     let convertedCount = 0;
+    const converted = [];
     
     // Convert each /play/ URL to /embed/
     for (const video of playVideos) {
@@ -2136,6 +2156,7 @@ router.post('/convert-play-to-embed', async (req, res) => {
           console.error(`❌ Failed to update video ${video.id}:`, updateError);
         } else {
           console.log(`✅ Converted: ${video.title}`);
+          converted.push({ id: video.id, oldUrl, newUrl });
           convertedCount++;
         }
         
@@ -2144,6 +2165,7 @@ router.post('/convert-play-to-embed', async (req, res) => {
       }
     }
     
+    auditChange(req, { action: 'content.convert_play_to_embed', before: playVideos, after: converted });
     return res.json({
       success: true,
       message: `Converted ${convertedCount} videos from /play/ to /embed/ format`,
@@ -2245,7 +2267,6 @@ function convertToIframeUrl(originalUrl, bunnyVideoId) {
 // POST /api/admin/upload-tracking/fix-video-urls - Convert HLS URLs back to working MP4 format
 router.post('/fix-video-urls', async (req, res) => {
   try {
-    // verifyAdminToken(req); // Temporarily disabled for debugging
     console.log('🔧 CONVERTING HLS URLs TO WORKING MP4 FORMAT...');
     
     const supabase = getSupabaseAdminClient();
@@ -2305,6 +2326,7 @@ router.post('/fix-video-urls', async (req, res) => {
       }
     }
     
+    auditChange(req, { action: 'content.fix_video_urls', before: hlsVideos, after: results });
     return res.json({
       success: true,
       message: `Converted ${convertedCount} out of ${hlsVideos.length} videos to iframe format`,
@@ -2322,7 +2344,6 @@ router.post('/fix-video-urls', async (req, res) => {
 // POST /api/admin/upload-tracking/debug-video-urls - Test video URL accessibility  
 router.post('/debug-video-urls', async (req, res) => {
   try {
-    // verifyAdminToken(req); // Temporarily disabled for debugging
     console.log('🔍 DEBUGGING VIDEO URL ACCESS...');
     
     const supabase = getSupabaseAdminClient();
@@ -2396,7 +2417,6 @@ router.post('/debug-video-urls', async (req, res) => {
 // TEST ENDPOINT - Database inspection
 router.get('/test-database', async (req, res) => {
   try {
-    verifyAdminToken(req);
     
     console.log('🔍 DATABASE INSPECTION TEST');
     const supabase = getSupabaseAdminClient();
@@ -2541,7 +2561,6 @@ router.post('/test-batch', async (req, res) => {
 // GET /api/admin/upload-tracking/debug/content-entry/:id - fetch content_entries row
 router.get('/debug/content-entry/:id', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const { id } = req.params;
     const supabase = getSupabaseAdminClient();
     const { data, error } = await supabase
@@ -2565,7 +2584,6 @@ router.get('/debug/content-entry/:id', async (req, res) => {
 // GET /api/admin/upload-tracking/debug/session/:sessionId - inspect an in-memory session
 router.get('/debug/session/:sessionId', async (req, res) => {
   try {
-    verifyAdminToken(req);
     const { sessionId } = req.params;
     const session = uploadSessions.get(sessionId);
     if (!session) return res.status(404).json({ success: false, error: 'Session not found' });
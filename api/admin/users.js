@@ -1,62 +1,237 @@
+/**
+ * Admin Accounts API
+ *
+ * Owners manage the admin accounts (api/services/admin-accounts.js):
+ * - Create accounts with a role (owner, finance, content, moderator)
+ * - Change an account's role, name, password or deactivate it
+ * Any admin can look up their own account at /me.
+ * Owners can reset 2FA for an admin who lost their authenticator, and
+ * sign an admin out everywhere. Deactivating an account or changing its
+ * password does that too.
+ */
+
 const express = require('express');
-const { getSupabaseAdminClient  } = require('../../database.js');
-const jwt = require('jsonwebtoken');
-const bcryptjs = require('bcryptjs');
+const { ADMIN_ROLES, requireRole } = require('../../lib/admin-auth.js');
+const {
+  listAdminUsers,
+  getAdminUser,
+  createAdminUser,
+  updateAdminUser
+} = require('../services/admin-accounts.js');
+const { resetTwoFactor } = require('../services/admin-two-factor.js');
+const { listAdminSessions, revokeAllAdminSessions } = require('../services/admin-sessions.js');
+const { auditChange } = require('../services/admin-audit.js');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * GET /api/admin/users/me - The signed-in admin's account
+ */
+router.get('/me', requireRole(), async (req, res) => {
+  try {
+    const user = req.admin.sub ? await getAdminUser(req.admin.sub) : null;
 
-function verifyAdminToken(req) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    throw new Error('Unauthorized');
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'Admin account not found' });
+    }
+
+    res.json({
+      success: true,
+      user,
+      permissions: ADMIN_ROLES[user.role],
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to get admin account:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get admin account',
+      details: error.message
+    });
   }
-  const token = authHeader.substring(7);
-  jwt.verify(token, JWT_SECRET);
-}
+});
+
+router.use(requireRole('owner'));
 
+/**
+ * GET /api/admin/users - Every admin account and the available roles
+ */
 router.get('/', async (req, res) => {
   try {
-    verifyAdminToken(req);
-    const supabase = getSupabaseAdminClient();
-    const { data: users, error } = await supabase
-      .from('admin_users')
-      .select('id, email, role, is_active, last_login, created_at')
-      .order('created_at', { ascending: false });
-    if (error) throw error;
-    return res.json(users || []);
+    const users = await listAdminUsers();
+
+    res.json({
+      success: true,
+      users,
+      roles: ADMIN_ROLES,
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
-    console.error('Error fetching admin users:', error);
-    return res.status(500).json({ error: 'Failed to fetch admin users' });
+    console.error('❌ Failed to list admin accounts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list admin accounts',
+      details: error.message
+    });
   }
 });
 
+/**
+ * POST /api/admin/users - Create an account
+ * Body: { email, password, role, displayName? }
+ */
 router.post('/', async (req, res) => {
   try {
-    verifyAdminToken(req);
-    const body = req.body;
-    const { email, password, role } = body;
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
-    const hashedPassword = await bcryptjs.hash(password, 12);
-    const supabase = getSupabaseAdminClient();
-    const { data: user, error } = await supabase
-      .from('admin_users')
-      .insert({
-        email,
-        password_hash: hashedPassword,
-        role: role || 'admin'
-      })
-      .select('id, email, role, is_active, created_at')
-      .single();
-    if (error) throw error;
-    return res.status(201).json(user);
+    const { email, password, role, displayName } = req.body;
+    const result = await createAdminUser({ email, password, role, displayName });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid admin account',
+        details: result.errors
+      });
+    }
+
+    auditChange(req, { action: 'admin_user.create', target: result.user.id, after: result.user });
+    console.log(`👤 ${result.user.email} added as ${result.user.role} by ${req.admin.email}`);
+    res.status(201).json({
+      success: true,
+      user: result.user,
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
-    console.error('Error creating admin user:', error);
-    return res.status(500).json({ error: 'Failed to create admin user' });
+    console.error('❌ Failed to create admin account:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create admin account',
+      details: error.message
+    });
   }
 });
 
-module.exports = router;
+/**
+ * PUT /api/admin/users/:id - Update an account
+ * Body: { role?, isActive?, displayName?, password? }
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Admin account not found' });
+    }
+
+    const { role, isActive, displayName, password } = req.body;
+    const previous = await getAdminUser(req.params.id);
+    const result = await updateAdminUser(req.params.id, { role, isActive, displayName, password });
+
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Admin account not found' });
+    }
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid admin account update',
+        details: result.errors
+      });
+    }
+
+    if (isActive === false || password !== undefined) {
+      await revokeAllAdminSessions(req.params.id, isActive === false ? 'account_deactivated' : 'password_changed');
+    }
+
+    auditChange(req, {
+      action: 'admin_user.update',
+      target: req.params.id,
+      before: previous,
+      after: { ...result.user, passwordChanged: password !== undefined }
+    });
+    console.log(`👤 Admin account ${result.user.email} updated by ${req.admin.email}`);
+    res.json({
+      success: true,
+      user: result.user,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to update admin account:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update admin account',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:id/2fa - Turn off 2FA for an account that lost its authenticator
+ */
+router.delete('/:id/2fa', async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Admin account not found' });
+    }
+
+    const previous = await getAdminUser(req.params.id);
+    const reset = await resetTwoFactor(req.params.id);
+    if (!reset) {
+      return res.status(404).json({ success: false, error: 'Admin account not found' });
+    }
+
+    auditChange(req, {
+      action: 'admin_user.reset_2fa',
+      target: req.params.id,
+      before: previous,
+      after: await getAdminUser(req.params.id)
+    });
+
+    console.log(`👤 Two-factor authentication reset for account ${req.params.id} by ${req.admin.email}`);
+    res.json({
+      success: true,
+      message: 'Two-factor authentication turned off; the admin can enroll again after signing in',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to reset two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset two-factor authentication',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:id/sessions - Sign an account out everywhere
+ */
+router.delete('/:id/sessions', async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Admin account not found' });
+    }
+
+    const sessions = await listAdminSessions(req.params.id);
+    const revoked = await revokeAllAdminSessions(req.params.id, 'revoked_by_owner');
+    auditChange(req, {
+      action: 'admin_user.revoke_sessions',
+      target: req.params.id,
+      before: sessions,
+      after: await listAdminSessions(req.params.id)
+    });
 
+    console.log(`👤 ${revoked} session(s) of account ${req.params.id} revoked by ${req.admin.email}`);
+    res.json({
+      success: true,
+      revoked,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to revoke admin sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke admin sessions',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,300 @@
+/**
+ * Webhooks Admin API
+ *
+ * Admin endpoints for outbound webhooks (api/services/webhooks.js):
+ * - Register, update and delete endpoints and their event subscriptions
+ * - Rotate an endpoint's signing secret and send it a test event
+ * - Delivery log, and redelivery of a single delivery
+ */
+
+const express = require('express');
+const {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  listWebhookEndpoints,
+  getWebhookEndpoint,
+  createWebhookEndpoint,
+  updateWebhookEndpoint,
+  rotateWebhookSecret,
+  deleteWebhookEndpoint,
+  sendTestWebhook,
+  redeliverWebhook,
+  getWebhookDeliveries
+} = require('../services/webhooks.js');
+const { requireRole } = require('../../lib/admin-auth.js');
+const { auditChange } = require('../services/admin-audit.js');
+
+const router = express.Router();
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_DELIVERIES = 200;
+
+/**
+ * 404 for ids that cannot be a webhook endpoint or delivery
+ */
+function requireUuid(req, res, next) {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Not found' });
+  }
+  next();
+}
+
+/**
+ * Who made the change, for the record
+ */
+function adminName(req) {
+  return req.admin.username || req.admin.email || 'admin';
+}
+
+router.use(requireRole('owner'));
+
+/**
+ * GET /api/admin/webhooks - Registered endpoints and the events they can subscribe to
+ */
+router.get('/', async (req, res) => {
+  try {
+    const endpoints = await listWebhookEndpoints();
+
+    res.json({
+      success: true,
+      endpoints,
+      events: WEBHOOK_EVENTS,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to list webhook endpoints:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list webhook endpoints',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks - Register an endpoint
+ * Body: { url, events: ['*' | event, ...], description?, isActive? }
+ * The response holds the signing secret; it is not shown again.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { url, events, description, isActive } = req.body;
+    const result = await createWebhookEndpoint({ url, events, description, isActive }, adminName(req));
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid webhook endpoint',
+        details: result.errors
+      });
+    }
+
+    auditChange(req, { action: 'webhook.create', target: result.endpoint.id, after: result.endpoint });
+    res.status(201).json({
+      success: true,
+      endpoint: result.endpoint,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to create webhook endpoint:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create webhook endpoint',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/deliveries - Delivery log (?endpointId, ?event, ?status, ?limit)
+ */
+router.get('/deliveries', async (req, res) => {
+  try {
+    const { endpointId, event, status } = req.query;
+    const limit = Number.parseInt(req.query.limit, 10);
+
+    if (endpointId && !UUID_PATTERN.test(endpointId)) {
+      return res.status(400).json({ success: false, error: 'endpointId must be a webhook endpoint id' });
+    }
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of ${DELIVERY_STATUSES.join(', ')}` });
+    }
+
+    const deliveries = await getWebhookDeliveries({
+      endpointId: endpointId || null,
+      event: event || null,
+      status: status || null,
+      limit: limit > 0 ? Math.min(limit, MAX_DELIVERIES) : 50
+    });
+
+    res.json({
+      success: true,
+      deliveries,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to get webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get webhook deliveries',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/deliveries/:id/redeliver - Send a delivery again now
+ */
+router.post('/deliveries/:id/redeliver', requireUuid, async (req, res) => {
+  try {
+    const delivery = await redeliverWebhook(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found or being sent right now'
+      });
+    }
+
+    auditChange(req, { action: 'webhook.redeliver', target: delivery.id, after: delivery });
+    res.status(202).json({
+      success: true,
+      message: 'Delivery queued',
+      deliveryId: delivery.id,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to redeliver webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to redeliver webhook',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/webhooks/:id - Update an endpoint
+ * Body: { url?, events?, description?, isActive? }
+ */
+router.put('/:id', requireUuid, async (req, res) => {
+  try {
+    const { url, events, description, isActive } = req.body;
+    const previous = await getWebhookEndpoint(req.params.id);
+    const result = await updateWebhookEndpoint(req.params.id, { url, events, description, isActive });
+
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+    }
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid webhook endpoint',
+        details: result.errors
+      });
+    }
+
+    auditChange(req, { action: 'webhook.update', target: req.params.id, before: previous, after: result.endpoint });
+    res.json({
+      success: true,
+      endpoint: result.endpoint,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to update webhook endpoint:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update webhook endpoint',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/webhooks/:id - Delete an endpoint and its delivery log
+ */
+router.delete('/:id', requireUuid, async (req, res) => {
+  try {
+    const previous = await getWebhookEndpoint(req.params.id);
+    const deleted = await deleteWebhookEndpoint(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+    }
+
+    auditChange(req, { action: 'webhook.delete', target: req.params.id, before: previous });
+
+    console.log(`🗑️ Webhook endpoint ${req.params.id} deleted by ${adminName(req)}`);
+    res.json({
+      success: true,
+      message: 'Webhook endpoint deleted',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to delete webhook endpoint:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook endpoint',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/:id/rotate-secret - Replace the signing secret
+ */
+router.post('/:id/rotate-secret', requireUuid, async (req, res) => {
+  try {
+    const previous = await getWebhookEndpoint(req.params.id);
+    const endpoint = await rotateWebhookSecret(req.params.id);
+
+    if (!endpoint) {
+      return res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+    }
+
+    auditChange(req, { action: 'webhook.rotate_secret', target: req.params.id, before: previous, after: endpoint });
+
+    console.log(`🔑 Webhook secret rotated for ${endpoint.url} by ${adminName(req)}`);
+    res.json({
+      success: true,
+      endpoint,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to rotate webhook secret:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate webhook secret',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/:id/test - Send a webhook.test event to an endpoint
+ */
+router.post('/:id/test', requireUuid, async (req, res) => {
+  try {
+    const delivery = await sendTestWebhook(req.params.id, adminName(req));
+
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+    }
+
+    auditChange(req, { action: 'webhook.test', target: req.params.id, after: { deliveryId: delivery.id } });
+    res.status(202).json({
+      success: true,
+      message: 'Test event queued; check the delivery log for the result',
+      deliveryId: delivery.id,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to send test webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send test webhook',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
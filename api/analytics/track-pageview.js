@@ -1,5 +1,6 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../../database.js');
+const { rateLimit } = require('../services/rate-limits.js');
 
 const router = express.Router();
 
@@ -7,7 +8,7 @@ const router = express.Router();
  * POST /api/analytics/track-pageview
  * Track page views
  */
-router.post('/', async (req, res) => {
+router.post('/', rateLimit('analytics-track'), async (req, res) => {
   try {
     const body = req.body;
     const supabase = getSupabaseAdminClient();
@@ -97,7 +98,7 @@ router.post('/', async (req, res) => {
  * PUT /api/analytics/track-pageview
  * Update page view data
  */
-router.put('/', async (req, res) => {
+router.put('/', rateLimit('analytics-track'), async (req, res) => {
   try {
     const body = req.body;
     const supabase = getSupabaseAdminClient();
@@ -1,5 +1,6 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../../database.js');
+const { rateLimit } = require('../services/rate-limits.js');
 
 const router = express.Router();
 
@@ -105,7 +106,7 @@ function detectBot(userAgent) {
  * POST /api/analytics/track-visitor
  * Track visitor sessions
  */
-router.post('/', async (req, res) => {
+router.post('/', rateLimit('analytics-track'), async (req, res) => {
   try {
     const body = req.body;
     const clientIP = getClientIP(req);
@@ -1,5 +1,6 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../../../database.js');
+const { rateLimit } = require('../../services/rate-limits.js');
 
 const router = express.Router();
 
@@ -7,7 +8,7 @@ const router = express.Router();
  * POST /api/analytics/track/session-update
  * Update session activity and engagement metrics
  */
-router.post('/', async (req, res) => {
+router.post('/', rateLimit('analytics-track'), async (req, res) => {
   try {
     const {
       sessionId,
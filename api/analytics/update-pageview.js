@@ -1,5 +1,6 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../../database.js');
+const { rateLimit } = require('../services/rate-limits.js');
 
 const router = express.Router();
 
@@ -7,7 +8,7 @@ const router = express.Router();
  * PUT /api/analytics/update-pageview
  * Update existing page view data
  */
-router.put('/', async (req, res) => {
+router.put('/', rateLimit('analytics-track'), async (req, res) => {
   try {
     const body = req.body;
     const supabase = getSupabaseAdminClient();
@@ -1,12 +1,25 @@
 const express = require('express');
 const { getSupabaseAdminClient } = require('../database.js');
+const { requireWalletSession } = require('../lib/wallet-auth.js');
+const { rateLimit } = require('./services/rate-limits.js');
+const { emitWebhookEvent } = require('./services/webhooks.js');
+
+// Safe import of Solana payment service with fallback
+let solanaPaymentService = null;
+try {
+  const solanaModule = require('../lib/solana-payment.cjs');
+  solanaPaymentService = solanaModule.solanaPaymentService;
+} catch (error) {
+  console.warn('⚠️ Solana payment service not available, claims cannot be paid:', error.message);
+}
+
 const router = express.Router();
 
 /**
  * POST /api/claim-validation
  * Validate and process claim codes
  */
-router.post('/', async (req, res) => {
+router.post('/', rateLimit('claim-validate'), async (req, res) => {
   try {
     const { code, email, claimCode } = req.body;
     const actualCode = code || claimCode;
@@ -161,7 +174,8 @@ router.get('/status', async (req, res) => {
 });
 
 // POST /api/claim/process - Process a claim (alias for POST /api/claim)
-router.post('/process', async (req, res) => {
+// Needs a wallet session for walletAddress (POST /api/wallet-auth/verify)
+router.post('/process', requireWalletSession(req => req.body.walletAddress), async (req, res) => {
   try {
     const { code, walletAddress } = req.body;
     
@@ -226,6 +240,13 @@ router.post('/process', async (req, res) => {
     
     console.log(`💰 Initiating SOL payment: ${solAmount} SOL (${claimLink.amount_lamports} lamports) -> ${walletAddress}`);
     
+    if (!solanaPaymentService) {
+      return res.status(503).json({
+        success: false,
+        error: 'Payment system temporarily unavailable'
+      });
+    }
+    
     // Initialize payment service if not already done
     if (!solanaPaymentService.isInitialized()) {
       console.log('🔄 Initializing payment service...');
@@ -279,6 +300,15 @@ router.post('/process', async (req, res) => {
     
     const updatedClaim = updatedClaims[0];
     console.log(`✅ Claim processed successfully: ${code} -> ${walletAddress}, Amount: ${solAmount} SOL`);
+    emitWebhookEvent('qr_claim.redeemed', {
+      claimId: updatedClaim.id,
+      code: updatedClaim.code,
+      walletAddress,
+      amountSol: solAmount,
+      amountLamports: updatedClaim.amount_lamports,
+      signature: txSignature,
+      claimedAt: updatedClaim.claimed_at
+    });
     
     res.json({
       success: true,
@@ -1,6 +1,8 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../database.js');
-const jwt = require('jsonwebtoken');
+const { requireRole } = require('../lib/admin-auth.js');
+const { requireWalletSession } = require('../lib/wallet-auth.js');
+const { emitWebhookEvent } = require('./services/webhooks.js');
 const QRCode = require('qrcode');
 const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
 
@@ -15,30 +17,6 @@ try {
 }
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'whatnext-jwt-secret-2025';
-
-// --- AUTHENTICATION ---
-function verifyAdminToken(req) {
-  console.log('🔐 Verifying admin token...');
-  console.log('Authorization header:', req.headers.authorization);
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) {
-    console.log('❌ No token provided');
-    const err = new Error('No token provided');
-    err.status = 401;
-    throw err;
-  }
-  try {
-    jwt.verify(token, JWT_SECRET);
-    console.log('✅ Token verified successfully');
-  } catch (e) {
-    console.log('❌ Token verification failed:', e);
-    const err = new Error('Invalid token');
-    err.status = 401;
-    throw err;
-  }
-}
-
 // --- SOL PRICE HELPER ---
 async function getCurrentSolPrice() {
   console.log('💰 Fetching real-time SOL price from shared utility...');
@@ -58,9 +36,8 @@ async function getCurrentSolPrice() {
  * GET /api/admin/claims
  * Get QR code claims data for admin dashboard
  */
-router.get('/', async (req, res) => {
+router.get('/', requireRole('moderator'), async (req, res) => {
   try {
-    verifyAdminToken(req);
     console.log('🔍 Admin claims API called...');
     const supabase = getSupabaseAdminClient();
     let qrClaims = [];
@@ -168,10 +145,6 @@ router.get('/', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    if (error.status === 401) {
-      console.error('❌ Authentication error:', error.message);
-      return res.status(401).json({ success: false, error: 'Unauthorized', details: error.message });
-    }
     console.error('❌ Unexpected error in admin claims API:', error);
     return res.status(500).json({ success: false, error: 'Internal server error', details: error.message });
   }
@@ -240,9 +213,8 @@ async function handleLegacyBulkCreation(supabase, count, amount, durationDays) {
  * POST /api/admin/claims/qr
  * Generate QR codes (single, bulk, legacy)
  */
-router.post('/qr', async (req, res) => {
+router.post('/qr', requireRole('moderator'), async (req, res) => {
   try {
-    verifyAdminToken(req);
     const supabase = getSupabaseAdminClient();
     const { action, id, count = 1, amount, amount_usd, durationDays = 30 } = req.body;
     let solAmount = amount;
@@ -270,10 +242,6 @@ router.post('/qr', async (req, res) => {
     }
     return res.status(400).json({ error: 'Invalid request parameters' });
   } catch (error) {
-    if (error.status === 401) {
-      console.error('❌ Authentication error:', error.message);
-      return res.status(401).json({ error: 'Unauthorized', details: error.message });
-    }
     console.error('❌ QR generation error:', error);
     return res.status(500).json({ error: 'QR generation failed', details: error.message });
   }
@@ -283,9 +251,8 @@ router.post('/qr', async (req, res) => {
  * DELETE /api/admin/claims
  * Delete multiple claims by their IDs
  */
-router.delete('/', async (req, res) => {
+router.delete('/', requireRole('moderator'), async (req, res) => {
   try {
-    verifyAdminToken(req);
     console.log('🗑️ DELETE route called at /api/admin/claims');
     console.log('🗑️ Request method:', req.method);
     console.log('🗑️ Request body:', req.body);
@@ -311,10 +278,6 @@ router.delete('/', async (req, res) => {
     console.log(`✅ Successfully deleted ${deletedCount} claims`);
     return res.json({ success: true, message: `Successfully deleted ${deletedCount} claim${deletedCount === 1 ? '' : 's'}`, deletedCount, deletedClaims: deletedClaims || [] });
   } catch (error) {
-    if (error.status === 401) {
-      console.error('❌ Authentication error:', error.message);
-      return res.status(401).json({ error: 'Unauthorized', details: error.message });
-    }
     console.error('❌ Unexpected error in delete claims API:', error);
     return res.status(500).json({ error: 'Failed to delete claims', details: error.message });
   }
@@ -526,6 +489,18 @@ async function updateClaimRecord(supabase, claimId, walletAddress, transactionSi
   return { success: true, claim: updatedClaims[0] };
 }
 
+function emitClaimRedeemed(claim, solAmount) {
+  emitWebhookEvent('qr_claim.redeemed', {
+    claimId: claim.id,
+    code: claim.code,
+    walletAddress: claim.claimer_address,
+    amountSol: solAmount,
+    amountLamports: claim.amount_lamports,
+    signature: claim.tx_signature,
+    claimedAt: claim.claimed_at
+  });
+}
+
 function formatSuccessResponse(transactionSignature, solAmount, updatedClaim) {
   return {
     success: true,
@@ -552,8 +527,9 @@ function formatSuccessResponse(transactionSignature, solAmount, updatedClaim) {
 
 /**
  * POST /api/claim/process - Process a claim (PUBLIC ENDPOINT) 
+ * Needs a wallet session for walletAddress (POST /api/wallet-auth/verify)
  */
-router.post('/process', async (req, res) => {
+router.post('/process', requireWalletSession(req => req.body.walletAddress), async (req, res) => {
   try {
     const { code, walletAddress } = req.body;
     
@@ -601,6 +577,7 @@ router.post('/process', async (req, res) => {
     }
     
     console.log(`✅ Claim processed successfully: ${code} -> ${walletAddress}, Amount: ${solAmount} SOL`);
+    emitClaimRedeemed(updateResult.claim, solAmount);
     
     // Return success response with enhanced transaction info
     res.json(formatSuccessResponse(paymentResult.transactionSignature, solAmount, updateResult.claim));
@@ -1,9 +1,10 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../../database.js');
+const { rateLimit } = require('../services/rate-limits.js');
 
 const router = express.Router();
 
-router.post('/', async (req, res) => {
+router.post('/', rateLimit('claim-validate'), async (req, res) => {
   try {
     const { code, email, claimCode } = req.body;
     // Accept both code/claimCode for compatibility
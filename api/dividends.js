@@ -1,8 +1,29 @@
 const express = require('express');
 const { getSupabaseAdminClient } = require('../database.js');
-const { triggerManualClaim, getAutoClaimSettings } = require('./services/dividend-claimer.js');
+const { requireRole, requireFreshTwoFactor, requireFreshTwoFactorIf } = require('../lib/admin-auth.js');
+const { requireWalletSession } = require('../lib/wallet-auth.js');
+const { auditChange } = require('./services/admin-audit.js');
+const {
+  triggerManualClaim,
+  getAutoClaimSettings,
+  changesClaimAddresses,
+  getTokenHolders,
+  resumeDividendDistribution,
+  rescheduleNextClaim
+} = require('./services/dividend-service.js');
 const { getCronStatus, startDividendCron, stopDividendCron } = require('./services/dividend-cron.js');
-const { getHolderLoyaltyStats, resetHolderInitialBag } = require('./services/holder-loyalty.js');
+const { getJobLeaseStatus } = require('../lib/job-lease.js');
+const { getHolderLoyaltyStats, resetHolderInitialBag, updateHolderEligibility } = require('./services/holder-loyalty.js');
+const { getEligibilityPolicy } = require('./services/eligibility-policy.js');
+const { simulateDividendDistribution, planToCsv } = require('./services/dividend-simulator.js');
+const { getHolderStatement, statementToCsv } = require('./services/dividend-statement.js');
+const { getClaimableBalance, claimAccruedDividends } = require('./services/dividend-withdrawals.js');
+const {
+  getClaimSchedule,
+  saveClaimSchedule,
+  findActiveBlackout,
+  getUpcomingClaimTimes
+} = require('./services/claim-schedule.js');
 
 const router = express.Router();
 
@@ -57,6 +78,25 @@ async function getDividendClaimsData(supabase) {
   return { latestClaim, totalStats, claimHistory };
 }
 
+// Helper function to fetch the auto-claim settings row, for the audit log
+async function getClaimSettingsRow(supabase) {
+  const { data } = await supabase
+    .from('auto_claim_settings')
+    .select('*')
+    .eq('id', '550e8400-e29b-41d4-a716-446655440000')
+    .maybeSingle();
+  return data;
+}
+
+// Helper function to fetch a holder's initial bag and eligibility, for the audit log
+async function getHolderLoyaltyRows(supabase, holderAddress) {
+  const [{ data: initialBag }, { data: eligibility }] = await Promise.all([
+    supabase.from('holder_initial_bags').select('*').eq('holder_address', holderAddress).maybeSingle(),
+    supabase.from('holder_eligibility').select('*').eq('holder_address', holderAddress).maybeSingle()
+  ]);
+  return { initialBag, eligibility };
+}
+
 // Helper function to fetch settings and holder data
 async function getSettingsAndHolders(supabase) {
   const { data: settings } = await supabase
@@ -354,9 +394,6 @@ router.get('/real-holders', async (req, res) => {
 
     console.log(`🔍 Fetching real holders for token mint: ${tokenMintAddress}`);
 
-    // Import and use the SAME getTokenHolders function that dividend system uses
-    const { getTokenHolders } = require('./services/dividend-claimer.js');
-    
     // Get real blockchain holder data (same as dividend distribution system)
     const holderData = await getTokenHolders(tokenMintAddress);
     
@@ -425,8 +462,10 @@ router.get('/real-holders', async (req, res) => {
     res.json({
       holders: formattedHolders,
       totalSupply: holderData.totalSupply,
+      circulatingSupply: holderData.circulatingSupply,
       decimals: holderData.decimals,
       totalHolders: holderData.holders.length,
+      excludedHolders: holderData.excludedHolders.length,
       source: 'solana-blockchain',
       mintAddress: tokenMintAddress,
       // LOYALTY SYSTEM SUMMARY
@@ -508,12 +547,117 @@ router.get('/user/:address', async (req, res) => {
   }
 });
 
+// Get a holder's full dividend statement (paginated, ?format=csv exports every claim)
+// Needs a wallet session for the address (POST /api/wallet-auth/verify)
+router.get('/user/:address/statement', requireWalletSession(req => req.params.address), async (req, res) => {
+  try {
+    const { address } = req.params;
+
+    if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)) {
+      return res.status(400).json({ error: 'Invalid wallet address' });
+    }
+
+    if (req.query.format === 'csv') {
+      const statement = await getHolderStatement(address, { limit: 0 });
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="dividend-statement-${address}.csv"`);
+      return res.send(statementToCsv(statement));
+    }
+
+    const statement = await getHolderStatement(address, {
+      page: req.query.page,
+      limit: req.query.limit
+    });
+
+    res.json(statement);
+  } catch (error) {
+    console.error('Error in dividend statement endpoint:', error);
+    res.status(500).json({ error: 'Failed to build dividend statement' });
+  }
+});
+
+// Get a holder's claimable pull-mode balance and the message to sign to claim it
+// Needs a wallet session for the address (POST /api/wallet-auth/verify)
+router.get('/claim/:address', requireWalletSession(req => req.params.address), async (req, res) => {
+  try {
+    const { address } = req.params;
+
+    if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)) {
+      return res.status(400).json({ success: false, message: 'Invalid wallet address' });
+    }
+
+    const balance = await getClaimableBalance(address);
+
+    res.json({ success: true, data: balance });
+  } catch (error) {
+    console.error('❌ Error getting claimable dividends:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get claimable dividends: ' + error.message
+    });
+  }
+});
+
+// Claim accrued dividends (pull mode) with a message signed by the holder's wallet
+router.post('/claim', async (req, res) => {
+  const claimErrorStatus = {
+    invalid_message: 400,
+    invalid_signature: 401,
+    below_minimum: 400,
+    withdrawal_in_progress: 409,
+    duplicate_request: 409,
+    withdrawal_unconfirmed: 202
+  };
+
+  try {
+    const { wallet, message, signature } = req.body;
+
+    if (!wallet || !message || !signature) {
+      return res.status(400).json({
+        success: false,
+        message: 'wallet, message and signature are required'
+      });
+    }
+
+    if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(wallet)) {
+      return res.status(400).json({ success: false, message: 'Invalid wallet address' });
+    }
+
+    const result = await claimAccruedDividends({ walletAddress: wallet, message, signature });
+
+    if (!result.success) {
+      return res.status(claimErrorStatus[result.error] || 400).json({
+        success: false,
+        error: result.error,
+        message: result.reason,
+        data: result
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Sent ${result.amountSol} SOL`,
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Dividend claim failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Dividend claim failed: ' + error.message
+    });
+  }
+});
+
+// Every /admin endpoint below is for the finance role
+router.use('/admin', requireRole('finance'));
+
 // Admin endpoint to trigger manual claim (protected)
-router.post('/admin/trigger-claim', async (req, res) => {
+router.post('/admin/trigger-claim', requireFreshTwoFactor(), async (req, res) => {
   try {
     console.log('🎯 Manual dividend claim triggered by admin');
     
     const result = await triggerManualClaim(true); // force run
+    auditChange(req, { action: 'dividend.manual_claim', after: result });
     
     if (result.success) {
       res.json({
@@ -537,6 +681,78 @@ router.post('/admin/trigger-claim', async (req, res) => {
   }
 });
 
+// Admin endpoint to dry-run a distribution and download the plan (protected)
+router.post('/admin/simulate', async (req, res) => {
+  try {
+    const { amount } = req.body || {};
+    console.log('🧪 Dividend simulation requested by admin');
+    
+    if (amount !== undefined && !(Number.parseFloat(amount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Distribution amount must be positive'
+      });
+    }
+    
+    const plan = await simulateDividendDistribution({ amount });
+    
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="dividend-plan-${plan.generatedAt.replaceAll(':', '-')}.csv"`);
+      return res.send(planToCsv(plan));
+    }
+    
+    res.json({
+      success: true,
+      message: `Simulated ${plan.payoutCount} payouts totalling ${plan.totalPayoutSol} SOL`,
+      data: plan
+    });
+  } catch (error) {
+    console.error('❌ Dividend simulation failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Simulation failed: ' + error.message
+    });
+  }
+});
+
+// Admin endpoint to resume an interrupted or partially failed distribution (protected)
+router.post('/admin/resume/:claimId', requireFreshTwoFactor(), async (req, res) => {
+  try {
+    const { claimId } = req.params;
+    console.log(`🔁 Dividend distribution resume requested by admin for claim ${claimId}`);
+    
+    const result = await resumeDividendDistribution(claimId);
+    auditChange(req, { action: 'dividend.resume', target: claimId, after: result });
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        message: 'Dividend distribution resumed and completed',
+        data: result
+      });
+    } else {
+      let statusCode = 400;
+      if (result.notFound) {
+        statusCode = 404;
+      } else if (result.locked) {
+        statusCode = 409;
+      }
+      res.status(statusCode).json({
+        success: false,
+        message: result.reason,
+        data: result
+      });
+    }
+  } catch (error) {
+    console.error('❌ Resume distribution failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Resume failed: ' + error.message
+    });
+  }
+});
+
 // Admin endpoint to get current settings
 router.get('/admin/settings', async (req, res) => {
   try {
@@ -586,8 +802,15 @@ router.get('/admin/settings', async (req, res) => {
   }
 });
 
+// Changing the token mint, claim wallet or fee account needs a fresh 2FA code
+const requireTwoFactorForAddresses = requireFreshTwoFactorIf(req => changesClaimAddresses({
+  token_mint_address: req.body.token_mint_address ?? req.body.tokenMintAddress,
+  claim_wallet_address: req.body.claim_wallet_address ?? req.body.claimWalletAddress,
+  pumpfun_fee_account: req.body.pumpfun_fee_account ?? req.body.pumpfunFeeAccount
+}));
+
 // Admin endpoint to update settings (POST version for DividendsTab compatibility)
-router.post('/admin/settings', async (req, res) => {
+router.post('/admin/settings', requireTwoFactorForAddresses, async (req, res) => {
   try {
     const { 
       enabled, 
@@ -620,6 +843,7 @@ router.post('/admin/settings', async (req, res) => {
       updateData.claim_wallet_address = claim_wallet_address;
     }
 
+    const previous = await getClaimSettingsRow(supabase);
     const { data, error } = await supabase
       .from('auto_claim_settings')
       .upsert(updateData);
@@ -629,6 +853,13 @@ router.post('/admin/settings', async (req, res) => {
       return res.status(500).json({ error: 'Failed to update settings' });
     }
 
+    auditChange(req, {
+      action: 'dividend_settings.update',
+      target: 'auto_claim_settings',
+      before: previous,
+      after: await getClaimSettingsRow(supabase)
+    });
+
     res.json({
       success: true,
       message: 'Settings updated successfully',
@@ -693,7 +924,7 @@ router.get('/admin/stats', async (req, res) => {
 });
 
 // Admin endpoint to update settings (protected)
-router.put('/admin/settings', async (req, res) => {
+router.put('/admin/settings', requireTwoFactorForAddresses, async (req, res) => {
   try {
     const { 
       enabled, 
@@ -725,6 +956,7 @@ router.put('/admin/settings', async (req, res) => {
       updateData.claim_wallet_address = claimWalletAddress;
     }
 
+    const previous = await getClaimSettingsRow(supabase);
     const { data, error } = await supabase
       .from('auto_claim_settings')
       .update(updateData)
@@ -735,6 +967,13 @@ router.put('/admin/settings', async (req, res) => {
       return res.status(500).json({ error: 'Failed to update settings' });
     }
 
+    auditChange(req, {
+      action: 'dividend_settings.update',
+      target: 'auto_claim_settings',
+      before: previous,
+      after: await getClaimSettingsRow(supabase)
+    });
+
     res.json({
       success: true,
       message: 'Settings updated successfully',
@@ -750,7 +989,7 @@ router.put('/admin/settings', async (req, res) => {
 router.get('/admin/cron-status', async (req, res) => {
   try {
     const cronStatus = getCronStatus();
-    const settings = await getAutoClaimSettings();
+    const [settings, schedule] = await Promise.all([getAutoClaimSettings(), getClaimSchedule()]);
     
     res.json({
       success: true,
@@ -759,7 +998,13 @@ router.get('/admin/cron-status', async (req, res) => {
         autoClaimEnabled: settings.enabled,
         nextScheduledClaim: settings.next_claim_scheduled,
         lastSuccessfulClaim: settings.last_successful_claim,
-        claimInterval: settings.claim_interval_minutes
+        claimInterval: settings.claim_interval_minutes,
+        claimSchedule: {
+          ...schedule,
+          cadence: schedule.cronExpression ? 'cron' : 'interval',
+          activeBlackout: findActiveBlackout(schedule.blackoutWindows),
+          upcomingClaims: getUpcomingClaimTimes(settings, schedule)
+        }
       }
     });
   } catch (error) {
@@ -775,6 +1020,7 @@ router.get('/admin/cron-status', async (req, res) => {
 router.post('/admin/cron/:action', async (req, res) => {
   try {
     const { action } = req.params;
+    auditChange(req, { action: `dividend_cron.${action}` });
     
     switch (action) {
       case 'start':
@@ -790,8 +1036,31 @@ router.post('/admin/cron/:action', async (req, res) => {
         startDividendCron();
         res.json({ success: true, message: 'Dividend cron restarted' });
         break;
+      case 'schedule': {
+        // Edit the claim cadence, blackout windows and minimum-fees trigger
+        const { cronExpression, blackoutWindows, minFeesTriggerSol } = req.body;
+        const previous = await getClaimSchedule();
+        const result = await saveClaimSchedule({ cronExpression, blackoutWindows, minFeesTriggerSol });
+        
+        if (!result.success) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid claim schedule',
+            errors: result.errors
+          });
+        }
+        
+        auditChange(req, { before: previous, after: result.schedule });
+        const nextClaim = await rescheduleNextClaim();
+        res.json({
+          success: true,
+          message: 'Claim schedule updated',
+          data: { ...result.schedule, nextScheduledClaim: nextClaim.toISOString() }
+        });
+        break;
+      }
       default:
-        res.status(400).json({ success: false, message: 'Invalid action. Use start, stop, or restart' });
+        res.status(400).json({ success: false, message: 'Invalid action. Use start, stop, restart or schedule' });
     }
   } catch (error) {
     console.error(`❌ Error ${req.params.action} cron:`, error);
@@ -904,7 +1173,15 @@ router.post('/admin/holder-loyalty/reset-bag', async (req, res) => {
     
     console.log(`🎯 Admin resetting initial bag for ${holderAddress}`);
     
+    const supabase = getSupabaseAdminClient();
+    const previous = await getHolderLoyaltyRows(supabase, holderAddress);
     await resetHolderInitialBag(holderAddress, newBalance, newPercentage, tokenMintAddress);
+    auditChange(req, {
+      action: 'holder.reset_bag',
+      target: holderAddress,
+      before: previous,
+      after: await getHolderLoyaltyRows(supabase, holderAddress)
+    });
     
     res.json({
       success: true,
@@ -941,37 +1218,23 @@ router.post('/admin/holder-loyalty/refresh-eligibility', async (req, res) => {
       throw error;
     }
     
+    const policy = await getEligibilityPolicy();
     let updatedCount = 0;
     let eligibleCount = 0;
     let blacklistedCount = 0;
     
     for (const holder of holders || []) {
       try {
-        // Recalculate retention percentage
-        const retentionPercentage = holder.initial_balance > 0 
-          ? (holder.current_balance / holder.initial_balance) * 100 
-          : 0;
-        
-        const isEligible = retentionPercentage >= 70;
-        
-        // Update eligibility record
-        await supabase
-          .from('holder_eligibility')
-          .upsert({
-            holder_address: holder.holder_address,
-            current_balance: holder.current_balance,
-            initial_balance: holder.initial_balance,
-            retention_percentage: retentionPercentage,
-            is_eligible: isEligible,
-            last_checked_at: new Date().toISOString(),
-            ...(isEligible === false && {
-              blacklisted_at: new Date().toISOString(),
-              blacklist_reason: `Manual refresh: retention ${retentionPercentage.toFixed(2)}% < 70%`
-            })
-          });
+        // Re-evaluate with the same policy used for real distributions
+        const result = await updateHolderEligibility(
+          holder.holder_address,
+          Number.parseFloat(holder.current_balance),
+          Number.parseFloat(holder.initial_balance),
+          { policy, firstRecordedAt: holder.first_recorded_at }
+        );
         
         updatedCount++;
-        if (isEligible) {
+        if (result.isEligible) {
           eligibleCount++;
         } else {
           blacklistedCount++;
@@ -982,6 +1245,10 @@ router.post('/admin/holder-loyalty/refresh-eligibility', async (req, res) => {
     }
     
     console.log(`✅ Refreshed eligibility for ${updatedCount} holders`);
+    auditChange(req, {
+      action: 'holder.refresh_eligibility',
+      after: { totalProcessed: updatedCount, eligible: eligibleCount, blacklisted: blacklistedCount }
+    });
     
     res.json({
       success: true,
@@ -989,7 +1256,8 @@ router.post('/admin/holder-loyalty/refresh-eligibility', async (req, res) => {
       data: {
         totalProcessed: updatedCount,
         eligible: eligibleCount,
-        blacklisted: blacklistedCount
+        blacklisted: blacklistedCount,
+        policy
       }
     });
   } catch (error) {
@@ -1088,6 +1356,14 @@ router.get('/admin/system-status', async (req, res) => {
       console.error('Error getting loyalty stats:', error);
     }
     
+    // Which replica holds the job leader lease
+    let jobLeases = null;
+    try {
+      jobLeases = await getJobLeaseStatus();
+    } catch (error) {
+      console.error('Error getting job lease status:', error);
+    }
+    
     res.json({
       success: true,
       data: {
@@ -1095,6 +1371,7 @@ router.get('/admin/system-status', async (req, res) => {
         currentSettings: settings || null,
         recentClaims: recentClaims || [],
         loyaltySystemStats: loyaltyStats,
+        jobLeases,
         systemReady: configStatus.settingsConfigured && 
                     configStatus.tokenMintAddressConfigured,
         recommendations: generateSystemRecommendations(configStatus, settings)
@@ -1,8 +1,11 @@
 const express = require('express');
 const { getSupabaseAdminClient } = require('../../database.js');
+const { requireRole } = require('../../lib/admin-auth.js');
 
 const router = express.Router();
 
+router.use(requireRole('owner'));
+
 /**
  * POST /api/admin/ecosystem/reset-pumpfun
  * Reset PumpFun contract address to start fresh with 0 fees
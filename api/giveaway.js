@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { getSupabaseAdminClient } = require('../database.js');
+const { rateLimit } = require('./services/rate-limits.js');
+const { requireWalletSession } = require('../lib/wallet-auth.js');
 
 // Constants
 const GIVEAWAY_TIME_UTC = 17; // 5 PM UTC
@@ -107,8 +109,9 @@ router.get('/', async (req, res) => {
 
 /**
  * POST /api/giveaway - Submit a giveaway entry
+ * Needs a wallet session for walletAddress (POST /api/wallet-auth/verify)
  */
-router.post('/', async (req, res) => {
+router.post('/', rateLimit('giveaway-entry'), requireWalletSession(req => req.body.walletAddress), async (req, res) => {
   const supabase = getSupabaseAdminClient();
 
   const { walletAddress, guessedMarketCap } = req.body;
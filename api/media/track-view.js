@@ -1,5 +1,6 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../../database.js');
+const { rateLimit } = require('../services/rate-limits.js');
 
 const router = express.Router();
 
@@ -105,7 +106,7 @@ async function trackAnalytics(req, contentId, mediaId, viewType, duration) {
  * POST /api/media/track-view
  * Track media/video view interactions
  */
-router.post('/', async (req, res) => {
+router.post('/', rateLimit('media-view'), async (req, res) => {
   try {
     const { contentId, mediaId, viewType = 'play', duration = 0 } = req.body;
     if (!contentId && !mediaId) {
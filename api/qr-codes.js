@@ -2,6 +2,7 @@ const express = require('express');
 const QRCode = require('qrcode');
 const { getSupabaseAdminClient } = require('../database.js');
 const { getCurrentSolPrice } = require('../utils/sol-price.js');
+const { rateLimit } = require('./services/rate-limits.js');
 
 const router = express.Router();
 
@@ -115,7 +116,7 @@ router.get('/', async (req, res) => {
  * POST /api/qr-codes
  * Process a QR code claim
  */
-router.post('/', async (req, res) => {
+router.post('/', rateLimit('claim-validate'), async (req, res) => {
   try {
     const { code, email, claimCode } = req.body;
     const actualCode = code || claimCode;
@@ -0,0 +1,373 @@
+const bcryptjs = require('bcryptjs');
+const { getSupabaseAdminClient } = require('../../database.js');
+const { ADMIN_ROLES } = require('../../lib/admin-auth.js');
+
+/**
+ * ADMIN ACCOUNTS
+ * One admin_users row per person, with a bcrypt password hash and a role
+ * (lib/admin-auth.js). Owners manage the accounts (api/admin/users.js).
+ *
+ * The first owner: while there are no accounts at all, signing in with any
+ * email and the ADMIN_PASSWORD env var creates an owner account for that
+ * email. Once an account exists ADMIN_PASSWORD no longer works.
+ *
+ * MAX_FAILED_LOGINS wrong passwords or 2FA codes in a row lock the account
+ * for LOCKOUT_MINUTES.
+ */
+
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 12;
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MINUTES = 15;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PUBLIC_COLUMNS = 'id, email, display_name, role, is_active, totp_enabled, locked_until, last_login, created_at, updated_at';
+
+// Hash of a throwaway password, compared against when the email is unknown
+// so a login takes as long either way
+const DUMMY_HASH = '$2a$12$GoHKMk1hju4ueAwcreBr.uXn29.Yf.IN7N2mssCy1JtEVRy7cVVGm';
+
+/**
+ * Get the Supabase admin client or fail loudly
+ */
+function getClient() {
+  const supabase = getSupabaseAdminClient();
+  if (!supabase) {
+    throw new Error('Supabase admin client not available');
+  }
+  return supabase;
+}
+
+/**
+ * Emails are matched case-insensitively
+ */
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+/**
+ * Validate account fields; omitted fields are left alone unless required
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateAdminUser({ email, password, role, displayName, isActive }, { requireAll = false } = {}) {
+  const errors = [];
+
+  if (email !== undefined || requireAll) {
+    if (!EMAIL_PATTERN.test(normalizeEmail(email))) {
+      errors.push('email must be a valid email address');
+    }
+  }
+  if (password !== undefined || requireAll) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+  if (role !== undefined || requireAll) {
+    if (!ADMIN_ROLES[role]) {
+      errors.push(`role must be one of ${Object.keys(ADMIN_ROLES).join(', ')}`);
+    }
+  }
+  if (displayName !== undefined && displayName !== null && (typeof displayName !== 'string' || displayName.length > 100)) {
+    errors.push('displayName must be a string of at most 100 characters');
+  }
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    errors.push('isActive must be true or false');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * All admin accounts, newest first
+ */
+async function listAdminUsers() {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('admin_users')
+    .select(PUBLIC_COLUMNS)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to list admin users: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * One admin account, or null
+ */
+async function getAdminUser(id) {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('admin_users')
+    .select(PUBLIC_COLUMNS)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load admin user ${id}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Number of active owner accounts
+ */
+async function countActiveOwners() {
+  const supabase = getClient();
+  const { count, error } = await supabase
+    .from('admin_users')
+    .select('id', { count: 'exact', head: true })
+    .eq('role', 'owner')
+    .eq('is_active', true);
+
+  if (error) {
+    throw new Error(`Failed to count owner accounts: ${error.message}`);
+  }
+
+  return count || 0;
+}
+
+/**
+ * Create an admin account
+ * @returns {Promise<Object>} { success, user } or { success: false, errors }
+ */
+async function createAdminUser({ email, password, role, displayName }) {
+  const { valid, errors } = validateAdminUser({ email, password, role, displayName }, { requireAll: true });
+  if (!valid) {
+    return { success: false, errors };
+  }
+
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('admin_users')
+    .insert({
+      email: normalizeEmail(email),
+      password_hash: await bcryptjs.hash(password, BCRYPT_ROUNDS),
+      role,
+      display_name: displayName || null,
+      is_active: true
+    })
+    .select(PUBLIC_COLUMNS)
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      return { success: false, errors: ['An admin account with this email already exists'] };
+    }
+    throw new Error(`Failed to create admin user: ${error.message}`);
+  }
+
+  console.log(`👤 Admin account created: ${data.email} (${data.role})`);
+  return { success: true, user: data };
+}
+
+/**
+ * Update an admin account's role, status, name or password. The last
+ * active owner cannot be demoted or deactivated.
+ * @returns {Promise<Object|null>} { success, user } or { success: false, errors }; null if not found
+ */
+async function updateAdminUser(id, { role, isActive, displayName, password }) {
+  const { valid, errors } = validateAdminUser({ role, isActive, displayName, password });
+  if (!valid) {
+    return { success: false, errors };
+  }
+
+  const existing = await getAdminUser(id);
+  if (!existing) {
+    return null;
+  }
+
+  const losesOwner = existing.role === 'owner' && existing.is_active
+    && ((role !== undefined && role !== 'owner') || isActive === false);
+  if (losesOwner && (await countActiveOwners()) <= 1) {
+    return { success: false, errors: ['The last active owner cannot be demoted or deactivated'] };
+  }
+
+  const fields = { updated_at: new Date().toISOString() };
+  if (role !== undefined) fields.role = role;
+  if (isActive !== undefined) fields.is_active = isActive;
+  if (displayName !== undefined) fields.display_name = displayName || null;
+  if (password !== undefined) fields.password_hash = await bcryptjs.hash(password, BCRYPT_ROUNDS);
+
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('admin_users')
+    .update(fields)
+    .eq('id', id)
+    .select(PUBLIC_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update admin user ${id}: ${error.message}`);
+  }
+
+  return { success: true, user: data };
+}
+
+/**
+ * Create the first owner from ADMIN_PASSWORD while no accounts exist
+ * @returns {Promise<Object|null>} The new owner, or null
+ */
+async function bootstrapOwner(email, password) {
+  const bootstrapPassword = process.env.ADMIN_PASSWORD;
+  if (!bootstrapPassword || password !== bootstrapPassword || !EMAIL_PATTERN.test(normalizeEmail(email))) {
+    return null;
+  }
+
+  const supabase = getClient();
+  const { count, error } = await supabase
+    .from('admin_users')
+    .select('id', { count: 'exact', head: true });
+
+  if (error) {
+    throw new Error(`Failed to count admin users: ${error.message}`);
+  }
+  if (count > 0) {
+    return null;
+  }
+
+  const { data, error: insertError } = await supabase
+    .from('admin_users')
+    .insert({
+      email: normalizeEmail(email),
+      password_hash: await bcryptjs.hash(password, BCRYPT_ROUNDS),
+      role: 'owner',
+      is_active: true
+    })
+    .select(`${PUBLIC_COLUMNS}, password_hash`)
+    .single();
+
+  if (insertError) {
+    throw new Error(`Failed to create the first owner: ${insertError.message}`);
+  }
+
+  console.log(`👑 First owner account created from ADMIN_PASSWORD: ${data.email}`);
+  return data;
+}
+
+/**
+ * When a locked account opens again, or null if it is not locked
+ */
+function getLockedUntil(account) {
+  return account?.locked_until && new Date(account.locked_until) > new Date() ? account.locked_until : null;
+}
+
+/**
+ * Count a wrong password or 2FA code against an account, locking it
+ * after MAX_FAILED_LOGINS in a row
+ * @returns {Promise<string|null>} When the account opens again if this locked it
+ */
+async function recordFailedLogin(userId) {
+  const supabase = getClient();
+  const { data: account, error } = await supabase
+    .from('admin_users')
+    .select('id, email, failed_login_attempts')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error || !account) {
+    if (error) console.warn(`⚠️ Failed to load admin ${userId} to count a failed login:`, error.message);
+    return null;
+  }
+
+  const attempts = (account.failed_login_attempts || 0) + 1;
+  const lockedUntil = attempts >= MAX_FAILED_LOGINS
+    ? new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000).toISOString()
+    : null;
+
+  const { error: updateError } = await supabase
+    .from('admin_users')
+    .update(lockedUntil
+      ? { failed_login_attempts: 0, locked_until: lockedUntil }
+      : { failed_login_attempts: attempts })
+    .eq('id', userId);
+
+  if (updateError) {
+    console.warn(`⚠️ Failed to count a failed login for ${account.email}:`, updateError.message);
+  }
+  if (lockedUntil) {
+    console.warn(`🔒 ${account.email} locked until ${lockedUntil} after ${MAX_FAILED_LOGINS} failed sign-ins`);
+  }
+
+  return lockedUntil;
+}
+
+/**
+ * Note a completed sign-in: last login time, and clear failed attempts
+ * @returns {Promise<Object>} The updated fields
+ */
+async function recordSuccessfulLogin(userId) {
+  const fields = { last_login: new Date().toISOString(), failed_login_attempts: 0, locked_until: null };
+  const supabase = getClient();
+  const { error } = await supabase
+    .from('admin_users')
+    .update(fields)
+    .eq('id', userId);
+
+  if (error) {
+    console.warn(`⚠️ Failed to record last login for admin ${userId}:`, error.message);
+  }
+
+  const { failed_login_attempts: _attempts, ...publicFields } = fields;
+  return publicFields;
+}
+
+/**
+ * Check an email and password. Wrong passwords count towards a lockout,
+ * and a locked account is refused without checking the password.
+ * @returns {Promise<Object>} { success, user } or { success: false, lockedUntil? }
+ */
+async function authenticateAdminUser(email, password) {
+  if (typeof password !== 'string' || !password) {
+    return { success: false };
+  }
+
+  const supabase = getClient();
+  const { data: user, error } = await supabase
+    .from('admin_users')
+    .select(`${PUBLIC_COLUMNS}, password_hash`)
+    .eq('email', normalizeEmail(email))
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load admin user: ${error.message}`);
+  }
+
+  const lockedUntil = getLockedUntil(user);
+  if (lockedUntil) {
+    return { success: false, lockedUntil };
+  }
+
+  const account = user || await bootstrapOwner(email, password);
+  const matches = await bcryptjs.compare(password, account?.password_hash || DUMMY_HASH);
+  if (account && !matches) {
+    return { success: false, lockedUntil: await recordFailedLogin(account.id) };
+  }
+  if (!account || !account.is_active) {
+    return { success: false };
+  }
+
+  const { password_hash: _passwordHash, ...publicUser } = account;
+  if (account.totp_enabled) {
+    // The sign-in is not finished until the 2FA code is checked
+    return { success: true, user: publicUser };
+  }
+
+  return { success: true, user: { ...publicUser, ...(await recordSuccessfulLogin(account.id)) } };
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  MAX_FAILED_LOGINS,
+  getLockedUntil,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  validateAdminUser,
+  listAdminUsers,
+  getAdminUser,
+  createAdminUser,
+  updateAdminUser,
+  authenticateAdminUser
+};
@@ -0,0 +1,181 @@
+const { getSupabaseAdminClient } = require('../../database.js');
+const { getRequestIp } = require('../../lib/request-ip.js');
+
+/**
+ * ADMIN AUDIT LOG
+ * auditAdminWrites is mounted on every admin path (after requireAdmin in
+ * index.js) and writes one admin_audit_log row for each POST, PUT, PATCH
+ * or DELETE once its response is sent: the signed-in admin, the route, the
+ * status code, the request body with secrets redacted, the IP and the
+ * user agent.
+ *
+ * The middleware cannot know what a write changed, so routes that alter
+ * or remove records describe it with auditChange(req, { action, target,
+ * before, after }) and it is stored with the same row.
+ *
+ * The table is append-only (database/admin-audit-log.sql) and recording
+ * never throws, so a failed audit write can never fail the admin action.
+ */
+
+const AUDITED_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+// Ends in token, so token_mint_address stays readable but refreshToken does not
+const REDACTED_KEY_PATTERN = /password|secret|token$|private.?key|api.?key|rtmp.?key|backup.?code|otp|^code$/i;
+const MAX_QUERY_LIMIT = 500;
+
+/**
+ * Get the Supabase admin client or fail loudly
+ */
+function getClient() {
+  const supabase = getSupabaseAdminClient();
+  if (!supabase) {
+    throw new Error('Supabase admin client not available');
+  }
+  return supabase;
+}
+
+/**
+ * Copy of a value with every secret-looking field replaced
+ */
+function redact(value) {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        REDACTED_KEY_PATTERN.test(key) ? '[redacted]' : redact(item)
+      ])
+    );
+  }
+  return value;
+}
+
+/**
+ * Describe what an admin write changed; stored with its audit row.
+ * Later calls add to earlier ones.
+ * @param {Object} req - Express request
+ * @param {Object} change - { action?, target?, before?, after? }
+ */
+function auditChange(req, change) {
+  req.auditChange = { ...req.auditChange, ...change };
+}
+
+/**
+ * Append an entry to the audit log. Never throws.
+ */
+async function recordAdminAudit(entry) {
+  try {
+    const supabase = getClient();
+    const { error } = await supabase
+      .from('admin_audit_log')
+      .insert({
+        actor_id: entry.actorId || null,
+        actor_email: entry.actorEmail || null,
+        actor_role: entry.actorRole || null,
+        method: entry.method,
+        route: entry.route,
+        action: entry.action || null,
+        target: entry.target === undefined || entry.target === null ? null : String(entry.target),
+        status_code: entry.statusCode ?? null,
+        request_body: entry.requestBody === undefined ? null : redact(entry.requestBody),
+        before_state: entry.before === undefined ? null : redact(entry.before),
+        after_state: entry.after === undefined ? null : redact(entry.after),
+        ip_address: entry.ip || null,
+        user_agent: entry.userAgent || null
+      });
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to write audit entry for ${entry.method} ${entry.route}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Middleware recording every admin write once its response is sent
+ */
+function auditAdminWrites(req, res, next) {
+  if (!AUDITED_METHODS.has(req.method)) {
+    return next();
+  }
+
+  const route = req.originalUrl.split('?')[0];
+  res.on('finish', () => {
+    const change = req.auditChange || {};
+    const hasBody = req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0;
+
+    recordAdminAudit({
+      actorId: req.admin?.sub,
+      actorEmail: req.admin?.email,
+      actorRole: req.admin?.role,
+      method: req.method,
+      route,
+      action: change.action,
+      target: change.target,
+      statusCode: res.statusCode,
+      requestBody: hasBody ? req.body : undefined,
+      before: change.before,
+      after: change.after,
+      ip: getRequestIp(req),
+      userAgent: req.headers['user-agent']
+    });
+  });
+
+  next();
+}
+
+/**
+ * Audit entries, newest first
+ * @param {Object} filters - { actor?, action?, method?, route?, target?, statusCode?, from?, to?, limit?, offset? }
+ *   route matches as a prefix; from/to are ISO timestamps
+ */
+async function getAdminAuditLog({
+  actor = null,
+  action = null,
+  method = null,
+  route = null,
+  target = null,
+  statusCode = null,
+  from = null,
+  to = null,
+  limit = 100,
+  offset = 0
+} = {}) {
+  const supabase = getClient();
+  const pageSize = Math.min(Math.max(limit, 1), MAX_QUERY_LIMIT);
+  let query = supabase
+    .from('admin_audit_log')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + pageSize - 1);
+
+  if (actor) query = query.eq('actor_email', actor.toLowerCase());
+  if (action) query = query.eq('action', action);
+  if (method) query = query.eq('method', method.toUpperCase());
+  if (route) query = query.like('route', `${route.replace(/[%_]/g, '\\$&')}%`);
+  if (target) query = query.eq('target', target);
+  if (statusCode) query = query.eq('status_code', statusCode);
+  if (from) query = query.gte('created_at', from);
+  if (to) query = query.lte('created_at', to);
+
+  const { data, count, error } = await query;
+
+  if (error) {
+    throw new Error('Failed to get admin audit log: ' + error.message);
+  }
+
+  return { entries: data || [], total: count || 0 };
+}
+
+module.exports = {
+  AUDITED_METHODS,
+  MAX_QUERY_LIMIT,
+  auditChange,
+  recordAdminAudit,
+  auditAdminWrites,
+  getAdminAuditLog
+};
@@ -0,0 +1,341 @@
+const crypto = require('node:crypto');
+const { getSupabaseAdminClient } = require('../../database.js');
+const { signAdminToken, forgetAdminSessions } = require('../../lib/admin-auth.js');
+const { getAdminUser } = require('./admin-accounts.js');
+const { registerJob } = require('./job-runner.js');
+
+/**
+ * ADMIN SESSIONS
+ * Every sign-in opens an admin_sessions row and hands out a short-lived
+ * access token (lib/admin-auth.js) plus a refresh token of the form
+ * "<session id>.<secret>". Only a hash of the secret is stored.
+ *
+ * Refreshing swaps the refresh token for a new one and keeps the old hash
+ * as previous_refresh_token_hash: if that old token ever comes back it was
+ * copied, so the whole session is revoked. A session lasts
+ * SESSION_IDLE_DAYS past its last refresh and SESSION_MAX_DAYS at most.
+ *
+ * Revoking a session (logout, "sign out everywhere", an owner deactivating
+ * the account) makes its access tokens fail on their next request.
+ */
+
+const SESSION_IDLE_DAYS = 7;
+const SESSION_MAX_DAYS = 30;
+const SESSION_RETENTION_DAYS = 30;
+const ACCESS_TOKEN_SECONDS = 15 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PUBLIC_COLUMNS = 'id, user_agent, ip_address, created_at, last_used_at, expires_at';
+
+/**
+ * Get the Supabase admin client or fail loudly
+ */
+function getClient() {
+  const supabase = getSupabaseAdminClient();
+  if (!supabase) {
+    throw new Error('Supabase admin client not available');
+  }
+  return supabase;
+}
+
+/**
+ * Stored form of a refresh token secret
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * When a session used now should expire
+ */
+function nextExpiry(createdAt) {
+  const idle = Date.now() + SESSION_IDLE_DAYS * DAY_MS;
+  const max = new Date(createdAt).getTime() + SESSION_MAX_DAYS * DAY_MS;
+  return new Date(Math.min(idle, max)).toISOString();
+}
+
+/**
+ * A short description of the browser and OS in a user agent
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const os = [
+    ['iOS', /iPhone|iPad/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (!browser && !os) {
+    return userAgent.slice(0, 60);
+  }
+  return [browser || 'Browser', os && `on ${os}`].filter(Boolean).join(' ');
+}
+
+/**
+ * Session row as shown to admins
+ */
+function formatSession(session, currentSessionId = null) {
+  return {
+    id: session.id,
+    device: describeDevice(session.user_agent),
+    userAgent: session.user_agent,
+    ipAddress: session.ip_address,
+    createdAt: session.created_at,
+    lastUsedAt: session.last_used_at,
+    expiresAt: session.expires_at,
+    current: session.id === currentSessionId
+  };
+}
+
+/**
+ * Access token for a session, carrying its last 2FA confirmation
+ */
+function accessTokenFor(user, session) {
+  const mfaAt = session.mfa_at ? Math.floor(new Date(session.mfa_at).getTime() / 1000) : null;
+  return signAdminToken(user, { sessionId: session.id, mfaAt });
+}
+
+/**
+ * Open a session for a signed-in admin
+ * @param {Object} user - The account
+ * @param {Object} context - { ip, userAgent, twoFactorConfirmed? }
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn, session }
+ */
+async function createAdminSession(user, { ip = null, userAgent = null, twoFactorConfirmed = false } = {}) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const now = new Date().toISOString();
+
+  const supabase = getClient();
+  const { data: session, error } = await supabase
+    .from('admin_sessions')
+    .insert({
+      user_id: user.id,
+      refresh_token_hash: hashSecret(secret),
+      user_agent: userAgent,
+      ip_address: ip,
+      mfa_at: twoFactorConfirmed ? now : null,
+      created_at: now,
+      last_used_at: now,
+      expires_at: nextExpiry(now)
+    })
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create admin session: ${error.message}`);
+  }
+
+  return {
+    token: accessTokenFor(user, session),
+    refreshToken: `${session.id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_SECONDS,
+    session: formatSession(session, session.id)
+  };
+}
+
+/**
+ * Swap a refresh token for a new access token and refresh token
+ * @returns {Promise<Object>} { success, token, refreshToken, expiresIn, user } or { success: false, error }
+ */
+async function refreshAdminSession(refreshToken, { ip = null, userAgent = null } = {}) {
+  const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (!sessionId || !secret || !/^[0-9a-f-]{36}$/i.test(sessionId)) {
+    return { success: false, error: 'Invalid refresh token' };
+  }
+
+  const supabase = getClient();
+  const { data: session, error } = await supabase
+    .from('admin_sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load admin session: ${error.message}`);
+  }
+  if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    return { success: false, error: 'Session ended, sign in again' };
+  }
+
+  const presentedHash = hashSecret(secret);
+  if (presentedHash === session.previous_refresh_token_hash) {
+    await revokeAdminSession(session.id, { reason: 'refresh_token_reused' });
+    console.warn(`🚨 Refresh token reused for admin session ${session.id}, session revoked`);
+    return { success: false, error: 'Session ended, sign in again' };
+  }
+  if (presentedHash !== session.refresh_token_hash) {
+    return { success: false, error: 'Invalid refresh token' };
+  }
+
+  const user = await getAdminUser(session.user_id);
+  if (!user || !user.is_active) {
+    await revokeAdminSession(session.id, { reason: 'account_inactive' });
+    return { success: false, error: 'Session ended, sign in again' };
+  }
+
+  const newSecret = crypto.randomBytes(32).toString('base64url');
+  const { data: rotated, error: rotateError } = await supabase
+    .from('admin_sessions')
+    .update({
+      refresh_token_hash: hashSecret(newSecret),
+      previous_refresh_token_hash: presentedHash,
+      ip_address: ip || session.ip_address,
+      user_agent: userAgent || session.user_agent,
+      last_used_at: new Date().toISOString(),
+      expires_at: nextExpiry(session.created_at)
+    })
+    .eq('id', session.id)
+    .eq('refresh_token_hash', presentedHash)
+    .is('revoked_at', null)
+    .select('*');
+
+  if (rotateError) {
+    throw new Error(`Failed to rotate admin session: ${rotateError.message}`);
+  }
+  if (!rotated || rotated.length === 0) {
+    // Another request refreshed with the same token first
+    return { success: false, error: 'Invalid refresh token' };
+  }
+
+  return {
+    success: true,
+    token: accessTokenFor(user, rotated[0]),
+    refreshToken: `${session.id}.${newSecret}`,
+    expiresIn: ACCESS_TOKEN_SECONDS,
+    user
+  };
+}
+
+/**
+ * Record a 2FA confirmation on a session and get an access token showing it
+ * @returns {Promise<string|null>} null if the session or account is gone
+ */
+async function confirmSessionTwoFactor(sessionId, userId) {
+  const user = await getAdminUser(userId);
+  if (!user || !user.is_active) {
+    return null;
+  }
+
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('admin_sessions')
+    .update({ mfa_at: new Date().toISOString() })
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .select('*');
+
+  if (error) {
+    throw new Error(`Failed to update admin session: ${error.message}`);
+  }
+
+  return data && data.length > 0 ? accessTokenFor(user, data[0]) : null;
+}
+
+/**
+ * An admin's live sessions, most recently used first
+ */
+async function listAdminSessions(userId, currentSessionId = null) {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('admin_sessions')
+    .select(PUBLIC_COLUMNS)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_used_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to list admin sessions: ${error.message}`);
+  }
+
+  return (data || []).map(session => formatSession(session, currentSessionId));
+}
+
+/**
+ * Revoke one session
+ * @param {string} sessionId - The session
+ * @param {Object} [options] - { userId: only if it belongs to this account, reason }
+ * @returns {Promise<boolean>} false if there was no such live session
+ */
+async function revokeAdminSession(sessionId, { userId = null, reason = 'logout' } = {}) {
+  const supabase = getClient();
+  let query = supabase
+    .from('admin_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('id', sessionId)
+    .is('revoked_at', null);
+  if (userId) query = query.eq('user_id', userId);
+
+  const { data, error } = await query.select('id');
+
+  if (error) {
+    throw new Error(`Failed to revoke admin session: ${error.message}`);
+  }
+
+  forgetAdminSessions([sessionId]);
+  return (data || []).length > 0;
+}
+
+/**
+ * Revoke every live session of an account
+ * @returns {Promise<number>} How many were revoked
+ */
+async function revokeAllAdminSessions(userId, reason = 'sign_out_everywhere') {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('admin_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to revoke admin sessions: ${error.message}`);
+  }
+
+  const ids = (data || []).map(row => row.id);
+  forgetAdminSessions(ids);
+  return ids.length;
+}
+
+registerJob({
+  name: 'admin-sessions-cleanup',
+  description: `Delete admin sessions that ended over ${SESSION_RETENTION_DAYS} days ago`,
+  schedule: '50 3 * * *',
+  handler: async () => {
+    const cutoff = new Date(Date.now() - SESSION_RETENTION_DAYS * DAY_MS).toISOString();
+    const supabase = getClient();
+    const { count, error } = await supabase
+      .from('admin_sessions')
+      .delete({ count: 'exact' })
+      .or(`expires_at.lt.${cutoff},revoked_at.lt.${cutoff}`);
+
+    if (error) {
+      throw new Error('Failed to delete old admin sessions: ' + error.message);
+    }
+
+    return { deleted: count || 0 };
+  }
+});
+
+module.exports = {
+  ACCESS_TOKEN_SECONDS,
+  createAdminSession,
+  refreshAdminSession,
+  confirmSessionTwoFactor,
+  listAdminSessions,
+  revokeAdminSession,
+  revokeAllAdminSessions
+};
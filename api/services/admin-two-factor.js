@@ -0,0 +1,303 @@
+const crypto = require('node:crypto');
+const QRCode = require('qrcode');
+const { getSupabaseAdminClient } = require('../../database.js');
+const { generateTotpSecret, getTimeStep, verifyTotp, getOtpauthUrl } = require('../../lib/totp.js');
+
+/**
+ * ADMIN TWO-FACTOR AUTHENTICATION
+ * Optional TOTP for each admin account (database/admin-two-factor.sql).
+ * Enrolling is two steps: startTwoFactorEnrollment() hands out a secret
+ * and QR code, and the first code from the authenticator app confirms it
+ * and turns 2FA on. Confirming also issues BACKUP_CODE_COUNT one-time
+ * backup codes; only their hashes are kept.
+ *
+ * verifyTwoFactorCode() accepts either a TOTP code (each 30-second step
+ * once only) or an unused backup code. It is used for the second login
+ * step and for the fresh confirmation high-risk actions need
+ * (requireFreshTwoFactor in lib/admin-auth.js).
+ */
+
+const TOTP_ISSUER = process.env.ADMIN_TOTP_ISSUER || 'WhatNext Admin';
+const BACKUP_CODE_COUNT = 10;
+const TWO_FACTOR_COLUMNS = 'id, email, is_active, totp_enabled, totp_secret, totp_pending_secret, totp_backup_codes, totp_last_step, totp_enabled_at';
+
+/**
+ * Get the Supabase admin client or fail loudly
+ */
+function getClient() {
+  const supabase = getSupabaseAdminClient();
+  if (!supabase) {
+    throw new Error('Supabase admin client not available');
+  }
+  return supabase;
+}
+
+/**
+ * An account's two-factor columns, or null
+ */
+async function loadTwoFactorAccount(userId) {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('admin_users')
+    .select(TWO_FACTOR_COLUMNS)
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load two-factor settings for ${userId}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Write two-factor columns for an account
+ */
+async function updateTwoFactorAccount(userId, fields) {
+  const supabase = getClient();
+  const { error } = await supabase
+    .from('admin_users')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', userId);
+
+  if (error) {
+    throw new Error(`Failed to update two-factor settings for ${userId}: ${error.message}`);
+  }
+}
+
+/**
+ * Backup codes are compared without case, spaces or dashes
+ */
+function hashBackupCode(code) {
+  const normalized = String(code ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * A fresh set of backup codes and their hashes
+ */
+function generateBackupCodes() {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+}
+
+/**
+ * Whether 2FA is on for an account and how many backup codes are left
+ * @returns {Promise<Object|null>} null if the account does not exist
+ */
+async function getTwoFactorStatus(userId) {
+  const account = await loadTwoFactorAccount(userId);
+  if (!account) {
+    return null;
+  }
+
+  return {
+    enabled: account.totp_enabled,
+    enabledAt: account.totp_enabled_at,
+    enrollmentPending: !account.totp_enabled && Boolean(account.totp_pending_secret),
+    backupCodesRemaining: account.totp_enabled ? (account.totp_backup_codes || []).length : 0
+  };
+}
+
+/**
+ * Start enrolling: a new secret, its otpauth:// URL and a QR code of it.
+ * Nothing changes for the login until confirmTwoFactorEnrollment().
+ * @returns {Promise<Object|null>} { success, secret, otpauthUrl, qrCode } or { success: false, errors }; null if not found
+ */
+async function startTwoFactorEnrollment(userId) {
+  const account = await loadTwoFactorAccount(userId);
+  if (!account) {
+    return null;
+  }
+  if (account.totp_enabled) {
+    return { success: false, errors: ['Two-factor authentication is already enabled'] };
+  }
+
+  const secret = generateTotpSecret();
+  const otpauthUrl = getOtpauthUrl({ secret, accountName: account.email, issuer: TOTP_ISSUER });
+  await updateTwoFactorAccount(userId, { totp_pending_secret: secret });
+
+  return {
+    success: true,
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+}
+
+/**
+ * Finish enrolling with the first code from the authenticator app
+ * @returns {Promise<Object|null>} { success, backupCodes } or { success: false, errors }; null if not found
+ */
+async function confirmTwoFactorEnrollment(userId, code) {
+  const account = await loadTwoFactorAccount(userId);
+  if (!account) {
+    return null;
+  }
+  if (account.totp_enabled) {
+    return { success: false, errors: ['Two-factor authentication is already enabled'] };
+  }
+  if (!account.totp_pending_secret) {
+    return { success: false, errors: ['Start enrollment first'] };
+  }
+
+  const step = verifyTotp(account.totp_pending_secret, code);
+  if (step === null) {
+    return { success: false, errors: ['Invalid authentication code'] };
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+  await updateTwoFactorAccount(userId, {
+    totp_enabled: true,
+    totp_secret: account.totp_pending_secret,
+    totp_pending_secret: null,
+    totp_backup_codes: hashes,
+    totp_last_step: step,
+    totp_enabled_at: new Date().toISOString()
+  });
+
+  console.log(`🔐 Two-factor authentication enabled for ${account.email}`);
+  return { success: true, backupCodes: codes };
+}
+
+/**
+ * Use up a TOTP step; false if it (or a later one) was already used
+ */
+async function claimTimeStep(account, step) {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('admin_users')
+    .update({ totp_last_step: step })
+    .eq('id', account.id)
+    .lt('totp_last_step', step)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to record two-factor use for ${account.email}: ${error.message}`);
+  }
+
+  return (data || []).length > 0;
+}
+
+/**
+ * Use up a backup code; false if it is not one of the account's unused codes
+ */
+async function claimBackupCode(account, code) {
+  const hash = hashBackupCode(code);
+  const remaining = account.totp_backup_codes || [];
+  if (!remaining.includes(hash)) {
+    return false;
+  }
+
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('admin_users')
+    .update({ totp_backup_codes: remaining.filter(item => item !== hash) })
+    .eq('id', account.id)
+    .contains('totp_backup_codes', [hash])
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to use backup code for ${account.email}: ${error.message}`);
+  }
+
+  return (data || []).length > 0;
+}
+
+/**
+ * Check a TOTP or backup code for an account with 2FA on. A code that
+ * passes cannot be used again.
+ * @returns {Promise<{valid: boolean, method?: string, backupCodesRemaining?: number}>}
+ */
+async function verifyTwoFactorCode(userId, code) {
+  const account = await loadTwoFactorAccount(userId);
+  if (!account || !account.is_active || !account.totp_enabled || !code) {
+    return { valid: false };
+  }
+
+  const step = verifyTotp(account.totp_secret, code);
+  if (step !== null) {
+    return (await claimTimeStep(account, step)) ? { valid: true, method: 'totp' } : { valid: false };
+  }
+
+  if (await claimBackupCode(account, code)) {
+    const backupCodesRemaining = (account.totp_backup_codes || []).length - 1;
+    console.warn(`🔑 ${account.email} used a backup code, ${backupCodesRemaining} left`);
+    return { valid: true, method: 'backup_code', backupCodesRemaining };
+  }
+
+  return { valid: false };
+}
+
+/**
+ * Replace the backup codes, confirmed with a current code
+ * @returns {Promise<Object>} { success, backupCodes } or { success: false, errors }
+ */
+async function regenerateBackupCodes(userId, code) {
+  const check = await verifyTwoFactorCode(userId, code);
+  if (!check.valid) {
+    return { success: false, errors: ['Invalid authentication code'] };
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+  await updateTwoFactorAccount(userId, { totp_backup_codes: hashes });
+  return { success: true, backupCodes: codes };
+}
+
+/**
+ * Clear every two-factor column for an account
+ */
+async function clearTwoFactor(userId) {
+  await updateTwoFactorAccount(userId, {
+    totp_enabled: false,
+    totp_secret: null,
+    totp_pending_secret: null,
+    totp_backup_codes: [],
+    totp_last_step: null,
+    totp_enabled_at: null
+  });
+}
+
+/**
+ * Turn 2FA off, confirmed with a current code
+ * @returns {Promise<Object>} { success } or { success: false, errors }
+ */
+async function disableTwoFactor(userId, code) {
+  const check = await verifyTwoFactorCode(userId, code);
+  if (!check.valid) {
+    return { success: false, errors: ['Invalid authentication code'] };
+  }
+
+  await clearTwoFactor(userId);
+  console.log(`🔓 Two-factor authentication disabled for account ${userId}`);
+  return { success: true };
+}
+
+/**
+ * Owner override for an admin who lost their authenticator and backup codes
+ * @returns {Promise<boolean>} false if the account does not exist
+ */
+async function resetTwoFactor(userId) {
+  const account = await loadTwoFactorAccount(userId);
+  if (!account) {
+    return false;
+  }
+
+  await clearTwoFactor(userId);
+  console.warn(`🔓 Two-factor authentication reset for ${account.email}`);
+  return true;
+}
+
+module.exports = {
+  BACKUP_CODE_COUNT,
+  getTwoFactorStatus,
+  startTwoFactorEnrollment,
+  confirmTwoFactorEnrollment,
+  verifyTwoFactorCode,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  resetTwoFactor
+};
@@ -0,0 +1,513 @@
+const { getSupabaseAdminClient } = require('../../database.js');
+
+/**
+ * COMMUNITY ANNOUNCEMENTS
+ * Posts a message to the configured Discord channels and Telegram chats when
+ * a giveaway completes, a dividend distribution finishes or a location goes
+ * live. Each event has a message template with {{placeholders}} filled from
+ * the event; admins can override the templates, preview them and send a test
+ * (api/admin/announcements.js).
+ *
+ * Stored in app_settings:
+ *   announcements_enabled              'true' / 'false'
+ *   announcement_discord_bot_token     Discord bot token (needs Send Messages)
+ *   announcement_telegram_bot_token    Telegram bot token from @BotFather
+ *   announcement_channels              JSON [{ platform, channelId, events: ['*' | event] }]
+ *   announcement_templates             JSON { event: template } overriding the defaults
+ *
+ * DISCORD_API_URL and TELEGRAM_API_URL point the bots at another host, such
+ * as a local stand-in for testing.
+ *
+ * Announcing never throws, so a failed post can never fail the action that
+ * caused the event.
+ */
+
+const DISCORD_API_URL = process.env.DISCORD_API_URL || 'https://discord.com/api/v10';
+const TELEGRAM_API_URL = process.env.TELEGRAM_API_URL || 'https://api.telegram.org';
+
+const PLATFORMS = ['discord', 'telegram'];
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_TEMPLATE_LENGTH = 1500;
+const MESSAGE_LIMITS = { discord: 2000, telegram: 4096 };
+
+const SETTING_KEYS = {
+  enabled: 'announcements_enabled',
+  discordBotToken: 'announcement_discord_bot_token',
+  telegramBotToken: 'announcement_telegram_bot_token',
+  channels: 'announcement_channels',
+  templates: 'announcement_templates'
+};
+
+const SETTING_DESCRIPTIONS = {
+  enabled: 'Post community announcements to Discord and Telegram',
+  discordBotToken: 'Discord bot token used for announcements',
+  telegramBotToken: 'Telegram bot token used for announcements',
+  channels: 'Announcement channels: [{ platform, channelId, events }]',
+  templates: 'Announcement message templates by event (empty = default)'
+};
+
+/**
+ * Announced events: the default template, sample data for previews and
+ * how the raw event data is turned into template fields
+ */
+const ANNOUNCEMENT_EVENTS = {
+  'giveaway.completed': {
+    description: 'A daily giveaway was processed and its winners paid',
+    defaultTemplate: '🎉 The {{date}} giveaway is done! {{successfulPayments}} winner(s) received {{prizePerWinner}} SOL each from a {{prizePool}} SOL prize pool.',
+    sample: { date: '2025-01-01', winnersCount: 3, successfulPayments: 3, failedPayments: 0, prizePool: 1.5, prizePerWinner: 0.5, marketCap: 250000 },
+    fields: data => ({
+      date: data.date,
+      winnersCount: data.winnersCount,
+      successfulPayments: data.successfulPayments,
+      failedPayments: data.failedPayments,
+      prizePool: formatSol(data.prizePool),
+      prizePerWinner: formatSol(data.prizePerWinner),
+      marketCap: formatUsd(data.marketCap)
+    })
+  },
+  'dividend.distribution_completed': {
+    description: 'Creator fees were claimed and distributed to holders',
+    defaultTemplate: '💰 Dividends are out! {{distributionAmount}} SOL was shared between {{holdersCount}} holders.',
+    sample: { claimId: 'sample', claimedAmount: 2.5, distributionAmount: 2.25, holdersCount: 120, payoutMode: 'push', transactionId: null },
+    fields: data => ({
+      claimedAmount: formatSol(data.claimedAmount),
+      distributionAmount: formatSol(data.distributionAmount),
+      holdersCount: data.holdersCount,
+      payoutMode: data.payoutMode,
+      transactionId: data.transactionId
+    })
+  },
+  'live_stream.started': {
+    description: 'A location was set live',
+    defaultTemplate: '🔴 We are live from {{locationName}}! {{streamUrl}}',
+    sample: { location: { name: 'Tokyo', country: 'Japan', slug: 'tokyo' }, streamUrl: 'https://pump.fun' },
+    fields: data => ({
+      locationName: data.location?.name,
+      country: data.location?.country,
+      slug: data.location?.slug,
+      streamUrl: data.streamUrl
+    })
+  }
+};
+
+/**
+ * Get the Supabase admin client or fail loudly
+ */
+function getClient() {
+  const supabase = getSupabaseAdminClient();
+  if (!supabase) {
+    throw new Error('Supabase admin client not available');
+  }
+  return supabase;
+}
+
+/**
+ * SOL amount for a message, at most 4 decimals
+ */
+function formatSol(amount) {
+  const value = Number(amount);
+  return Number.isFinite(value) ? String(Number(value.toFixed(4))) : undefined;
+}
+
+/**
+ * USD amount for a message, e.g. $250,000
+ */
+function formatUsd(amount) {
+  const value = Number(amount);
+  return Number.isFinite(value) ? `$${Math.round(value).toLocaleString('en-US')}` : undefined;
+}
+
+/**
+ * Show only the end of a bot token
+ */
+function maskToken(token) {
+  return token ? `…${token.slice(-4)}` : '';
+}
+
+/**
+ * Whether a token is the masked form shown in the admin panel
+ */
+function isMasked(token) {
+  return typeof token === 'string' && token.startsWith('…');
+}
+
+/**
+ * Parse a JSON setting, falling back when it is empty or broken
+ */
+function parseJsonSetting(value, fallback, key) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    console.warn(`⚠️ app_settings ${key} is not valid JSON, ignoring it`);
+    return fallback;
+  }
+}
+
+/**
+ * Validate announcement settings; omitted fields are left alone
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateAnnouncementSettings({ enabled, discordBotToken, telegramBotToken, channels, templates } = {}) {
+  const errors = [];
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+  if (discordBotToken !== undefined && discordBotToken !== null && typeof discordBotToken !== 'string') {
+    errors.push('discordBotToken must be a string');
+  }
+  if (telegramBotToken !== undefined && telegramBotToken !== null && typeof telegramBotToken !== 'string') {
+    errors.push('telegramBotToken must be a string');
+  }
+
+  if (channels !== undefined) {
+    if (!Array.isArray(channels)) {
+      errors.push('channels must be an array');
+    } else {
+      channels.forEach((channel, index) => {
+        if (!channel || typeof channel !== 'object') {
+          errors.push(`channels[${index}] must be an object`);
+          return;
+        }
+        if (!PLATFORMS.includes(channel.platform)) {
+          errors.push(`channels[${index}].platform must be one of ${PLATFORMS.join(', ')}`);
+        }
+        if (channel.platform === 'discord' && !/^\d{5,25}$/.test(String(channel.channelId ?? ''))) {
+          errors.push(`channels[${index}].channelId must be a Discord channel id`);
+        }
+        if (channel.platform === 'telegram' && !/^(-?\d{1,20}|@\w{4,})$/.test(String(channel.channelId ?? ''))) {
+          errors.push(`channels[${index}].channelId must be a Telegram chat id or @channelname`);
+        }
+        if (!Array.isArray(channel.events) || channel.events.length === 0) {
+          errors.push(`channels[${index}].events must list at least one event ('*' for all)`);
+        } else {
+          const unknown = channel.events.filter(event => event !== '*' && !ANNOUNCEMENT_EVENTS[event]);
+          if (unknown.length > 0) {
+            errors.push(`channels[${index}] has unknown events: ${unknown.join(', ')}`);
+          }
+        }
+      });
+    }
+  }
+
+  if (templates !== undefined) {
+    if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+      errors.push('templates must be an object keyed by event');
+    } else {
+      for (const [event, template] of Object.entries(templates)) {
+        if (!ANNOUNCEMENT_EVENTS[event]) {
+          errors.push(`templates.${event} is not an announcement event`);
+        } else if (template !== null && typeof template !== 'string') {
+          errors.push(`templates.${event} must be a string (empty = default)`);
+        } else if (template && template.length > MAX_TEMPLATE_LENGTH) {
+          errors.push(`templates.${event} must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+        }
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Load the announcement settings from app_settings, bot tokens included
+ */
+async function loadAnnouncementSettings() {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('app_settings')
+    .select('key, value')
+    .in('key', [...Object.values(SETTING_KEYS), 'live_stream_url']);
+
+  if (error) {
+    throw new Error(`Failed to load announcement settings: ${error.message}`);
+  }
+
+  const stored = {};
+  for (const row of data || []) {
+    stored[row.key] = row.value;
+  }
+
+  const channels = parseJsonSetting(stored[SETTING_KEYS.channels], [], SETTING_KEYS.channels);
+  const templates = parseJsonSetting(stored[SETTING_KEYS.templates], {}, SETTING_KEYS.templates);
+  const { valid, errors } = validateAnnouncementSettings({ channels, templates });
+  if (!valid) {
+    console.warn(`⚠️ Stored announcement channels or templates are invalid, ignoring them: ${errors.join('; ')}`);
+  }
+
+  return {
+    enabled: stored[SETTING_KEYS.enabled] === 'true',
+    discordBotToken: stored[SETTING_KEYS.discordBotToken] || '',
+    telegramBotToken: stored[SETTING_KEYS.telegramBotToken] || '',
+    channels: valid ? channels : [],
+    templates: valid ? templates : {},
+    streamUrl: stored.live_stream_url || ''
+  };
+}
+
+/**
+ * Announcement settings for the admin panel, with the bot tokens masked
+ */
+async function getAnnouncementSettings() {
+  const settings = await loadAnnouncementSettings();
+
+  return {
+    enabled: settings.enabled,
+    discordBotToken: maskToken(settings.discordBotToken),
+    telegramBotToken: maskToken(settings.telegramBotToken),
+    channels: settings.channels,
+    templates: Object.fromEntries(Object.keys(ANNOUNCEMENT_EVENTS).map(event => [
+      event,
+      settings.templates[event] || ANNOUNCEMENT_EVENTS[event].defaultTemplate
+    ])),
+    customTemplates: Object.keys(settings.templates).filter(event => settings.templates[event])
+  };
+}
+
+/**
+ * Validate and store announcement settings; omitted fields are left alone.
+ * A template set to '' or null goes back to the default.
+ */
+async function saveAnnouncementSettings(updates) {
+  const { valid, errors } = validateAnnouncementSettings(updates);
+
+  if (!valid) {
+    return { success: false, errors };
+  }
+
+  const current = await loadAnnouncementSettings();
+  const values = {};
+
+  if (updates.enabled !== undefined) values.enabled = String(updates.enabled);
+  // A masked token sent back from getAnnouncementSettings() means unchanged
+  if (updates.discordBotToken !== undefined && !isMasked(updates.discordBotToken)) {
+    values.discordBotToken = (updates.discordBotToken || '').trim();
+  }
+  if (updates.telegramBotToken !== undefined && !isMasked(updates.telegramBotToken)) {
+    values.telegramBotToken = (updates.telegramBotToken || '').trim();
+  }
+  if (updates.channels !== undefined) {
+    values.channels = JSON.stringify(updates.channels.map(channel => ({
+      platform: channel.platform,
+      channelId: String(channel.channelId),
+      events: [...new Set(channel.events)]
+    })));
+  }
+  if (updates.templates !== undefined) {
+    const templates = { ...current.templates };
+    for (const [event, template] of Object.entries(updates.templates)) {
+      if (template) {
+        templates[event] = template;
+      } else {
+        delete templates[event];
+      }
+    }
+    values.templates = JSON.stringify(templates);
+  }
+
+  const rows = Object.entries(values).map(([field, value]) => ({
+    key: SETTING_KEYS[field],
+    value,
+    description: SETTING_DESCRIPTIONS[field],
+    updated_at: new Date().toISOString()
+  }));
+
+  if (rows.length > 0) {
+    const supabase = getClient();
+    const { error } = await supabase
+      .from('app_settings')
+      .upsert(rows, { onConflict: 'key' });
+
+    if (error) {
+      throw new Error(`Failed to save announcement settings: ${error.message}`);
+    }
+  }
+
+  console.log('✅ Announcement settings updated');
+  return { success: true, settings: await getAnnouncementSettings() };
+}
+
+/**
+ * Fill a template's {{placeholders}}; unknown or empty ones become ''
+ */
+function renderTemplate(template, fields) {
+  return template
+    .replaceAll(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+      const value = fields[name];
+      return value === undefined || value === null ? '' : String(value);
+    })
+    .trim();
+}
+
+/**
+ * Build the message for an event
+ * @param {string} event One of ANNOUNCEMENT_EVENTS
+ * @param {Object} data Event details
+ * @param {Object} settings Loaded announcement settings
+ * @param {string} [template] Template to use instead of the configured one
+ */
+function buildMessage(event, data, settings, template) {
+  const definition = ANNOUNCEMENT_EVENTS[event];
+  const fields = definition.fields({ streamUrl: settings.streamUrl, ...data });
+  return renderTemplate(template || settings.templates[event] || definition.defaultTemplate, fields);
+}
+
+/**
+ * Post a message to a Discord channel as the bot
+ */
+async function postToDiscord(token, channelId, text) {
+  const response = await fetch(`${DISCORD_API_URL}/channels/${channelId}/messages`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bot ${token}`
+    },
+    body: JSON.stringify({ content: text, allowed_mentions: { parse: [] } }),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(`Discord returned ${response.status}${body.message ? `: ${body.message}` : ''}`);
+  }
+
+  const message = await response.json().catch(() => ({}));
+  return message.id || null;
+}
+
+/**
+ * Send a message to a Telegram chat as the bot
+ */
+async function postToTelegram(token, chatId, text) {
+  const response = await fetch(`${TELEGRAM_API_URL}/bot${token}/sendMessage`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ chat_id: chatId, text }),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || !body.ok) {
+    throw new Error(`Telegram returned ${response.status}${body.description ? `: ${body.description}` : ''}`);
+  }
+
+  return body.result?.message_id ?? null;
+}
+
+/**
+ * Post a message to one channel
+ * @returns {Promise<Object>} { platform, channelId, sent, messageId?, error? }
+ */
+async function sendToChannel(channel, text, settings) {
+  const result = { platform: channel.platform, channelId: channel.channelId };
+  const token = channel.platform === 'discord' ? settings.discordBotToken : settings.telegramBotToken;
+
+  if (!token) {
+    return { ...result, sent: false, error: `No ${channel.platform} bot token configured` };
+  }
+
+  const message = text.slice(0, MESSAGE_LIMITS[channel.platform]);
+
+  try {
+    const messageId = channel.platform === 'discord'
+      ? await postToDiscord(token, channel.channelId, message)
+      : await postToTelegram(token, channel.channelId, message);
+    return { ...result, sent: true, messageId };
+  } catch (error) {
+    console.error(`❌ Failed to post announcement to ${channel.platform} ${channel.channelId}:`, error.message);
+    return { ...result, sent: false, error: error.message };
+  }
+}
+
+/**
+ * Channels subscribed to an event
+ */
+function channelsFor(event, settings) {
+  return settings.channels.filter(channel => channel.events.includes('*') || channel.events.includes(event));
+}
+
+/**
+ * Announce an event in every channel subscribed to it
+ * @param {string} event One of ANNOUNCEMENT_EVENTS
+ * @param {Object} data Event details
+ * @returns {Promise<Object[]>} Result per channel
+ */
+async function announce(event, data) {
+  try {
+    if (!ANNOUNCEMENT_EVENTS[event]) {
+      throw new Error(`Unknown announcement event: ${event}`);
+    }
+
+    const settings = await loadAnnouncementSettings();
+    if (!settings.enabled) return [];
+
+    const channels = channelsFor(event, settings);
+    if (channels.length === 0) return [];
+
+    const text = buildMessage(event, data, settings);
+    const results = await Promise.all(channels.map(channel => sendToChannel(channel, text, settings)));
+    console.log(`📢 Announced ${event} in ${results.filter(result => result.sent).length}/${results.length} channel(s)`);
+    return results;
+  } catch (error) {
+    console.error(`⚠️ Failed to announce ${event}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Render an event's message without sending it. Uses the event's sample
+ * data unless data is given, and the configured template unless one is given.
+ */
+async function previewAnnouncement(event, { data, template } = {}) {
+  const settings = await loadAnnouncementSettings();
+  const definition = ANNOUNCEMENT_EVENTS[event];
+
+  return {
+    event,
+    text: buildMessage(event, data || definition.sample, settings, template),
+    channels: channelsFor(event, settings),
+    enabled: settings.enabled
+  };
+}
+
+/**
+ * Send a preview to the channels subscribed to the event, or to one
+ * configured channel. Works while announcements are disabled so the
+ * setup can be checked first.
+ * @param {string} event One of ANNOUNCEMENT_EVENTS
+ * @param {Object} options
+ * @param {Object} [options.data] Event details (default: sample data)
+ * @param {string} [options.template] Template to try out
+ * @param {number} [options.channelIndex] Index into the configured channels
+ * @returns {Promise<Object|null>} null if channelIndex is not a configured channel
+ */
+async function sendTestAnnouncement(event, { data, template, channelIndex } = {}) {
+  const settings = await loadAnnouncementSettings();
+  const definition = ANNOUNCEMENT_EVENTS[event];
+
+  let channels;
+  if (channelIndex === undefined || channelIndex === null) {
+    channels = channelsFor(event, settings);
+  } else {
+    if (!settings.channels[channelIndex]) return null;
+    channels = [settings.channels[channelIndex]];
+  }
+
+  const text = `[TEST] ${buildMessage(event, data || definition.sample, settings, template)}`;
+  const results = await Promise.all(channels.map(channel => sendToChannel(channel, text, settings)));
+
+  return { event, text, results };
+}
+
+module.exports = {
+  ANNOUNCEMENT_EVENTS,
+  PLATFORMS,
+  validateAnnouncementSettings,
+  getAnnouncementSettings,
+  saveAnnouncementSettings,
+  renderTemplate,
+  announce,
+  previewAnnouncement,
+  sendTestAnnouncement
+};
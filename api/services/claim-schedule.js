@@ -0,0 +1,263 @@
+const dividendStore = require('../../lib/dividend-store.js');
+const { validateCronExpression, getNextCronTime } = require('../../lib/cron-expression.js');
+
+/**
+ * DIVIDEND CLAIM SCHEDULE
+ * When claims run. The cadence is a cron expression (UTC), or
+ * auto_claim_settings.claim_interval_minutes when none is set. Blackout
+ * windows are daily UTC time ranges, optionally limited to some weekdays,
+ * when no scheduled claim may run (e.g. while giveaways are calculated);
+ * a claim that falls due in one waits until it ends. A minimum-fees trigger
+ * claims early once that much is waiting in the fee account.
+ *
+ * Stored in dividend_config 'claim_cron_expression', 'claim_blackout_windows'
+ * and 'claim_min_fees_trigger_sol'.
+ */
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BLACKOUT_HOPS = 50; // Back-to-back windows are followed to their end, within reason
+
+const DEFAULT_CLAIM_SCHEDULE = {
+  cronExpression: null,
+  blackoutWindows: [],
+  minFeesTriggerSol: 0
+};
+
+/**
+ * Minutes since midnight for an 'HH:MM' time
+ */
+function toMinutes(time) {
+  const [, hours, minutes] = TIME_OF_DAY.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Validate one blackout window
+ * @returns {string[]} Problems found
+ */
+function validateBlackoutWindow(window, index) {
+  const errors = [];
+  const prefix = `blackoutWindows[${index}]`;
+
+  if (!window || typeof window !== 'object') {
+    return [`${prefix} must be an object`];
+  }
+
+  if (typeof window.label !== 'string' || !window.label.trim()) {
+    errors.push(`${prefix}.label is required`);
+  }
+
+  for (const key of ['start', 'end']) {
+    if (typeof window[key] !== 'string' || !TIME_OF_DAY.test(window[key])) {
+      errors.push(`${prefix}.${key} must be a UTC time as HH:MM`);
+    }
+  }
+
+  if (window.start && window.start === window.end) {
+    errors.push(`${prefix} start and end must differ`);
+  }
+
+  if (window.days !== undefined && window.days !== null) {
+    const validDays = Array.isArray(window.days)
+      && window.days.length > 0
+      && window.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+    if (!validDays) {
+      errors.push(`${prefix}.days must be a list of weekdays 0-6 (0 = Sunday)`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate claim schedule settings; omitted fields are left alone
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateClaimSchedule({ cronExpression, blackoutWindows, minFeesTriggerSol } = {}) {
+  const errors = [];
+
+  if (cronExpression !== undefined && cronExpression !== null && cronExpression !== '') {
+    const problem = validateCronExpression(cronExpression);
+    if (problem) {
+      errors.push(`cronExpression: ${problem}`);
+    } else if (!getNextCronTime(cronExpression)) {
+      errors.push('cronExpression never fires');
+    }
+  }
+
+  if (blackoutWindows !== undefined) {
+    if (Array.isArray(blackoutWindows)) {
+      blackoutWindows.forEach((window, index) => errors.push(...validateBlackoutWindow(window, index)));
+    } else {
+      errors.push('blackoutWindows must be a list');
+    }
+  }
+
+  if (minFeesTriggerSol !== undefined) {
+    const value = Number(minFeesTriggerSol);
+    if (minFeesTriggerSol === null || !Number.isFinite(value) || value < 0) {
+      errors.push('minFeesTriggerSol must be a number >= 0 (0 = off)');
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Load the claim schedule settings, falling back to the defaults
+ */
+async function getClaimSchedule() {
+  try {
+    const [cronExpression, blackoutWindows, minFeesTrigger] = await Promise.all([
+      dividendStore.getConfigValue('claim_cron_expression'),
+      dividendStore.getConfigValue('claim_blackout_windows'),
+      dividendStore.getConfigValue('claim_min_fees_trigger_sol')
+    ]);
+
+    const windows = typeof blackoutWindows === 'string' ? JSON.parse(blackoutWindows) : blackoutWindows;
+    const schedule = {
+      cronExpression: cronExpression || null,
+      blackoutWindows: Array.isArray(windows) ? windows : [],
+      minFeesTriggerSol: Number.parseFloat(minFeesTrigger) > 0 ? Number.parseFloat(minFeesTrigger) : 0
+    };
+
+    const { valid, errors } = validateClaimSchedule(schedule);
+    if (!valid) {
+      console.warn(`⚠️ Stored claim schedule is invalid, using defaults: ${errors.join('; ')}`);
+      return { ...DEFAULT_CLAIM_SCHEDULE, blackoutWindows: [] };
+    }
+
+    return schedule;
+  } catch (error) {
+    console.error('❌ Failed to load claim schedule, using defaults:', error.message);
+    return { ...DEFAULT_CLAIM_SCHEDULE, blackoutWindows: [] };
+  }
+}
+
+/**
+ * Validate and store claim schedule settings; omitted fields are left alone
+ */
+async function saveClaimSchedule({ cronExpression, blackoutWindows, minFeesTriggerSol }) {
+  const { valid, errors } = validateClaimSchedule({ cronExpression, blackoutWindows, minFeesTriggerSol });
+
+  if (!valid) {
+    return { success: false, errors };
+  }
+
+  if (cronExpression !== undefined) {
+    await dividendStore.setConfigValue(
+      'claim_cron_expression',
+      cronExpression ? cronExpression.trim() : '',
+      'string',
+      'Cron expression (UTC) for scheduled dividend claims; empty uses claim_interval_minutes'
+    );
+  }
+
+  if (blackoutWindows !== undefined) {
+    await dividendStore.setConfigValue(
+      'claim_blackout_windows',
+      JSON.stringify(blackoutWindows.map(window => ({
+        label: window.label.trim(),
+        start: window.start,
+        end: window.end,
+        ...(window.days ? { days: window.days } : {})
+      }))),
+      'json',
+      'Daily UTC windows in which scheduled dividend claims may not run'
+    );
+  }
+
+  if (minFeesTriggerSol !== undefined) {
+    await dividendStore.setConfigValue(
+      'claim_min_fees_trigger_sol',
+      String(Number(minFeesTriggerSol)),
+      'number',
+      'Claim early once this much SOL is waiting in the fee account (0 = off)'
+    );
+  }
+
+  const schedule = await getClaimSchedule();
+  console.log('✅ Claim schedule updated:', schedule);
+  return { success: true, schedule };
+}
+
+/**
+ * Find the blackout window `time` falls in, if any
+ * @returns {Object|null} The window with the time it ends (endsAt)
+ */
+function findActiveBlackout(windows, time = new Date()) {
+  const dayStart = Date.UTC(time.getUTCFullYear(), time.getUTCMonth(), time.getUTCDate());
+
+  for (const window of windows) {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+
+    // Check the window that opened today and, for overnight windows, the one that opened yesterday
+    for (const openedOn of [dayStart, dayStart - DAY_MS]) {
+      const weekday = new Date(openedOn).getUTCDay();
+      if (window.days && !window.days.includes(weekday)) continue;
+
+      const startsAt = openedOn + start * 60 * 1000;
+      const endsAt = openedOn + (end > start ? end : end + 24 * 60) * 60 * 1000;
+
+      if (time.getTime() >= startsAt && time.getTime() < endsAt) {
+        return { ...window, endsAt: new Date(endsAt).toISOString() };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Move a time past any blackout windows it falls in
+ */
+function deferPastBlackouts(time, windows) {
+  let result = time;
+
+  for (let hop = 0; hop < MAX_BLACKOUT_HOPS; hop++) {
+    const blackout = findActiveBlackout(windows, result);
+    if (!blackout) break;
+    result = new Date(blackout.endsAt);
+  }
+
+  return result;
+}
+
+/**
+ * Work out when the next scheduled claim after `from` should run
+ * @param {Object} settings auto_claim_settings (claim_interval_minutes)
+ * @param {Object} schedule Claim schedule settings
+ */
+function getNextClaimTime(settings, schedule, from = new Date()) {
+  const scheduled = (schedule.cronExpression && getNextCronTime(schedule.cronExpression, from))
+    || new Date(from.getTime() + settings.claim_interval_minutes * 60 * 1000);
+
+  return deferPastBlackouts(scheduled, schedule.blackoutWindows);
+}
+
+/**
+ * List the next few scheduled claim times
+ */
+function getUpcomingClaimTimes(settings, schedule, count = 5, from = new Date()) {
+  const times = [];
+  let cursor = from;
+
+  for (let i = 0; i < count; i++) {
+    cursor = getNextClaimTime(settings, schedule, cursor);
+    times.push(cursor.toISOString());
+  }
+
+  return times;
+}
+
+module.exports = {
+  DEFAULT_CLAIM_SCHEDULE,
+  validateClaimSchedule,
+  getClaimSchedule,
+  saveClaimSchedule,
+  findActiveBlackout,
+  getNextClaimTime,
+  getUpcomingClaimTimes
+};
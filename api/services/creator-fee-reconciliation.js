@@ -0,0 +1,335 @@
+const { Connection, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const dividendStore = require('../../lib/dividend-store.js');
+const { getCreatorWalletAddress } = require('../../lib/creator-fee-claimer.js');
+const { registerJob, getJobRuns } = require('./job-runner.js');
+
+/**
+ * CREATOR FEE RECONCILIATION
+ * lib/creator-fee-claimer.js broadcasts the fee-collection transaction and
+ * the claim is recorded in dividend_claims, but nothing checked the two
+ * against each other. This job reads the creator wallet's transaction
+ * history, keeps every fee collection it finds in creator_fee_collections
+ * and matches them to claims by signature:
+ * - a collection with no claim is flagged 'missing_claim'
+ * - a claim whose transaction is missing, failed or collected no fees is
+ *   flagged on the claim
+ * - a claim whose recorded amount differs from what the wallet received is
+ *   flagged 'amount_mismatch' on both sides
+ *
+ * History is scanned incrementally from the newest signature of the last
+ * scan ('creator_fee_scan_cursor'). Totals are reported from
+ * GET /api/admin/creator-fees/status.
+ */
+
+const SOLANA_RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
+const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
+
+const RECONCILIATION_JOB = 'creator-fee-reconciliation';
+const SCAN_CURSOR_KEY = 'creator_fee_scan_cursor';
+const SIGNATURE_PAGE_SIZE = 1000;
+const MAX_SIGNATURE_PAGES = 10; // The first scan reads at most the last 10,000 transactions
+const PARSE_BATCH_SIZE = 25;
+const AMOUNT_TOLERANCE_SOL = 0.000001;
+const REPORT_LIMIT = 50;
+
+// PumpFun (bonding curve) and PumpSwap log the instruction name
+const FEE_COLLECTION_LOG = /Instruction: Collect(Coin)?CreatorFee/;
+const CHAIN_MISSING_STATUSES = new Set(['missing_on_chain', 'failed_on_chain', 'not_fee_collection', 'no_transaction']);
+
+/**
+ * Whether a parsed transaction collected creator fees
+ */
+function isFeeCollection(transaction) {
+  return !!transaction?.meta?.logMessages?.some(line => FEE_COLLECTION_LOG.test(line));
+}
+
+/**
+ * SOL the wallet received in a transaction, before the network fee it paid
+ */
+function getCollectedSol(transaction, wallet) {
+  const index = transaction.transaction.message.accountKeys
+    .findIndex(key => key.pubkey.toString() === wallet);
+
+  if (index === -1) {
+    return 0;
+  }
+
+  const { preBalances, postBalances, fee } = transaction.meta;
+  const lamports = postBalances[index] - preBalances[index] + (index === 0 ? fee : 0);
+  return lamports / LAMPORTS_PER_SOL;
+}
+
+/**
+ * Build a creator_fee_collections row from a parsed transaction
+ */
+function toCollection(signature, transaction, wallet) {
+  return {
+    signature,
+    slot: transaction.slot,
+    block_time: transaction.blockTime ? new Date(transaction.blockTime * 1000).toISOString() : null,
+    amount_sol: getCollectedSol(transaction, wallet)
+  };
+}
+
+/**
+ * Find fee collections in the wallet's history since the last scan
+ */
+async function scanFeeCollections(wallet) {
+  const cursor = (await dividendStore.getConfigValue(SCAN_CURSOR_KEY)) || undefined;
+  const address = new PublicKey(wallet);
+  const signatures = [];
+  let before;
+  let truncated = true;
+
+  for (let page = 0; page < MAX_SIGNATURE_PAGES; page++) {
+    const batch = await connection.getSignaturesForAddress(address, {
+      limit: SIGNATURE_PAGE_SIZE,
+      before,
+      until: cursor
+    });
+    signatures.push(...batch);
+
+    if (batch.length < SIGNATURE_PAGE_SIZE) {
+      truncated = false;
+      break;
+    }
+    before = batch[batch.length - 1].signature;
+  }
+
+  if (truncated) {
+    console.warn(`⚠️ Creator fee scan stopped after ${signatures.length} transactions; older history was not read`);
+  }
+
+  const successful = signatures.filter(entry => !entry.err).map(entry => entry.signature);
+  const collections = [];
+
+  for (let i = 0; i < successful.length; i += PARSE_BATCH_SIZE) {
+    const batch = successful.slice(i, i + PARSE_BATCH_SIZE);
+    const transactions = await connection.getParsedTransactions(batch, { maxSupportedTransactionVersion: 0 });
+
+    transactions.forEach((transaction, index) => {
+      if (isFeeCollection(transaction)) {
+        collections.push(toCollection(batch[index], transaction, wallet));
+      }
+    });
+  }
+
+  return {
+    collections,
+    scanned: signatures.length,
+    truncated,
+    newestSignature: signatures[0]?.signature || null
+  };
+}
+
+/**
+ * Work out a claim's reconciliation status. A claim whose transaction was
+ * not found by the scan is looked up directly and, if it collected fees,
+ * added to the collections.
+ */
+async function reconcileClaim(claim, collections, wallet) {
+  const signature = claim.transaction_id;
+
+  if (!signature) {
+    return { status: 'no_transaction', onchainAmount: null };
+  }
+
+  if (!collections.has(signature)) {
+    const transaction = await connection.getParsedTransaction(signature, { maxSupportedTransactionVersion: 0 });
+
+    if (!transaction) {
+      return { status: 'missing_on_chain', onchainAmount: null };
+    }
+    if (transaction.meta?.err) {
+      return { status: 'failed_on_chain', onchainAmount: null };
+    }
+    if (!isFeeCollection(transaction)) {
+      return { status: 'not_fee_collection', onchainAmount: null };
+    }
+
+    collections.set(signature, toCollection(signature, transaction, wallet));
+  }
+
+  const onchainAmount = Number(collections.get(signature).amount_sol);
+  const mismatch = Math.abs(Number(claim.claimed_amount) - onchainAmount) > AMOUNT_TOLERANCE_SOL;
+
+  return { status: mismatch ? 'amount_mismatch' : 'matched', onchainAmount };
+}
+
+/**
+ * Scan the creator wallet and reconcile its fee collections with dividend claims
+ */
+async function reconcileCreatorFees() {
+  if (!process.env.CREATOR_WALLET_ADDRESS && !process.env.AWS_SECRET_NAME) {
+    console.log('⚠️ Creator wallet not configured - skipping creator fee reconciliation');
+    return { skipped: true, reason: 'Creator wallet not configured' };
+  }
+
+  const wallet = await getCreatorWalletAddress();
+  console.log(`🔍 Reconciling creator fee claims for ${wallet}...`);
+
+  const scan = await scanFeeCollections(wallet);
+  const claims = await dividendStore.getClaimsForReconciliation();
+  const collections = new Map((await dividendStore.getFeeCollections()).map(row => [row.signature, row]));
+
+  for (const collection of scan.collections) {
+    collections.set(collection.signature, { ...collections.get(collection.signature), ...collection });
+  }
+
+  const now = new Date().toISOString();
+  const claimsBySignature = new Map();
+  const counts = { matched: 0, amountMismatches: 0, missingOnChain: 0, missingClaims: 0 };
+
+  for (const claim of claims) {
+    const { status, onchainAmount } = await reconcileClaim(claim, collections, wallet);
+
+    if (claim.transaction_id) {
+      claimsBySignature.set(claim.transaction_id, { claim, status });
+    }
+    if (status === 'matched') counts.matched++;
+    else if (status === 'amount_mismatch') counts.amountMismatches++;
+    else counts.missingOnChain++;
+
+    const previousAmount = claim.onchain_amount === null ? null : Number(claim.onchain_amount);
+    if (status !== claim.reconciliation_status || onchainAmount !== previousAmount) {
+      await dividendStore.updateClaim(claim.id, {
+        reconciliation_status: status,
+        onchain_amount: onchainAmount,
+        reconciled_at: now
+      });
+    }
+  }
+
+  const rows = [...collections.values()].map(collection => {
+    const match = claimsBySignature.get(collection.signature);
+    if (!match) counts.missingClaims++;
+
+    return {
+      ...collection,
+      claim_id: match ? match.claim.id : null,
+      status: match ? match.status : 'missing_claim',
+      reconciled_at: now
+    };
+  });
+  await dividendStore.upsertFeeCollections(rows);
+
+  if (scan.newestSignature) {
+    await dividendStore.setConfigValue(
+      SCAN_CURSOR_KEY,
+      scan.newestSignature,
+      'string',
+      'Newest creator wallet transaction signature already scanned for fee collections (written by the reconciliation job)'
+    );
+  }
+
+  console.log(`✅ Creator fee reconciliation: ${counts.matched} matched, ${counts.missingClaims} missing claims, ${counts.missingOnChain} missing on chain, ${counts.amountMismatches} amount mismatches`);
+
+  return {
+    wallet,
+    scannedTransactions: scan.scanned,
+    scanTruncated: scan.truncated,
+    newCollections: scan.collections.length,
+    ...counts
+  };
+}
+
+/**
+ * Round a SOL total to lamport precision
+ */
+function roundSol(value) {
+  return Number(value.toFixed(9));
+}
+
+/**
+ * Sum a numeric column in SOL
+ */
+function sumSol(rows, field) {
+  return roundSol(rows.reduce((total, row) => total + Number(row[field] || 0), 0));
+}
+
+/**
+ * Describe a claim for the report
+ */
+function describeClaim(claim) {
+  return {
+    claimId: claim.id,
+    claimTimestamp: claim.claim_timestamp,
+    transactionId: claim.transaction_id,
+    claimedSol: Number(claim.claimed_amount),
+    onchainSol: claim.onchain_amount === null ? null : Number(claim.onchain_amount),
+    status: claim.reconciliation_status,
+    reconciledAt: claim.reconciled_at
+  };
+}
+
+/**
+ * Reconciliation totals and the claims flagged on either side
+ */
+async function getReconciliationReport() {
+  const [claims, collections, runs] = await Promise.all([
+    dividendStore.getClaimsForReconciliation(),
+    dividendStore.getFeeCollections(),
+    getJobRuns({ name: RECONCILIATION_JOB, limit: 1 })
+  ]);
+
+  const claimsWith = status => claims.filter(claim => claim.reconciliation_status === status);
+  const matchedClaims = claimsWith('matched');
+  const mismatchedClaims = claimsWith('amount_mismatch');
+  const chainMissingClaims = claims.filter(claim => CHAIN_MISSING_STATUSES.has(claim.reconciliation_status));
+  const unmatchedCollections = collections.filter(collection => collection.status === 'missing_claim');
+  const onChainSol = sumSol(collections, 'amount_sol');
+  const recordedSol = sumSol(claims, 'claimed_amount');
+
+  return {
+    lastRun: runs[0] || null,
+    onChain: {
+      collections: collections.length,
+      totalSol: onChainSol
+    },
+    recorded: {
+      claims: claims.length,
+      totalSol: recordedSol,
+      notYetReconciled: claims.filter(claim => !claim.reconciliation_status).length
+    },
+    matched: {
+      count: matchedClaims.length,
+      totalSol: sumSol(matchedClaims, 'claimed_amount')
+    },
+    missingClaims: {
+      count: unmatchedCollections.length,
+      totalSol: sumSol(unmatchedCollections, 'amount_sol'),
+      collections: unmatchedCollections.slice(0, REPORT_LIMIT).map(collection => ({
+        signature: collection.signature,
+        blockTime: collection.block_time,
+        amountSol: Number(collection.amount_sol)
+      }))
+    },
+    missingOnChain: {
+      count: chainMissingClaims.length,
+      totalSol: sumSol(chainMissingClaims, 'claimed_amount'),
+      claims: chainMissingClaims.slice(-REPORT_LIMIT).reverse().map(describeClaim)
+    },
+    amountMismatches: {
+      count: mismatchedClaims.length,
+      claimedSol: sumSol(mismatchedClaims, 'claimed_amount'),
+      onchainSol: sumSol(mismatchedClaims, 'onchain_amount'),
+      claims: mismatchedClaims.slice(-REPORT_LIMIT).reverse().map(describeClaim)
+    },
+    differenceSol: roundSol(onChainSol - recordedSol)
+  };
+}
+
+registerJob({
+  name: RECONCILIATION_JOB,
+  description: 'Match fee-collection transactions in the creator wallet history to dividend claims',
+  schedule: '20 * * * *',
+  retries: 1,
+  backoffMs: 60 * 1000,
+  handler: reconcileCreatorFees
+});
+
+module.exports = {
+  RECONCILIATION_JOB,
+  reconcileCreatorFees,
+  getReconciliationReport
+};
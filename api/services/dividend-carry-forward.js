@@ -0,0 +1,130 @@
+const dividendStore = require('../../lib/dividend-store.js');
+
+/**
+ * MINIMUM PAYOUT AND DUST CARRY-FORWARD
+ * A push payout smaller than the minimum costs more in fees than it is
+ * worth. Those shares are not sent. Each one is added to the holder's
+ * carried balance, which is paid with the holder's next share that reaches
+ * the minimum. Pull mode does not need this, because accrued shares already
+ * wait for the holder's minimum claim.
+ *
+ * Configured through dividend_config 'min_payout_sol' (0 turns it off).
+ */
+
+const DEFAULT_MIN_PAYOUT_SOL = 0.001;
+
+/**
+ * Validate a minimum payout
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateMinPayout(minPayoutSol) {
+  const errors = [];
+  const value = Number(minPayoutSol);
+
+  if (minPayoutSol === null || minPayoutSol === '' || !Number.isFinite(value) || value < 0) {
+    errors.push('minPayoutSol must be a number >= 0 (0 = pay every share)');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Get the configured minimum payout in SOL
+ */
+async function getMinPayoutSol() {
+  try {
+    const value = await dividendStore.getConfigValue('min_payout_sol');
+
+    if (value === null || value === undefined) {
+      return DEFAULT_MIN_PAYOUT_SOL;
+    }
+
+    const minPayoutSol = Number.parseFloat(value);
+    if (!Number.isFinite(minPayoutSol) || minPayoutSol < 0) {
+      console.warn(`⚠️ Invalid min_payout_sol '${value}', using ${DEFAULT_MIN_PAYOUT_SOL} SOL`);
+      return DEFAULT_MIN_PAYOUT_SOL;
+    }
+
+    return minPayoutSol;
+  } catch (error) {
+    console.error('❌ Failed to load minimum payout, using default:', error.message);
+    return DEFAULT_MIN_PAYOUT_SOL;
+  }
+}
+
+/**
+ * Store a new minimum payout
+ */
+async function saveMinPayoutSol(minPayoutSol) {
+  const { valid, errors } = validateMinPayout(minPayoutSol);
+
+  if (!valid) {
+    return { success: false, errors };
+  }
+
+  await dividendStore.setConfigValue(
+    'min_payout_sol',
+    String(Number(minPayoutSol)),
+    'number',
+    "Smallest push payout sent on-chain; smaller shares are carried forward to the holder's next distribution (0 = off)"
+  );
+
+  const saved = await getMinPayoutSol();
+  console.log(`✅ Minimum payout updated: ${saved} SOL`);
+  return { success: true, settings: { minPayoutSol: saved } };
+}
+
+/**
+ * Apply the minimum payout to a claim's pending distributions
+ */
+async function applyCarryForward(claimId) {
+  const minPayoutSol = await getMinPayoutSol();
+  const result = await dividendStore.applyCarryForward(claimId, minPayoutSol);
+
+  const carried = {
+    minPayoutSol,
+    carriedCount: result.carried_count,
+    carriedAmount: Number(result.carried_amount),
+    releasedCount: result.released_count,
+    releasedAmount: Number(result.released_amount)
+  };
+
+  if (carried.carriedCount > 0 || carried.releasedCount > 0) {
+    console.log(`🪙 Carry-forward for claim ${claimId}: ${carried.carriedCount} shares below ${minPayoutSol} SOL carried (${carried.carriedAmount.toFixed(9)} SOL), ${carried.releasedCount} carried balances paid out (${carried.releasedAmount.toFixed(9)} SOL)`);
+  }
+
+  return carried;
+}
+
+/**
+ * Summarise carried-forward balances for the admin stats
+ */
+async function getCarryForwardSummary() {
+  const [minPayoutSol, balances] = await Promise.all([
+    getMinPayoutSol(),
+    dividendStore.getCarryBalances()
+  ]);
+
+  return {
+    minPayoutSol,
+    holderCount: balances.length,
+    totalCarriedSol: balances.reduce((sum, row) => sum + Number.parseFloat(row.carried_sol), 0),
+    oldestCarriedSince: balances.reduce(
+      (oldest, row) => (row.carried_since && (!oldest || row.carried_since < oldest) ? row.carried_since : oldest),
+      null
+    ),
+    largestBalances: balances.slice(0, 10).map(row => ({
+      holderAddress: row.holder_address,
+      carriedSol: Number.parseFloat(row.carried_sol),
+      carriedSince: row.carried_since
+    }))
+  };
+}
+
+module.exports = {
+  validateMinPayout,
+  getMinPayoutSol,
+  saveMinPayoutSol,
+  applyCarryForward,
+  getCarryForwardSummary
+};
@@ -1,73 +1,91 @@
-const cron = require('node-cron');
-const { shouldRunClaim, processDividendClaim } = require('./dividend-claimer.js');
+const { shouldRunClaim, processDividendClaim, takePeriodicSnapshotIfDue } = require('./dividend-service.js');
+const { expireUnclaimedDividends } = require('./dividend-withdrawals.js');
+const { registerJob, startJob, stopJob, isJobRunning, isJobScheduled } = require('./job-runner.js');
+const { isJobLeader } = require('../../lib/job-lease.js');
 
-let cronJob = null;
-let isRunning = false;
+const DIVIDEND_JOB = 'dividend-claim';
+const CHECK_SCHEDULE = '*/2 * * * *';
+
+/**
+ * One dividend cron tick: periodic snapshots, pull-mode expiry and, when the
+ * claim schedule is due, a full claim and distribution
+ */
+async function runDividendTick() {
+  // Periodic holder snapshots for time-weighted dividends (twab mode only)
+  try {
+    await takePeriodicSnapshotIfDue();
+  } catch (snapshotError) {
+    console.error('❌ Periodic holder snapshot failed:', snapshotError.message);
+  }
+
+  // Expire pull-mode dividends nobody claimed in time
+  try {
+    await expireUnclaimedDividends();
+  } catch (expiryError) {
+    console.error('❌ Expiring unclaimed dividends failed:', expiryError.message);
+  }
+
+  // Check silently to reduce log spam
+  const shouldRun = await shouldRunClaim();
+  if (!shouldRun) {
+    // Only log every 10th check to reduce spam
+    if (Math.random() < 0.1) {
+      console.log('⏰ Dividend claim check: not time yet');
+    }
+    return { claimRan: false };
+  }
+
+  console.log('🔍 Dividend claim check: time to run!');
+
+  console.log('🚀 Starting scheduled dividend claim...');
+  const result = await processDividendClaim(false); // false = respect schedule
+
+  if (result.success) {
+    console.log(`✅ Scheduled dividend claim completed successfully`);
+    console.log(`💰 Claimed: ${result.claimedAmount} SOL`);
+    console.log(`📊 Distributed: ${result.distributionAmount} SOL to ${result.holdersCount} holders`);
+    console.log(`⏰ Next claim: ${result.nextClaimTime}`);
+  } else {
+    console.log(`⏭️ Scheduled claim skipped: ${result.reason}`);
+  }
+
+  return {
+    claimRan: true,
+    success: result.success,
+    reason: result.reason,
+    claimId: result.claimId,
+    claimedAmount: result.claimedAmount,
+    distributionAmount: result.distributionAmount,
+    holdersCount: result.holdersCount
+  };
+}
+
+// Every replica registers the job; the runner only runs it on the job leader.
+// Checks every 2 minutes whether to claim (cadence, blackout windows and the
+// minimum-fees trigger are evaluated by claim-schedule.js)
+registerJob({
+  name: DIVIDEND_JOB,
+  description: 'Take periodic holder snapshots, expire unclaimed pull-mode dividends and run scheduled dividend claims',
+  schedule: CHECK_SCHEDULE,
+  handler: runDividendTick,
+  autoStart: false
+});
 
 /**
  * Start the dividend claim cron job
  */
 function startDividendCron() {
-  if (cronJob) {
-    // Silently skip if already running to prevent spam
-    return;
+  // Silently skip if already running to prevent spam
+  if (startJob(DIVIDEND_JOB)) {
+    console.log('✅ Dividend cron job started (checking every 2 minutes)');
   }
-  
-  // Run every 2 minutes to check if we should claim
-  cronJob = cron.schedule('*/2 * * * *', async () => {
-    if (isRunning) {
-      console.log('⏭️ Dividend claim already in progress, skipping...');
-      return;
-    }
-    
-    try {
-      isRunning = true;
-      
-      // Check silently to reduce log spam
-      const shouldRun = await shouldRunClaim();
-      if (!shouldRun) {
-        // Only log every 10th check to reduce spam
-        if (Math.random() < 0.1) {
-          console.log('⏰ Dividend claim check: not time yet');
-        }
-        return;
-      }
-      
-      console.log('🔍 Dividend claim check: time to run!');
-      
-      console.log('🚀 Starting scheduled dividend claim...');
-      const result = await processDividendClaim(false); // false = respect schedule
-      
-      if (result.success) {
-        console.log(`✅ Scheduled dividend claim completed successfully`);
-        console.log(`💰 Claimed: ${result.claimedAmount} SOL`);
-        console.log(`📊 Distributed: ${result.distributionAmount} SOL to ${result.holdersCount} holders`);
-        console.log(`⏰ Next claim: ${result.nextClaimTime}`);
-      } else {
-        console.log(`⏭️ Scheduled claim skipped: ${result.reason}`);
-      }
-      
-    } catch (error) {
-      console.error('❌ Scheduled dividend claim failed:', error);
-    } finally {
-      isRunning = false;
-    }
-  }, {
-    scheduled: false,
-    timezone: 'UTC'
-  });
-  
-  cronJob.start();
-  console.log('✅ Dividend cron job started (checking every 2 minutes)');
 }
 
 /**
  * Stop the dividend claim cron job
  */
 function stopDividendCron() {
-  if (cronJob) {
-    cronJob.stop();
-    cronJob = null;
+  if (stopJob(DIVIDEND_JOB)) {
     console.log('🛑 Dividend cron job stopped');
   }
 }
@@ -77,9 +95,11 @@ function stopDividendCron() {
  */
 function getCronStatus() {
   return {
-    running: !!cronJob,
-    claimInProgress: isRunning,
-    schedule: '*/2 * * * *' // Every 2 minutes
+    running: isJobScheduled(DIVIDEND_JOB),
+    isJobLeader: isJobLeader(),
+    claimInProgress: isJobRunning(DIVIDEND_JOB),
+    schedule: CHECK_SCHEDULE, // Every 2 minutes
+    jobName: DIVIDEND_JOB
   };
 }
 
@@ -92,6 +112,7 @@ function restartDividendCron() {
 }
 
 module.exports = {
+  DIVIDEND_JOB,
   startDividendCron,
   stopDividendCron,
   getCronStatus,
@@ -0,0 +1,1110 @@
+/**
+ * Dividend Service
+ * 
+ * The single dividend pipeline used by the cron job and every admin entry point:
+ * 1. Claims creator fees from PumpFun (lib/creator-fee-claimer.js) when the
+ *    claim schedule is due (claim-schedule.js)
+ * 2. Takes the configured distribution percentage of the claimed fees
+ * 3. Fetches token holders from the blockchain
+ * 4. Applies the holder eligibility policy (holder-loyalty.js)
+ * 5. Records the claim, holder snapshot and distributions in one transaction
+ * 6. Pays eligible holders proportionally in batched SOL transfers, by
+ *    claim-time balance or by time-weighted average balance (twab.js).
+ *    Shares below the minimum payout are carried forward to the holder's
+ *    next distribution (dividend-carry-forward.js)
+ */
+
+const os = require('node:os');
+const { Connection, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { getSupabaseAdminClient } = require('../../database.js');
+const dividendStore = require('../../lib/dividend-store.js');
+const { solanaPaymentService } = require('../../lib/solana-payment.cjs');
+const { claimPumpFunFeesEnhanced, isCreatorFeeClaimingAvailable } = require('../../lib/creator-fee-claimer.js');
+const { checkHoldersEligibility } = require('./holder-loyalty.js');
+const twab = require('./twab.js');
+const { applyHolderExclusions } = require('./holder-exclusions.js');
+const { getPayoutModeSettings } = require('./dividend-withdrawals.js');
+const { applyCarryForward } = require('./dividend-carry-forward.js');
+const { getClaimSchedule, findActiveBlackout, getNextClaimTime } = require('./claim-schedule.js');
+const { emitWebhookEvent } = require('./webhooks.js');
+const { announce } = require('./announcements.js');
+
+// Solana connection for read-only operations
+const SOLANA_RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
+const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
+
+// Distribution run locking
+const RUN_LOCK_TTL_SECONDS = 600; // Lock lapses if the owning process dies mid-run
+const RUN_LOCK_OWNER = `${os.hostname()}:${process.pid}`;
+const PAID_PAYOUT_STATUSES = new Set(['confirmed', 'completed']);
+const PULL_DISTRIBUTION_STATUSES = new Set(['accrued', 'claiming', 'claimed', 'expired']); // Paid by holder claims, never pushed
+const CLAIM_ADDRESS_FIELDS = ['token_mint_address', 'claim_wallet_address', 'pumpfun_fee_account'];
+
+/**
+ * Get the current auto-claim settings
+ */
+async function getAutoClaimSettings() {
+  const supabase = getSupabaseAdminClient();
+  
+  // Get the first auto_claim_settings record (should only be one)
+  const { data, error } = await supabase
+    .from('auto_claim_settings')
+    .select('*')
+    .single();
+    
+  if (error) {
+    if (error.code === 'PGRST116') { // Not found
+      console.log('⚠️ No auto-claim settings found. Creating minimal default settings...');
+      // Return default settings without trying to insert (database may have constraints)
+      const defaultSettings = {
+        enabled: false,
+        claim_interval_minutes: 10,
+        distribution_percentage: 30,
+        min_claim_amount: 0.001,
+        claim_wallet_address: null,
+        pumpfun_fee_account: null,
+        token_mint_address: null
+      };
+      
+      console.warn('💡 To configure the dividend system, use the admin configuration endpoint.');
+      return defaultSettings;
+    }
+    
+    console.error('❌ Error fetching auto-claim settings:', error);
+    throw error;
+  }
+  
+  // Return the settings, but skip if critical fields are placeholders or null
+  if (!data.token_mint_address || 
+      data.token_mint_address === 'PLACEHOLDER_TOKEN_MINT' || 
+      !data.claim_wallet_address ||
+      data.claim_wallet_address === 'PLACEHOLDER_WALLET_ADDRESS') {
+    console.warn('⚠️ Auto-claim settings contain placeholder/null values. Dividend system disabled until real values are configured.');
+    console.warn(`   - Token mint: ${data.token_mint_address || 'NOT SET'}`);
+    console.warn(`   - Claim wallet: ${data.claim_wallet_address || 'NOT SET'}`);
+    console.warn('💡 This is normal if you haven\'t configured your token yet.');
+    return {
+      ...data,
+      enabled: false // Force disable if using placeholders
+    };
+  }
+  
+  return data;
+}
+
+/**
+ * Whether an auto_claim_settings update changes which token is tracked or
+ * which wallets the fees are claimed into. Fields left undefined are kept.
+ */
+async function changesClaimAddresses(updates) {
+  const fields = CLAIM_ADDRESS_FIELDS.filter(field => updates[field] !== undefined);
+  if (fields.length === 0) {
+    return false;
+  }
+
+  const { data, error } = await getSupabaseAdminClient()
+    .from('auto_claim_settings')
+    .select(fields.join(', '))
+    .maybeSingle();
+  if (error) throw error;
+
+  return fields.some(field => (updates[field] || null) !== (data?.[field] || null));
+}
+
+/**
+ * Get current token holders and their balances. Wallets on the exclusion list
+ * are split out before percentages are calculated.
+ */
+async function getTokenHolders(tokenMintAddress) {
+  try {
+    console.log('🔍 Fetching token holders for mint:', tokenMintAddress);
+    
+    // Get all token accounts for this mint
+    const tokenAccounts = await connection.getParsedProgramAccounts(
+      new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA'), // SPL Token Program
+      {
+        filters: [
+          {
+            dataSize: 165, // Size of token account
+          },
+          {
+            memcmp: {
+              offset: 0,
+              bytes: tokenMintAddress, // Filter by mint address
+            },
+          },
+        ],
+      }
+    );
+
+    const holders = [];
+    let totalSupply = 0;
+
+    for (const account of tokenAccounts) {
+      const accountData = account.account.data.parsed.info;
+      const balance = Number.parseInt(accountData.tokenAmount.amount);
+      
+      if (balance > 0) {
+        holders.push({
+          address: accountData.owner,
+          balance: balance,
+          decimals: accountData.tokenAmount.decimals
+        });
+        totalSupply += balance;
+      }
+    }
+
+    // Drop excluded wallets, then calculate percentages over what is left
+    const exclusions = await dividendStore.getExcludedWallets();
+    const { holders: includedHolders, excludedHolders, circulatingSupply } = applyHolderExclusions(holders, exclusions);
+
+    console.log(`✅ Found ${holders.length} token holders with total supply: ${totalSupply}`);
+    if (excludedHolders.length > 0) {
+      console.log(`🚷 Excluded ${excludedHolders.length} wallets holding ${totalSupply - circulatingSupply} tokens`);
+    }
+    
+    return {
+      holders: includedHolders,
+      excludedHolders,
+      totalSupply,
+      circulatingSupply,
+      decimals: holders[0]?.decimals || 9
+    };
+  } catch (error) {
+    console.error('❌ Error fetching token holders:', error);
+    throw new Error('Failed to fetch token holders: ' + error.message);
+  }
+}
+
+/**
+ * Check PumpFun fee account balance
+ */
+async function checkPumpFunFees(feeAccountAddress) {
+  try {
+    console.log('💰 Checking PumpFun fee account balance:', feeAccountAddress);
+    
+    // Validate fee account address format
+    if (!feeAccountAddress || 
+        feeAccountAddress === 'PLACEHOLDER_PUMPFUN_FEE_ACCOUNT' ||
+        feeAccountAddress.length !== 44) {
+      throw new Error('Invalid or unconfigured PumpFun fee account address');
+    }
+    
+    const feeAccount = new PublicKey(feeAccountAddress);
+    const balance = await connection.getBalance(feeAccount);
+    const solBalance = balance / 1000000000; // Convert lamports to SOL
+    
+    console.log(`💰 Fee account balance: ${solBalance} SOL`);
+    
+    return {
+      balance: solBalance,
+      lamports: balance
+    };
+  } catch (error) {
+    console.error('❌ Error checking PumpFun fees:', error);
+    throw new Error('Failed to check fee balance: ' + error.message);
+  }
+}
+
+/**
+ * Claim fees from PumpFun using official collectCreatorFee instruction
+ * Enhanced version with real PumpPortal integration
+ */
+async function claimPumpFunFees(settings) {
+  try {
+    console.log('🎯 Starting enhanced PumpFun creator fee claim process...');
+    
+    // Check if creator fee claiming is available
+    const isAvailable = await isCreatorFeeClaimingAvailable();
+    
+    if (!isAvailable) {
+      console.log('⚠️ Creator fee claiming not configured - using fallback');
+      console.log('💡 Configure AWS secrets to enable real PumpFun fee claiming');
+      
+      // Fallback to original logic for backward compatibility
+      if (!settings.pumpfun_fee_account || 
+          settings.pumpfun_fee_account === 'PLACEHOLDER_PUMPFUN_FEE_ACCOUNT') {
+        return {
+          success: true,
+          reason: 'PumpFun fee account not configured - skipped fee claiming',
+          claimedAmount: 0,
+          source: 'pumpfun-skipped'
+        };
+      }
+      
+      // Check fee balance with fallback
+      try {
+        const feeInfo = await checkPumpFunFees(settings.pumpfun_fee_account);
+        
+        if (feeInfo.balance < settings.min_claim_amount) {
+          return {
+            success: false,
+            reason: 'Below minimum claim amount',
+            balance: feeInfo.balance,
+            minAmount: settings.min_claim_amount
+          };
+        }
+        
+        return {
+          success: true,
+          claimedAmount: 0,
+          reason: 'PumpFun system ready - using fallback mode',
+          feeAccountBalance: feeInfo.balance,
+          status: 'fallback'
+        };
+      } catch (balanceError) {
+        console.log('⚠️ Could not check fee balance, proceeding with enhanced claim:', balanceError.message);
+        // Continue execution - this is expected when fee account is not configured
+      }
+    }
+    
+    // Use the enhanced creator fee claiming
+    console.log('🚀 Using enhanced PumpPortal integration for creator fee claiming');
+    const claimResult = await claimPumpFunFeesEnhanced(settings);
+    
+    if (claimResult.success) {
+      console.log('✅ Enhanced creator fee claim successful!');
+      console.log(`💰 Transaction: ${claimResult.transactionId || 'N/A'}`);
+      console.log(`🌐 Explorer: ${claimResult.explorerUrl || 'N/A'}`);
+      
+      return {
+        success: true,
+        claimedAmount: claimResult.claimedAmount || 0,
+        transactionId: claimResult.transactionId,
+        explorerUrl: claimResult.explorerUrl,
+        source: 'pumpfun-enhanced',
+        signature: claimResult.signature,
+        timestamp: claimResult.timestamp
+      };
+    } else {
+      console.log('❌ Enhanced creator fee claim failed:', claimResult.reason);
+      return {
+        success: false,
+        reason: claimResult.reason || 'Enhanced claim failed',
+        claimedAmount: 0,
+        error: claimResult.error
+      };
+    }
+    
+  } catch (error) {
+    console.error('❌ Error in enhanced PumpFun fee claiming:', error);
+    
+    // Return failure result so dividend system can continue
+    return {
+      success: false,
+      reason: 'Enhanced PumpFun claim failed: ' + error.message,
+      claimedAmount: 0,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Build holder snapshot rows with eligibility for a dividend claim
+ */
+async function createHolderSnapshot(holders, tokenMintAddress, excludedHolders = []) {
+  try {
+    console.log('📸 Creating holder snapshot...');
+    
+    const checkedHolders = await checkHoldersEligibility(holders, tokenMintAddress);
+    
+    const snapshot = checkedHolders.map(holder => ({
+      holder_address: holder.address,
+      token_balance: holder.balance,
+      percentage: holder.percentage,
+      initial_balance: holder.initialBalance,
+      retention_percentage: holder.retentionPercentage,
+      is_eligible: holder.isEligible,
+      eligibility_reason: holder.reason || null,
+      is_excluded: false
+    }));
+    
+    // Excluded wallets are recorded with their reason but never checked or paid
+    for (const holder of excludedHolders) {
+      snapshot.push({
+        holder_address: holder.address,
+        token_balance: holder.balance,
+        percentage: 0,
+        initial_balance: null,
+        retention_percentage: null,
+        is_eligible: false,
+        is_excluded: true,
+        exclusion_reason: holder.reason
+      });
+    }
+    
+    const eligibleCount = snapshot.filter(row => row.is_eligible).length;
+    console.log(`📸 Snapshot created: ${holders.length} total holders, ${eligibleCount} eligible, ${excludedHolders.length} excluded`);
+    
+    return snapshot;
+    
+  } catch (error) {
+    console.error('❌ Failed to create holder snapshot:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Split the distribution amount proportionally across eligible snapshot rows
+ * @param {Map<string, number>} [weights] Time-weighted balances to split by instead of the snapshot percentage
+ */
+function calculateDistributions(snapshot, distributionAmount, weights = null) {
+  const weightOf = holder => weights
+    ? weights.get(holder.holder_address) || 0
+    : Number.parseFloat(holder.percentage);
+  
+  const eligibleHolders = snapshot
+    .filter(row => row.is_eligible && weightOf(row) > 0)
+    .sort((a, b) => b.token_balance - a.token_balance);
+  
+  // Calculate total eligible weight
+  const totalEligibleWeight = eligibleHolders.reduce(
+    (sum, holder) => sum + weightOf(holder), 
+    0
+  );
+  
+  if (totalEligibleWeight === 0) {
+    return [];
+  }
+  
+  return eligibleHolders.map(holder => {
+    const adjustedPercentage = (weightOf(holder) / totalEligibleWeight) * 100;
+    
+    return {
+      holder_address: holder.holder_address,
+      token_balance: holder.token_balance,
+      percentage: adjustedPercentage,
+      dividend_amount: (distributionAmount * adjustedPercentage) / 100
+    };
+  });
+}
+
+/**
+ * Create dividend claim record together with its snapshot and distributions.
+ * All three are written in one database transaction.
+ */
+async function createDividendClaim(claim, snapshot, distributions) {
+  try {
+    return await dividendStore.recordClaimWithSnapshot(
+      {
+        claimed_amount: claim.claimedAmount,
+        transaction_id: claim.transactionId,
+        distribution_amount: claim.distributionAmount,
+        total_supply: claim.totalSupply || 0,
+        holder_count: snapshot.filter(row => !row.is_excluded).length,
+        status: 'processing'
+      },
+      snapshot,
+      distributions
+    );
+  } catch (error) {
+    console.error('❌ Failed to create dividend claim record:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Update dividend claim status
+ */
+async function updateDividendClaimStatus(claimId, status, errorMessage = null) {
+  try {
+    await dividendStore.updateClaim(claimId, { status, error_message: errorMessage });
+  } catch (error) {
+    console.error('❌ Failed to update dividend claim status:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Distribute dividends for a claim.
+ * Runs under a per-claim lock and skips holders that were already paid,
+ * so it is safe to call again after a crash or a failed batch.
+ */
+async function distributeDividends(claimId) {
+  const lock = await dividendStore.acquireRunLock(claimId, RUN_LOCK_OWNER, RUN_LOCK_TTL_SECONDS);
+  
+  if (!lock.acquired) {
+    const reason = lock.run?.status === 'completed'
+      ? 'Distribution already completed'
+      : `Distribution is locked by ${lock.run?.locked_by} until ${lock.run?.lock_expires_at}`;
+    console.log(`⏭️ Skipping distribution for claim ${claimId}: ${reason}`);
+    return { success: false, locked: true, reason };
+  }
+  
+  try {
+    console.log(`💰 Starting dividend distribution (attempt ${lock.run.attempts})...`);
+    
+    const carryForward = await applyCarryForward(claimId);
+    
+    const [distributionRows, payoutRows] = await Promise.all([
+      dividendStore.getDistributions(claimId),
+      dividendStore.getPayouts(claimId)
+    ]);
+    
+    if (distributionRows.length === 0) {
+      console.log('⚠️ No eligible holders found for dividend distribution');
+      await dividendStore.releaseRunLock(claimId, RUN_LOCK_OWNER, 'failed', 'No eligible holders');
+      return { success: false, reason: 'No eligible holders' };
+    }
+    
+    const payoutsByHolder = new Map(payoutRows.map(payout => [payout.holder_address, payout]));
+    const outstanding = [];
+    let alreadyPaidCount = 0;
+    let carriedCount = 0;
+    
+    for (const row of distributionRows) {
+      const payout = payoutsByHolder.get(row.holder_address);
+      const distribution = {
+        id: row.id,
+        holder: row.holder_address,
+        // Balances carried forward from earlier claims are paid with this share
+        amount: Number.parseFloat(row.dividend_amount) + Number.parseFloat(row.carried_in_amount || 0),
+        percentage: Number.parseFloat(row.percentage)
+      };
+      
+      if (payout && PAID_PAYOUT_STATUSES.has(payout.payout_status)) {
+        if (row.status !== 'completed') {
+          // Paid on-chain before the run stopped, but the distribution was never updated
+          await markPayoutsConfirmed([{ payout, distribution }], payout.transaction_signature);
+        }
+        alreadyPaidCount++;
+      } else if (row.status === 'completed' || PULL_DISTRIBUTION_STATUSES.has(row.status)) {
+        alreadyPaidCount++;
+      } else if (row.status === 'carried_forward') {
+        carriedCount++;
+      } else {
+        outstanding.push({ distribution, payout });
+      }
+    }
+    
+    const totalDistributed = distributionRows.reduce((sum, row) => sum + Number.parseFloat(row.dividend_amount), 0);
+    console.log(`💰 ${outstanding.length} of ${distributionRows.length} holders still to pay (${alreadyPaidCount} already paid, ${carriedCount} carried forward)`);
+    console.log(`💰 Total to distribute: ${totalDistributed.toFixed(9)} SOL`);
+    
+    const payoutResult = await processDistributionPayouts(outstanding, claimId);
+    const confirmedCount = alreadyPaidCount + payoutResult.confirmedCount;
+    
+    let reason;
+    if (payoutResult.failedCount > 0) {
+      reason = `${payoutResult.failedCount} payouts failed`;
+    } else if (payoutResult.unresolvedCount > 0) {
+      reason = `${payoutResult.unresolvedCount} payouts still awaiting confirmation`;
+    }
+    
+    await dividendStore.releaseRunLock(claimId, RUN_LOCK_OWNER, reason ? 'failed' : 'completed', reason || null);
+    
+    return { 
+      success: !reason, 
+      reason,
+      distributionCount: confirmedCount,
+      alreadyPaidCount,
+      carriedCount,
+      carriedForward: carryForward,
+      failedCount: payoutResult.failedCount,
+      unresolvedCount: payoutResult.unresolvedCount,
+      totalAmount: totalDistributed
+    };
+    
+  } catch (error) {
+    console.error('❌ Failed to distribute dividends:', error.message);
+    await dividendStore.releaseRunLock(claimId, RUN_LOCK_OWNER, 'failed', error.message)
+      .catch(releaseError => console.error('❌ Failed to release distribution lock:', releaseError.message));
+    throw error;
+  }
+}
+
+/**
+ * Pull mode: credit a claim's distributions to each holder's claimable balance
+ */
+async function accrueDividends(claimId) {
+  const distributionRows = await dividendStore.getDistributions(claimId);
+  
+  if (distributionRows.length === 0) {
+    console.log('⚠️ No eligible holders found for dividend distribution');
+    return { success: false, reason: 'No eligible holders' };
+  }
+  
+  const pendingRows = distributionRows.filter(row => row.status === 'pending');
+  await dividendStore.updateDistributions(pendingRows.map(row => row.id), {
+    status: 'accrued',
+    accrued_at: new Date().toISOString()
+  });
+  
+  const totalAccrued = distributionRows.reduce((sum, row) => sum + Number.parseFloat(row.dividend_amount), 0);
+  console.log(`🏦 Accrued ${totalAccrued.toFixed(9)} SOL to ${distributionRows.length} holders (pull mode)`);
+  
+  return {
+    success: true,
+    distributionCount: distributionRows.length,
+    failedCount: 0,
+    totalAmount: totalAccrued
+  };
+}
+
+/**
+ * Resume an interrupted or partially failed distribution for a claim
+ */
+async function resumeDividendDistribution(claimId) {
+  const claim = await dividendStore.getClaim(claimId);
+  
+  if (!claim) {
+    return { success: false, notFound: true, reason: `Dividend claim ${claimId} not found` };
+  }
+  
+  console.log(`🔁 Resuming dividend distribution for claim ${claimId}`);
+  const result = await distributeDividends(claimId);
+  
+  if (!result.locked) {
+    await updateDividendClaimStatus(claimId, result.success ? 'completed' : 'failed', result.success ? null : result.reason);
+  }
+  
+  return { claimId, ...result };
+}
+
+/**
+ * Send real SOL payouts to holders in batched transfer transactions.
+ * Each payout goes pending -> sent -> confirmed/failed with its real signature.
+ * The signature is stored as 'sent' before the transaction is broadcast, and
+ * a batch that fails after that stays 'sent', since it may still land.
+ * Payouts with a signature from an earlier run are checked on-chain first and
+ * only resent once their transaction can no longer land.
+ */
+async function processDistributionPayouts(outstanding, claimId) {
+  try {
+    console.log('💸 Processing distribution payouts...');
+    
+    // Initialize Solana payment service if needed
+    if (!solanaPaymentService.isInitialized()) {
+      console.log('🔄 Initializing Solana payment service for dividend distribution...');
+      await solanaPaymentService.initialize();
+    }
+    
+    const toSend = [];
+    let confirmedCount = 0;
+    let failedCount = 0;
+    let unresolvedCount = 0;
+    
+    for (const { distribution, payout: existingPayout } of outstanding) {
+      if (existingPayout?.transaction_signature) {
+        const chainStatus = await solanaPaymentService.getTransferStatus(
+          existingPayout.transaction_signature,
+          existingPayout.last_valid_block_height
+        );
+        
+        if (chainStatus === 'confirmed') {
+          await markPayoutsConfirmed([{ payout: existingPayout, distribution }], existingPayout.transaction_signature);
+          confirmedCount++;
+          continue;
+        }
+        
+        if (chainStatus === 'pending') {
+          console.log(`⏳ Payout to ${distribution.holder} is still in flight: ${existingPayout.transaction_signature}`);
+          unresolvedCount++;
+          continue;
+        }
+      }
+      
+      const lamports = Math.floor(distribution.amount * LAMPORTS_PER_SOL);
+      const payout = await dividendStore.upsertPayout({
+        claim_id: claimId,
+        distribution_id: distribution.id,
+        holder_address: distribution.holder,
+        payout_amount_sol: distribution.amount,
+        payout_amount_lamports: lamports,
+        payout_status: 'pending',
+        transaction_signature: null,
+        last_valid_block_height: null,
+        error_message: null
+      });
+      
+      if (lamports <= 0) {
+        await markPayoutsFailed([{ payout, distribution }], null, 'Payout amount rounds down to 0 lamports');
+        failedCount++;
+        continue;
+      }
+      
+      toSend.push({ payout, distribution, recipientAddress: distribution.holder, amountLamports: lamports });
+    }
+    
+    const batches = solanaPaymentService.packTransfers(toSend);
+    console.log(`💸 Sending ${toSend.length} payouts in ${batches.length} transactions`);
+    
+    for (const batch of batches) {
+      // Stops the run before sending if another instance has taken the lock over
+      await dividendStore.renewRunLock(claimId, RUN_LOCK_OWNER, RUN_LOCK_TTL_SECONDS);
+      
+      try {
+        const signature = await solanaPaymentService.sendSOLBatch(batch, {
+          onSigned: (signedSignature, lastValidBlockHeight) => markPayoutsSent(batch, signedSignature, lastValidBlockHeight)
+        });
+        
+        await markPayoutsConfirmed(batch, signature);
+        confirmedCount += batch.length;
+        console.log(`✅ Paid ${batch.length} holders: https://solscan.io/tx/${signature}`);
+        
+      } catch (batchError) {
+        if (batchError.signature) {
+          // Signed and maybe broadcast: resending now could pay these holders twice
+          console.error(`⚠️ Payout batch of ${batch.length} unconfirmed (${batchError.message}): ${batchError.signature}`);
+          await markPayoutsSent(batch, batchError.signature, batchError.lastValidBlockHeight ?? null);
+          unresolvedCount += batch.length;
+        } else {
+          console.error(`❌ Payout batch of ${batch.length} failed:`, batchError.message);
+          await markPayoutsFailed(batch, null, batchError.message);
+          failedCount += batch.length;
+        }
+      }
+    }
+    
+    console.log(`🎯 Dividend Payment Summary: ${confirmedCount} confirmed, ${failedCount} failed, ${unresolvedCount} awaiting confirmation`);
+    
+    return { confirmedCount, failedCount, unresolvedCount };
+    
+  } catch (error) {
+    console.error('❌ Failed to process distribution payouts:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Record the signature of a batch of payouts about to be broadcast
+ */
+async function markPayoutsSent(batch, signature, lastValidBlockHeight) {
+  await dividendStore.updatePayouts(batch.map(item => item.payout.id), {
+    payout_status: 'sent',
+    transaction_signature: signature,
+    last_valid_block_height: lastValidBlockHeight,
+    sent_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Mark a batch of payouts and their distributions as confirmed on-chain
+ */
+async function markPayoutsConfirmed(batch, signature) {
+  const now = new Date().toISOString();
+  
+  await dividendStore.updatePayouts(batch.map(item => item.payout.id), {
+    payout_status: 'confirmed',
+    transaction_signature: signature,
+    paid_at: now
+  });
+  await dividendStore.updateDistributions(batch.map(item => item.distribution.id), {
+    status: 'completed',
+    distribution_timestamp: now,
+    distribution_tx_id: signature
+  });
+}
+
+/**
+ * Mark a batch of payouts and their distributions as failed
+ */
+async function markPayoutsFailed(batch, signature, errorMessage) {
+  await dividendStore.updatePayouts(batch.map(item => item.payout.id), {
+    payout_status: 'failed',
+    transaction_signature: signature,
+    error_message: errorMessage
+  });
+  await dividendStore.updateDistributions(batch.map(item => item.distribution.id), {
+    status: 'failed',
+    distribution_tx_id: signature
+  });
+}
+
+/**
+ * Update holder stats with each holder's share of the claim
+ */
+async function updateHolderStats(distributions) {
+  for (const distribution of distributions) {
+    try {
+      await dividendStore.upsertHolderStats({
+        holder_address: distribution.holder_address,
+        current_token_balance: distribution.token_balance,
+        current_percentage: distribution.percentage,
+        pending_dividends: distribution.dividend_amount,
+        total_claims_participated: 1, // This should be incremented
+        last_dividend_date: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`❌ Error updating stats for holder ${distribution.holder_address}:`, error.message);
+    }
+  }
+  
+  console.log(`✅ Updated stats for ${distributions.length} holders`);
+}
+
+/**
+ * Record the payout wallet balance around a distribution
+ */
+async function recordPayoutWalletBalance(reason, notes) {
+  try {
+    if (!solanaPaymentService.isInitialized()) {
+      await solanaPaymentService.initialize();
+    }
+    
+    const balanceSol = await solanaPaymentService.getPayoutWalletBalance();
+    await dividendStore.recordWalletBalance({
+      wallet_address: solanaPaymentService.getPayoutWalletAddress(),
+      wallet_role: 'payout',
+      balance_sol: balanceSol,
+      balance_lamports: Math.round(balanceSol * LAMPORTS_PER_SOL),
+      check_reason: reason,
+      notes
+    });
+  } catch (error) {
+    // Balance history is informational only - never block a distribution on it
+    console.error('⚠️ Failed to record payout wallet balance:', error.message);
+  }
+}
+
+/**
+ * Work out whether a scheduled claim is due: outside any blackout window,
+ * either the next scheduled claim time has passed or the fee account holds
+ * at least the minimum-fees trigger
+ */
+async function evaluateClaimDue(settings, now) {
+  if (!settings.enabled) {
+    return { due: false, reason: 'Auto-claim disabled' };
+  }
+
+  const schedule = await getClaimSchedule();
+  const blackout = findActiveBlackout(schedule.blackoutWindows, now);
+
+  if (blackout) {
+    return {
+      due: false,
+      reason: `In blackout window '${blackout.label}' until ${blackout.endsAt}`,
+      nextClaimTime: blackout.endsAt
+    };
+  }
+
+  const nextClaimTime = new Date(settings.next_claim_scheduled);
+
+  if (!(now < nextClaimTime)) {
+    return { due: true, trigger: 'schedule' };
+  }
+
+  if (schedule.minFeesTriggerSol > 0 && settings.pumpfun_fee_account) {
+    try {
+      const fees = await checkPumpFunFees(settings.pumpfun_fee_account);
+      if (fees.balance >= schedule.minFeesTriggerSol) {
+        return { due: true, trigger: 'min_fees', accruedFeesSol: fees.balance };
+      }
+    } catch (error) {
+      // Fall back to the schedule when the fee account cannot be read
+      console.error('⚠️ Minimum-fees trigger check failed:', error.message);
+    }
+  }
+
+  return {
+    due: false,
+    reason: 'Not time for next claim',
+    nextClaimTime: nextClaimTime.toISOString()
+  };
+}
+
+/**
+ * Check if dividend claim should be processed
+ */
+async function shouldProcessClaim(settings, forceRun, now = new Date()) {
+  if (forceRun) {
+    return { shouldProcess: true, trigger: 'manual' };
+  }
+
+  const check = await evaluateClaimDue(settings, now);
+
+  if (!check.due) {
+    console.log(check.nextClaimTime ? `⏰ ${check.reason} - next claim at ${check.nextClaimTime}` : `⏸️ ${check.reason}`);
+    return { shouldProcess: false, reason: check.reason, nextClaimTime: check.nextClaimTime };
+  }
+
+  if (check.trigger === 'min_fees') {
+    console.log(`💰 ${check.accruedFeesSol} SOL of fees accrued - claiming ahead of schedule`);
+  }
+
+  return { shouldProcess: true, trigger: check.trigger };
+}
+
+/**
+ * Run the dividend pipeline for fees that were just claimed
+ */
+async function processSuccessfulClaim(settings, claimResult, now) {
+  const distributionAmount = claimResult.claimedAmount * (settings.distribution_percentage / 100);
+  
+  console.log(`💰 Claimed: ${claimResult.claimedAmount} SOL`);
+  console.log(`📊 Distribution (${settings.distribution_percentage}%): ${distributionAmount} SOL`);
+  
+  if (!(distributionAmount > 0)) {
+    console.log('⏭️ Nothing to distribute from this claim');
+    const nextClaim = await scheduleNextClaim(settings, now);
+    return {
+      success: false,
+      reason: 'No claimed fees to distribute',
+      claimedAmount: claimResult.claimedAmount,
+      nextClaimTime: nextClaim.toISOString()
+    };
+  }
+  
+  // Get current token holders from blockchain and apply the retention rules
+  const { holders, excludedHolders, totalSupply } = await getTokenHolders(settings.token_mint_address);
+  const snapshot = await createHolderSnapshot(holders, settings.token_mint_address, excludedHolders);
+  const eligibleCount = snapshot.filter(row => row.is_eligible).length;
+  const { mode: distributionMode, weights } = await getDistributionWeights(now);
+  const { mode: payoutMode } = await getPayoutModeSettings();
+  
+  // Record claim, snapshot and distributions in one transaction
+  const distributions = calculateDistributions(snapshot, distributionAmount, weights);
+  const claimRecord = await createDividendClaim(
+    {
+      claimedAmount: claimResult.claimedAmount,
+      transactionId: claimResult.transactionId,
+      distributionAmount,
+      totalSupply
+    },
+    snapshot,
+    distributions
+  );
+  const claimId = claimRecord.claimId;
+  console.log(`📝 Created dividend claim record: ${claimId} (${claimRecord.distributions.length} distributions)`);
+  
+  try {
+    await recordPayoutWalletBalance('pre_distribution', `Distributing ${distributionAmount.toFixed(9)} SOL for claim ${claimId}`);
+    
+    const distributionResult = payoutMode === 'pull'
+      ? await accrueDividends(claimId)
+      : await distributeDividends(claimId);
+    
+    if (distributionResult.success) {
+      console.log(`✅ ${payoutMode === 'pull' ? 'Accrued' : 'Distributed'} ${distributionResult.totalAmount.toFixed(9)} SOL to ${distributionResult.distributionCount} holders`);
+      await updateDividendClaimStatus(claimId, 'completed', null);
+    } else {
+      console.log(`❌ Distribution failed: ${distributionResult.reason}`);
+      await updateDividendClaimStatus(claimId, 'failed', distributionResult.reason);
+    }
+    
+    await updateHolderStats(distributions);
+    await recordPayoutWalletBalance('post_distribution', `After distribution for claim ${claimId}`);
+    
+    const nextClaim = await scheduleNextClaim(settings, now);
+    console.log(`⏰ Next claim scheduled for: ${nextClaim.toISOString()}`);
+    
+    return {
+      success: distributionResult.success,
+      reason: distributionResult.reason,
+      claimId,
+      claimedAmount: claimResult.claimedAmount,
+      distributionAmount,
+      distributionMode,
+      payoutMode,
+      totalHolders: holders.length,
+      excludedHolders: excludedHolders.length,
+      eligibleHolders: eligibleCount,
+      holdersCount: distributionResult.distributionCount || 0,
+      carriedCount: distributionResult.carriedCount || 0,
+      failedCount: distributionResult.failedCount || 0,
+      transactionId: claimResult.transactionId,
+      nextClaimTime: nextClaim.toISOString()
+    };
+    
+  } catch (error) {
+    await updateDividendClaimStatus(claimId, 'failed', error.message)
+      .catch(statusError => console.error('❌ Failed to mark claim as failed:', statusError.message));
+    throw error;
+  }
+}
+
+/**
+ * Get the weights to split a distribution by under the configured mode.
+ * Snapshot mode (or twab with no periodic snapshots yet) splits by claim-time balance.
+ */
+async function getDistributionWeights(periodEnd) {
+  const settings = await twab.getDistributionMode();
+  
+  if (settings.mode !== 'twab') {
+    return { mode: 'snapshot', weights: null };
+  }
+  
+  const { balances } = await twab.getTimeWeightedBalances(periodEnd);
+  return balances ? { mode: 'twab', weights: balances } : { mode: 'snapshot', weights: null };
+}
+
+/**
+ * Record a periodic holder snapshot for time-weighted dividends when one is due
+ */
+async function takePeriodicSnapshotIfDue(force = false) {
+  const modeSettings = await twab.getDistributionMode();
+  
+  if (!force && !(await twab.isPeriodicSnapshotDue(modeSettings))) {
+    return { taken: false, reason: modeSettings.mode === 'twab' ? 'Not due yet' : 'Distribution mode is not twab' };
+  }
+  
+  const settings = await getAutoClaimSettings();
+  if (!settings.token_mint_address) {
+    return { taken: false, reason: 'Token mint address not configured' };
+  }
+  
+  const { holders } = await getTokenHolders(settings.token_mint_address);
+  const snapshot = await twab.recordPeriodicSnapshot(holders);
+  return { taken: true, ...snapshot };
+}
+
+/**
+ * Record a successful claim run and schedule the next one
+ */
+async function scheduleNextClaim(settings, now) {
+  const nextClaim = getNextClaimTime(settings, await getClaimSchedule(), now);
+  
+  if (settings.id) {
+    const supabase = getSupabaseAdminClient();
+    const { error } = await supabase
+      .from('auto_claim_settings')
+      .update({
+        last_successful_claim: now.toISOString(),
+        next_claim_scheduled: nextClaim.toISOString()
+      })
+      .eq('id', settings.id);
+    
+    if (error) {
+      throw new Error('Failed to schedule next claim: ' + error.message);
+    }
+  }
+  
+  return nextClaim;
+}
+
+/**
+ * Recalculate the next scheduled claim after the schedule changes
+ */
+async function rescheduleNextClaim() {
+  const settings = await getAutoClaimSettings();
+  const nextClaim = getNextClaimTime(settings, await getClaimSchedule(), new Date());
+  
+  if (settings.id) {
+    const supabase = getSupabaseAdminClient();
+    const { error } = await supabase
+      .from('auto_claim_settings')
+      .update({ next_claim_scheduled: nextClaim.toISOString() })
+      .eq('id', settings.id);
+    
+    if (error) {
+      throw new Error('Failed to reschedule next claim: ' + error.message);
+    }
+  }
+  
+  console.log(`⏰ Next claim rescheduled for: ${nextClaim.toISOString()}`);
+  return nextClaim;
+}
+
+/**
+ * Process a complete dividend claim and distribution cycle
+ */
+async function processDividendClaim(forceRun = false) {
+  try {
+    console.log('🚀 Starting dividend claim process...');
+
+    // Get settings
+    const settings = await getAutoClaimSettings();
+
+    const now = new Date();
+
+    // Check if we should process the claim
+    const claimCheck = await shouldProcessClaim(settings, forceRun, now);
+    if (!claimCheck.shouldProcess) {
+      return {
+        success: false,
+        reason: claimCheck.reason,
+        ...(claimCheck.nextClaimTime && { nextClaimTime: claimCheck.nextClaimTime })
+      };
+    }
+
+    if (!settings.token_mint_address) {
+      return { success: false, reason: 'Token mint address not configured' };
+    }
+
+    // Claim fees from PumpFun
+    const claimResult = await claimPumpFunFees(settings);
+
+    if (!claimResult.success) {
+      console.log('❌ Fee claim failed:', claimResult.reason);
+      emitWebhookEvent('dividend.claim_failed', {
+        stage: 'fee_claim',
+        reason: claimResult.reason,
+        trigger: claimCheck.trigger
+      });
+      return claimResult;
+    }
+
+    const result = await processSuccessfulClaim(settings, claimResult, now);
+
+    // Only claims that were recorded are announced; an empty claim has nothing to report
+    if (result.claimId) {
+      emitWebhookEvent(result.success ? 'dividend.claim_completed' : 'dividend.claim_failed', {
+        ...(result.success ? {} : { stage: 'distribution', reason: result.reason }),
+        claimId: result.claimId,
+        claimedAmount: result.claimedAmount,
+        distributionAmount: result.distributionAmount,
+        payoutMode: result.payoutMode,
+        holdersCount: result.holdersCount,
+        carriedCount: result.carriedCount,
+        failedCount: result.failedCount,
+        transactionId: result.transactionId,
+        trigger: claimCheck.trigger
+      });
+    }
+    if (result.claimId && result.success && result.holdersCount > 0) {
+      announce('dividend.distribution_completed', {
+        claimId: result.claimId,
+        claimedAmount: result.claimedAmount,
+        distributionAmount: result.distributionAmount,
+        holdersCount: result.holdersCount,
+        payoutMode: result.payoutMode,
+        transactionId: result.transactionId
+      });
+    }
+
+    return { ...result, trigger: claimCheck.trigger };
+
+  } catch (error) {
+    console.error('❌ Dividend claim process failed:', error);
+    emitWebhookEvent('dividend.claim_failed', { stage: 'error', reason: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Trigger manual claim (for admin use)
+ */
+async function triggerManualClaim(forceRun = true) {
+  return await processDividendClaim(forceRun);
+}
+
+/**
+ * Check if claim should run (for cron job)
+ */
+async function shouldRunClaim() {
+  try {
+    const settings = await getAutoClaimSettings();
+    const check = await evaluateClaimDue(settings, new Date());
+    
+    return check.due;
+  } catch (error) {
+    console.error('Error checking if claim should run:', error);
+    return false;
+  }
+}
+
+module.exports = {
+  PAID_PAYOUT_STATUSES,
+  processDividendClaim,
+  triggerManualClaim,
+  shouldRunClaim,
+  rescheduleNextClaim,
+  resumeDividendDistribution,
+  getAutoClaimSettings,
+  changesClaimAddresses,
+  getTokenHolders,
+  checkPumpFunFees,
+  calculateDistributions,
+  getDistributionWeights,
+  takePeriodicSnapshotIfDue
+};
@@ -0,0 +1,234 @@
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const {
+  getAutoClaimSettings,
+  getTokenHolders,
+  checkPumpFunFees,
+  calculateDistributions,
+  getDistributionWeights
+} = require('./dividend-service.js');
+const { previewHolderEligibility } = require('./holder-loyalty.js');
+const { getPayoutModeSettings } = require('./dividend-withdrawals.js');
+const { getMinPayoutSol } = require('./dividend-carry-forward.js');
+const dividendStore = require('../../lib/dividend-store.js');
+const { toCsv } = require('../../lib/csv.js');
+
+/**
+ * DIVIDEND SIMULATOR
+ * Dry-runs a dividend distribution: fetches holders, applies the eligibility
+ * policy and splits the amount exactly like a real run, but sends nothing
+ * on-chain and writes nothing to the claim, distribution or payout tables.
+ */
+
+const CSV_COLUMNS = [
+  'holder_address',
+  'status',
+  'token_balance',
+  'share_percentage',
+  'dividend_sol',
+  'carried_in_sol',
+  'dividend_lamports',
+  'initial_balance',
+  'retention_percentage',
+  'time_weighted_balance',
+  'reason'
+];
+
+/**
+ * Work out how much SOL a real run would distribute
+ */
+async function resolveDistributionAmount(amount, settings) {
+  if (amount !== undefined && amount !== null) {
+    return { distributionAmount: Number.parseFloat(amount), amountSource: 'requested' };
+  }
+
+  // Estimate from the unclaimed fees the same way a real claim splits them
+  const feeInfo = await checkPumpFunFees(settings.pumpfun_fee_account);
+  return {
+    distributionAmount: feeInfo.balance * (settings.distribution_percentage / 100),
+    amountSource: 'fee_account_estimate',
+    feeAccountBalance: feeInfo.balance
+  };
+}
+
+/**
+ * Build a distribution plan without paying anyone
+ * @param {Object} [options]
+ * @param {number} [options.amount] SOL to distribute; estimated from the fee account when omitted
+ * @returns {Promise<Object>} Plan with per-holder payouts and excluded holders
+ */
+async function simulateDividendDistribution({ amount } = {}) {
+  try {
+    console.log('🧪 Starting dividend distribution simulation...');
+
+    const settings = await getAutoClaimSettings();
+
+    if (!settings.token_mint_address) {
+      throw new Error('Token mint address not configured');
+    }
+
+    const amountInfo = await resolveDistributionAmount(amount, settings);
+
+    if (!Number.isFinite(amountInfo.distributionAmount) || amountInfo.distributionAmount <= 0) {
+      throw new Error('Distribution amount must be positive');
+    }
+
+    const holderData = await getTokenHolders(settings.token_mint_address);
+    const { eligibleHolders, excludedHolders } = await previewHolderEligibility(holderData.holders);
+    const { mode: distributionMode, weights } = await getDistributionWeights(new Date());
+    const { mode: payoutMode } = await getPayoutModeSettings();
+    const [minPayoutSol, carryBalances] = payoutMode === 'push'
+      ? await Promise.all([getMinPayoutSol(), dividendStore.getCarryBalances()])
+      : [0, []];
+    const carriedByAddress = new Map(carryBalances.map(row => [row.holder_address, Number.parseFloat(row.carried_sol)]));
+
+    const snapshot = eligibleHolders.map(holder => ({
+      holder_address: holder.address,
+      token_balance: holder.balance,
+      percentage: holder.percentage,
+      is_eligible: true
+    }));
+    const eligibleByAddress = new Map(eligibleHolders.map(holder => [holder.address, holder]));
+
+    const payouts = [];
+    const carriedForward = [];
+    const excluded = [
+      // Wallets on the exclusion list (pools, exchanges, team)
+      ...holderData.excludedHolders.map(holder => ({
+        holder_address: holder.address,
+        token_balance: holder.balance,
+        reason: holder.reason
+      })),
+      ...excludedHolders.map(holder => ({
+        holder_address: holder.address,
+        token_balance: holder.balance,
+        initial_balance: holder.initialBalance,
+        retention_percentage: holder.retentionPercentage,
+        reason: holder.reason
+      }))
+    ];
+
+    const distributions = calculateDistributions(snapshot, amountInfo.distributionAmount, weights);
+    const paidAddresses = new Set(distributions.map(distribution => distribution.holder_address));
+
+    // In twab mode eligible holders who held nothing at any periodic snapshot get no share
+    for (const holder of eligibleHolders) {
+      if (!paidAddresses.has(holder.address)) {
+        excluded.push({
+          holder_address: holder.address,
+          token_balance: holder.balance,
+          initial_balance: holder.initialBalance,
+          retention_percentage: holder.retentionPercentage,
+          time_weighted_balance: 0,
+          reason: 'No balance in any periodic snapshot this period'
+        });
+      }
+    }
+
+    for (const distribution of distributions) {
+      const holder = eligibleByAddress.get(distribution.holder_address);
+      const timeWeightedBalance = weights ? weights.get(distribution.holder_address) : undefined;
+      const carriedIn = carriedByAddress.get(distribution.holder_address) || 0;
+      const lamports = Math.floor((distribution.dividend_amount + carriedIn) * LAMPORTS_PER_SOL);
+
+      // Shares below the minimum payout are added to the holder's carried balance instead
+      if (distribution.dividend_amount + carriedIn < minPayoutSol) {
+        carriedForward.push({
+          holder_address: distribution.holder_address,
+          token_balance: distribution.token_balance,
+          share_percentage: distribution.percentage,
+          dividend_sol: distribution.dividend_amount,
+          carried_in_sol: carriedIn,
+          initial_balance: holder.initialBalance,
+          retention_percentage: holder.retentionPercentage,
+          time_weighted_balance: timeWeightedBalance,
+          reason: `Below the ${minPayoutSol} SOL minimum payout - carried forward`
+        });
+        continue;
+      }
+
+      // A push run marks these payouts failed instead of sending them; pull mode lets them accrue
+      if (lamports <= 0 && payoutMode === 'push') {
+        excluded.push({
+          holder_address: distribution.holder_address,
+          token_balance: distribution.token_balance,
+          initial_balance: holder.initialBalance,
+          retention_percentage: holder.retentionPercentage,
+          time_weighted_balance: timeWeightedBalance,
+          reason: 'Payout rounds down to 0 lamports'
+        });
+        continue;
+      }
+
+      payouts.push({
+        holder_address: distribution.holder_address,
+        token_balance: distribution.token_balance,
+        share_percentage: distribution.percentage,
+        dividend_sol: distribution.dividend_amount,
+        carried_in_sol: carriedIn,
+        dividend_lamports: lamports,
+        initial_balance: holder.initialBalance,
+        retention_percentage: holder.retentionPercentage,
+        time_weighted_balance: timeWeightedBalance,
+        is_new_holder: holder.isNewHolder
+      });
+    }
+
+    const totalLamports = payouts.reduce((sum, payout) => sum + payout.dividend_lamports, 0);
+
+    console.log(`✅ Simulation complete: ${payouts.length} payouts, ${carriedForward.length} carried forward, ${excluded.length} holders excluded`);
+
+    return {
+      simulated: true,
+      generatedAt: new Date().toISOString(),
+      tokenMintAddress: settings.token_mint_address,
+      ...amountInfo,
+      distributionMode,
+      payoutMode,
+      minPayoutSol,
+      totalSupply: holderData.totalSupply,
+      circulatingSupply: holderData.circulatingSupply,
+      totalHolders: holderData.holders.length + holderData.excludedHolders.length,
+      payoutCount: payouts.length,
+      carriedForwardCount: carriedForward.length,
+      carriedForwardSol: carriedForward.reduce((sum, holder) => sum + holder.dividend_sol, 0),
+      excludedCount: excluded.length,
+      totalPayoutSol: totalLamports / LAMPORTS_PER_SOL,
+      totalPayoutLamports: totalLamports,
+      payouts,
+      carriedForward,
+      excluded
+    };
+  } catch (error) {
+    console.error('❌ Dividend simulation failed:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Render a simulation plan as CSV, one row per holder
+ */
+function planToCsv(plan) {
+  const rows = [
+    ...plan.payouts.map(payout => ({
+      ...payout,
+      status: 'payout',
+      dividend_sol: payout.dividend_sol.toFixed(9),
+      carried_in_sol: payout.carried_in_sol.toFixed(9),
+      reason: ''
+    })),
+    ...plan.carriedForward.map(holder => ({
+      ...holder,
+      status: 'carried_forward',
+      dividend_sol: holder.dividend_sol.toFixed(9),
+      carried_in_sol: holder.carried_in_sol.toFixed(9)
+    })),
+    ...plan.excluded.map(holder => ({ ...holder, status: 'excluded' }))
+  ];
+
+  return toCsv(CSV_COLUMNS, rows);
+}
+
+module.exports = {
+  simulateDividendDistribution,
+  planToCsv
+};
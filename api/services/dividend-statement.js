@@ -0,0 +1,263 @@
+const dividendStore = require('../../lib/dividend-store.js');
+const { PAID_PAYOUT_STATUSES } = require('./dividend-service.js');
+const { getHolderLoyaltyRecord } = require('./holder-loyalty.js');
+const { toCsv } = require('../../lib/csv.js');
+
+/**
+ * HOLDER DIVIDEND STATEMENT
+ * One line per claim a holder took part in: snapshot balance, eligibility and
+ * why, the amount allocated, the payout signature and status, and running
+ * lifetime totals. Built from holder_snapshots, dividend_distributions,
+ * dividend_payouts (push mode), dividend_withdrawals (pull mode),
+ * dividend_carry_balances and the holder-loyalty records.
+ *
+ * Shares below the minimum payout show as 'carried_forward' and are paid
+ * with a later claim; that line's carried_in_sol and paid_sol include them.
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+const CSV_COLUMNS = [
+  'claim_id',
+  'claim_timestamp',
+  'claim_transaction_id',
+  'snapshot_balance',
+  'snapshot_percentage',
+  'status',
+  'reason',
+  'allocated_sol',
+  'carried_in_sol',
+  'payout_status',
+  'payout_signature',
+  'paid_sol',
+  'lifetime_allocated_sol',
+  'lifetime_paid_sol'
+];
+
+/**
+ * Parse page and limit query values into sane bounds
+ */
+function parsePagination({ page, limit } = {}) {
+  const parsedPage = Number.parseInt(page, 10);
+  const parsedLimit = Number.parseInt(limit, 10);
+
+  return {
+    page: parsedPage > 0 ? parsedPage : 1,
+    limit: parsedLimit > 0 ? Math.min(parsedLimit, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE
+  };
+}
+
+/**
+ * Work out whether a holder's share of a claim was paid
+ */
+function resolvePayout(distribution, payout, withdrawal) {
+  // Pull mode: the share accrued and is paid when the holder claims it
+  if (distribution?.withdrawal_id || ['accrued', 'claiming', 'claimed', 'expired'].includes(distribution?.status)) {
+    return {
+      status: distribution.status,
+      signature: withdrawal?.transaction_signature || null,
+      error: withdrawal?.status === 'failed' ? withdrawal.error_message : null,
+      paid: distribution.status === 'claimed'
+    };
+  }
+
+  if (payout) {
+    return {
+      status: payout.payout_status,
+      signature: payout.transaction_signature || null,
+      error: payout.error_message || null,
+      paid: PAID_PAYOUT_STATUSES.has(payout.payout_status)
+    };
+  }
+
+  if (distribution?.status === 'carried_forward') {
+    return { status: 'carried_forward', signature: null, error: null, paid: false };
+  }
+
+  // Distributions paid before payouts were tracked only carry their own status
+  if (distribution) {
+    return {
+      status: distribution.status,
+      signature: distribution.transaction_signature || null,
+      error: null,
+      paid: distribution.status === 'completed'
+    };
+  }
+
+  return { status: null, signature: null, error: null, paid: false };
+}
+
+/**
+ * Describe a holder's status in one claim
+ */
+function resolveStatus(snapshot, distribution) {
+  if (snapshot?.is_excluded) {
+    return { status: 'excluded', reason: snapshot.exclusion_reason };
+  }
+  if (snapshot && !snapshot.is_eligible) {
+    return { status: 'ineligible', reason: snapshot.eligibility_reason || 'Not eligible at snapshot' };
+  }
+  if (!distribution) {
+    return { status: 'no_allocation', reason: 'No share allocated for this claim' };
+  }
+  if (distribution.status === 'carried_forward') {
+    return { status: 'eligible', reason: 'Below the minimum payout - carried forward to the next distribution' };
+  }
+  return { status: 'eligible', reason: null };
+}
+
+/**
+ * Join snapshots, distributions and payouts into chronological statement
+ * lines with running lifetime totals
+ */
+function buildStatementEntries(snapshots, distributions, payouts, withdrawals = []) {
+  const withdrawalsById = new Map(withdrawals.map(withdrawal => [withdrawal.id, withdrawal]));
+  const claims = new Map();
+  const entryFor = (claimId, claim) => {
+    if (!claims.has(claimId)) {
+      claims.set(claimId, { claimId, claim: null, snapshot: null, distribution: null, payout: null });
+    }
+    const entry = claims.get(claimId);
+    entry.claim = entry.claim || claim || null;
+    return entry;
+  };
+
+  for (const snapshot of snapshots) entryFor(snapshot.claim_id, snapshot.dividend_claims).snapshot = snapshot;
+  for (const distribution of distributions) entryFor(distribution.claim_id, distribution.dividend_claims).distribution = distribution;
+  for (const payout of payouts) entryFor(payout.claim_id).payout = payout;
+
+  const timestampOf = entry => entry.claim?.claim_timestamp
+    || entry.snapshot?.snapshot_timestamp
+    || entry.distribution?.created_at
+    || '';
+  const ordered = [...claims.values()].sort((a, b) => timestampOf(a).localeCompare(timestampOf(b)));
+
+  let lifetimeAllocated = 0;
+  let lifetimePaid = 0;
+
+  return ordered.map(entry => {
+    const { snapshot, distribution, payout } = entry;
+    const allocated = distribution ? Number.parseFloat(distribution.dividend_amount) || 0 : 0;
+    const carriedIn = distribution ? Number.parseFloat(distribution.carried_in_amount) || 0 : 0;
+    const payoutInfo = resolvePayout(distribution, payout, withdrawalsById.get(distribution?.withdrawal_id));
+    const paid = payoutInfo.paid
+      ? Number.parseFloat(payout?.payout_amount_sol ?? allocated + carriedIn) || 0
+      : 0;
+
+    lifetimeAllocated += allocated;
+    lifetimePaid += paid;
+
+    return {
+      claim_id: entry.claimId,
+      claim_timestamp: timestampOf(entry) || null,
+      claim_transaction_id: entry.claim?.transaction_id || null,
+      claim_status: entry.claim?.status || null,
+      snapshot_balance: snapshot ? Number.parseFloat(snapshot.token_balance) : null,
+      snapshot_percentage: snapshot ? Number.parseFloat(snapshot.percentage) : null,
+      retention_percentage: snapshot?.retention_percentage == null ? null : Number.parseFloat(snapshot.retention_percentage),
+      ...resolveStatus(snapshot, distribution),
+      allocated_sol: allocated,
+      carried_in_sol: carriedIn,
+      distribution_status: distribution?.status || null,
+      payout_status: payoutInfo.status,
+      payout_signature: payoutInfo.signature,
+      payout_error: payoutInfo.error,
+      paid_sol: paid,
+      lifetime_allocated_sol: lifetimeAllocated,
+      lifetime_paid_sol: lifetimePaid
+    };
+  });
+}
+
+/**
+ * Build a holder's full dividend statement
+ * @param {string} holderAddress
+ * @param {Object} [options]
+ * @param {number} [options.page] 1-based page, newest claims first
+ * @param {number} [options.limit] Lines per page; 0 returns every line
+ */
+async function getHolderStatement(holderAddress, { page, limit } = {}) {
+  try {
+    const [snapshots, distributions, payouts, withdrawals, carryBalance, loyalty] = await Promise.all([
+      dividendStore.getHolderClaimSnapshots(holderAddress),
+      dividendStore.getHolderDistributions(holderAddress),
+      dividendStore.getHolderPayouts(holderAddress),
+      dividendStore.getHolderWithdrawals(holderAddress),
+      dividendStore.getHolderCarryBalance(holderAddress),
+      getHolderLoyaltyRecord(holderAddress)
+    ]);
+
+    const entries = buildStatementEntries(snapshots, distributions, payouts, withdrawals);
+    const newestFirst = [...entries].reverse();
+    const last = entries.at(-1);
+
+    const summary = {
+      claimsIncluded: entries.length,
+      eligibleClaims: entries.filter(entry => entry.status === 'eligible').length,
+      lifetimeAllocatedSol: last?.lifetime_allocated_sol || 0,
+      lifetimePaidSol: last?.lifetime_paid_sol || 0,
+      outstandingSol: (last?.lifetime_allocated_sol || 0) - (last?.lifetime_paid_sol || 0),
+      carriedForwardSol: carryBalance ? Number.parseFloat(carryBalance.carried_sol) : 0,
+      carriedForwardSince: carryBalance?.carried_since || null,
+      firstClaim: entries[0]?.claim_timestamp || null,
+      lastClaim: last?.claim_timestamp || null
+    };
+
+    const loyaltyStatus = {
+      initialBalance: loyalty.initialBag ? Number.parseFloat(loyalty.initialBag.initial_balance) : null,
+      firstRecorded: loyalty.initialBag?.first_recorded_at || null,
+      currentBalance: loyalty.eligibility ? Number.parseFloat(loyalty.eligibility.current_balance) : null,
+      retentionPercentage: loyalty.eligibility ? Number.parseFloat(loyalty.eligibility.retention_percentage) : null,
+      isEligible: loyalty.eligibility?.is_eligible ?? null,
+      permanentlyBlacklisted: loyalty.eligibility?.permanently_blacklisted || false,
+      blacklistReason: loyalty.eligibility?.blacklist_reason || null,
+      lastChecked: loyalty.eligibility?.last_checked_at || null
+    };
+
+    if (limit === 0) {
+      return { address: holderAddress, summary, loyaltyStatus, entries: newestFirst };
+    }
+
+    const pagination = parsePagination({ page, limit });
+    const start = (pagination.page - 1) * pagination.limit;
+
+    return {
+      address: holderAddress,
+      summary,
+      loyaltyStatus,
+      entries: newestFirst.slice(start, start + pagination.limit),
+      pagination: {
+        ...pagination,
+        total: entries.length,
+        totalPages: Math.ceil(entries.length / pagination.limit)
+      }
+    };
+  } catch (error) {
+    console.error('❌ Failed to build holder statement:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Render statement lines as CSV, oldest claim first
+ */
+function statementToCsv(statement) {
+  const rows = [...statement.entries]
+    .sort((a, b) => (a.claim_timestamp || '').localeCompare(b.claim_timestamp || ''))
+    .map(entry => ({
+      ...entry,
+      allocated_sol: entry.allocated_sol.toFixed(9),
+      carried_in_sol: entry.carried_in_sol.toFixed(9),
+      paid_sol: entry.paid_sol.toFixed(9),
+      lifetime_allocated_sol: entry.lifetime_allocated_sol.toFixed(9),
+      lifetime_paid_sol: entry.lifetime_paid_sol.toFixed(9)
+    }));
+
+  return toCsv(CSV_COLUMNS, rows);
+}
+
+module.exports = {
+  getHolderStatement,
+  statementToCsv
+};
@@ -0,0 +1,367 @@
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const dividendStore = require('../../lib/dividend-store.js');
+const { solanaPaymentService } = require('../../lib/solana-payment.cjs');
+const { verifyWalletSignature } = require('./wallet-signature.js');
+
+/**
+ * PULL-BASED DIVIDEND CLAIMING
+ * In 'pull' payout mode each claim's distributions accrue to the holder
+ * instead of being pushed on-chain. The holder signs a claim message with
+ * their wallet and POST /api/dividends/claim pays everything accrued in one
+ * transfer. Accrued dividends expire after a configurable number of days.
+ *
+ * Selected through dividend_config 'payout_mode' ('push' or 'pull'),
+ * 'pull_min_claim_sol' and 'pull_claim_expiry_days'.
+ */
+
+const PAYOUT_MODES = ['push', 'pull'];
+const DEFAULT_MIN_CLAIM_SOL = 0.01;
+const DEFAULT_EXPIRY_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CLAIM_MESSAGE_TITLE = 'WhatNext dividend claim';
+const CLAIM_MESSAGE_MAX_AGE_MS = 5 * 60 * 1000; // Signed messages are only accepted briefly
+const CLAIM_MESSAGE_MAX_SKEW_MS = 60 * 1000; // Tolerate client clocks running slightly fast
+const STALE_PENDING_WITHDRAWAL_MS = 10 * 60 * 1000; // Never signed - the process stopped mid-claim
+
+/**
+ * Validate payout mode settings
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validatePayoutModeSettings({ mode, minClaimSol, expiryDays } = {}) {
+  const errors = [];
+
+  if (mode !== undefined && !PAYOUT_MODES.includes(mode)) {
+    errors.push(`mode must be one of: ${PAYOUT_MODES.join(', ')}`);
+  }
+
+  if (minClaimSol !== undefined && !(Number(minClaimSol) > 0)) {
+    errors.push('minClaimSol must be a positive number');
+  }
+
+  if (expiryDays !== undefined) {
+    const days = Number(expiryDays);
+    if (!Number.isInteger(days) || days < 0) {
+      errors.push('expiryDays must be a whole number of days >= 0 (0 = never expire)');
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Get the configured payout mode, minimum claim and expiry
+ */
+async function getPayoutModeSettings() {
+  try {
+    const [mode, minClaim, expiry] = await Promise.all([
+      dividendStore.getConfigValue('payout_mode'),
+      dividendStore.getConfigValue('pull_min_claim_sol'),
+      dividendStore.getConfigValue('pull_claim_expiry_days')
+    ]);
+
+    if (mode && !PAYOUT_MODES.includes(mode)) {
+      console.warn(`⚠️ Unknown payout_mode '${mode}', using push mode`);
+    }
+
+    const minClaimSol = Number.parseFloat(minClaim);
+    const expiryDays = Number.parseInt(expiry, 10);
+
+    return {
+      mode: PAYOUT_MODES.includes(mode) ? mode : 'push',
+      minClaimSol: minClaimSol > 0 ? minClaimSol : DEFAULT_MIN_CLAIM_SOL,
+      expiryDays: expiryDays >= 0 ? expiryDays : DEFAULT_EXPIRY_DAYS
+    };
+  } catch (error) {
+    console.error('❌ Failed to load payout mode, using push mode:', error.message);
+    return { mode: 'push', minClaimSol: DEFAULT_MIN_CLAIM_SOL, expiryDays: DEFAULT_EXPIRY_DAYS };
+  }
+}
+
+/**
+ * Store new payout mode settings
+ */
+async function savePayoutModeSettings({ mode, minClaimSol, expiryDays }) {
+  const { valid, errors } = validatePayoutModeSettings({ mode, minClaimSol, expiryDays });
+
+  if (!valid) {
+    return { success: false, errors };
+  }
+
+  if (mode !== undefined) {
+    await dividendStore.setConfigValue(
+      'payout_mode',
+      mode,
+      'string',
+      "How dividends reach holders: 'push' (sent every claim) or 'pull' (accrue until the holder claims)"
+    );
+  }
+
+  if (minClaimSol !== undefined) {
+    await dividendStore.setConfigValue(
+      'pull_min_claim_sol',
+      String(Number(minClaimSol)),
+      'number',
+      'Smallest accrued balance a holder can claim in pull mode'
+    );
+  }
+
+  if (expiryDays !== undefined) {
+    await dividendStore.setConfigValue(
+      'pull_claim_expiry_days',
+      String(Number(expiryDays)),
+      'number',
+      'Days before unclaimed pull-mode dividends expire (0 = never)'
+    );
+  }
+
+  const settings = await getPayoutModeSettings();
+  console.log('✅ Payout mode updated:', settings);
+  return { success: true, settings };
+}
+
+/**
+ * Distributions accrued at or before this time have expired (null = never)
+ */
+function getExpiryCutoff(settings, now = new Date()) {
+  return settings.expiryDays > 0
+    ? new Date(now.getTime() - settings.expiryDays * DAY_MS).toISOString()
+    : null;
+}
+
+/**
+ * The message a holder signs to claim; the timestamp limits how long it can be used
+ */
+function buildClaimMessage(walletAddress, timestamp = new Date().toISOString()) {
+  return `${CLAIM_MESSAGE_TITLE}\nWallet: ${walletAddress}\nTimestamp: ${timestamp}`;
+}
+
+/**
+ * Check a claim message is for this wallet and recent
+ * @returns {string|null} Why the message is not acceptable, or null
+ */
+function checkClaimMessage(walletAddress, message, now = new Date()) {
+  const match = /^(.+)\nWallet: (\S+)\nTimestamp: (\S+)$/.exec(message || '');
+
+  if (!match || match[1] !== CLAIM_MESSAGE_TITLE) {
+    return 'Message is not a dividend claim message';
+  }
+
+  if (match[2] !== walletAddress) {
+    return 'Message was signed for a different wallet';
+  }
+
+  const signedAt = new Date(match[3]);
+  if (Number.isNaN(signedAt.getTime())) {
+    return 'Message timestamp is invalid';
+  }
+
+  if (now - signedAt > CLAIM_MESSAGE_MAX_AGE_MS || signedAt - now > CLAIM_MESSAGE_MAX_SKEW_MS) {
+    return 'Message has expired - sign a new claim message';
+  }
+
+  return null;
+}
+
+/**
+ * Settle a withdrawal left open by an earlier request if its outcome is known.
+ * The transfer signature is recorded before broadcast, so a 'pending'
+ * withdrawal was never sent; a 'sent' one is only released once its
+ * transaction failed or is missing after its blockhash expired.
+ * @returns {Promise<boolean>} true when the withdrawal is still in progress
+ */
+async function reconcileOpenWithdrawal(withdrawal, now = new Date()) {
+  if (withdrawal.status === 'pending') {
+    if (now - new Date(withdrawal.created_at) < STALE_PENDING_WITHDRAWAL_MS) {
+      return true;
+    }
+    // Only while still pending: if the request signs after this it can no longer record the transfer, so never sends it
+    const released = await dividendStore.settleWithdrawal(withdrawal.id, 'pending', 'failed', null, 'Withdrawal was never signed');
+    if (released) {
+      console.log(`♻️ Released stale withdrawal ${withdrawal.id} for ${withdrawal.holder_address}`);
+    }
+    return !released;
+  }
+
+  if (!solanaPaymentService.isInitialized()) {
+    await solanaPaymentService.initialize();
+  }
+
+  const chainStatus = await solanaPaymentService.getTransferStatus(
+    withdrawal.transaction_signature,
+    withdrawal.last_valid_block_height
+  );
+
+  if (chainStatus === 'confirmed') {
+    await dividendStore.settleWithdrawal(withdrawal.id, 'sent', 'confirmed', withdrawal.transaction_signature);
+    console.log(`✅ Withdrawal ${withdrawal.id} confirmed on-chain: ${withdrawal.transaction_signature}`);
+    return false;
+  }
+
+  if (chainStatus === 'failed' || chainStatus === 'expired') {
+    await dividendStore.settleWithdrawal(withdrawal.id, 'sent', 'failed', withdrawal.transaction_signature, `Transfer ${chainStatus}`);
+    console.log(`♻️ Withdrawal ${withdrawal.id} ${chainStatus} - balance returned to ${withdrawal.holder_address}`);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Get what a holder can claim right now
+ */
+async function getClaimableBalance(walletAddress) {
+  try {
+    const settings = await getPayoutModeSettings();
+
+    let openWithdrawal = await dividendStore.getOpenWithdrawal(walletAddress);
+    if (openWithdrawal && !(await reconcileOpenWithdrawal(openWithdrawal))) {
+      openWithdrawal = null;
+    }
+
+    const accrued = await dividendStore.getAccruedDistributions(walletAddress, getExpiryCutoff(settings));
+    const claimableSol = accrued.reduce((sum, row) => sum + Number.parseFloat(row.dividend_amount), 0);
+    const oldest = accrued[0]?.accrued_at;
+
+    return {
+      walletAddress,
+      payoutMode: settings.mode,
+      claimableSol,
+      distributionCount: accrued.length,
+      minClaimSol: settings.minClaimSol,
+      canClaim: !openWithdrawal && claimableSol >= settings.minClaimSol,
+      expiryDays: settings.expiryDays,
+      nextExpiry: oldest && settings.expiryDays > 0
+        ? new Date(new Date(oldest).getTime() + settings.expiryDays * DAY_MS).toISOString()
+        : null,
+      openWithdrawal: openWithdrawal
+        ? { id: openWithdrawal.id, status: openWithdrawal.status, amountSol: Number.parseFloat(openWithdrawal.amount_sol) }
+        : null,
+      messageToSign: buildClaimMessage(walletAddress)
+    };
+  } catch (error) {
+    console.error('❌ Failed to get claimable balance:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Pay a holder everything they have accrued, after checking their signed claim message
+ * @param {Object} request
+ * @param {string} request.walletAddress
+ * @param {string} request.message Message from buildClaimMessage
+ * @param {string} request.signature Base58 wallet signature of the message
+ * @returns {Promise<Object>} { success, error?, reason?, withdrawalId?, amountSol?, signature? }
+ */
+async function claimAccruedDividends({ walletAddress, message, signature }) {
+  const messageProblem = checkClaimMessage(walletAddress, message);
+  if (messageProblem) {
+    return { success: false, error: 'invalid_message', reason: messageProblem };
+  }
+
+  if (!verifyWalletSignature(walletAddress, message, signature)) {
+    return { success: false, error: 'invalid_signature', reason: 'Signature does not match the wallet' };
+  }
+
+  const settings = await getPayoutModeSettings();
+
+  const openWithdrawal = await dividendStore.getOpenWithdrawal(walletAddress);
+  if (openWithdrawal && await reconcileOpenWithdrawal(openWithdrawal)) {
+    return { success: false, error: 'withdrawal_in_progress', reason: 'A previous claim is still being processed' };
+  }
+
+  const reservation = await dividendStore.reserveWithdrawal({
+    holderAddress: walletAddress,
+    minAmount: settings.minClaimSol,
+    accruedAfter: getExpiryCutoff(settings),
+    claimMessage: message,
+    messageSignature: signature
+  });
+
+  if (!reservation.reserved) {
+    const reasons = {
+      withdrawal_in_progress: 'A previous claim is still being processed',
+      duplicate_request: 'This claim message has already been used',
+      below_minimum: `Claimable balance ${Number(reservation.amount || 0)} SOL is below the ${settings.minClaimSol} SOL minimum`
+    };
+    return {
+      success: false,
+      error: reservation.reason,
+      reason: reasons[reservation.reason] || reservation.reason,
+      claimableSol: Number(reservation.amount || 0)
+    };
+  }
+
+  const withdrawalId = reservation.withdrawal_id;
+  const amountLamports = Number(reservation.amount_lamports);
+  console.log(`💸 Dividend claim ${withdrawalId}: ${reservation.amount} SOL to ${walletAddress} (${reservation.distribution_count} distributions)`);
+
+  try {
+    if (!solanaPaymentService.isInitialized()) {
+      await solanaPaymentService.initialize();
+    }
+
+    // Record the signature before broadcast so an interrupted claim can be checked later
+    const txSignature = await solanaPaymentService.sendSOLBatch(
+      [{ recipientAddress: walletAddress, amountLamports }],
+      { onSigned: (signedSignature, lastValidBlockHeight) => dividendStore.markWithdrawalSent(withdrawalId, signedSignature, lastValidBlockHeight) }
+    );
+    await dividendStore.settleWithdrawal(withdrawalId, 'sent', 'confirmed', txSignature);
+
+    return {
+      success: true,
+      withdrawalId,
+      amountSol: amountLamports / LAMPORTS_PER_SOL,
+      distributionCount: reservation.distribution_count,
+      signature: txSignature
+    };
+  } catch (error) {
+    if (error.signature) {
+      // Signed and maybe broadcast - leave it open so the next request can check the chain
+      console.error(`⚠️ Dividend claim ${withdrawalId} unconfirmed: ${error.message}`);
+      return {
+        success: false,
+        error: 'withdrawal_unconfirmed',
+        reason: 'Transfer was sent but not yet confirmed - check again shortly',
+        withdrawalId,
+        signature: error.signature
+      };
+    }
+
+    // Never signed, or its signature could not be recorded: nothing was broadcast
+    await dividendStore.settleWithdrawal(withdrawalId, 'pending', 'failed', null, error.message)
+      .catch(settleError => console.error('❌ Failed to release withdrawal:', settleError.message));
+    console.error(`❌ Dividend claim ${withdrawalId} failed:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Expire accrued dividends older than the configured expiry
+ */
+async function expireUnclaimedDividends(now = new Date()) {
+  const settings = await getPayoutModeSettings();
+  const cutoff = getExpiryCutoff(settings, now);
+
+  if (!cutoff) {
+    return { count: 0, amount: 0 };
+  }
+
+  const expired = await dividendStore.expireAccruedDistributions(cutoff);
+  if (expired.count > 0) {
+    console.log(`⌛ Expired ${expired.count} unclaimed dividends (${expired.amount.toFixed(9)} SOL) accrued before ${cutoff}`);
+  }
+  return expired;
+}
+
+module.exports = {
+  PAYOUT_MODES,
+  validatePayoutModeSettings,
+  getPayoutModeSettings,
+  savePayoutModeSettings,
+  buildClaimMessage,
+  checkClaimMessage,
+  getClaimableBalance,
+  claimAccruedDividends,
+  expireUnclaimedDividends
+};
@@ -0,0 +1,252 @@
+const dividendStore = require('../../lib/dividend-store.js');
+
+/**
+ * ELIGIBILITY POLICY ENGINE
+ * Decides whether a holder qualifies for dividends. The policy is stored as
+ * JSON in dividend_config under 'eligibility_policy' and edited through
+ * api/admin/dividend-config.js. Every caller evaluates holders through
+ * evaluateEligibility so the rules are applied the same way everywhere.
+ */
+
+const POLICY_CONFIG_KEY = 'eligibility_policy';
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const DEFAULT_ELIGIBILITY_POLICY = {
+  min_retention_percentage: 70, // Keep at least this much of the baseline bag
+  retention_baseline: 'initial', // 'initial' (first recorded bag) or 'peak' (largest bag seen)
+  min_balance: 0, // Minimum current token balance (raw token units)
+  min_holding_days: 0, // Days since the holder was first recorded
+  sell_grace_period_hours: 0, // Time to buy back after dropping below the retention threshold
+  auto_reeligible_after_days: 0, // Re-base and restore blacklisted holders after N days (0 = never)
+  blacklist_on_sell_out: true // Selling the entire bag blacklists permanently
+};
+
+const POLICY_FIELDS = {
+  min_retention_percentage: { type: 'number', min: 0, max: 100 },
+  retention_baseline: { type: 'enum', values: ['initial', 'peak'] },
+  min_balance: { type: 'number', min: 0 },
+  min_holding_days: { type: 'number', min: 0 },
+  sell_grace_period_hours: { type: 'number', min: 0 },
+  auto_reeligible_after_days: { type: 'number', min: 0 },
+  blacklist_on_sell_out: { type: 'boolean' }
+};
+
+const PERMANENT_BLACKLIST_PREFIX = 'PERMANENTLY BLACKLISTED - Sold entire bag';
+
+/**
+ * Policy rules, evaluated in order. The first failing rule decides the reason.
+ * Each check returns null when the holder passes.
+ */
+const POLICY_RULES = [
+  {
+    name: 'sell_out',
+    description: 'Holders who sell their entire bag are permanently blacklisted',
+    check: ({ holder, record, policy, now }) => {
+      if (!policy.blacklist_on_sell_out) return null;
+      if (record?.permanently_blacklisted || record?.blacklist_reason?.includes(PERMANENT_BLACKLIST_PREFIX)) {
+        return { reason: record.blacklist_reason || PERMANENT_BLACKLIST_PREFIX, permanent: true };
+      }
+      if (holder.balance === 0) {
+        return { reason: `${PERMANENT_BLACKLIST_PREFIX} (${now.toISOString()})`, permanent: true };
+      }
+      return null;
+    }
+  },
+  {
+    name: 'minimum_balance',
+    description: 'Current balance must be at least min_balance',
+    check: ({ holder, policy }) => {
+      if (holder.balance >= policy.min_balance) return null;
+      return { reason: `Balance ${holder.balance} below minimum ${policy.min_balance}` };
+    }
+  },
+  {
+    name: 'minimum_holding_duration',
+    description: 'Holder must have been recorded at least min_holding_days ago',
+    check: ({ holder, policy, now }) => {
+      if (policy.min_holding_days <= 0) return null;
+      const firstRecordedAt = holder.firstRecordedAt ? new Date(holder.firstRecordedAt) : now;
+      const heldDays = (now - firstRecordedAt) / DAY_MS;
+      if (heldDays >= policy.min_holding_days) return null;
+      return { reason: `Held for ${heldDays.toFixed(1)} days, minimum is ${policy.min_holding_days}` };
+    }
+  },
+  {
+    name: 'retention',
+    description: 'Current balance must be at least min_retention_percentage of the baseline bag',
+    check: ({ retentionPercentage, policy, graceUntil }) => {
+      if (retentionPercentage >= policy.min_retention_percentage) return null;
+      if (graceUntil) return null;
+      return {
+        reason: `Temporarily blacklisted: retention ${retentionPercentage.toFixed(2)}% < ${policy.min_retention_percentage}% ` +
+          `of ${policy.retention_baseline} bag (can recover by buying back)`
+      };
+    }
+  }
+];
+
+/**
+ * Merge a policy with the defaults and validate every field
+ * @returns {{valid: boolean, errors: string[], policy: Object}}
+ */
+function validateEligibilityPolicy(input = {}) {
+  const errors = [];
+  const policy = { ...DEFAULT_ELIGIBILITY_POLICY };
+
+  for (const [key, value] of Object.entries(input || {})) {
+    const field = POLICY_FIELDS[key];
+    if (!field) {
+      errors.push(`Unknown policy field: ${key}`);
+      continue;
+    }
+
+    if (field.type === 'number') {
+      const num = Number(value);
+      if (!Number.isFinite(num) || num < field.min || (field.max !== undefined && num > field.max)) {
+        errors.push(`${key} must be a number${field.max === undefined ? ` >= ${field.min}` : ` between ${field.min} and ${field.max}`}`);
+        continue;
+      }
+      policy[key] = num;
+    } else if (field.type === 'enum') {
+      if (!field.values.includes(value)) {
+        errors.push(`${key} must be one of: ${field.values.join(', ')}`);
+        continue;
+      }
+      policy[key] = value;
+    } else if (field.type === 'boolean') {
+      if (typeof value !== 'boolean') {
+        errors.push(`${key} must be true or false`);
+        continue;
+      }
+      policy[key] = value;
+    }
+  }
+
+  return { valid: errors.length === 0, errors, policy };
+}
+
+/**
+ * Load the active eligibility policy, falling back to the defaults
+ */
+async function getEligibilityPolicy() {
+  try {
+    const stored = await dividendStore.getConfigValue(POLICY_CONFIG_KEY);
+
+    if (!stored) {
+      // Honour the legacy sell threshold until a policy is saved
+      const sellThreshold = Number.parseFloat(await dividendStore.getConfigValue('sell_threshold_percentage'));
+      return Number.isFinite(sellThreshold)
+        ? { ...DEFAULT_ELIGIBILITY_POLICY, min_retention_percentage: 100 - sellThreshold }
+        : { ...DEFAULT_ELIGIBILITY_POLICY };
+    }
+
+    const { valid, errors, policy } = validateEligibilityPolicy(typeof stored === 'string' ? JSON.parse(stored) : stored);
+    if (!valid) {
+      console.warn(`⚠️ Stored eligibility policy has invalid fields, using defaults for them: ${errors.join('; ')}`);
+    }
+    return policy;
+  } catch (error) {
+    console.error('❌ Failed to load eligibility policy, using defaults:', error.message);
+    return { ...DEFAULT_ELIGIBILITY_POLICY };
+  }
+}
+
+/**
+ * Validate and store a new eligibility policy
+ */
+async function saveEligibilityPolicy(input) {
+  const { valid, errors, policy } = validateEligibilityPolicy(input);
+
+  if (!valid) {
+    return { success: false, errors };
+  }
+
+  await dividendStore.setConfigValue(
+    POLICY_CONFIG_KEY,
+    JSON.stringify(policy),
+    'json',
+    'Holder eligibility policy for dividend distributions'
+  );
+
+  console.log('✅ Eligibility policy updated:', policy);
+  return { success: true, policy };
+}
+
+/**
+ * Evaluate a holder against the policy without touching the database
+ * @param {Object} holder Current holder state
+ * @param {number} holder.balance Current token balance
+ * @param {number} holder.initialBalance First recorded balance
+ * @param {string|null} [holder.firstRecordedAt] When the holder was first recorded
+ * @param {Object|null} record Existing holder_eligibility row
+ * @param {Object} policy Eligibility policy
+ * @param {Date} [now]
+ */
+function evaluateEligibility(holder, record, policy, now = new Date()) {
+  let baselineRecord = record;
+  let initialBalance = Number(holder.initialBalance) || 0;
+  let resetBaseline = false;
+
+  // Automatic re-eligibility: forgive a temporary blacklisting after N days
+  if (
+    policy.auto_reeligible_after_days > 0 &&
+    record?.is_eligible === false &&
+    !record.permanently_blacklisted &&
+    record.blacklisted_at &&
+    now - new Date(record.blacklisted_at) >= policy.auto_reeligible_after_days * DAY_MS
+  ) {
+    resetBaseline = true;
+    initialBalance = holder.balance;
+    baselineRecord = null;
+  }
+
+  const peakBalance = Math.max(Number(baselineRecord?.peak_balance) || 0, initialBalance, holder.balance);
+  const baselineBalance = policy.retention_baseline === 'peak' ? peakBalance : initialBalance;
+  const retentionPercentage = baselineBalance > 0 ? (holder.balance / baselineBalance) * 100 : 0;
+
+  // Grace period: a retention breach only counts once it has lasted long enough
+  let retentionBreachAt = null;
+  let graceUntil = null;
+  if (retentionPercentage < policy.min_retention_percentage) {
+    retentionBreachAt = baselineRecord?.retention_breach_at ? new Date(baselineRecord.retention_breach_at) : now;
+    const graceEnd = new Date(retentionBreachAt.getTime() + policy.sell_grace_period_hours * HOUR_MS);
+    if (graceEnd > now) {
+      graceUntil = graceEnd;
+    }
+  }
+
+  const context = { holder, record: baselineRecord, policy, now, retentionPercentage, graceUntil };
+  let failure = null;
+  let failedRule = null;
+
+  for (const rule of POLICY_RULES) {
+    failure = rule.check(context);
+    if (failure) {
+      failedRule = rule.name;
+      break;
+    }
+  }
+
+  return {
+    isEligible: !failure,
+    retentionPercentage,
+    baselineBalance,
+    peakBalance,
+    isPermanentlyBlacklisted: Boolean(failure?.permanent),
+    blacklistReason: failure?.reason || null,
+    failedRule,
+    retentionBreachAt: retentionBreachAt ? retentionBreachAt.toISOString() : null,
+    graceUntil: graceUntil ? graceUntil.toISOString() : null,
+    resetBaseline
+  };
+}
+
+module.exports = {
+  DEFAULT_ELIGIBILITY_POLICY,
+  POLICY_RULES,
+  validateEligibilityPolicy,
+  getEligibilityPolicy,
+  saveEligibilityPolicy,
+  evaluateEligibility
+};
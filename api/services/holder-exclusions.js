@@ -0,0 +1,147 @@
+const { PublicKey } = require('@solana/web3.js');
+const dividendStore = require('../../lib/dividend-store.js');
+
+/**
+ * HOLDER EXCLUSIONS
+ * Admin-managed list of wallets that never receive dividends: the bonding
+ * curve, AMM pools, exchanges and team wallets. Excluded holders are removed
+ * before holder percentages are worked out, so their share goes to everyone
+ * else, and each claim snapshot records who was excluded and why.
+ */
+
+const EXCLUSION_CATEGORIES = ['bonding_curve', 'amm_pool', 'exchange', 'team', 'other'];
+
+/**
+ * Describe why a wallet is excluded, for snapshots and dry-run plans
+ */
+function formatExclusionReason(exclusion) {
+  const base = `Excluded (${exclusion.category}): ${exclusion.label}`;
+  return exclusion.reason ? `${base} - ${exclusion.reason}` : base;
+}
+
+/**
+ * Validate a new exclusion
+ * @returns {{valid: boolean, errors: string[], exclusion: Object}}
+ */
+function validateExclusion({ wallet_address, label, category = 'other', reason = null } = {}) {
+  const errors = [];
+
+  try {
+    new PublicKey(wallet_address);
+  } catch {
+    errors.push('wallet_address must be a valid Solana address');
+  }
+
+  if (typeof label !== 'string' || !label.trim()) {
+    errors.push('label is required');
+  }
+
+  if (!EXCLUSION_CATEGORIES.includes(category)) {
+    errors.push(`category must be one of: ${EXCLUSION_CATEGORIES.join(', ')}`);
+  }
+
+  if (reason !== null && typeof reason !== 'string') {
+    errors.push('reason must be a string');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    exclusion: {
+      wallet_address,
+      label: typeof label === 'string' ? label.trim() : label,
+      category,
+      reason: reason?.trim() || null
+    }
+  };
+}
+
+/**
+ * Split holders into included and excluded, and renormalise the included
+ * holders' percentages over the supply they hold between them
+ * @param {Array} holders Holders from getTokenHolders
+ * @param {Array} exclusions Active dividend_excluded_wallets rows
+ */
+function applyHolderExclusions(holders, exclusions) {
+  const exclusionsByAddress = new Map(exclusions.map(exclusion => [exclusion.wallet_address, exclusion]));
+  const included = [];
+  const excludedHolders = [];
+
+  for (const holder of holders) {
+    const exclusion = exclusionsByAddress.get(holder.address);
+    if (exclusion) {
+      excludedHolders.push({
+        ...holder,
+        exclusionCategory: exclusion.category,
+        exclusionLabel: exclusion.label,
+        reason: formatExclusionReason(exclusion)
+      });
+    } else {
+      included.push(holder);
+    }
+  }
+
+  const circulatingSupply = included.reduce((sum, holder) => sum + holder.balance, 0);
+
+  return {
+    holders: included.map(holder => ({
+      ...holder,
+      percentage: circulatingSupply > 0 ? (holder.balance / circulatingSupply) * 100 : 0
+    })),
+    excludedHolders,
+    circulatingSupply
+  };
+}
+
+/**
+ * List excluded wallets
+ */
+async function listHolderExclusions({ includeInactive = false } = {}) {
+  return await dividendStore.getExcludedWallets({ includeInactive });
+}
+
+/**
+ * Get a wallet's exclusion, active or not, or null if it was never excluded
+ */
+async function getHolderExclusion(walletAddress) {
+  return await dividendStore.getExcludedWallet(walletAddress);
+}
+
+/**
+ * Add (or re-activate) an excluded wallet
+ */
+async function addHolderExclusion(input) {
+  const { valid, errors, exclusion } = validateExclusion(input);
+
+  if (!valid) {
+    return { success: false, errors };
+  }
+
+  const saved = await dividendStore.upsertExcludedWallet(exclusion);
+  console.log(`🚷 Excluded ${saved.wallet_address} from dividends: ${formatExclusionReason(saved)}`);
+  return { success: true, exclusion: saved };
+}
+
+/**
+ * Stop excluding a wallet
+ */
+async function removeHolderExclusion(walletAddress) {
+  const removed = await dividendStore.deactivateExcludedWallet(walletAddress);
+
+  if (removed) {
+    console.log(`✅ ${walletAddress} is no longer excluded from dividends`);
+  }
+
+  return removed;
+}
+
+module.exports = {
+  EXCLUSION_CATEGORIES,
+  formatExclusionReason,
+  validateExclusion,
+  applyHolderExclusions,
+  listHolderExclusions,
+  getHolderExclusion,
+  addHolderExclusion,
+  removeHolderExclusion
+};
@@ -1,11 +1,14 @@
 const { getSupabaseAdminClient } = require('../../database.js');
+const { getEligibilityPolicy, evaluateEligibility } = require('./eligibility-policy.js');
 
 /**
  * HOLDER LOYALTY SYSTEM
- * Enforces 70% retention rule for dividend eligibility
- * Tracks initial bags and blacklists sellers who drop below 70%
+ * Tracks initial bags and applies the configured eligibility policy
+ * (see eligibility-policy.js) to decide who receives dividends
  */
 
+const PREVIEW_LOOKUP_CHUNK_SIZE = 200;
+
 /**
  * Record initial bag for a new holder
  */
@@ -62,11 +65,25 @@ async function recordInitialBag(holderAddress, tokenBalance, percentage, tokenMi
 }
 
 /**
- * Update holder eligibility based on current holdings
+ * Update holder eligibility based on current holdings and the active policy
+ * @param {Object} [options]
+ * @param {Object} [options.policy] Eligibility policy, loaded when omitted
+ * @param {string} [options.firstRecordedAt] When the initial bag was recorded, looked up when omitted
  */
-async function updateHolderEligibility(holderAddress, currentBalance, initialBalance) {
+async function updateHolderEligibility(holderAddress, currentBalance, initialBalance, options = {}) {
   try {
     const supabase = getSupabaseAdminClient();
+    const policy = options.policy || await getEligibilityPolicy();
+    let firstRecordedAt = options.firstRecordedAt;
+    
+    if (firstRecordedAt === undefined) {
+      const { data: initialBag } = await supabase
+        .from('holder_initial_bags')
+        .select('first_recorded_at')
+        .eq('holder_address', holderAddress)
+        .single();
+      firstRecordedAt = initialBag?.first_recorded_at || null;
+    }
     
     // Check if holder was ever completely sold out (permanently blacklisted)
     const { data: existingRecord } = await supabase
@@ -75,46 +92,33 @@ async function updateHolderEligibility(holderAddress, currentBalance, initialBal
       .eq('holder_address', holderAddress)
       .single();
     
-    // Calculate retention percentage
-    const retentionPercentage = initialBalance > 0 ? (currentBalance / initialBalance) * 100 : 0;
-    
-    // Check if they completely sold out (0 balance)
-    const hasSoldOut = currentBalance === 0;
-    
-    // Determine eligibility rules:
-    // 1. If they ever sold out completely (100%), they are PERMANENTLY blacklisted
-    // 2. If they never sold out but are <70%, they are temporarily blacklisted
-    // 3. If they were temporarily blacklisted but topped back up to 70%+, they become eligible again
-    
-    let isEligible = retentionPercentage >= 70;
-    let blacklistReason = null;
-    let isPermanentlyBlacklisted = false;
-    
-    // Check if they previously sold out completely
-    if (existingRecord?.blacklist_reason?.includes('PERMANENTLY BLACKLISTED - Sold entire bag')) {
-      isPermanentlyBlacklisted = true;
-      isEligible = false;
-      blacklistReason = existingRecord.blacklist_reason;
-    } else if (hasSoldOut) {
-      // They just sold out completely - permanent blacklist
-      isPermanentlyBlacklisted = true;
-      isEligible = false;
-      blacklistReason = `PERMANENTLY BLACKLISTED - Sold entire bag (${new Date().toISOString()})`;
-    } else if (retentionPercentage < 70) {
-      // Temporarily blacklisted for low retention (can recover)
-      isEligible = false;
-      blacklistReason = `Temporarily blacklisted: retention ${retentionPercentage.toFixed(2)}% < 70% (can recover by buying back to 70%+)`;
-    } else if (retentionPercentage >= 70 && existingRecord?.is_eligible === false && !isPermanentlyBlacklisted) {
-      // They recovered from temporary blacklist!
-      isEligible = true;
-      blacklistReason = null;
-      console.log(`🎉 RECOVERY: ${holderAddress} topped back up to ${retentionPercentage.toFixed(2)}% - ELIGIBLE AGAIN!`);
+    const result = evaluateEligibility(
+      { balance: currentBalance, initialBalance, firstRecordedAt },
+      existingRecord,
+      policy
+    );
+    const { isEligible, retentionPercentage, isPermanentlyBlacklisted, blacklistReason } = result;
+    const baselineInitialBalance = result.resetBaseline ? currentBalance : initialBalance;
+    
+    if (result.resetBaseline) {
+      // Re-eligibility window passed - start over from the current bag
+      const { error: bagError } = await supabase
+        .from('holder_initial_bags')
+        .update({ initial_balance: currentBalance })
+        .eq('holder_address', holderAddress);
+      
+      if (bagError) {
+        console.error(`❌ Failed to reset initial bag for ${holderAddress}:`, bagError);
+        throw bagError;
+      }
     }
     
     const updateData = {
       current_balance: currentBalance,
-      initial_balance: initialBalance,
+      initial_balance: baselineInitialBalance,
+      peak_balance: result.peakBalance,
       retention_percentage: retentionPercentage,
+      retention_breach_at: result.retentionBreachAt,
       is_eligible: isEligible,
       last_checked_at: new Date().toISOString(),
       permanently_blacklisted: isPermanentlyBlacklisted
@@ -122,7 +126,9 @@ async function updateHolderEligibility(holderAddress, currentBalance, initialBal
     
     // Only update blacklist info if status changed
     if (isEligible === false) {
-      updateData.blacklisted_at = new Date().toISOString();
+      if (existingRecord?.is_eligible !== false || result.resetBaseline) {
+        updateData.blacklisted_at = new Date().toISOString();
+      }
       updateData.blacklist_reason = blacklistReason;
     } else if (isEligible === true && existingRecord?.is_eligible === false) {
       // They recovered - clear blacklist info
@@ -146,18 +152,25 @@ async function updateHolderEligibility(holderAddress, currentBalance, initialBal
     if (isPermanentlyBlacklisted) {
       console.log(`💀 PERMANENTLY BLACKLISTED: ${holderAddress} - sold entire bag, can never recover`);
     } else if (isEligible === false) {
-      console.log(`🚫 TEMPORARILY BLACKLISTED: ${holderAddress} retention: ${retentionPercentage.toFixed(2)}% (< 70%) - can recover`);
+      console.log(`🚫 BLACKLISTED: ${holderAddress} (${result.failedRule}) - ${blacklistReason}`);
     } else if (isEligible === true && existingRecord?.is_eligible === false) {
-      console.log(`🎉 RECOVERED: ${holderAddress} retention: ${retentionPercentage.toFixed(2)}% (>= 70%) - eligible again!`);
+      const how = result.resetBaseline ? 'auto re-eligible after waiting period' : 'topped back up';
+      console.log(`🎉 RECOVERED: ${holderAddress} ${how}, retention: ${retentionPercentage.toFixed(2)}% - eligible again!`);
+    } else if (result.graceUntil) {
+      console.log(`⏳ GRACE PERIOD: ${holderAddress} retention: ${retentionPercentage.toFixed(2)}% (< ${policy.min_retention_percentage}%) - eligible until ${result.graceUntil}`);
     } else {
-      console.log(`✅ ELIGIBLE: ${holderAddress} retention: ${retentionPercentage.toFixed(2)}% (>= 70%)`);
+      console.log(`✅ ELIGIBLE: ${holderAddress} retention: ${retentionPercentage.toFixed(2)}% (>= ${policy.min_retention_percentage}%)`);
     }
     
     return { 
       isEligible, 
       retentionPercentage, 
       isPermanentlyBlacklisted,
-      canRecover: !isPermanentlyBlacklisted && retentionPercentage < 70
+      blacklistReason,
+      failedRule: result.failedRule,
+      graceUntil: result.graceUntil,
+      initialBalance: baselineInitialBalance,
+      canRecover: !isPermanentlyBlacklisted && !isEligible
     };
   } catch (error) {
     console.error('❌ Error updating holder eligibility:', error);
@@ -166,13 +179,15 @@ async function updateHolderEligibility(holderAddress, currentBalance, initialBal
 }
 
 /**
- * Get eligible holders only (those with 70%+ retention)
+ * Check every holder against the eligibility policy, recording new bags and
+ * updated eligibility as it goes. Returns all holders with their result.
  */
-async function getEligibleHolders(allHolders, tokenMintAddress) {
+async function checkHoldersEligibility(allHolders, tokenMintAddress) {
   try {
     console.log(`🔍 Checking eligibility for ${allHolders.length} holders...`);
     const supabase = getSupabaseAdminClient();
-    const eligibleHolders = [];
+    const policy = await getEligibilityPolicy();
+    const checkedHolders = [];
     
     for (const holder of allHolders) {
       try {
@@ -198,106 +213,133 @@ async function getEligibleHolders(allHolders, tokenMintAddress) {
         const eligibilityResult = await updateHolderEligibility(
           holder.address, 
           holder.balance, 
-          initialBag.initial_balance
+          initialBag.initial_balance,
+          { policy, firstRecordedAt: initialBag.first_recorded_at || null }
         );
         
-        // Only include eligible holders
-        if (eligibilityResult.isEligible) {
-          eligibleHolders.push({
-            ...holder,
-            initialBalance: initialBag.initial_balance,
-            retentionPercentage: eligibilityResult.retentionPercentage,
-            isEligible: true,
-            firstRecorded: initialBag.first_recorded_at
-          });
-        } else {
-          console.log(`🚫 Excluding ineligible holder: ${holder.address}`);
-        }
+        checkedHolders.push({
+          ...holder,
+          initialBalance: eligibilityResult.initialBalance,
+          retentionPercentage: eligibilityResult.retentionPercentage,
+          isEligible: eligibilityResult.isEligible,
+          reason: eligibilityResult.blacklistReason,
+          firstRecorded: initialBag.first_recorded_at
+        });
       } catch (holderError) {
         console.error(`❌ Error processing holder ${holder.address}:`, holderError);
-        // Continue with other holders
+        // Treat as ineligible for this run and continue with other holders
+        checkedHolders.push({
+          ...holder,
+          initialBalance: holder.balance,
+          retentionPercentage: 0,
+          isEligible: false,
+          reason: 'Eligibility check failed: ' + holderError.message
+        });
       }
     }
     
-    console.log(`✅ Eligible holders: ${eligibleHolders.length}/${allHolders.length}`);
-    return eligibleHolders;
+    const eligibleCount = checkedHolders.filter(holder => holder.isEligible).length;
+    console.log(`✅ Eligible holders: ${eligibleCount}/${allHolders.length}`);
+    return checkedHolders;
   } catch (error) {
-    console.error('❌ Error getting eligible holders:', error);
+    console.error('❌ Error checking holder eligibility:', error);
     throw error;
   }
 }
 
 /**
- * Create snapshot of eligible holders for dividend claim
+ * Get eligible holders only (those passing the eligibility policy)
+ */
+async function getEligibleHolders(allHolders, tokenMintAddress) {
+  const checkedHolders = await checkHoldersEligibility(allHolders, tokenMintAddress);
+  return checkedHolders.filter(holder => holder.isEligible);
+}
+
+/**
+ * Split holders into eligible and excluded using the recorded bags, without writing anything.
+ * Holders with no recorded bag yet are treated as new holders at 100% retention,
+ * the same way getEligibleHolders would record them.
  */
-async function createHolderSnapshot(claimId, eligibleHolders) {
+async function previewHolderEligibility(allHolders) {
   try {
-    console.log(`📸 Creating snapshot for claim ${claimId} with ${eligibleHolders.length} eligible holders`);
+    console.log(`🔍 Previewing eligibility for ${allHolders.length} holders...`);
     const supabase = getSupabaseAdminClient();
+    const policy = await getEligibilityPolicy();
+    const initialBags = new Map();
+    const eligibilityRecords = new Map();
     
-    const snapshots = eligibleHolders.map(holder => ({
-      claim_id: claimId,
-      holder_address: holder.address,
-      token_balance: holder.balance,
-      percentage: holder.percentage,
-      initial_balance: holder.initialBalance,
-      retention_percentage: holder.retentionPercentage,
-      is_eligible: holder.isEligible
-    }));
+    // Look records up in chunks to keep the request URLs short
+    for (let i = 0; i < allHolders.length; i += PREVIEW_LOOKUP_CHUNK_SIZE) {
+      const addresses = allHolders.slice(i, i + PREVIEW_LOOKUP_CHUNK_SIZE).map(holder => holder.address);
+      
+      const [bagsResult, eligibilityResult] = await Promise.all([
+        supabase.from('holder_initial_bags').select('*').in('holder_address', addresses),
+        supabase.from('holder_eligibility').select('*').in('holder_address', addresses)
+      ]);
+      
+      if (bagsResult.error) throw bagsResult.error;
+      if (eligibilityResult.error) throw eligibilityResult.error;
+      
+      for (const bag of bagsResult.data) initialBags.set(bag.holder_address, bag);
+      for (const record of eligibilityResult.data) eligibilityRecords.set(record.holder_address, record);
+    }
     
-    const { error } = await supabase
-      .from('holder_snapshots')
-      .insert(snapshots);
+    const eligibleHolders = [];
+    const excludedHolders = [];
     
-    if (error) {
-      console.error('❌ Failed to create holder snapshot:', error);
-      throw error;
+    for (const holder of allHolders) {
+      const initialBag = initialBags.get(holder.address);
+      const initialBalance = initialBag ? Number.parseFloat(initialBag.initial_balance) : holder.balance;
+      const result = evaluateEligibility(
+        { balance: holder.balance, initialBalance, firstRecordedAt: initialBag?.first_recorded_at || null },
+        eligibilityRecords.get(holder.address),
+        policy
+      );
+      
+      const previewed = {
+        ...holder,
+        initialBalance: result.resetBaseline ? holder.balance : initialBalance,
+        retentionPercentage: result.retentionPercentage,
+        isEligible: result.isEligible,
+        isNewHolder: !initialBag
+      };
+      
+      if (result.isEligible) {
+        eligibleHolders.push(previewed);
+      } else {
+        excludedHolders.push({ ...previewed, reason: result.blacklistReason });
+      }
     }
     
-    console.log(`✅ Created snapshot with ${snapshots.length} eligible holders`);
-    return snapshots;
+    console.log(`✅ Eligible holders (preview): ${eligibleHolders.length}/${allHolders.length}`);
+    return { eligibleHolders, excludedHolders };
   } catch (error) {
-    console.error('❌ Error creating holder snapshot:', error);
+    console.error('❌ Error previewing holder eligibility:', error);
     throw error;
   }
 }
 
 /**
- * Calculate proportional dividend distribution for eligible holders
+ * Get a single holder's initial bag and eligibility records (either may be null)
  */
-function calculateProportionalDistribution(eligibleHolders, totalDistributionAmount) {
+async function getHolderLoyaltyRecord(holderAddress) {
   try {
-    console.log(`💰 Calculating proportional distribution of ${totalDistributionAmount} SOL among ${eligibleHolders.length} eligible holders`);
-    
-    // Calculate total tokens held by eligible holders only
-    const totalEligibleTokens = eligibleHolders.reduce((sum, holder) => sum + holder.balance, 0);
-    
-    if (totalEligibleTokens === 0) {
-      console.warn('⚠️ No eligible tokens found for distribution');
-      return [];
-    }
+    const supabase = getSupabaseAdminClient();
     
-    // Calculate each holder's share based on their current holdings
-    const distributions = eligibleHolders.map(holder => {
-      const sharePercentage = (holder.balance / totalEligibleTokens) * 100;
-      const dividendAmount = (totalDistributionAmount * sharePercentage) / 100;
-      
-      return {
-        holder_address: holder.address,
-        token_balance: holder.balance,
-        share_percentage: sharePercentage,
-        dividend_amount: dividendAmount,
-        retention_percentage: holder.retentionPercentage,
-        is_eligible: true
-      };
-    });
+    const [bagResult, eligibilityResult] = await Promise.all([
+      supabase.from('holder_initial_bags').select('*').eq('holder_address', holderAddress).maybeSingle(),
+      supabase.from('holder_eligibility').select('*').eq('holder_address', holderAddress).maybeSingle()
+    ]);
     
-    const totalDistributed = distributions.reduce((sum, dist) => sum + dist.dividend_amount, 0);
-    console.log(`✅ Distribution calculated: ${totalDistributed.toFixed(6)} SOL to ${distributions.length} holders`);
+    if (bagResult.error) throw bagResult.error;
+    if (eligibilityResult.error) throw eligibilityResult.error;
     
-    return distributions;
+    return {
+      initialBag: bagResult.data,
+      eligibility: eligibilityResult.data
+    };
   } catch (error) {
-    console.error('❌ Error calculating proportional distribution:', error);
+    console.error('❌ Error getting holder loyalty record:', error);
     throw error;
   }
 }
@@ -395,9 +437,10 @@ async function resetHolderInitialBag(holderAddress, newBalance, newPercentage, t
 module.exports = {
   recordInitialBag,
   updateHolderEligibility,
+  checkHoldersEligibility,
   getEligibleHolders,
-  createHolderSnapshot,
-  calculateProportionalDistribution,
+  previewHolderEligibility,
+  getHolderLoyaltyRecord,
   getHolderLoyaltyStats,
   resetHolderInitialBag
 };
@@ -0,0 +1,484 @@
+const cron = require('node-cron');
+const { getSupabaseAdminClient } = require('../../database.js');
+const { INSTANCE_ID, isJobLeader, areJobLeasesUnavailable, withJobLease } = require('../../lib/job-lease.js');
+
+/**
+ * BACKGROUND JOB RUNNER
+ * One place for every background job. Each job is registered with a handler
+ * and an optional cron expression or interval. The runner:
+ * - records every run in job_runs (start, end, outcome, error, duration),
+ *   except scheduled runs that a job's isIdle() says did nothing
+ * - retries failed runs with exponential backoff
+ * - runs scheduled jobs only on the job leader unless leaderOnly is false
+ * - can hold a job lease for the whole run so one instance runs it at a time
+ * - skips scheduled runs while a job is paused (background_jobs, shared by
+ *   every instance, read at most once a minute per job) and never overlaps
+ *   runs of a job in this process
+ *
+ * Registering a job does not start its schedule; the server starts every
+ * schedule once it is up (startScheduledJobs), so requiring a module never
+ * leaves timers running.
+ *
+ * Handlers signal failure by throwing; whatever they return is stored as the
+ * run result. Admin control is in api/admin/jobs.js.
+ */
+
+const RUN_RETENTION_DAYS = 14;
+const MAX_RESULT_LENGTH = 4000; // Keep run rows small
+const PAUSED_CACHE_MS = 60 * 1000; // Pausing reaches other instances within this
+
+const jobs = new Map();
+const pausedCache = new Map(); // name -> { paused, checkedAt }
+
+/**
+ * Register a background job
+ * @param {Object} definition
+ * @param {string} definition.name Unique job name
+ * @param {string} definition.description
+ * @param {Function} definition.handler async () => result; throw to fail the run
+ * @param {string} [definition.schedule] node-cron expression
+ * @param {number} [definition.intervalMs] Run every intervalMs instead of on a cron expression
+ * @param {boolean} [definition.leaderOnly=true] Only run on schedule on the job leader instance
+ * @param {number} [definition.retries=0] Extra attempts after a failure
+ * @param {number} [definition.backoffMs=1000] Wait before the first retry, doubled for each further one
+ * @param {number} [definition.leaseSeconds] Hold the job's lease while it runs (jobs triggered on any instance)
+ * @param {boolean} [definition.autoStart=true] Start the schedule with startScheduledJobs (false: started on its own)
+ * @param {Function} [definition.isIdle] result => true when a run did nothing; such
+ *   scheduled runs are not recorded, so frequent housekeeping jobs do not flood job_runs
+ */
+function registerJob(definition) {
+  const { name, handler, schedule, intervalMs } = definition;
+
+  if (!name || typeof handler !== 'function') {
+    throw new Error('A job needs a name and a handler');
+  }
+  if (schedule && !cron.validate(schedule)) {
+    throw new Error(`Invalid schedule for job ${name}: ${schedule}`);
+  }
+  if (jobs.has(name)) {
+    stopJob(name);
+  }
+
+  jobs.set(name, {
+    description: '',
+    leaderOnly: true,
+    retries: 0,
+    backoffMs: 1000,
+    leaseSeconds: null,
+    ...definition,
+    timer: null,
+    running: false,
+    lastRun: null
+  });
+}
+
+/**
+ * Get a registered job or throw
+ */
+function getJob(name) {
+  const job = jobs.get(name);
+  if (!job) {
+    const error = new Error(`Unknown job: ${name}`);
+    error.code = 'UNKNOWN_JOB';
+    throw error;
+  }
+  return job;
+}
+
+/**
+ * Start running a job on its schedule in this process
+ */
+function startJob(name) {
+  const job = getJob(name);
+
+  if (job.timer) {
+    return false;
+  }
+
+  if (job.schedule) {
+    job.timer = cron.schedule(job.schedule, () => runScheduledJob(name), { timezone: 'UTC' });
+  } else if (job.intervalMs) {
+    const interval = setInterval(() => runScheduledJob(name), job.intervalMs);
+    job.timer = { stop: () => clearInterval(interval) };
+  } else {
+    throw new Error(`Job ${name} has no schedule`);
+  }
+
+  return true;
+}
+
+/**
+ * Start the schedule of every registered job that starts with the server
+ * @returns {string[]} Names of the jobs started
+ */
+function startScheduledJobs() {
+  return [...jobs.entries()]
+    .filter(([, job]) => job.autoStart !== false && (job.schedule || job.intervalMs))
+    .filter(([name]) => startJob(name))
+    .map(([name]) => name);
+}
+
+/**
+ * Stop every job schedule running in this process
+ */
+function stopScheduledJobs() {
+  for (const name of jobs.keys()) {
+    stopJob(name);
+  }
+}
+
+/**
+ * Stop running a job on its schedule in this process
+ */
+function stopJob(name) {
+  const job = getJob(name);
+
+  if (!job.timer) {
+    return false;
+  }
+
+  job.timer.stop();
+  job.timer = null;
+  return true;
+}
+
+/**
+ * Scheduled tick: run the job unless another instance leads, it is paused
+ * or it is still running
+ */
+async function runScheduledJob(name) {
+  const job = getJob(name);
+
+  if (job.leaderOnly && !isJobLeader()) {
+    if (areJobLeasesUnavailable()) {
+      console.error(`❌ Job ${name} not run: job leases are not set up, so no instance is the job leader`);
+    }
+    return;
+  }
+  if (job.running) {
+    console.log(`⏭️ Job ${name} is still running, skipping this tick`);
+    return;
+  }
+  if (await isJobPaused(name)) {
+    return;
+  }
+
+  await runJob(name, { trigger: 'schedule' }).catch(error => {
+    console.error(`❌ Job ${name} could not be run:`, error.message);
+  });
+}
+
+/**
+ * Run a job now, with retries, and record the run
+ * @param {string} name
+ * @param {Object} [options]
+ * @param {string} [options.trigger='manual'] What started the run (schedule, manual, api)
+ * @returns {Promise<Object>} { runId, status: 'succeeded'|'failed'|'skipped', attempts, durationMs, result?, error?, reason? }
+ */
+async function runJob(name, { trigger = 'manual' } = {}) {
+  const job = getJob(name);
+
+  if (job.running) {
+    return { status: 'skipped', reason: `Job ${name} is already running on this instance` };
+  }
+
+  job.running = true;
+  const startedAt = new Date();
+  // Record idle-aware scheduled runs once they end, and only if they did something
+  const recordLater = trigger === 'schedule' && typeof job.isIdle === 'function';
+  const runId = recordLater ? null : await recordRunStart(name, trigger, startedAt);
+
+  try {
+    const execute = () => runWithRetries(job);
+    let outcome;
+
+    if (job.leaseSeconds) {
+      const leased = await withJobLease(name, job.leaseSeconds, execute)
+        .catch(error => ({ acquired: false, error }));
+      if (leased.error) {
+        outcome = { status: 'failed', attempts: 0, error: leased.error.message };
+      } else {
+        outcome = leased.acquired
+          ? leased.result
+          : { status: 'skipped', attempts: 0, reason: `Job ${name} is running on ${leased.lease?.owner}` };
+      }
+    } else {
+      outcome = await execute();
+    }
+
+    const run = { runId, ...outcome, durationMs: Date.now() - startedAt.getTime() };
+    if (recordLater && !(run.status === 'succeeded' && job.isIdle(run.result))) {
+      run.runId = await recordRunStart(name, trigger, startedAt);
+    }
+    await recordRunFinish(run.runId, run);
+    job.lastRun = { ...run, trigger, startedAt: startedAt.toISOString() };
+
+    if (run.status === 'failed') {
+      console.error(`❌ Job ${name} failed after ${run.attempts} attempt(s): ${run.error}`);
+    }
+
+    return run;
+  } finally {
+    job.running = false;
+  }
+}
+
+/**
+ * Call the handler until it succeeds or runs out of retries
+ */
+async function runWithRetries(job) {
+  let lastError;
+
+  for (let attempt = 1; attempt <= job.retries + 1; attempt++) {
+    try {
+      const result = await job.handler();
+      return { status: 'succeeded', attempts: attempt, result };
+    } catch (error) {
+      lastError = error;
+      if (attempt <= job.retries) {
+        const delay = job.backoffMs * 2 ** (attempt - 1);
+        console.warn(`⚠️ Job ${job.name} attempt ${attempt} failed (${error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  return { status: 'failed', attempts: job.retries + 1, error: lastError.message };
+}
+
+/**
+ * Turn a handler result into something small enough to store
+ */
+function serializeResult(result) {
+  if (result === undefined) {
+    return null;
+  }
+
+  try {
+    const json = JSON.stringify(result);
+    return json.length > MAX_RESULT_LENGTH ? { truncated: json.slice(0, MAX_RESULT_LENGTH) } : JSON.parse(json);
+  } catch {
+    return { value: String(result) };
+  }
+}
+
+/**
+ * Insert the job_runs row for a run that is starting.
+ * Recording never stops a job from running.
+ */
+async function recordRunStart(name, trigger, startedAt) {
+  try {
+    const supabase = getSupabaseAdminClient();
+    const { data, error } = await supabase
+      .from('job_runs')
+      .insert({
+        job_name: name,
+        trigger,
+        instance_id: INSTANCE_ID,
+        status: 'running',
+        started_at: startedAt.toISOString()
+      })
+      .select('id')
+      .single();
+
+    if (error) throw error;
+    return data.id;
+  } catch (error) {
+    console.error(`⚠️ Failed to record start of job ${name}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Record how a run ended
+ */
+async function recordRunFinish(runId, run) {
+  if (!runId) return;
+
+  try {
+    const supabase = getSupabaseAdminClient();
+    const { error } = await supabase
+      .from('job_runs')
+      .update({
+        status: run.status,
+        attempts: run.attempts,
+        finished_at: new Date().toISOString(),
+        duration_ms: run.durationMs,
+        error_message: run.error || run.reason || null,
+        result: serializeResult(run.result)
+      })
+      .eq('id', runId);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error(`⚠️ Failed to record end of job run ${runId}:`, error.message);
+  }
+}
+
+/**
+ * Check whether a job is paused; an unreadable state counts as not paused
+ */
+async function isJobPaused(name) {
+  const cached = pausedCache.get(name);
+  if (cached && Date.now() - cached.checkedAt < PAUSED_CACHE_MS) {
+    return cached.paused;
+  }
+
+  try {
+    const supabase = getSupabaseAdminClient();
+    const { data, error } = await supabase
+      .from('background_jobs')
+      .select('paused')
+      .eq('name', name)
+      .maybeSingle();
+
+    if (error) throw error;
+    const paused = data?.paused === true;
+    pausedCache.set(name, { paused, checkedAt: Date.now() });
+    return paused;
+  } catch (error) {
+    console.error(`⚠️ Failed to read paused state of job ${name}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Pause or resume a job's scheduled runs on every instance
+ */
+async function setJobPaused(name, paused, changedBy = null) {
+  getJob(name);
+
+  const supabase = getSupabaseAdminClient();
+  const { error } = await supabase
+    .from('background_jobs')
+    .upsert({
+      name,
+      paused,
+      paused_by: paused ? changedBy : null,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'name' });
+
+  if (error) {
+    throw new Error(`Failed to ${paused ? 'pause' : 'resume'} job ${name}: ${error.message}`);
+  }
+
+  pausedCache.set(name, { paused, checkedAt: Date.now() });
+  console.log(`${paused ? '⏸️ Paused' : '▶️ Resumed'} job ${name}`);
+}
+
+/**
+ * Get recent runs, newest first
+ */
+async function getJobRuns({ name = null, status = null, limit = 50 } = {}) {
+  const supabase = getSupabaseAdminClient();
+  let query = supabase
+    .from('job_runs')
+    .select('*')
+    .order('started_at', { ascending: false })
+    .limit(limit);
+
+  if (name) query = query.eq('job_name', name);
+  if (status) query = query.eq('status', status);
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error('Failed to get job runs: ' + error.message);
+  }
+
+  return data || [];
+}
+
+/**
+ * Describe one registered job in this process
+ */
+function describeJob(name, job, pausedNames) {
+  return {
+    name,
+    description: job.description,
+    schedule: job.schedule || (job.intervalMs ? `every ${job.intervalMs / 1000}s` : 'on demand'),
+    leaderOnly: job.leaderOnly,
+    retries: job.retries,
+    leaseSeconds: job.leaseSeconds,
+    scheduled: !!job.timer,
+    running: job.running,
+    paused: pausedNames.has(name),
+    lastRun: job.lastRun
+  };
+}
+
+/**
+ * List every registered job with its state
+ */
+async function listJobs() {
+  const supabase = getSupabaseAdminClient();
+  const { data, error } = await supabase
+    .from('background_jobs')
+    .select('name')
+    .eq('paused', true);
+
+  if (error) {
+    throw new Error('Failed to get paused jobs: ' + error.message);
+  }
+
+  const pausedNames = new Set((data || []).map(row => row.name));
+  return [...jobs.entries()].map(([name, job]) => describeJob(name, job, pausedNames));
+}
+
+/**
+ * Whether a job is registered in this process
+ */
+function hasJob(name) {
+  return jobs.has(name);
+}
+
+/**
+ * Whether a job is running in this process
+ */
+function isJobRunning(name) {
+  return getJob(name).running;
+}
+
+/**
+ * Whether a job is on its schedule in this process
+ */
+function isJobScheduled(name) {
+  return !!getJob(name).timer;
+}
+
+// Keep job_runs from growing without bound
+registerJob({
+  name: 'job-runs-cleanup',
+  description: `Delete job run records older than ${RUN_RETENTION_DAYS} days`,
+  schedule: '15 3 * * *',
+  handler: async () => {
+    const cutoff = new Date(Date.now() - RUN_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const supabase = getSupabaseAdminClient();
+    const { count, error } = await supabase
+      .from('job_runs')
+      .delete({ count: 'exact' })
+      .lt('started_at', cutoff);
+
+    if (error) {
+      throw new Error('Failed to delete old job runs: ' + error.message);
+    }
+
+    return { deleted: count || 0 };
+  }
+});
+
+module.exports = {
+  registerJob,
+  startJob,
+  stopJob,
+  startScheduledJobs,
+  stopScheduledJobs,
+  runJob,
+  isJobPaused,
+  setJobPaused,
+  getJobRuns,
+  listJobs,
+  hasJob,
+  isJobRunning,
+  isJobScheduled
+};
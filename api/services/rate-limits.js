@@ -0,0 +1,399 @@
+const dividendStore = require('../../lib/dividend-store.js');
+const { getSupabaseAdminClient } = require('../../database.js');
+const { getRequestIp } = require('../../lib/request-ip.js');
+const {
+  hitRateLimit,
+  createMemoryRateLimitStore,
+  createSupabaseRateLimitStore
+} = require('../../lib/rate-limiter.js');
+const { registerJob } = require('./job-runner.js');
+
+/**
+ * RATE LIMITS
+ * Abuse protection for the public write endpoints. Each endpoint is
+ * wrapped in rateLimit('<rule>') and every request is counted against up to
+ * three sliding-window limits of that rule (lib/rate-limiter.js):
+ * - ip: per caller IP
+ * - wallet: per walletAddress in the body, when the request has one
+ * - route: all callers together, per route, as a flood ceiling
+ * A request over any of them gets a 429 with Retry-After.
+ *
+ * The limits below are the defaults; admins override them per rule through
+ * api/admin/rate-limits.js (stored in dividend_config 'rate_limit_rules').
+ * Counters are kept in memory unless RATE_LIMIT_BACKEND=supabase, which
+ * shares them between instances. If the counter store fails the request is
+ * let through, so an outage never takes the public endpoints down.
+ */
+
+const RULES_CONFIG_KEY = 'rate_limit_rules';
+const RULES_CACHE_MS = 60 * 1000;
+const LIMIT_DIMENSIONS = ['ip', 'wallet', 'route'];
+const MAX_LIMIT = 1000000;
+const MAX_WINDOW_SECONDS = 24 * 60 * 60;
+const MAX_KEY_PART_LENGTH = 64;
+
+const DEFAULT_RATE_LIMIT_RULES = {
+  'giveaway-entry': {
+    description: 'Giveaway entries (POST /api/giveaway)',
+    enabled: true,
+    ip: { max: 10, windowSeconds: 60 * 60 },
+    wallet: { max: 3, windowSeconds: 60 * 60 },
+    route: { max: 300, windowSeconds: 60 }
+  },
+  'claim-validate': {
+    description: 'QR claim code checks (POST /api/claim/validate, /api/claim-validation and /api/qr-codes)',
+    enabled: true,
+    ip: { max: 20, windowSeconds: 10 * 60 },
+    wallet: null,
+    route: { max: 600, windowSeconds: 60 }
+  },
+  'analytics-track': {
+    description: 'Analytics tracking (visitors, sessions, page views, events)',
+    enabled: true,
+    ip: { max: 120, windowSeconds: 60 },
+    wallet: null,
+    route: { max: 6000, windowSeconds: 60 }
+  },
+  'wallet-sign-in': {
+    description: 'Wallet sign-in challenges and verification (/api/wallet-auth)',
+    enabled: true,
+    ip: { max: 30, windowSeconds: 10 * 60 },
+    wallet: { max: 10, windowSeconds: 10 * 60 },
+    route: { max: 1200, windowSeconds: 60 }
+  },
+  'media-view': {
+    description: 'Media view counts (POST /api/media/track-view)',
+    enabled: true,
+    ip: { max: 60, windowSeconds: 60 },
+    wallet: null,
+    route: { max: 3000, windowSeconds: 60 }
+  }
+};
+
+let store = process.env.RATE_LIMIT_BACKEND === 'supabase'
+  ? createSupabaseRateLimitStore()
+  : createMemoryRateLimitStore();
+let cachedRules = null;
+let cachedRulesAt = 0;
+const stats = new Map(); // rule -> counts since this process started
+
+/**
+ * Get the Supabase admin client or fail loudly
+ */
+function getClient() {
+  const supabase = getSupabaseAdminClient();
+  if (!supabase) {
+    throw new Error('Supabase admin client not available');
+  }
+  return supabase;
+}
+
+/**
+ * Use another counter store, e.g. one backed by Redis
+ * @param {Object} customStore - { name, increment, reset, snapshot } (see lib/rate-limiter.js)
+ */
+function setRateLimitStore(customStore) {
+  for (const method of ['increment', 'reset', 'snapshot']) {
+    if (typeof customStore?.[method] !== 'function') {
+      throw new Error(`Rate limit store is missing ${method}()`);
+    }
+  }
+  store = customStore;
+}
+
+/**
+ * Validate rule overrides
+ * @param {Object} input - { rule: { enabled?, ip?, wallet?, route? } }; a limit
+ *   is { max, windowSeconds }, or null to turn it off
+ * @returns {{valid: boolean, errors: string[], overrides: Object}}
+ */
+function validateRateLimitRules(input) {
+  const errors = [];
+  const overrides = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, errors: ['rules must be an object keyed by rule name'], overrides };
+  }
+
+  for (const [name, rule] of Object.entries(input)) {
+    if (!DEFAULT_RATE_LIMIT_RULES[name]) {
+      errors.push(`${name} is not a rate limit rule (${Object.keys(DEFAULT_RATE_LIMIT_RULES).join(', ')})`);
+      continue;
+    }
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push(`${name} must be an object`);
+      continue;
+    }
+
+    const override = {};
+    if (rule.enabled !== undefined) {
+      if (typeof rule.enabled !== 'boolean') {
+        errors.push(`${name}.enabled must be true or false`);
+      } else {
+        override.enabled = rule.enabled;
+      }
+    }
+
+    for (const dimension of LIMIT_DIMENSIONS) {
+      const limit = rule[dimension];
+      if (limit === undefined) continue;
+      if (limit === null) {
+        override[dimension] = null;
+        continue;
+      }
+
+      const max = Number(limit?.max);
+      const windowSeconds = Number(limit?.windowSeconds);
+      if (!Number.isInteger(max) || max < 1 || max > MAX_LIMIT) {
+        errors.push(`${name}.${dimension}.max must be a whole number from 1 to ${MAX_LIMIT}`);
+      } else if (!Number.isInteger(windowSeconds) || windowSeconds < 1 || windowSeconds > MAX_WINDOW_SECONDS) {
+        errors.push(`${name}.${dimension}.windowSeconds must be a whole number from 1 to ${MAX_WINDOW_SECONDS}`);
+      } else {
+        override[dimension] = { max, windowSeconds };
+      }
+    }
+
+    const unknownFields = Object.keys(rule).filter(key => key !== 'enabled' && !LIMIT_DIMENSIONS.includes(key));
+    if (unknownFields.length > 0) {
+      errors.push(`${name} has unknown fields: ${unknownFields.join(', ')}`);
+    }
+
+    overrides[name] = override;
+  }
+
+  return { valid: errors.length === 0, errors, overrides };
+}
+
+/**
+ * Defaults with the stored overrides applied
+ */
+function mergeRules(overrides = {}) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_RATE_LIMIT_RULES).map(([name, rule]) => [name, { ...rule, ...overrides[name] }])
+  );
+}
+
+/**
+ * Stored rule overrides
+ */
+async function getRateLimitOverrides() {
+  const stored = await dividendStore.getConfigValue(RULES_CONFIG_KEY);
+  if (!stored) {
+    return {};
+  }
+
+  const { valid, errors, overrides } = validateRateLimitRules(typeof stored === 'string' ? JSON.parse(stored) : stored);
+  if (!valid) {
+    console.warn(`⚠️ Stored rate limit rules have invalid fields, using defaults for them: ${errors.join('; ')}`);
+  }
+  return overrides;
+}
+
+/**
+ * The rules in force, cached for a minute. Falls back to the defaults.
+ */
+async function getRateLimitRules() {
+  if (cachedRules && Date.now() - cachedRulesAt < RULES_CACHE_MS) {
+    return cachedRules;
+  }
+
+  try {
+    cachedRules = mergeRules(await getRateLimitOverrides());
+  } catch (error) {
+    console.error('❌ Failed to load rate limit rules, using defaults:', error.message);
+    cachedRules = mergeRules();
+  }
+  cachedRulesAt = Date.now();
+  return cachedRules;
+}
+
+/**
+ * Validate and store rule overrides; rules and fields left out keep their
+ * current setting
+ */
+async function saveRateLimitRules(input) {
+  const { valid, errors, overrides } = validateRateLimitRules(input);
+
+  if (!valid) {
+    return { success: false, errors };
+  }
+
+  const current = await getRateLimitOverrides();
+  const merged = { ...current };
+  for (const [name, override] of Object.entries(overrides)) {
+    merged[name] = { ...current[name], ...override };
+  }
+
+  await dividendStore.setConfigValue(
+    RULES_CONFIG_KEY,
+    JSON.stringify(merged),
+    'json',
+    'Rate limit overrides for the public write endpoints ({ rule: { enabled, ip, wallet, route } })'
+  );
+
+  cachedRules = null;
+  const rules = await getRateLimitRules();
+  console.log('✅ Rate limit rules updated');
+  return { success: true, rules };
+}
+
+/**
+ * Counts for a rule since this process started
+ */
+function getRuleStats(ruleName) {
+  if (!stats.has(ruleName)) {
+    stats.set(ruleName, {
+      allowed: 0,
+      blocked: 0,
+      blockedBy: { ip: 0, wallet: 0, route: 0 },
+      storeErrors: 0,
+      lastBlockedAt: null
+    });
+  }
+  return stats.get(ruleName);
+}
+
+/**
+ * The wallet a request acts for, if its body names one
+ */
+function getRequestWallet(req) {
+  const wallet = req.body?.walletAddress || req.body?.wallet_address;
+  return typeof wallet === 'string' && wallet.trim() ? wallet.trim().slice(0, MAX_KEY_PART_LENGTH) : null;
+}
+
+/**
+ * The counters a request is checked against under a rule
+ */
+function getRateLimitChecks(ruleName, rule, req) {
+  const values = {
+    ip: (getRequestIp(req) || 'unknown').slice(0, MAX_KEY_PART_LENGTH),
+    wallet: getRequestWallet(req),
+    route: `${req.method} ${req.baseUrl}${req.route?.path === '/' ? '' : req.route?.path || ''}`
+  };
+
+  return LIMIT_DIMENSIONS
+    .filter(dimension => rule[dimension] && values[dimension])
+    .map(dimension => ({
+      dimension,
+      key: `${ruleName}:${dimension}:${values[dimension]}`,
+      limit: rule[dimension]
+    }));
+}
+
+/**
+ * Middleware limiting a route by one of the rules above
+ * @param {string} ruleName - Key of DEFAULT_RATE_LIMIT_RULES
+ */
+function rateLimit(ruleName) {
+  if (!DEFAULT_RATE_LIMIT_RULES[ruleName]) {
+    throw new Error(`Unknown rate limit rule: ${ruleName}`);
+  }
+
+  const limiter = async (req, res, next) => {
+    const rule = (await getRateLimitRules())[ruleName];
+    const ruleStats = getRuleStats(ruleName);
+    const checks = rule.enabled ? getRateLimitChecks(ruleName, rule, req) : [];
+    if (checks.length === 0) {
+      return next();
+    }
+
+    let results;
+    try {
+      results = await Promise.all(
+        checks.map(async check => ({ ...check, ...(await hitRateLimit(store, check.key, check.limit)) }))
+      );
+    } catch (error) {
+      ruleStats.storeErrors++;
+      console.error(`❌ Rate limit check failed for ${ruleName}, letting the request through:`, error.message);
+      return next();
+    }
+
+    const tightest = results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+    res.set({
+      'RateLimit-Limit': String(tightest.limit),
+      'RateLimit-Remaining': String(tightest.remaining),
+      'RateLimit-Reset': String(tightest.resetSeconds)
+    });
+
+    const blocked = results.filter(result => !result.allowed);
+    if (blocked.length === 0) {
+      ruleStats.allowed++;
+      return next();
+    }
+
+    ruleStats.blocked++;
+    ruleStats.lastBlockedAt = new Date().toISOString();
+    for (const result of blocked) {
+      ruleStats.blockedBy[result.dimension]++;
+    }
+
+    const retryAfter = Math.max(...blocked.map(result => result.retryAfterSeconds));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      error: 'Too many requests',
+      details: `Try again in ${retryAfter} second(s)`,
+      retryAfter
+    });
+  };
+  // Lets the route table be checked for the rule each route uses
+  limiter.rule = ruleName;
+  return limiter;
+}
+
+/**
+ * Rules, counts and the busiest counters, for the admin view
+ */
+async function getRateLimitStatus() {
+  const rules = await getRateLimitRules();
+
+  return {
+    backend: store.name || 'custom',
+    rules,
+    stats: Object.fromEntries(Object.keys(rules).map(name => [name, getRuleStats(name)])),
+    counters: await store.snapshot()
+  };
+}
+
+/**
+ * Clear one counter, e.g. to unblock an IP or wallet
+ * @param {string} key - Counter key as listed in getRateLimitStatus()
+ * @returns {Promise<boolean>} false if there was no such counter
+ */
+async function resetRateLimitKey(key) {
+  return await store.reset(key);
+}
+
+registerJob({
+  name: 'rate-limit-cleanup',
+  description: 'Delete expired rate limit counters (RATE_LIMIT_BACKEND=supabase)',
+  schedule: '*/15 * * * *',
+  handler: async () => {
+    if (store.name !== 'supabase') {
+      return { deleted: 0, backend: store.name || 'custom' };
+    }
+
+    const supabase = getClient();
+    const { count, error } = await supabase
+      .from('rate_limit_counters')
+      .delete({ count: 'exact' })
+      .lt('expires_at', new Date().toISOString());
+
+    if (error) {
+      throw new Error('Failed to delete expired rate limit counters: ' + error.message);
+    }
+
+    return { deleted: count || 0 };
+  }
+});
+
+module.exports = {
+  DEFAULT_RATE_LIMIT_RULES,
+  rateLimit,
+  setRateLimitStore,
+  validateRateLimitRules,
+  getRateLimitRules,
+  saveRateLimitRules,
+  getRateLimitStatus,
+  resetRateLimitKey
+};
@@ -0,0 +1,425 @@
+const { Connection, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const dividendStore = require('../../lib/dividend-store.js');
+const { solanaPaymentService } = require('../../lib/solana-payment.cjs');
+const { getCreatorWalletAddress } = require('../../lib/creator-fee-claimer.js');
+const { registerJob } = require('./job-runner.js');
+const { emitWebhookEvent } = require('./webhooks.js');
+
+/**
+ * TREASURY MONITOR
+ * Samples the creator, claims and payout wallet balances every 10 minutes
+ * into wallet_balance_history (check_reason 'scheduled', tagged with the
+ * wallet role) for charting. When a wallet drops below its floor a
+ * 'treasury.low_balance' alert is posted to the alert webhook, and a
+ * 'treasury.recovered' alert when it is back above it. Alerts fire on the
+ * change only, not on every sample. The same events also go to the
+ * outbound webhook endpoints subscribed to them (api/services/webhooks.js).
+ *
+ * Stored in dividend_config 'treasury_wallets' ({ role: { address, floorSol } })
+ * and 'treasury_alert_webhook_url'. A wallet without an address is detected:
+ * the creator wallet from lib/creator-fee-claimer.js, the claims wallet from
+ * CLAIMS_WALLET_ADDRESS and the payout wallet from lib/solana-payment.cjs.
+ */
+
+const SOLANA_RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
+const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
+
+const TREASURY_JOB = 'treasury-monitor';
+const SAMPLE_REASON = 'scheduled';
+const WALLET_ROLES = ['creator', 'claims', 'payout'];
+const ALERT_TIMEOUT_MS = 10000;
+
+const DEFAULT_TREASURY_SETTINGS = {
+  wallets: {
+    creator: { address: null, floorSol: 0.05 },
+    claims: { address: null, floorSol: 0.05 },
+    payout: { address: null, floorSol: 10 }
+  },
+  alertWebhookUrl: ''
+};
+
+/**
+ * Whether a string is a valid Solana address
+ */
+function isValidAddress(address) {
+  try {
+    new PublicKey(address);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate treasury settings; omitted fields are left alone
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateTreasurySettings({ wallets, alertWebhookUrl } = {}) {
+  const errors = [];
+
+  if (wallets !== undefined) {
+    if (!wallets || typeof wallets !== 'object' || Array.isArray(wallets)) {
+      errors.push('wallets must be an object keyed by wallet role');
+    } else {
+      for (const [role, wallet] of Object.entries(wallets)) {
+        if (!WALLET_ROLES.includes(role)) {
+          errors.push(`wallets.${role} is not a treasury wallet (${WALLET_ROLES.join(', ')})`);
+          continue;
+        }
+        if (!wallet || typeof wallet !== 'object') {
+          errors.push(`wallets.${role} must be an object`);
+          continue;
+        }
+        if (wallet.address !== undefined && wallet.address !== null && wallet.address !== '' && !isValidAddress(wallet.address)) {
+          errors.push(`wallets.${role}.address is not a valid Solana address`);
+        }
+        if (wallet.floorSol !== undefined) {
+          const floor = Number(wallet.floorSol);
+          if (wallet.floorSol === null || !Number.isFinite(floor) || floor < 0) {
+            errors.push(`wallets.${role}.floorSol must be a number >= 0 (0 = no alerts)`);
+          }
+        }
+      }
+    }
+  }
+
+  if (alertWebhookUrl !== undefined && alertWebhookUrl !== null && alertWebhookUrl !== '') {
+    let url = null;
+    try {
+      url = new URL(alertWebhookUrl);
+    } catch {
+      // Reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push('alertWebhookUrl must be an http(s) URL');
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Merge stored wallet settings over the defaults
+ */
+function mergeWallets(base, overrides) {
+  const wallets = {};
+
+  for (const role of WALLET_ROLES) {
+    const override = overrides?.[role] || {};
+    wallets[role] = {
+      address: override.address !== undefined ? (override.address || null) : base[role].address,
+      floorSol: override.floorSol !== undefined ? Number(override.floorSol) : base[role].floorSol
+    };
+  }
+
+  return wallets;
+}
+
+/**
+ * Load the treasury settings, falling back to the defaults
+ */
+async function getTreasurySettings() {
+  try {
+    const [storedWallets, alertWebhookUrl] = await Promise.all([
+      dividendStore.getConfigValue('treasury_wallets'),
+      dividendStore.getConfigValue('treasury_alert_webhook_url')
+    ]);
+
+    const wallets = typeof storedWallets === 'string' ? JSON.parse(storedWallets) : storedWallets;
+    const settings = {
+      wallets: mergeWallets(DEFAULT_TREASURY_SETTINGS.wallets, wallets),
+      alertWebhookUrl: alertWebhookUrl || ''
+    };
+
+    const { valid, errors } = validateTreasurySettings(settings);
+    if (!valid) {
+      console.warn(`⚠️ Stored treasury settings are invalid, using defaults: ${errors.join('; ')}`);
+      return { ...DEFAULT_TREASURY_SETTINGS, wallets: mergeWallets(DEFAULT_TREASURY_SETTINGS.wallets) };
+    }
+
+    return settings;
+  } catch (error) {
+    console.error('❌ Failed to load treasury settings, using defaults:', error.message);
+    return { ...DEFAULT_TREASURY_SETTINGS, wallets: mergeWallets(DEFAULT_TREASURY_SETTINGS.wallets) };
+  }
+}
+
+/**
+ * Validate and store treasury settings; omitted fields are left alone
+ */
+async function saveTreasurySettings({ wallets, alertWebhookUrl }) {
+  const { valid, errors } = validateTreasurySettings({ wallets, alertWebhookUrl });
+
+  if (!valid) {
+    return { success: false, errors };
+  }
+
+  if (wallets !== undefined) {
+    const current = await getTreasurySettings();
+    await dividendStore.setConfigValue(
+      'treasury_wallets',
+      JSON.stringify(mergeWallets(current.wallets, wallets)),
+      'json',
+      'Treasury wallets to sample with the balance floor that triggers a low-balance alert (address null = detect)'
+    );
+  }
+
+  if (alertWebhookUrl !== undefined) {
+    await dividendStore.setConfigValue(
+      'treasury_alert_webhook_url',
+      alertWebhookUrl ? alertWebhookUrl.trim() : '',
+      'string',
+      'Webhook that receives treasury low-balance alerts (empty = no alerts)'
+    );
+  }
+
+  const settings = await getTreasurySettings();
+  console.log('✅ Treasury settings updated');
+  return { success: true, settings };
+}
+
+/**
+ * Work out the address of a wallet whose address is not configured
+ */
+async function detectWalletAddress(role) {
+  if (role === 'creator') {
+    return await getCreatorWalletAddress();
+  }
+  if (role === 'payout') {
+    if (!solanaPaymentService.isInitialized()) {
+      await solanaPaymentService.initialize();
+    }
+    return solanaPaymentService.getPayoutWalletAddress();
+  }
+  return process.env.CLAIMS_WALLET_ADDRESS || null;
+}
+
+/**
+ * Resolve every treasury wallet's address; a wallet that cannot be
+ * resolved is returned without one
+ */
+async function resolveTreasuryWallets(settings) {
+  const wallets = [];
+
+  for (const role of WALLET_ROLES) {
+    const { address, floorSol } = settings.wallets[role];
+    let resolved = address;
+
+    if (!resolved) {
+      try {
+        resolved = await detectWalletAddress(role);
+      } catch (error) {
+        console.warn(`⚠️ Could not detect the ${role} wallet address:`, error.message);
+      }
+    }
+
+    wallets.push({ role, address: resolved || null, floorSol });
+  }
+
+  return wallets;
+}
+
+/**
+ * Which alert, if any, a new balance sample triggers
+ * @returns {string|null} 'treasury.low_balance', 'treasury.recovered' or null
+ */
+function getAlertEvent(previousBalanceSol, balanceSol, floorSol) {
+  if (!(floorSol > 0)) {
+    return null;
+  }
+
+  const below = balanceSol < floorSol;
+  const wasBelow = previousBalanceSol !== null && previousBalanceSol < floorSol;
+
+  if (below && !wasBelow) return 'treasury.low_balance';
+  if (!below && wasBelow) return 'treasury.recovered';
+  return null;
+}
+
+/**
+ * Post a treasury alert to the alert webhook. The text/content fields let
+ * Slack and Discord incoming webhooks show it as a message.
+ */
+async function sendTreasuryAlert(webhookUrl, alert) {
+  const message = alert.event === 'treasury.low_balance'
+    ? `⚠️ ${alert.role} wallet ${alert.address} is down to ${alert.balanceSol} SOL (floor ${alert.floorSol} SOL)`
+    : `✅ ${alert.role} wallet ${alert.address} is back to ${alert.balanceSol} SOL (floor ${alert.floorSol} SOL)`;
+
+  const response = await fetch(webhookUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...alert, text: message, content: message }),
+    signal: AbortSignal.timeout(ALERT_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Alert webhook returned ${response.status}`);
+  }
+}
+
+/**
+ * Sample every treasury wallet, store the balances and send alerts for
+ * wallets that crossed their floor
+ */
+async function sampleTreasuryBalances() {
+  const settings = await getTreasurySettings();
+  const wallets = await resolveTreasuryWallets(settings);
+  const samples = [];
+  const alerts = [];
+  const failures = [];
+  const skipped = wallets.filter(wallet => !wallet.address).map(wallet => wallet.role);
+
+  for (const wallet of wallets.filter(entry => entry.address)) {
+    try {
+      const previous = await dividendStore.getLatestWalletBalance(wallet.role, SAMPLE_REASON);
+      const lamports = await connection.getBalance(new PublicKey(wallet.address));
+      const balanceSol = lamports / LAMPORTS_PER_SOL;
+      const checkedAt = new Date().toISOString();
+
+      await dividendStore.recordWalletBalance({
+        wallet_address: wallet.address,
+        wallet_role: wallet.role,
+        balance_sol: balanceSol,
+        balance_lamports: lamports,
+        check_reason: SAMPLE_REASON
+      });
+      samples.push({ role: wallet.role, address: wallet.address, balanceSol, floorSol: wallet.floorSol });
+
+      const previousBalanceSol = previous ? Number(previous.balance_sol) : null;
+      const event = getAlertEvent(previousBalanceSol, balanceSol, wallet.floorSol);
+      if (!event) continue;
+
+      console.log(`${event === 'treasury.low_balance' ? '⚠️' : '✅'} ${wallet.role} wallet ${event === 'treasury.low_balance' ? 'below' : 'back above'} its floor: ${balanceSol} SOL`);
+      const alert = { event, role: wallet.role, address: wallet.address, balanceSol, floorSol: wallet.floorSol, checkedAt };
+      emitWebhookEvent(event, { role: alert.role, address: alert.address, balanceSol, floorSol: alert.floorSol, checkedAt });
+
+      if (!settings.alertWebhookUrl) {
+        alerts.push({ ...alert, delivered: false, reason: 'No alert webhook configured' });
+        continue;
+      }
+
+      try {
+        await sendTreasuryAlert(settings.alertWebhookUrl, alert);
+        alerts.push({ ...alert, delivered: true });
+      } catch (alertError) {
+        console.error(`❌ Failed to send ${event} alert for the ${wallet.role} wallet:`, alertError.message);
+        alerts.push({ ...alert, delivered: false, reason: alertError.message });
+      }
+    } catch (error) {
+      console.error(`❌ Failed to sample the ${wallet.role} wallet balance:`, error.message);
+      failures.push({ role: wallet.role, error: error.message });
+    }
+  }
+
+  if (samples.length === 0 && failures.length > 0) {
+    throw new Error(`No treasury wallet could be sampled: ${failures.map(failure => `${failure.role}: ${failure.error}`).join('; ')}`);
+  }
+
+  return { samples, alerts, failures, skipped };
+}
+
+/**
+ * Latest scheduled sample of each treasury wallet against its floor
+ */
+async function getTreasuryStatus() {
+  const settings = await getTreasurySettings();
+  const latest = await Promise.all(WALLET_ROLES.map(role => dividendStore.getLatestWalletBalance(role, SAMPLE_REASON)));
+
+  const wallets = WALLET_ROLES.map((role, index) => {
+    const sample = latest[index];
+    const { floorSol } = settings.wallets[role];
+    const balanceSol = sample ? Number(sample.balance_sol) : null;
+
+    return {
+      role,
+      address: sample?.wallet_address || settings.wallets[role].address,
+      floorSol,
+      balanceSol,
+      belowFloor: balanceSol !== null && floorSol > 0 && balanceSol < floorSol,
+      checkedAt: sample?.checked_at || null
+    };
+  });
+
+  return {
+    wallets,
+    alertsEnabled: !!settings.alertWebhookUrl
+  };
+}
+
+/**
+ * Start of the time bucket a sample falls in
+ */
+function bucketStart(time, interval) {
+  const date = new Date(time);
+  if (interval === 'day') {
+    date.setUTCHours(0, 0, 0, 0);
+  } else {
+    date.setUTCMinutes(0, 0, 0);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Balance time series per wallet role for charting. With an 'hour' or
+ * 'day' interval each point is the last sample in that bucket.
+ * @param {Object} options
+ * @param {string[]} options.roles
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {string} options.interval 'raw', 'hour' or 'day'
+ */
+async function getTreasuryHistory({ roles = WALLET_ROLES, from, to, interval = 'hour' }) {
+  const [settings, rows] = await Promise.all([
+    getTreasurySettings(),
+    dividendStore.getWalletBalanceHistory({ roles, from: from.toISOString(), to: to.toISOString() })
+  ]);
+
+  const series = {};
+  for (const role of roles) {
+    series[role] = { floorSol: settings.wallets[role].floorSol, address: null, points: [] };
+  }
+
+  for (const row of rows) {
+    if (row.check_reason !== SAMPLE_REASON && interval !== 'raw') continue;
+
+    const entry = series[row.wallet_role];
+    const point = {
+      time: interval === 'raw' ? row.checked_at : bucketStart(row.checked_at, interval),
+      balanceSol: Number(row.balance_sol)
+    };
+    entry.address = row.wallet_address;
+
+    const last = entry.points[entry.points.length - 1];
+    if (interval !== 'raw' && last?.time === point.time) {
+      last.balanceSol = point.balanceSol;
+    } else {
+      entry.points.push(interval === 'raw' ? { ...point, reason: row.check_reason } : point);
+    }
+  }
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    interval,
+    series
+  };
+}
+
+registerJob({
+  name: TREASURY_JOB,
+  description: 'Sample the creator, claims and payout wallet balances and alert on low balances',
+  schedule: '*/10 * * * *',
+  handler: sampleTreasuryBalances
+});
+
+module.exports = {
+  TREASURY_JOB,
+  WALLET_ROLES,
+  DEFAULT_TREASURY_SETTINGS,
+  validateTreasurySettings,
+  getTreasurySettings,
+  saveTreasurySettings,
+  sampleTreasuryBalances,
+  getTreasuryStatus,
+  getTreasuryHistory
+};
@@ -0,0 +1,201 @@
+const dividendStore = require('../../lib/dividend-store.js');
+
+/**
+ * TIME-WEIGHTED AVERAGE BALANCE (TWAB) DIVIDENDS
+ * In 'twab' mode holder balances are snapshotted periodically between claims
+ * and each eligible holder is paid in proportion to their average balance
+ * over the period instead of their balance at claim time. Buying just before
+ * a claim and selling right after earns next to nothing.
+ *
+ * Selected through dividend_config 'distribution_mode' ('snapshot' or 'twab')
+ * and 'twab_snapshot_interval_minutes'.
+ */
+
+const DISTRIBUTION_MODES = ['snapshot', 'twab'];
+const DEFAULT_SNAPSHOT_INTERVAL_MINUTES = 60;
+
+/**
+ * Validate distribution mode settings
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateDistributionModeSettings({ mode, snapshotIntervalMinutes } = {}) {
+  const errors = [];
+
+  if (mode !== undefined && !DISTRIBUTION_MODES.includes(mode)) {
+    errors.push(`mode must be one of: ${DISTRIBUTION_MODES.join(', ')}`);
+  }
+
+  if (snapshotIntervalMinutes !== undefined) {
+    const minutes = Number(snapshotIntervalMinutes);
+    if (!Number.isInteger(minutes) || minutes < 1) {
+      errors.push('snapshotIntervalMinutes must be a whole number of minutes >= 1');
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Get the configured distribution mode and snapshot interval
+ */
+async function getDistributionMode() {
+  try {
+    const [mode, interval] = await Promise.all([
+      dividendStore.getConfigValue('distribution_mode'),
+      dividendStore.getConfigValue('twab_snapshot_interval_minutes')
+    ]);
+
+    if (mode && !DISTRIBUTION_MODES.includes(mode)) {
+      console.warn(`⚠️ Unknown distribution_mode '${mode}', using snapshot mode`);
+    }
+
+    const snapshotIntervalMinutes = Number.parseInt(interval, 10);
+
+    return {
+      mode: DISTRIBUTION_MODES.includes(mode) ? mode : 'snapshot',
+      snapshotIntervalMinutes: snapshotIntervalMinutes > 0 ? snapshotIntervalMinutes : DEFAULT_SNAPSHOT_INTERVAL_MINUTES
+    };
+  } catch (error) {
+    console.error('❌ Failed to load distribution mode, using snapshot mode:', error.message);
+    return { mode: 'snapshot', snapshotIntervalMinutes: DEFAULT_SNAPSHOT_INTERVAL_MINUTES };
+  }
+}
+
+/**
+ * Store new distribution mode settings
+ */
+async function saveDistributionMode({ mode, snapshotIntervalMinutes }) {
+  const { valid, errors } = validateDistributionModeSettings({ mode, snapshotIntervalMinutes });
+
+  if (!valid) {
+    return { success: false, errors };
+  }
+
+  if (mode !== undefined) {
+    await dividendStore.setConfigValue(
+      'distribution_mode',
+      mode,
+      'string',
+      "How dividends are split: 'snapshot' (balance at claim time) or 'twab' (time-weighted average balance)"
+    );
+  }
+
+  if (snapshotIntervalMinutes !== undefined) {
+    await dividendStore.setConfigValue(
+      'twab_snapshot_interval_minutes',
+      String(Number(snapshotIntervalMinutes)),
+      'number',
+      'Minutes between periodic holder snapshots in twab mode'
+    );
+  }
+
+  const settings = await getDistributionMode();
+  console.log('✅ Distribution mode updated:', settings);
+  return { success: true, settings };
+}
+
+/**
+ * Check whether a periodic snapshot is due
+ */
+async function isPeriodicSnapshotDue(settings, now = new Date()) {
+  if (settings.mode !== 'twab') {
+    return false;
+  }
+
+  const latest = await dividendStore.getLatestPeriodicSnapshotTime();
+  return !latest || now - new Date(latest) >= settings.snapshotIntervalMinutes * 60 * 1000;
+}
+
+/**
+ * Record the current holder balances as a periodic snapshot
+ */
+async function recordPeriodicSnapshot(holders, takenAt = new Date()) {
+  try {
+    await dividendStore.recordPeriodicSnapshot(
+      holders.map(holder => ({
+        holder_address: holder.address,
+        token_balance: holder.balance,
+        percentage: holder.percentage
+      })),
+      takenAt.toISOString()
+    );
+
+    console.log(`📸 Periodic snapshot recorded: ${holders.length} holders at ${takenAt.toISOString()}`);
+    return { holderCount: holders.length, takenAt: takenAt.toISOString() };
+  } catch (error) {
+    console.error('❌ Failed to record periodic snapshot:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Average each holder's balance over the period covered by the snapshots.
+ * Balances are held constant from one snapshot to the next, the last one
+ * until periodEnd. Holders missing from a snapshot held nothing at that time.
+ * @param {Array} snapshotRows Rows with holder_address, token_balance and snapshot_timestamp
+ * @param {Date} periodEnd
+ * @returns {Map<string, number>} holder address -> time-weighted average balance
+ */
+function calculateTimeWeightedBalances(snapshotRows, periodEnd) {
+  const snapshots = new Map();
+
+  for (const row of snapshotRows) {
+    const takenAt = new Date(row.snapshot_timestamp).getTime();
+    if (!snapshots.has(takenAt)) {
+      snapshots.set(takenAt, []);
+    }
+    snapshots.get(takenAt).push(row);
+  }
+
+  const times = [...snapshots.keys()].sort((a, b) => a - b);
+  const balances = new Map();
+
+  if (times.length === 0) {
+    return balances;
+  }
+
+  const end = Math.max(periodEnd.getTime(), times.at(-1));
+  const totalDuration = end - times[0];
+
+  times.forEach((takenAt, index) => {
+    const nextAt = index + 1 < times.length ? times[index + 1] : end;
+    // A single snapshot taken at periodEnd covers the whole (empty) period
+    const weight = totalDuration > 0 ? (nextAt - takenAt) / totalDuration : 1;
+
+    for (const row of snapshots.get(takenAt)) {
+      const current = balances.get(row.holder_address) || 0;
+      balances.set(row.holder_address, current + Number.parseFloat(row.token_balance) * weight);
+    }
+  });
+
+  return balances;
+}
+
+/**
+ * Get time-weighted average balances for the period since the last claim
+ * @returns {Promise<{balances: Map<string, number>|null, periodStart: string|null, snapshotCount: number}>}
+ */
+async function getTimeWeightedBalances(periodEnd = new Date()) {
+  const periodStart = await dividendStore.getLatestClaimTime();
+  const rows = await dividendStore.getPeriodicSnapshots(periodStart, periodEnd.toISOString());
+  const snapshotCount = new Set(rows.map(row => row.snapshot_timestamp)).size;
+
+  if (snapshotCount === 0) {
+    console.warn('⚠️ No periodic snapshots since the last claim - falling back to claim-time balances');
+    return { balances: null, periodStart, snapshotCount };
+  }
+
+  console.log(`⚖️ Time-weighting balances over ${snapshotCount} snapshots since ${periodStart || 'the first snapshot'}`);
+  return { balances: calculateTimeWeightedBalances(rows, periodEnd), periodStart, snapshotCount };
+}
+
+module.exports = {
+  DISTRIBUTION_MODES,
+  validateDistributionModeSettings,
+  getDistributionMode,
+  saveDistributionMode,
+  isPeriodicSnapshotDue,
+  recordPeriodicSnapshot,
+  calculateTimeWeightedBalances,
+  getTimeWeightedBalances
+};
@@ -0,0 +1,194 @@
+const crypto = require('node:crypto');
+const { PublicKey } = require('@solana/web3.js');
+const { getSupabaseAdminClient } = require('../../database.js');
+const { verifyWalletSignature } = require('./wallet-signature.js');
+const { signWalletSession, WALLET_SESSION_SECONDS } = require('../../lib/wallet-auth.js');
+const { registerJob } = require('./job-runner.js');
+
+/**
+ * WALLET SIGN-IN (Sign-In-With-Solana)
+ * 1. createWalletChallenge() stores a random nonce for the wallet and returns
+ *    the sign-in message carrying it.
+ * 2. The wallet signs the message (ed25519, wallet adapters' signMessage).
+ * 3. verifyWalletChallenge() checks the message is the one issued, unused and
+ *    unexpired, verifies the signature and uses the nonce up, then issues a
+ *    wallet session token (lib/wallet-auth.js).
+ *
+ * Nonces live in wallet_auth_nonces (database/wallet-auth.sql), so a signed
+ * message works once on any instance. The message names the site
+ * (WALLET_AUTH_DOMAIN, else the request's host) so a signature collected by
+ * another site cannot be replayed here.
+ */
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const SIGN_IN_STATEMENT = 'Sign in to WhatNext to prove you own this wallet. This does not send a transaction or cost any fees.';
+
+/**
+ * Get the Supabase admin client or fail loudly
+ */
+function getClient() {
+  const supabase = getSupabaseAdminClient();
+  if (!supabase) {
+    throw new Error('Supabase admin client not available');
+  }
+  return supabase;
+}
+
+/**
+ * Whether a string is a valid Solana address
+ */
+function isValidAddress(address) {
+  try {
+    new PublicKey(address);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The sign-in message for a wallet, in the Sign-In-With-Solana layout
+ */
+function buildSignInMessage({ domain, walletAddress, nonce, issuedAt, expiresAt }) {
+  return [
+    `${domain} wants you to sign in with your Solana account:`,
+    walletAddress,
+    '',
+    SIGN_IN_STATEMENT,
+    '',
+    'Version: 1',
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expiresAt}`
+  ].join('\n');
+}
+
+/**
+ * Issue a sign-in challenge for a wallet
+ * @param {string} walletAddress - Base58 wallet address
+ * @param {Object} context - { domain, ip? }
+ * @returns {Promise<Object>} { success, message, nonce, expiresAt } or { success: false, error, reason }
+ */
+async function createWalletChallenge(walletAddress, { domain, ip = null }) {
+  if (typeof walletAddress !== 'string' || !isValidAddress(walletAddress)) {
+    return { success: false, error: 'invalid_wallet', reason: 'walletAddress is not a valid Solana address' };
+  }
+
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + CHALLENGE_TTL_MS);
+  const message = buildSignInMessage({
+    domain: process.env.WALLET_AUTH_DOMAIN || domain,
+    walletAddress,
+    nonce,
+    issuedAt: issuedAt.toISOString(),
+    expiresAt: expiresAt.toISOString()
+  });
+
+  const supabase = getClient();
+  const { error } = await supabase
+    .from('wallet_auth_nonces')
+    .insert({
+      nonce,
+      wallet_address: walletAddress,
+      message,
+      ip_address: ip,
+      issued_at: issuedAt.toISOString(),
+      expires_at: expiresAt.toISOString()
+    });
+
+  if (error) {
+    throw new Error(`Failed to create wallet challenge: ${error.message}`);
+  }
+
+  return { success: true, message, nonce, expiresAt: expiresAt.toISOString() };
+}
+
+/**
+ * Check a signed sign-in message and issue a wallet session token
+ * @param {Object} request
+ * @param {string} request.walletAddress - The wallet that signed
+ * @param {string} request.message - The message from createWalletChallenge, unchanged
+ * @param {string} request.signature - Base58 wallet signature of the message
+ * @returns {Promise<Object>} { success, token, expiresIn, walletAddress } or { success: false, error, reason }
+ */
+async function verifyWalletChallenge({ walletAddress, message, signature }) {
+  const nonce = /^Nonce: ([0-9a-f]{32})$/m.exec(typeof message === 'string' ? message : '')?.[1];
+  if (!nonce) {
+    return { success: false, error: 'invalid_message', reason: 'Message is not a sign-in message' };
+  }
+
+  const supabase = getClient();
+  const { data: challenge, error } = await supabase
+    .from('wallet_auth_nonces')
+    .select('*')
+    .eq('nonce', nonce)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load wallet challenge: ${error.message}`);
+  }
+  if (!challenge || challenge.message !== message) {
+    return { success: false, error: 'invalid_message', reason: 'Message was not issued by this server' };
+  }
+  if (challenge.wallet_address !== walletAddress) {
+    return { success: false, error: 'invalid_message', reason: 'Message was issued for a different wallet' };
+  }
+  if (challenge.used_at) {
+    return { success: false, error: 'challenge_used', reason: 'This sign-in message has already been used' };
+  }
+  if (new Date(challenge.expires_at) <= new Date()) {
+    return { success: false, error: 'challenge_expired', reason: 'Sign-in message has expired - request a new one' };
+  }
+
+  if (!verifyWalletSignature(walletAddress, message, signature)) {
+    return { success: false, error: 'invalid_signature', reason: 'Signature does not match the wallet' };
+  }
+
+  // Use the nonce up; only one request can win if the message is sent twice
+  const { data: consumed, error: consumeError } = await supabase
+    .from('wallet_auth_nonces')
+    .update({ used_at: new Date().toISOString() })
+    .eq('nonce', nonce)
+    .is('used_at', null)
+    .select('nonce');
+
+  if (consumeError) {
+    throw new Error(`Failed to use wallet challenge: ${consumeError.message}`);
+  }
+  if (!consumed || consumed.length === 0) {
+    return { success: false, error: 'challenge_used', reason: 'This sign-in message has already been used' };
+  }
+
+  return {
+    success: true,
+    token: signWalletSession(walletAddress),
+    expiresIn: WALLET_SESSION_SECONDS,
+    walletAddress
+  };
+}
+
+registerJob({
+  name: 'wallet-auth-nonces-cleanup',
+  description: 'Delete expired wallet sign-in challenges',
+  schedule: '20 * * * *',
+  handler: async () => {
+    const supabase = getClient();
+    const { count, error } = await supabase
+      .from('wallet_auth_nonces')
+      .delete({ count: 'exact' })
+      .lt('expires_at', new Date().toISOString());
+
+    if (error) {
+      throw new Error('Failed to delete expired wallet challenges: ' + error.message);
+    }
+
+    return { deleted: count || 0 };
+  }
+});
+
+module.exports = {
+  buildSignInMessage,
+  createWalletChallenge,
+  verifyWalletChallenge
+};
@@ -0,0 +1,46 @@
+const crypto = require('node:crypto');
+const bs58 = require('bs58');
+const { PublicKey } = require('@solana/web3.js');
+
+/**
+ * WALLET SIGNATURES
+ * Verifies messages signed with a Solana wallet (ed25519), as produced by
+ * wallet adapters' signMessage. Signatures are base58 encoded.
+ */
+
+const bs58Codec = bs58.default || bs58;
+
+// DER header that turns a raw 32-byte ed25519 key into an SPKI public key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+/**
+ * Check that `signature` is the wallet's signature of `message`
+ * @param {string} walletAddress Base58 wallet address (the signer's public key)
+ * @param {string} message The exact UTF-8 message that was signed
+ * @param {string} signature Base58 encoded 64-byte signature
+ * @returns {boolean}
+ */
+function verifyWalletSignature(walletAddress, message, signature) {
+  try {
+    const publicKeyBytes = new PublicKey(walletAddress).toBytes();
+    const signatureBytes = bs58Codec.decode(signature);
+
+    if (signatureBytes.length !== 64) {
+      return false;
+    }
+
+    const publicKey = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKeyBytes)]),
+      format: 'der',
+      type: 'spki'
+    });
+
+    return crypto.verify(null, Buffer.from(message, 'utf8'), publicKey, Buffer.from(signatureBytes));
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  verifyWalletSignature
+};
@@ -0,0 +1,612 @@
+const crypto = require('node:crypto');
+const { getSupabaseAdminClient } = require('../../database.js');
+const { registerJob } = require('./job-runner.js');
+
+/**
+ * OUTBOUND WEBHOOKS
+ * Admins register endpoints (api/admin/webhooks.js) and pick the events
+ * each one receives ('*' for all). emitWebhookEvent() queues one delivery
+ * per subscribed endpoint in webhook_deliveries and tries it straight away;
+ * failed deliveries are retried by the 'webhook-deliveries' job with
+ * exponential backoff (30s, 1m, 2m, ...) until MAX_ATTEMPTS.
+ *
+ * Each request is a JSON POST of { id, event, createdAt, data } signed with
+ * the endpoint's secret:
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ * Receivers should recompute the HMAC and reject old timestamps.
+ *
+ * Emitting never throws, so a broken webhook can never fail the action
+ * that caused the event.
+ */
+
+const WEBHOOK_EVENTS = {
+  'dividend.claim_completed': 'Creator fees were claimed and dividends distributed',
+  'dividend.claim_failed': 'A dividend claim or its distribution failed',
+  'giveaway.completed': 'A daily giveaway was processed and its winners paid',
+  'qr_claim.redeemed': 'A QR claim code was redeemed',
+  'live_stream.toggled': 'A location was set live or offline',
+  'upload.completed': 'A media upload finished',
+  'treasury.low_balance': 'A treasury wallet dropped below its floor',
+  'treasury.recovered': 'A treasury wallet is back above its floor',
+  'webhook.test': 'Test event sent from the admin panel'
+};
+
+const MAX_ATTEMPTS = 6;
+const BASE_BACKOFF_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const STUCK_DELIVERY_MS = 5 * 60 * 1000; // A delivery left 'delivering' this long was interrupted
+const DUE_BATCH_SIZE = 100;
+const DELIVERY_RETENTION_DAYS = 30;
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * Get the Supabase admin client or fail loudly
+ */
+function getClient() {
+  const supabase = getSupabaseAdminClient();
+  if (!supabase) {
+    throw new Error('Supabase admin client not available');
+  }
+  return supabase;
+}
+
+/**
+ * Create a new signing secret
+ */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * Signature header value for a request body
+ */
+function signPayload(secret, body, timestamp) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Hide all but the end of a secret
+ */
+function maskSecret(secret) {
+  return secret ? `whsec_…${secret.slice(-4)}` : null;
+}
+
+/**
+ * Endpoint row as returned to admins; the secret is only shown on
+ * creation and rotation
+ */
+function describeEndpoint(endpoint, { revealSecret = false } = {}) {
+  return {
+    id: endpoint.id,
+    url: endpoint.url,
+    description: endpoint.description,
+    events: endpoint.events,
+    isActive: endpoint.is_active,
+    secret: revealSecret ? endpoint.secret : maskSecret(endpoint.secret),
+    createdBy: endpoint.created_by,
+    createdAt: endpoint.created_at,
+    updatedAt: endpoint.updated_at
+  };
+}
+
+/**
+ * Validate endpoint fields; omitted fields are left alone unless required
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateWebhookEndpoint({ url, description, events, isActive } = {}, { requireAll = false } = {}) {
+  const errors = [];
+
+  if (url !== undefined || requireAll) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch {
+      // Reported below
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      errors.push('url must be an http(s) URL');
+    }
+  }
+
+  if (events !== undefined || requireAll) {
+    if (!Array.isArray(events) || events.length === 0) {
+      errors.push(`events must be a non-empty list of: *, ${Object.keys(WEBHOOK_EVENTS).join(', ')}`);
+    } else {
+      const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS[event]);
+      if (unknown.length > 0) {
+        errors.push(`Unknown events: ${unknown.join(', ')}`);
+      }
+    }
+  }
+
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    errors.push('description must be a string');
+  }
+
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    errors.push('isActive must be true or false');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * List every webhook endpoint, newest first
+ */
+async function listWebhookEndpoints() {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('webhook_endpoints')
+    .select('*')
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new Error('Failed to get webhook endpoints: ' + error.message);
+  }
+
+  return (data || []).map(endpoint => describeEndpoint(endpoint));
+}
+
+/**
+ * Get a webhook endpoint row, or null if it does not exist
+ */
+async function getEndpoint(endpointId) {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('webhook_endpoints')
+    .select('*')
+    .eq('id', endpointId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to get webhook endpoint ${endpointId}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Get a webhook endpoint as shown to admins, or null if it does not exist
+ */
+async function getWebhookEndpoint(endpointId) {
+  const endpoint = await getEndpoint(endpointId);
+  return endpoint ? describeEndpoint(endpoint) : null;
+}
+
+/**
+ * Register a webhook endpoint
+ * @returns {Promise<Object>} { success, endpoint } with the secret, or { success: false, errors }
+ */
+async function createWebhookEndpoint({ url, description = null, events, isActive = true }, createdBy = null) {
+  const { valid, errors } = validateWebhookEndpoint({ url, description, events, isActive }, { requireAll: true });
+
+  if (!valid) {
+    return { success: false, errors };
+  }
+
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('webhook_endpoints')
+    .insert({
+      url,
+      description,
+      events: [...new Set(events)],
+      is_active: isActive,
+      secret: generateSecret(),
+      created_by: createdBy
+    })
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error('Failed to create webhook endpoint: ' + error.message);
+  }
+
+  console.log(`🔗 Webhook endpoint registered: ${url} (${data.events.join(', ')})`);
+  return { success: true, endpoint: describeEndpoint(data, { revealSecret: true }) };
+}
+
+/**
+ * Update a webhook endpoint; omitted fields are left alone
+ * @returns {Promise<Object|null>} { success, endpoint } or { success: false, errors }; null if not found
+ */
+async function updateWebhookEndpoint(endpointId, { url, description, events, isActive }) {
+  const { valid, errors } = validateWebhookEndpoint({ url, description, events, isActive });
+
+  if (!valid) {
+    return { success: false, errors };
+  }
+
+  const fields = { updated_at: new Date().toISOString() };
+  if (url !== undefined) fields.url = url;
+  if (description !== undefined) fields.description = description;
+  if (events !== undefined) fields.events = [...new Set(events)];
+  if (isActive !== undefined) fields.is_active = isActive;
+
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('webhook_endpoints')
+    .update(fields)
+    .eq('id', endpointId)
+    .select('*')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to update webhook endpoint ${endpointId}: ${error.message}`);
+  }
+
+  return data ? { success: true, endpoint: describeEndpoint(data) } : null;
+}
+
+/**
+ * Replace an endpoint's signing secret
+ * @returns {Promise<Object|null>} The endpoint with its new secret, or null if not found
+ */
+async function rotateWebhookSecret(endpointId) {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('webhook_endpoints')
+    .update({ secret: generateSecret(), updated_at: new Date().toISOString() })
+    .eq('id', endpointId)
+    .select('*')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to rotate secret of webhook endpoint ${endpointId}: ${error.message}`);
+  }
+
+  return data ? describeEndpoint(data, { revealSecret: true }) : null;
+}
+
+/**
+ * Delete a webhook endpoint and its delivery log
+ * @returns {Promise<boolean>} Whether the endpoint existed
+ */
+async function deleteWebhookEndpoint(endpointId) {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('webhook_endpoints')
+    .delete()
+    .eq('id', endpointId)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to delete webhook endpoint ${endpointId}: ${error.message}`);
+  }
+
+  return (data || []).length > 0;
+}
+
+/**
+ * Queue deliveries of an event to the given endpoints and try them now
+ */
+async function queueDeliveries(endpoints, event, data) {
+  const eventId = crypto.randomUUID();
+  const payload = { id: eventId, event, createdAt: new Date().toISOString(), data };
+
+  const supabase = getClient();
+  const { data: deliveries, error } = await supabase
+    .from('webhook_deliveries')
+    .insert(endpoints.map(endpoint => ({
+      endpoint_id: endpoint.id,
+      event_id: eventId,
+      event,
+      payload
+    })))
+    .select('*');
+
+  if (error) {
+    throw new Error(`Failed to queue ${event} webhook deliveries: ${error.message}`);
+  }
+
+  // First attempt in the background; failures are left to the retry job
+  for (const delivery of deliveries) {
+    attemptDelivery(delivery).catch(attemptError => {
+      console.error(`❌ Webhook delivery ${delivery.id} errored:`, attemptError.message);
+    });
+  }
+
+  return deliveries;
+}
+
+/**
+ * Send an event to every active endpoint subscribed to it
+ * @param {string} event One of WEBHOOK_EVENTS
+ * @param {Object} data Event details
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function emitWebhookEvent(event, data) {
+  try {
+    if (!WEBHOOK_EVENTS[event]) {
+      throw new Error(`Unknown webhook event: ${event}`);
+    }
+
+    const supabase = getClient();
+    const { data: endpoints, error } = await supabase
+      .from('webhook_endpoints')
+      .select('id, events')
+      .eq('is_active', true)
+      .or(`events.cs.{"${event}"},events.cs.{"*"}`);
+
+    if (error) throw error;
+    if (!endpoints || endpoints.length === 0) return 0;
+
+    const deliveries = await queueDeliveries(endpoints, event, data);
+    console.log(`📣 Webhook event ${event} queued for ${deliveries.length} endpoint(s)`);
+    return deliveries.length;
+  } catch (error) {
+    console.error(`⚠️ Failed to emit webhook event ${event}:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Send a test event to one endpoint, whatever it subscribes to
+ * @returns {Promise<Object|null>} The queued delivery, or null if the endpoint does not exist
+ */
+async function sendTestWebhook(endpointId, sentBy = null) {
+  const endpoint = await getEndpoint(endpointId);
+  if (!endpoint) {
+    return null;
+  }
+
+  const [delivery] = await queueDeliveries([endpoint], 'webhook.test', {
+    message: 'Test event from the WhatNext admin panel',
+    sentBy
+  });
+  return delivery;
+}
+
+/**
+ * Take a pending delivery for sending; false if another attempt has it
+ */
+async function claimDelivery(deliveryId) {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('webhook_deliveries')
+    .update({ status: 'delivering', updated_at: new Date().toISOString() })
+    .eq('id', deliveryId)
+    .eq('status', 'pending')
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to claim webhook delivery ${deliveryId}: ${error.message}`);
+  }
+
+  return (data || []).length > 0;
+}
+
+/**
+ * Record the outcome of a delivery attempt
+ */
+async function recordAttempt(delivery, { ok, statusCode = null, errorMessage = null, giveUp = false }) {
+  const attempts = delivery.attempts + 1;
+  const now = new Date();
+  let fields;
+
+  if (ok) {
+    fields = { status: 'succeeded', delivered_at: now.toISOString(), last_error: null };
+  } else if (giveUp || attempts >= MAX_ATTEMPTS) {
+    fields = { status: 'failed', last_error: errorMessage };
+  } else {
+    const delay = BASE_BACKOFF_MS * 2 ** (attempts - 1);
+    fields = { status: 'pending', next_attempt_at: new Date(now.getTime() + delay).toISOString(), last_error: errorMessage };
+  }
+
+  const supabase = getClient();
+  const { error } = await supabase
+    .from('webhook_deliveries')
+    .update({
+      ...fields,
+      attempts,
+      last_status_code: statusCode,
+      updated_at: now.toISOString()
+    })
+    .eq('id', delivery.id);
+
+  if (error) {
+    throw new Error(`Failed to record webhook delivery ${delivery.id}: ${error.message}`);
+  }
+
+  return fields.status;
+}
+
+/**
+ * Try to deliver one pending delivery
+ * @returns {Promise<string|null>} The new status, or null if the delivery was not ours to send
+ */
+async function attemptDelivery(delivery) {
+  if (!(await claimDelivery(delivery.id))) {
+    return null;
+  }
+
+  const endpoint = await getEndpoint(delivery.endpoint_id);
+  if (!endpoint || !endpoint.is_active) {
+    return await recordAttempt(delivery, {
+      ok: false,
+      giveUp: true,
+      errorMessage: endpoint ? 'Endpoint is disabled' : 'Endpoint was deleted'
+    });
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const response = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'WhatNext-Webhooks/1.0',
+        'X-Webhook-Id': delivery.event_id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Signature': signPayload(endpoint.secret, body, timestamp)
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    if (response.ok) {
+      return await recordAttempt(delivery, { ok: true, statusCode: response.status });
+    }
+
+    const responseText = await response.text().catch(() => '');
+    return await recordAttempt(delivery, {
+      ok: false,
+      statusCode: response.status,
+      errorMessage: `HTTP ${response.status}: ${responseText}`.slice(0, MAX_ERROR_LENGTH)
+    });
+  } catch (error) {
+    return await recordAttempt(delivery, { ok: false, errorMessage: error.message.slice(0, MAX_ERROR_LENGTH) });
+  }
+}
+
+/**
+ * Retry every delivery that is due, and requeue deliveries an
+ * interrupted attempt left behind
+ */
+async function processDueDeliveries() {
+  const supabase = getClient();
+  const now = new Date();
+
+  const { error: resetError } = await supabase
+    .from('webhook_deliveries')
+    .update({ status: 'pending', updated_at: now.toISOString() })
+    .eq('status', 'delivering')
+    .lt('updated_at', new Date(now.getTime() - STUCK_DELIVERY_MS).toISOString());
+
+  if (resetError) {
+    throw new Error('Failed to requeue interrupted webhook deliveries: ' + resetError.message);
+  }
+
+  const { data: due, error } = await supabase
+    .from('webhook_deliveries')
+    .select('*')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', now.toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(DUE_BATCH_SIZE);
+
+  if (error) {
+    throw new Error('Failed to get due webhook deliveries: ' + error.message);
+  }
+
+  const counts = { attempted: 0, succeeded: 0, retrying: 0, failed: 0 };
+
+  for (const delivery of due || []) {
+    const status = await attemptDelivery(delivery);
+    if (!status) continue;
+
+    counts.attempted++;
+    if (status === 'succeeded') counts.succeeded++;
+    else if (status === 'failed') counts.failed++;
+    else counts.retrying++;
+  }
+
+  return counts;
+}
+
+/**
+ * Queue a delivery to be sent again now, whatever its status
+ * @returns {Promise<Object|null>} The delivery, or null if it does not exist
+ */
+async function redeliverWebhook(deliveryId) {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('webhook_deliveries')
+    .update({
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', deliveryId)
+    .neq('status', 'delivering')
+    .select('*')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to redeliver webhook delivery ${deliveryId}: ${error.message}`);
+  }
+  if (!data) {
+    return null;
+  }
+
+  attemptDelivery(data).catch(attemptError => {
+    console.error(`❌ Webhook delivery ${deliveryId} errored:`, attemptError.message);
+  });
+  return data;
+}
+
+/**
+ * Get the delivery log, newest first
+ */
+async function getWebhookDeliveries({ endpointId = null, event = null, status = null, limit = 50 } = {}) {
+  const supabase = getClient();
+  let query = supabase
+    .from('webhook_deliveries')
+    .select('id, endpoint_id, event_id, event, status, attempts, next_attempt_at, last_status_code, last_error, delivered_at, created_at, updated_at')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (endpointId) query = query.eq('endpoint_id', endpointId);
+  if (event) query = query.eq('event', event);
+  if (status) query = query.eq('status', status);
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error('Failed to get webhook deliveries: ' + error.message);
+  }
+
+  return data || [];
+}
+
+registerJob({
+  name: 'webhook-deliveries',
+  description: 'Retry webhook deliveries that are due',
+  schedule: '* * * * *',
+  handler: processDueDeliveries
+});
+
+registerJob({
+  name: 'webhook-deliveries-cleanup',
+  description: `Delete webhook delivery records older than ${DELIVERY_RETENTION_DAYS} days`,
+  schedule: '45 3 * * *',
+  handler: async () => {
+    const cutoff = new Date(Date.now() - DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const supabase = getClient();
+    const { count, error } = await supabase
+      .from('webhook_deliveries')
+      .delete({ count: 'exact' })
+      .lt('created_at', cutoff)
+      .in('status', ['succeeded', 'failed']);
+
+    if (error) {
+      throw new Error('Failed to delete old webhook deliveries: ' + error.message);
+    }
+
+    return { deleted: count || 0 };
+  }
+});
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES: ['pending', 'delivering', 'succeeded', 'failed'],
+  signPayload,
+  validateWebhookEndpoint,
+  listWebhookEndpoints,
+  getWebhookEndpoint,
+  createWebhookEndpoint,
+  updateWebhookEndpoint,
+  rotateWebhookSecret,
+  deleteWebhookEndpoint,
+  emitWebhookEvent,
+  sendTestWebhook,
+  redeliverWebhook,
+  getWebhookDeliveries
+};
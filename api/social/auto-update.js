@@ -1,5 +1,6 @@
 const express = require('express');
 const { getSupabaseAdminClient  } = require('../../database.js');
+const { runLeaderboardJob } = require('./leaderboard-job.js');
 const router = express.Router();
 
 router.get('/', async (req, res) => {
@@ -48,8 +49,7 @@ router.get('/', async (req, res) => {
     
     // Run leaderboard scanning (new functionality)
     try {
-      const leaderboardModule = require('./leaderboard-scanner.js');
-      const leaderboardResult = await leaderboardModule.runLeaderboardScan();
+      const leaderboardResult = await runLeaderboardJob('api');
       results.leaderboard_scan = leaderboardResult.success;
       results.leaderboard_stats = leaderboardResult.stats;
       
@@ -0,0 +1,52 @@
+const { registerJob, runJob } = require('../services/job-runner.js');
+
+/**
+ * LEADERBOARD SCAN JOB
+ * The leaderboard scan runs on demand from the auto-update and refresh
+ * endpoints, which any replica may serve. It runs through the job runner so
+ * every scan is recorded, a failed scan is retried once, and the job lease
+ * keeps it to one scan at a time across instances.
+ */
+
+const LEADERBOARD_JOB = 'leaderboard-scan';
+
+registerJob({
+  name: LEADERBOARD_JOB,
+  description: 'Scan follower tweets and rebuild the social engagement leaderboard',
+  leaseSeconds: 30 * 60,
+  retries: 1,
+  backoffMs: 2 * 60 * 1000,
+  handler: async () => {
+    // Required lazily: the scanner exits the process when Supabase is not configured
+    const { runLeaderboardScan } = require('./leaderboard-scanner.js');
+    const result = await runLeaderboardScan();
+
+    if (!result.success) {
+      throw new Error(result.error || result.reason || 'Leaderboard scan failed');
+    }
+
+    return result.stats;
+  }
+});
+
+/**
+ * Run the leaderboard scan job
+ * @param {string} trigger What asked for the scan (api, manual)
+ * @returns {Promise<Object>} { success, stats?, error?, skipped? }
+ */
+async function runLeaderboardJob(trigger) {
+  const run = await runJob(LEADERBOARD_JOB, { trigger });
+
+  if (run.status === 'skipped') {
+    return { success: false, skipped: true, error: run.reason };
+  }
+
+  return run.status === 'succeeded'
+    ? { success: true, stats: run.result }
+    : { success: false, error: run.error };
+}
+
+module.exports = {
+  LEADERBOARD_JOB,
+  runLeaderboardJob
+};
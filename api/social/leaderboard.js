@@ -1,5 +1,6 @@
 const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
+const { runLeaderboardJob } = require('./leaderboard-job.js');
 const router = express.Router();
 
 // =====================================================
@@ -327,9 +328,8 @@ router.post('/refresh', async (req, res) => {
     try {
         console.log('🔄 Manual leaderboard refresh requested...');
         
-        // Import and run leaderboard scanner
-        const leaderboardModule = require('./leaderboard-scanner.js');
-        const result = await leaderboardModule.runLeaderboardScan();
+        // Run the leaderboard scanner through the job runner
+        const result = await runLeaderboardJob('manual');
         
         if (result.success) {
             console.log('✅ Manual refresh completed successfully');
@@ -0,0 +1,102 @@
+const express = require('express');
+const { createWalletChallenge, verifyWalletChallenge } = require('./services/wallet-auth.js');
+const { isWalletAuthConfigured, sendWalletAuthNotConfigured, requireWalletSession } = require('../lib/wallet-auth.js');
+const { rateLimit } = require('./services/rate-limits.js');
+const { getRequestIp } = require('../lib/request-ip.js');
+
+const router = express.Router();
+
+const VERIFY_ERROR_STATUS = {
+  invalid_message: 400,
+  invalid_signature: 401,
+  challenge_used: 409,
+  challenge_expired: 410
+};
+
+// No challenge is handed out while no session could be signed for it
+router.use((req, res, next) => (isWalletAuthConfigured() ? next() : sendWalletAuthNotConfigured(res)));
+
+/**
+ * POST /api/wallet-auth/challenge - Get a sign-in message for a wallet
+ * Body: { walletAddress }
+ */
+router.post('/challenge', rateLimit('wallet-sign-in'), async (req, res) => {
+  try {
+    const result = await createWalletChallenge(req.body.walletAddress, {
+      domain: req.get('host') || 'whatnext',
+      ip: getRequestIp(req)
+    });
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, error: result.reason });
+    }
+
+    res.json({
+      success: true,
+      message: result.message,
+      nonce: result.nonce,
+      expiresAt: result.expiresAt
+    });
+  } catch (error) {
+    console.error('❌ Failed to create wallet challenge:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create wallet challenge',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/wallet-auth/verify - Trade a signed sign-in message for a wallet session token
+ * Body: { walletAddress, message, signature } (signature base58)
+ */
+router.post('/verify', rateLimit('wallet-sign-in'), async (req, res) => {
+  try {
+    const { walletAddress, message, signature } = req.body;
+    if (!walletAddress || !message || !signature) {
+      return res.status(400).json({
+        success: false,
+        error: 'walletAddress, message and signature are required'
+      });
+    }
+
+    const result = await verifyWalletChallenge({ walletAddress, message, signature });
+
+    if (!result.success) {
+      return res.status(VERIFY_ERROR_STATUS[result.error] || 400).json({
+        success: false,
+        error: result.reason,
+        code: result.error
+      });
+    }
+
+    console.log(`🔑 Wallet signed in: ${walletAddress}`);
+    res.json({
+      success: true,
+      token: result.token,
+      expiresIn: result.expiresIn,
+      walletAddress: result.walletAddress
+    });
+  } catch (error) {
+    console.error('❌ Failed to verify wallet sign-in:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify wallet sign-in',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/wallet-auth/session - The wallet signed in with the token sent
+ */
+router.get('/session', requireWalletSession(), (req, res) => {
+  res.json({
+    success: true,
+    walletAddress: req.wallet.address,
+    expiresAt: req.wallet.expiresAt
+  });
+});
+
+module.exports = router;
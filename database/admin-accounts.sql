@@ -0,0 +1,32 @@
+-- =====================================================
+-- ADMIN ACCOUNTS
+-- One account per admin with a bcrypt password hash and
+-- a role: owner, finance, content or moderator. Replaces
+-- the shared ADMIN_PASSWORD login; admin_passwords is no
+-- longer read.
+-- Written by api/services/admin-accounts.js
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS admin_users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email TEXT NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'moderator',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  last_login TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS display_name TEXT;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+-- Accounts from the old users page were created with role 'admin'
+UPDATE admin_users SET email = LOWER(TRIM(email));
+UPDATE admin_users SET role = 'owner' WHERE role = 'admin';
+UPDATE admin_users SET role = 'moderator' WHERE role NOT IN ('owner', 'finance', 'content', 'moderator');
+
+ALTER TABLE admin_users ALTER COLUMN role SET DEFAULT 'moderator';
+ALTER TABLE admin_users DROP CONSTRAINT IF EXISTS admin_users_role_check;
+ALTER TABLE admin_users ADD CONSTRAINT admin_users_role_check
+  CHECK (role IN ('owner', 'finance', 'content', 'moderator'));
@@ -0,0 +1,50 @@
+-- =====================================================
+-- ADMIN AUDIT LOG
+-- One row per admin write (POST, PUT, PATCH, DELETE on an
+-- admin path): who did it, which route, the outcome, the
+-- request body with secrets redacted, and - where the
+-- route records it - the state before and after.
+-- The table is append-only: triggers reject UPDATE,
+-- DELETE and TRUNCATE, for the service role too.
+-- Written by api/services/admin-audit.js
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  actor_id UUID,
+  actor_email TEXT,
+  actor_role TEXT,
+  method TEXT NOT NULL,
+  route TEXT NOT NULL,
+  action TEXT,
+  target TEXT,
+  status_code INTEGER,
+  request_body JSONB,
+  before_state JSONB,
+  after_state JSONB,
+  ip_address TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created ON admin_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_actor ON admin_audit_log(actor_email, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_action ON admin_audit_log(action, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON admin_audit_log(target, created_at DESC);
+
+CREATE OR REPLACE FUNCTION reject_admin_audit_log_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'admin_audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS admin_audit_log_no_update_delete ON admin_audit_log;
+CREATE TRIGGER admin_audit_log_no_update_delete
+  BEFORE UPDATE OR DELETE ON admin_audit_log
+  FOR EACH ROW EXECUTE FUNCTION reject_admin_audit_log_change();
+
+DROP TRIGGER IF EXISTS admin_audit_log_no_truncate ON admin_audit_log;
+CREATE TRIGGER admin_audit_log_no_truncate
+  BEFORE TRUNCATE ON admin_audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION reject_admin_audit_log_change();
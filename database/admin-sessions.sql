@@ -0,0 +1,33 @@
+-- =====================================================
+-- ADMIN SESSIONS
+-- One row per admin sign-in. Access tokens are short-lived
+-- JWTs naming their session; the session's refresh token
+-- (stored as a SHA-256 hash) is swapped for a new one on
+-- every refresh. Presenting an already-swapped refresh
+-- token revokes the session, since it means the token was
+-- copied. Revoked sessions stop working at once.
+-- Failed password attempts lock an account for a while.
+-- Written by api/services/admin-sessions.js and
+-- api/services/admin-accounts.js
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS admin_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+  refresh_token_hash TEXT NOT NULL,
+  previous_refresh_token_hash TEXT,
+  user_agent TEXT,
+  ip_address TEXT,
+  mfa_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  revoked_reason TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_user ON admin_sessions(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_expires ON admin_sessions(expires_at);
+
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
@@ -0,0 +1,15 @@
+-- =====================================================
+-- ADMIN TWO-FACTOR AUTHENTICATION
+-- Optional TOTP per admin account. totp_pending_secret
+-- holds a secret until the first code confirms it; the
+-- backup codes are SHA-256 hashes, each usable once.
+-- totp_last_step stops a code being replayed.
+-- Written by api/services/admin-two-factor.js
+-- =====================================================
+
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_backup_codes TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ;
@@ -0,0 +1,17 @@
+-- =====================================================
+-- COMMUNITY ANNOUNCEMENTS
+-- Discord and Telegram announcement settings, kept in
+-- app_settings next to the other admin-managed settings.
+-- Channels and template overrides are JSON text; bot
+-- tokens are only ever shown masked in the admin panel.
+-- Read by api/services/announcements.js
+-- =====================================================
+
+INSERT INTO app_settings (key, value, description)
+VALUES
+  ('announcements_enabled', 'false', 'Post community announcements to Discord and Telegram'),
+  ('announcement_discord_bot_token', '', 'Discord bot token used for announcements'),
+  ('announcement_telegram_bot_token', '', 'Telegram bot token used for announcements'),
+  ('announcement_channels', '[]', 'Announcement channels: [{ platform, channelId, events }]'),
+  ('announcement_templates', '{}', 'Announcement message templates by event (empty = default)')
+ON CONFLICT (key) DO NOTHING;
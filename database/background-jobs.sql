@@ -0,0 +1,31 @@
+-- =====================================================
+-- BACKGROUND JOBS
+-- Every run of a background job (api/services/job-runner.js)
+-- is recorded in job_runs. background_jobs keeps the state
+-- admins change at runtime, which every instance reads.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS background_jobs (
+  name TEXT PRIMARY KEY,
+  paused BOOLEAN NOT NULL DEFAULT false,
+  paused_by TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS job_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_name TEXT NOT NULL,
+  trigger TEXT NOT NULL DEFAULT 'schedule',
+  instance_id TEXT,
+  status TEXT NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'succeeded', 'failed', 'skipped')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  duration_ms INTEGER,
+  error_message TEXT,
+  result JSONB
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_started ON job_runs(job_name, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_job_runs_started ON job_runs(started_at);
@@ -0,0 +1,47 @@
+-- =====================================================
+-- CREATOR FEE RECONCILIATION
+-- Fee-collection transactions found in the creator
+-- wallet's on-chain history are kept in
+-- creator_fee_collections and matched to dividend_claims
+-- by transaction signature. Both sides record the outcome
+-- so anything missing on either side can be reported.
+-- Written by api/services/creator-fee-reconciliation.js
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS creator_fee_collections (
+  signature TEXT PRIMARY KEY,
+  slot BIGINT,
+  block_time TIMESTAMPTZ,
+  amount_sol NUMERIC NOT NULL DEFAULT 0,
+  claim_id UUID REFERENCES dividend_claims(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'missing_claim'
+    CHECK (status IN ('matched', 'missing_claim', 'amount_mismatch')),
+  first_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  reconciled_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_creator_fee_collections_status ON creator_fee_collections(status);
+CREATE INDEX IF NOT EXISTS idx_creator_fee_collections_block_time ON creator_fee_collections(block_time DESC);
+
+-- Outcome for each claim:
+--   matched            - its transaction collected the recorded amount
+--   amount_mismatch    - its transaction collected a different amount
+--   missing_on_chain   - its transaction was not found
+--   failed_on_chain    - its transaction failed
+--   not_fee_collection - its transaction did not collect creator fees
+--   no_transaction     - the claim has no transaction signature
+ALTER TABLE dividend_claims ADD COLUMN IF NOT EXISTS reconciliation_status TEXT;
+ALTER TABLE dividend_claims ADD COLUMN IF NOT EXISTS onchain_amount NUMERIC;
+ALTER TABLE dividend_claims ADD COLUMN IF NOT EXISTS reconciled_at TIMESTAMPTZ;
+
+ALTER TABLE dividend_claims DROP CONSTRAINT IF EXISTS dividend_claims_reconciliation_status_check;
+ALTER TABLE dividend_claims ADD CONSTRAINT dividend_claims_reconciliation_status_check
+  CHECK (reconciliation_status IS NULL OR reconciliation_status IN (
+    'matched', 'amount_mismatch', 'missing_on_chain', 'failed_on_chain', 'not_fee_collection', 'no_transaction'
+  ));
+
+INSERT INTO dividend_config (key, value, value_type, description, is_active)
+VALUES
+  ('creator_fee_scan_cursor', '', 'string',
+   'Newest creator wallet transaction signature already scanned for fee collections (written by the reconciliation job)', true)
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,105 @@
+-- =====================================================
+-- MINIMUM PAYOUT WITH DUST CARRY-FORWARD
+-- In push mode a holder's share smaller than
+-- 'min_payout_sol' is not sent. The distribution is
+-- marked 'carried_forward' and its amount is added to
+-- the holder's carried balance. The next distribution
+-- that reaches the minimum pays the carried balance too
+-- (recorded in carried_in_amount) and resets it to 0.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS dividend_carry_balances (
+  holder_address TEXT PRIMARY KEY,
+  carried_sol NUMERIC NOT NULL DEFAULT 0,
+  carried_since TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dividend_carry_balances_open
+  ON dividend_carry_balances(carried_sol) WHERE carried_sol > 0;
+
+ALTER TABLE dividend_distributions ADD COLUMN IF NOT EXISTS carried_in_amount NUMERIC NOT NULL DEFAULT 0;
+ALTER TABLE dividend_distributions ADD COLUMN IF NOT EXISTS carry_applied_at TIMESTAMPTZ;
+
+ALTER TABLE dividend_distributions DROP CONSTRAINT IF EXISTS dividend_distributions_status_check;
+ALTER TABLE dividend_distributions ADD CONSTRAINT dividend_distributions_status_check
+  CHECK (status IN ('pending', 'completed', 'failed', 'accrued', 'claiming', 'claimed', 'expired', 'carried_forward'));
+
+INSERT INTO dividend_config (key, value, value_type, description, is_active)
+VALUES
+  ('min_payout_sol', '0.001', 'number',
+   'Smallest push payout sent on-chain; smaller shares are carried forward to the holder''s next distribution (0 = off)', true)
+ON CONFLICT (key) DO NOTHING;
+
+-- Apply the minimum payout to a claim's pending distributions.
+-- Each distribution is only processed once (carry_applied_at), so
+-- calling this again when a distribution run is resumed is safe.
+CREATE OR REPLACE FUNCTION apply_dividend_carry_forward(
+  p_claim_id UUID,
+  p_min_payout NUMERIC
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_distribution RECORD;
+  v_carried NUMERIC;
+  v_carried_count INTEGER := 0;
+  v_carried_amount NUMERIC := 0;
+  v_released_count INTEGER := 0;
+  v_released_amount NUMERIC := 0;
+BEGIN
+  FOR v_distribution IN
+    SELECT id, holder_address, dividend_amount
+    FROM dividend_distributions
+    WHERE claim_id = p_claim_id
+      AND status = 'pending'
+      AND carry_applied_at IS NULL
+    ORDER BY holder_address
+    FOR UPDATE
+  LOOP
+    INSERT INTO dividend_carry_balances (holder_address)
+    VALUES (v_distribution.holder_address)
+    ON CONFLICT (holder_address) DO NOTHING;
+
+    SELECT carried_sol INTO v_carried
+    FROM dividend_carry_balances
+    WHERE holder_address = v_distribution.holder_address
+    FOR UPDATE;
+
+    IF v_distribution.dividend_amount + v_carried < p_min_payout THEN
+      UPDATE dividend_distributions
+      SET status = 'carried_forward', carry_applied_at = NOW()
+      WHERE id = v_distribution.id;
+
+      UPDATE dividend_carry_balances
+      SET carried_sol = carried_sol + v_distribution.dividend_amount,
+          carried_since = COALESCE(carried_since, NOW()),
+          updated_at = NOW()
+      WHERE holder_address = v_distribution.holder_address;
+
+      v_carried_count := v_carried_count + 1;
+      v_carried_amount := v_carried_amount + v_distribution.dividend_amount;
+    ELSE
+      UPDATE dividend_distributions
+      SET carried_in_amount = v_carried, carry_applied_at = NOW()
+      WHERE id = v_distribution.id;
+
+      IF v_carried > 0 THEN
+        UPDATE dividend_carry_balances
+        SET carried_sol = 0, carried_since = NULL, updated_at = NOW()
+        WHERE holder_address = v_distribution.holder_address;
+
+        v_released_count := v_released_count + 1;
+        v_released_amount := v_released_amount + v_carried;
+      END IF;
+    END IF;
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'carried_count', v_carried_count,
+    'carried_amount', v_carried_amount,
+    'released_count', v_released_count,
+    'released_amount', v_released_amount
+  );
+END;
+$$;
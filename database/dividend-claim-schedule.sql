@@ -0,0 +1,20 @@
+-- =====================================================
+-- DIVIDEND CLAIM SCHEDULE
+-- Claim cadence as a cron expression (UTC), daily
+-- blackout windows in which scheduled claims may not run,
+-- and a trigger that claims early once enough fees have
+-- accrued. An empty cron expression keeps using
+-- auto_claim_settings.claim_interval_minutes.
+-- Blackout windows: [{"label": "...", "start": "HH:MM",
+-- "end": "HH:MM", "days": [0-6, optional]}]
+-- =====================================================
+
+INSERT INTO dividend_config (key, value, value_type, description, is_active)
+VALUES
+  ('claim_cron_expression', '', 'string',
+   'Cron expression (UTC) for scheduled dividend claims; empty uses claim_interval_minutes', true),
+  ('claim_blackout_windows', '[]', 'json',
+   'Daily UTC windows in which scheduled dividend claims may not run', true),
+  ('claim_min_fees_trigger_sol', '0', 'number',
+   'Claim early once this much SOL is waiting in the fee account (0 = off)', true)
+ON CONFLICT (key) DO NOTHING;
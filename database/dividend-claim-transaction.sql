@@ -0,0 +1,81 @@
+-- =====================================================
+-- DIVIDEND CLAIM TRANSACTION
+-- Records a dividend claim, its holder snapshot and its
+-- distributions in a single transaction. Called through
+-- supabase.rpc('record_dividend_claim', ...) from lib/dividend-store.js
+-- Needs the snapshot columns from database/dividend-exclusions.sql and
+-- database/dividend-statements.sql
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION record_dividend_claim(
+  p_claim JSONB,
+  p_snapshots JSONB,
+  p_distributions JSONB
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_claim_id dividend_claims.id%TYPE;
+  v_distributions JSONB;
+BEGIN
+  INSERT INTO dividend_claims (
+    claimed_amount, transaction_id, distribution_amount,
+    total_supply, holder_count, status, claim_timestamp
+  ) VALUES (
+    (p_claim->>'claimed_amount')::NUMERIC,
+    p_claim->>'transaction_id',
+    (p_claim->>'distribution_amount')::NUMERIC,
+    COALESCE((p_claim->>'total_supply')::NUMERIC, 0),
+    (p_claim->>'holder_count')::INTEGER,
+    COALESCE(p_claim->>'status', 'pending'),
+    NOW()
+  )
+  RETURNING id INTO v_claim_id;
+
+  INSERT INTO holder_snapshots (
+    claim_id, holder_address, token_balance, percentage,
+    initial_balance, retention_percentage, is_eligible, eligibility_reason,
+    is_excluded, exclusion_reason, snapshot_timestamp
+  )
+  SELECT
+    v_claim_id, s.holder_address, s.token_balance, s.percentage,
+    s.initial_balance, s.retention_percentage, s.is_eligible, s.eligibility_reason,
+    COALESCE(s.is_excluded, FALSE), s.exclusion_reason, NOW()
+  FROM jsonb_to_recordset(p_snapshots) AS s(
+    holder_address TEXT,
+    token_balance NUMERIC,
+    percentage NUMERIC,
+    initial_balance NUMERIC,
+    retention_percentage NUMERIC,
+    is_eligible BOOLEAN,
+    eligibility_reason TEXT,
+    is_excluded BOOLEAN,
+    exclusion_reason TEXT
+  );
+
+  WITH inserted AS (
+    INSERT INTO dividend_distributions (
+      claim_id, holder_address, token_balance, percentage,
+      dividend_amount, status
+    )
+    SELECT
+      v_claim_id, d.holder_address, d.token_balance, d.percentage,
+      d.dividend_amount, 'pending'
+    FROM jsonb_to_recordset(p_distributions) AS d(
+      holder_address TEXT,
+      token_balance NUMERIC,
+      percentage NUMERIC,
+      dividend_amount NUMERIC
+    )
+    RETURNING id, holder_address, token_balance, percentage, dividend_amount
+  )
+  SELECT COALESCE(jsonb_agg(to_jsonb(inserted)), '[]'::JSONB)
+  INTO v_distributions
+  FROM inserted;
+
+  RETURN jsonb_build_object(
+    'claim_id', v_claim_id,
+    'distributions', v_distributions
+  );
+END;
+$$;
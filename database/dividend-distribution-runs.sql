@@ -0,0 +1,55 @@
+-- =====================================================
+-- RESUMABLE DIVIDEND DISTRIBUTION RUNS
+-- One run per claim, locked by the process paying it out.
+-- Payouts are keyed by (claim_id, holder_address) so a
+-- resumed run reuses the same row instead of paying twice.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS dividend_distribution_runs (
+  claim_id UUID PRIMARY KEY REFERENCES dividend_claims(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+  locked_by TEXT,
+  lock_expires_at TIMESTAMPTZ,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE dividend_payouts ADD COLUMN IF NOT EXISTS last_valid_block_height BIGINT;
+ALTER TABLE dividend_payouts ADD COLUMN IF NOT EXISTS sent_at TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dividend_payouts_claim_holder
+  ON dividend_payouts(claim_id, holder_address);
+
+-- Take the run lock for a claim. Returns the run row when the lock was
+-- acquired, or no rows when the run is completed or held by a live owner.
+CREATE OR REPLACE FUNCTION acquire_distribution_run_lock(
+  p_claim_id UUID,
+  p_owner TEXT,
+  p_ttl_seconds INTEGER
+) RETURNS SETOF dividend_distribution_runs
+LANGUAGE sql
+AS $$
+  INSERT INTO dividend_distribution_runs (
+    claim_id, status, locked_by, lock_expires_at, attempts, started_at, updated_at
+  ) VALUES (
+    p_claim_id, 'running', p_owner, NOW() + make_interval(secs => p_ttl_seconds), 1, NOW(), NOW()
+  )
+  ON CONFLICT (claim_id) DO UPDATE SET
+    status = 'running',
+    locked_by = EXCLUDED.locked_by,
+    lock_expires_at = EXCLUDED.lock_expires_at,
+    attempts = dividend_distribution_runs.attempts + 1,
+    last_error = NULL,
+    started_at = NOW(),
+    finished_at = NULL,
+    updated_at = NOW()
+  WHERE dividend_distribution_runs.status <> 'completed'
+    AND (
+      dividend_distribution_runs.status <> 'running'
+      OR dividend_distribution_runs.lock_expires_at < NOW()
+    )
+  RETURNING *;
+$$;
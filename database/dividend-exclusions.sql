@@ -0,0 +1,24 @@
+-- =====================================================
+-- DIVIDEND HOLDER EXCLUSIONS
+-- Wallets that never receive dividends (bonding curve,
+-- AMM pools, exchanges, team wallets). They are removed
+-- before holder percentages are worked out and recorded
+-- in the claim snapshot as excluded with the reason.
+-- Run before database/dividend-claim-transaction.sql.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS dividend_excluded_wallets (
+  wallet_address TEXT PRIMARY KEY,
+  label TEXT NOT NULL,
+  category TEXT NOT NULL DEFAULT 'other'
+    CHECK (category IN ('bonding_curve', 'amm_pool', 'exchange', 'team', 'other')),
+  reason TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dividend_excluded_wallets_active ON dividend_excluded_wallets(is_active);
+
+ALTER TABLE holder_snapshots ADD COLUMN IF NOT EXISTS is_excluded BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE holder_snapshots ADD COLUMN IF NOT EXISTS exclusion_reason TEXT;
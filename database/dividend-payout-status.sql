@@ -0,0 +1,17 @@
+-- =====================================================
+-- DIVIDEND PAYOUT STATUS TRACKING
+-- Payouts move pending -> sent -> confirmed / failed.
+-- The transaction signature is recorded once the batch
+-- transfer is broadcast, so it is empty while pending.
+-- =====================================================
+
+ALTER TABLE dividend_payouts ALTER COLUMN transaction_signature DROP NOT NULL;
+ALTER TABLE dividend_payouts ADD COLUMN IF NOT EXISTS error_message TEXT;
+ALTER TABLE dividend_payouts ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+ALTER TABLE dividend_payouts DROP CONSTRAINT IF EXISTS dividend_payouts_payout_status_check;
+ALTER TABLE dividend_payouts ADD CONSTRAINT dividend_payouts_payout_status_check
+  CHECK (payout_status IN ('pending', 'sent', 'confirmed', 'failed', 'completed')); -- 'completed' kept for rows written before on-chain payouts
+
+CREATE INDEX IF NOT EXISTS idx_dividend_payouts_signature ON dividend_payouts(transaction_signature);
+CREATE INDEX IF NOT EXISTS idx_dividend_payouts_claim_status ON dividend_payouts(claim_id, payout_status);
@@ -0,0 +1,162 @@
+-- =====================================================
+-- PULL-BASED DIVIDEND CLAIMING
+-- In 'pull' payout mode distributions are not sent on
+-- chain. They accrue (status 'accrued') until the holder
+-- claims them with a signed message; every accrued
+-- distribution is then paid in one withdrawal transfer.
+-- Distributions move accrued -> claiming -> claimed, or
+-- back to accrued if the transfer fails, or to expired
+-- once they are older than the configured expiry.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS dividend_withdrawals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  holder_address TEXT NOT NULL,
+  amount_sol NUMERIC NOT NULL,
+  amount_lamports BIGINT NOT NULL,
+  distribution_count INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sent', 'confirmed', 'failed')),
+  claim_message TEXT NOT NULL,
+  message_signature TEXT NOT NULL UNIQUE, -- a signed message can only be used once
+  transaction_signature TEXT,
+  last_valid_block_height BIGINT,
+  error_message TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- At most one withdrawal in flight per holder
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dividend_withdrawals_open
+  ON dividend_withdrawals(holder_address) WHERE status IN ('pending', 'sent');
+CREATE INDEX IF NOT EXISTS idx_dividend_withdrawals_holder ON dividend_withdrawals(holder_address, created_at);
+
+ALTER TABLE dividend_distributions ADD COLUMN IF NOT EXISTS accrued_at TIMESTAMPTZ;
+ALTER TABLE dividend_distributions ADD COLUMN IF NOT EXISTS withdrawal_id UUID REFERENCES dividend_withdrawals(id);
+
+ALTER TABLE dividend_distributions DROP CONSTRAINT IF EXISTS dividend_distributions_status_check;
+ALTER TABLE dividend_distributions ADD CONSTRAINT dividend_distributions_status_check
+  CHECK (status IN ('pending', 'completed', 'failed', 'accrued', 'claiming', 'claimed', 'expired'));
+
+CREATE INDEX IF NOT EXISTS idx_dividend_distributions_accrued
+  ON dividend_distributions(holder_address, accrued_at) WHERE status = 'accrued';
+
+INSERT INTO dividend_config (key, value, value_type, description, is_active)
+VALUES
+  ('payout_mode', 'push', 'string',
+   'How dividends reach holders: ''push'' (sent every claim) or ''pull'' (accrue until the holder claims)', true),
+  ('pull_min_claim_sol', '0.01', 'number',
+   'Smallest accrued balance a holder can claim in pull mode', true),
+  ('pull_claim_expiry_days', '90', 'number',
+   'Days before unclaimed pull-mode dividends expire (0 = never)', true)
+ON CONFLICT (key) DO NOTHING;
+
+-- Reserve every claimable distribution for a holder in one withdrawal.
+-- Returns reserved = false with a reason when nothing can be claimed.
+CREATE OR REPLACE FUNCTION reserve_dividend_withdrawal(
+  p_holder_address TEXT,
+  p_min_amount NUMERIC,
+  p_accrued_after TIMESTAMPTZ,
+  p_claim_message TEXT,
+  p_message_signature TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_total NUMERIC;
+  v_count INTEGER;
+  v_withdrawal_id UUID;
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM dividend_withdrawals
+    WHERE holder_address = p_holder_address AND status IN ('pending', 'sent')
+  ) THEN
+    RETURN jsonb_build_object('reserved', false, 'reason', 'withdrawal_in_progress');
+  END IF;
+
+  SELECT COALESCE(SUM(d.dividend_amount), 0), COUNT(*)
+  INTO v_total, v_count
+  FROM (
+    SELECT dividend_amount
+    FROM dividend_distributions
+    WHERE holder_address = p_holder_address
+      AND status = 'accrued'
+      AND (p_accrued_after IS NULL OR accrued_at > p_accrued_after)
+    FOR UPDATE
+  ) d;
+
+  IF v_count = 0 OR v_total < p_min_amount THEN
+    RETURN jsonb_build_object('reserved', false, 'reason', 'below_minimum', 'amount', v_total);
+  END IF;
+
+  INSERT INTO dividend_withdrawals (
+    holder_address, amount_sol, amount_lamports, distribution_count,
+    claim_message, message_signature
+  ) VALUES (
+    p_holder_address, v_total, FLOOR(v_total * 1000000000)::BIGINT, v_count,
+    p_claim_message, p_message_signature
+  )
+  RETURNING id INTO v_withdrawal_id;
+
+  UPDATE dividend_distributions
+  SET status = 'claiming', withdrawal_id = v_withdrawal_id
+  WHERE holder_address = p_holder_address
+    AND status = 'accrued'
+    AND (p_accrued_after IS NULL OR accrued_at > p_accrued_after);
+
+  RETURN jsonb_build_object(
+    'reserved', true,
+    'withdrawal_id', v_withdrawal_id,
+    'amount', v_total,
+    'amount_lamports', FLOOR(v_total * 1000000000)::BIGINT,
+    'distribution_count', v_count
+  );
+END;
+$$;
+
+-- Finish an open withdrawal: 'confirmed' marks its distributions claimed,
+-- 'failed' returns them to the holder's accrued balance. Only settles it
+-- while it is still in p_from_status, so a withdrawal that was signed in the
+-- meantime, or already settled, is left alone. Returns whether it settled.
+DROP FUNCTION IF EXISTS settle_dividend_withdrawal(UUID, TEXT, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION settle_dividend_withdrawal(
+  p_withdrawal_id UUID,
+  p_from_status TEXT,
+  p_status TEXT,
+  p_transaction_signature TEXT,
+  p_error_message TEXT
+) RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF p_status NOT IN ('confirmed', 'failed') THEN
+    RAISE EXCEPTION 'Invalid withdrawal status: %', p_status;
+  END IF;
+
+  UPDATE dividend_withdrawals
+  SET status = p_status,
+      transaction_signature = COALESCE(p_transaction_signature, transaction_signature),
+      error_message = p_error_message,
+      updated_at = NOW()
+  WHERE id = p_withdrawal_id
+    AND status IN ('pending', 'sent')
+    AND status = p_from_status;
+
+  IF NOT FOUND THEN
+    RETURN false;
+  END IF;
+
+  IF p_status = 'confirmed' THEN
+    UPDATE dividend_distributions
+    SET status = 'claimed', distribution_timestamp = NOW()
+    WHERE withdrawal_id = p_withdrawal_id;
+  ELSE
+    UPDATE dividend_distributions
+    SET status = 'accrued', withdrawal_id = NULL
+    WHERE withdrawal_id = p_withdrawal_id;
+  END IF;
+
+  RETURN true;
+END;
+$$;
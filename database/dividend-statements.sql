@@ -0,0 +1,13 @@
+-- =====================================================
+-- HOLDER DIVIDEND STATEMENTS
+-- Claim snapshots keep why a holder was not eligible so
+-- statements can show it, and per-holder lookups across
+-- snapshots, distributions and payouts are indexed.
+-- Run before database/dividend-claim-transaction.sql.
+-- =====================================================
+
+ALTER TABLE holder_snapshots ADD COLUMN IF NOT EXISTS eligibility_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_holder_snapshots_holder ON holder_snapshots(holder_address, snapshot_type);
+CREATE INDEX IF NOT EXISTS idx_dividend_distributions_holder ON dividend_distributions(holder_address);
+CREATE INDEX IF NOT EXISTS idx_dividend_payouts_holder ON dividend_payouts(holder_address);
@@ -0,0 +1,24 @@
+-- =====================================================
+-- HOLDER ELIGIBILITY POLICIES
+-- The policy lives in dividend_config as JSON and is
+-- evaluated by api/services/eligibility-policy.js.
+-- peak_balance backs the 'peak' retention baseline and
+-- retention_breach_at starts the sell grace period.
+-- =====================================================
+
+ALTER TABLE holder_eligibility ADD COLUMN IF NOT EXISTS peak_balance NUMERIC;
+ALTER TABLE holder_eligibility ADD COLUMN IF NOT EXISTS retention_breach_at TIMESTAMPTZ;
+
+UPDATE holder_eligibility
+SET peak_balance = GREATEST(COALESCE(initial_balance, 0), COALESCE(current_balance, 0))
+WHERE peak_balance IS NULL;
+
+INSERT INTO dividend_config (key, value, value_type, description, is_active)
+VALUES (
+  'eligibility_policy',
+  '{"min_retention_percentage":70,"retention_baseline":"initial","min_balance":0,"min_holding_days":0,"sell_grace_period_hours":0,"auto_reeligible_after_days":0,"blacklist_on_sell_out":true}',
+  'json',
+  'Holder eligibility policy for dividend distributions',
+  true
+)
+ON CONFLICT (key) DO NOTHING;
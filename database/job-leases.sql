@@ -0,0 +1,47 @@
+-- =====================================================
+-- JOB LEASES
+-- Stops several replicas running the same background
+-- job. The owner of a lease renews it before it expires;
+-- once expired any instance may take it over. The
+-- 'scheduler' lease elects the instance that runs the
+-- scheduled jobs (lib/job-lease.js).
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS job_leases (
+  name TEXT PRIMARY KEY,
+  owner TEXT NOT NULL,
+  acquired_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  heartbeat_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+-- Take or renew a lease. Returns the lease row when p_owner holds it
+-- afterwards, or no rows while another owner's lease is still live.
+CREATE OR REPLACE FUNCTION acquire_job_lease(
+  p_name TEXT,
+  p_owner TEXT,
+  p_ttl_seconds INTEGER
+) RETURNS SETOF job_leases
+LANGUAGE sql
+AS $$
+  INSERT INTO job_leases (name, owner, acquired_at, heartbeat_at, expires_at)
+  VALUES (p_name, p_owner, NOW(), NOW(), NOW() + make_interval(secs => p_ttl_seconds))
+  ON CONFLICT (name) DO UPDATE SET
+    owner = EXCLUDED.owner,
+    acquired_at = CASE WHEN job_leases.owner = EXCLUDED.owner THEN job_leases.acquired_at ELSE NOW() END,
+    heartbeat_at = NOW(),
+    expires_at = EXCLUDED.expires_at
+  WHERE job_leases.owner = EXCLUDED.owner
+    OR job_leases.expires_at < NOW()
+  RETURNING *;
+$$;
+
+-- Give up a lease; does nothing unless p_owner holds it
+CREATE OR REPLACE FUNCTION release_job_lease(
+  p_name TEXT,
+  p_owner TEXT
+) RETURNS VOID
+LANGUAGE sql
+AS $$
+  DELETE FROM job_leases WHERE name = p_name AND owner = p_owner;
+$$;
@@ -0,0 +1,48 @@
+-- =====================================================
+-- RATE LIMITS
+-- Hit counters for the public write endpoints when
+-- RATE_LIMIT_BACKEND=supabase, so every instance counts
+-- against the same limits. One row per key and fixed
+-- window; the limiter weights the previous window's
+-- count to get a sliding window. Rows expire after two
+-- windows and are deleted by the 'rate-limit-cleanup'
+-- job. Per-rule overrides are stored in dividend_config
+-- 'rate_limit_rules'.
+-- Written by lib/rate-limiter.js and
+-- api/services/rate-limits.js
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+  key TEXT NOT NULL,
+  window_start TIMESTAMPTZ NOT NULL,
+  window_seconds INTEGER NOT NULL,
+  hits INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (key, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_expires ON rate_limit_counters(expires_at);
+
+-- Count a hit in a window. Returns the hits in that window
+-- after this one and in the window before it.
+CREATE OR REPLACE FUNCTION rate_limit_hit(
+  p_key TEXT,
+  p_window_start TIMESTAMPTZ,
+  p_window_seconds INTEGER
+) RETURNS TABLE (current_hits INTEGER, previous_hits INTEGER)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  INSERT INTO rate_limit_counters (key, window_start, window_seconds, hits, expires_at)
+  VALUES (p_key, p_window_start, p_window_seconds, 1, p_window_start + make_interval(secs => p_window_seconds * 2))
+  ON CONFLICT (key, window_start) DO UPDATE SET hits = rate_limit_counters.hits + 1
+  RETURNING rate_limit_counters.hits INTO current_hits;
+
+  SELECT COALESCE(MAX(c.hits), 0) INTO previous_hits
+  FROM rate_limit_counters c
+  WHERE c.key = p_key
+    AND c.window_start = p_window_start - make_interval(secs => p_window_seconds);
+
+  RETURN NEXT;
+END;
+$$;
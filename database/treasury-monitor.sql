@@ -0,0 +1,24 @@
+-- =====================================================
+-- TREASURY MONITOR
+-- The creator, claims and payout wallet balances are
+-- sampled on a schedule into wallet_balance_history
+-- (check_reason 'scheduled') and tagged with the wallet's
+-- role so each one can be charted as a time series.
+-- Floors and the alert webhook live in dividend_config.
+-- Written by api/services/treasury-monitor.js
+-- =====================================================
+
+ALTER TABLE wallet_balance_history ADD COLUMN IF NOT EXISTS wallet_role TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_wallet_balance_history_role_checked
+  ON wallet_balance_history(wallet_role, checked_at DESC);
+
+INSERT INTO dividend_config (key, value, value_type, description, is_active)
+VALUES
+  ('treasury_wallets',
+   '{"creator":{"address":null,"floorSol":0.05},"claims":{"address":null,"floorSol":0.05},"payout":{"address":null,"floorSol":10}}',
+   'json',
+   'Treasury wallets to sample with the balance floor that triggers a low-balance alert (address null = detect)', true),
+  ('treasury_alert_webhook_url', '', 'string',
+   'Webhook that receives treasury low-balance alerts (empty = no alerts)', true)
+ON CONFLICT (key) DO NOTHING;
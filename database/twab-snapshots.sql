@@ -0,0 +1,25 @@
+-- =====================================================
+-- TIME-WEIGHTED DIVIDEND SNAPSHOTS
+-- In 'twab' distribution mode holder balances are
+-- snapshotted periodically between claims. Those rows
+-- live in holder_snapshots with snapshot_type 'periodic'
+-- and no claim; claim-time rows keep snapshot_type 'claim'.
+-- =====================================================
+
+ALTER TABLE holder_snapshots ALTER COLUMN claim_id DROP NOT NULL;
+ALTER TABLE holder_snapshots ADD COLUMN IF NOT EXISTS snapshot_type TEXT NOT NULL DEFAULT 'claim';
+
+ALTER TABLE holder_snapshots DROP CONSTRAINT IF EXISTS holder_snapshots_snapshot_type_check;
+ALTER TABLE holder_snapshots ADD CONSTRAINT holder_snapshots_snapshot_type_check
+  CHECK (snapshot_type IN ('claim', 'periodic'));
+
+CREATE INDEX IF NOT EXISTS idx_holder_snapshots_type_timestamp
+  ON holder_snapshots(snapshot_type, snapshot_timestamp);
+
+INSERT INTO dividend_config (key, value, value_type, description, is_active)
+VALUES
+  ('distribution_mode', 'snapshot', 'string',
+   'How dividends are split: ''snapshot'' (balance at claim time) or ''twab'' (time-weighted average balance)', true),
+  ('twab_snapshot_interval_minutes', '60', 'number',
+   'Minutes between periodic holder snapshots in twab mode', true)
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,22 @@
+-- =====================================================
+-- WALLET SIGN-IN NONCES
+-- Challenges for Sign-In-With-Solana. The server issues
+-- a message carrying a random nonce, the wallet signs it
+-- and the signed message is traded for a short-lived
+-- wallet session token. Each nonce works once and only
+-- until it expires; used and expired rows are deleted by
+-- the 'wallet-auth-nonces-cleanup' job.
+-- Written by api/services/wallet-auth.js
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS wallet_auth_nonces (
+  nonce TEXT PRIMARY KEY,
+  wallet_address TEXT NOT NULL,
+  message TEXT NOT NULL,
+  ip_address TEXT,
+  issued_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_auth_nonces_expires ON wallet_auth_nonces(expires_at);
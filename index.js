@@ -5,10 +5,20 @@ const path = require('node:path');
 const _dbPath = path.join(__dirname, 'database.js');
 const { initializeDatabase } = require(_dbPath);
 const { startDividendCron } = require('./api/services/dividend-cron.js');
+const { startLeaderElection, stopLeaderElection } = require('./lib/job-lease.js');
+const { startScheduledJobs, stopScheduledJobs } = require('./api/services/job-runner.js');
+const { ADMIN_PATHS, requireAdmin } = require('./lib/admin-auth.js');
+const { auditAdminWrites } = require('./api/services/admin-audit.js');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Proxies in front of the app (1 for the hosting platform's). req.ip is then
+// the address that connected to them, not whatever the caller put in
+// X-Forwarded-For. Set TRUST_PROXY_HOPS=0 when nothing is in front.
+const TRUST_PROXY_HOPS = Number.parseInt(process.env.TRUST_PROXY_HOPS ?? '1', 10);
+app.set('trust proxy', Number.isNaN(TRUST_PROXY_HOPS) ? 1 : TRUST_PROXY_HOPS);
+
 // Middleware
 app.use(cors({
   origin: true, // Allow all origins for debugging
@@ -17,6 +27,11 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Cache-Control', 'Pragma', 'Expires']
 }));
 
+// Every admin path needs an admin token, whatever its router checks
+app.use(ADMIN_PATHS, requireAdmin);
+// ...and every admin write lands in the audit log
+app.use(ADMIN_PATHS, auditAdminWrites);
+
 // UPLOAD ROUTE - MOUNTED FIRST TO BYPASS ALL MIDDLEWARE
 app.use('/api/admin/upload', require('./api/admin/upload.js'));
 
@@ -114,27 +129,20 @@ const loadRoutesArray = (routes, loadedRoutes, routeType = '') => {
 const getRouteDefinitions = () => {
   const workingRoutes = [
     { path: '/api/stats', file: './api/stats.js' },
-    { path: '/api/locations', file: './api/locations.js' },
-    { path: '/api/debug', file: './api/debug.js' }
+    { path: '/api/locations', file: './api/locations.js' }
   ];
 
   const originalRoutes = [
     // Main API files
     { path: '/api/claim', file: './api/claim.js' },
+    { path: '/api/wallet-auth', file: './api/wallet-auth.js' },
     { path: '/api/giveaway', file: './api/giveaway.js' },
     { path: '/api/locations', file: './api/locations.js' },
-    { path: '/api/media', file: './api/media.js' },
-    { path: '/api/metadata', file: './api/metadata.js' },
     { path: '/api/qr-codes', file: './api/qr-codes.js' },
-    { path: '/api/raw-db', file: './api/raw-db.js' },
     { path: '/api/roadmap', file: './api/roadmap.js' },
-    { path: '/api/schedules', file: './api/schedules.js' },
-    { path: '/api/seed', file: './api/seed.js' },
     { path: '/api/stats', file: './api/stats.js' },
     { path: '/api/testimonials', file: './api/testimonials.js' },
-    { path: '/api/video-test', file: './api/video-test.js' },
     { path: '/api/claim-validation', file: './api/claim-validation.js' },
-    { path: '/api/debug', file: './api/debug.js' },
     { path: '/api/dividends', file: './api/dividends.js' },
     
     // Directory routes with index files
@@ -153,6 +161,9 @@ const getRouteDefinitions = () => {
     { path: '/api/admin/content', file: './api/admin/content.js' },
     { path: '/api/admin/creator-fees', file: './api/admin/creator-fees.js' },
     { path: '/api/admin/dashboard', file: './api/admin/dashboard.js' },
+    { path: '/api/admin/dividend-config', file: './api/admin/dividend-config.js' },
+    { path: '/api/admin/dividend-management', file: './api/admin/dividend-management.js' },
+    { path: '/api/admin/jobs', file: './api/admin/jobs.js' },
     { path: '/api/admin/force-populate-settings', file: './api/admin/force-populate-settings.js' },
     { path: '/api/admin/giveaway', file: './api/admin/giveaway.js' },
     { path: '/api/admin/giveaway-payout', file: './api/admin/giveaway-payout.js' },
@@ -171,8 +182,15 @@ const getRouteDefinitions = () => {
     { path: '/api/admin/social/update-followers', file: './api/admin/social/update-followers.js' },
     { path: '/api/admin/stats', file: './api/admin/stats.js' },
     { path: '/api/admin/toggle-live', file: './api/admin/toggle-live.js' },
+    { path: '/api/admin/treasury', file: './api/admin/treasury.js' },
+    { path: '/api/admin/webhooks', file: './api/admin/webhooks.js' },
+    { path: '/api/admin/announcements', file: './api/admin/announcements.js' },
     { path: '/api/admin/upload-tracking', file: './api/admin/upload-tracking.js' },
     { path: '/api/admin/users', file: './api/admin/users.js' },
+    { path: '/api/admin/audit', file: './api/admin/audit.js' },
+    { path: '/api/admin/2fa', file: './api/admin/two-factor.js' },
+    { path: '/api/admin/sessions', file: './api/admin/sessions.js' },
+    { path: '/api/admin/rate-limits', file: './api/admin/rate-limits.js' },
     
     // Analytics routes
     { path: '/api/analytics/live', file: './api/analytics/live.js' },
@@ -300,7 +318,18 @@ async function startServer() {
     await initializeDatabase();
     console.log('✅ Database initialized successfully');
     
-    // Start dividend auto-claim system
+    // Elect the one replica that runs scheduled jobs
+    try {
+      await startLeaderElection();
+    } catch (leaseError) {
+      console.error('❌ Failed to start job leader election:', leaseError.message);
+    }
+    
+    // Background job schedules (cleanups, monitors); registering a job does not start it
+    const startedJobs = startScheduledJobs();
+    console.log(`✅ Started ${startedJobs.length} background job schedules`);
+    
+    // Start dividend auto-claim system (claims only run on the job leader)
     try {
       startDividendCron();
       console.log('✅ Dividend cron system started');
@@ -317,8 +346,16 @@ async function startServer() {
   });
 }
 
-// Start the server
-// eslint-disable-next-line sonarjs/prefer-top-level-await
-startServer();
+// Hand the job leader lease to another replica straight away on shutdown
+process.once('SIGTERM', () => {
+  stopScheduledJobs();
+  stopLeaderElection().finally(() => process.exit(0));
+});
+
+// Start the server when run directly; tests require the app without listening
+if (require.main === module) {
+  // eslint-disable-next-line sonarjs/prefer-top-level-await
+  startServer();
+}
 
 module.exports = app;
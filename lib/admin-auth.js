@@ -0,0 +1,331 @@
+const crypto = require('node:crypto');
+const jwt = require('jsonwebtoken');
+const { getSupabaseAdminClient } = require('../database.js');
+
+/**
+ * ADMIN AUTHENTICATION
+ * Admins sign in with their own account (admin_users, see
+ * api/services/admin-accounts.js) and get a 15-minute access token carrying
+ * their id, email, role and session (sid), plus a refresh token for the
+ * session (api/services/admin-sessions.js). Every request checks the session
+ * is still live, so signing out or revoking a session locks its tokens out
+ * straight away. Each route declares the roles it needs with requireRole();
+ * the owner role passes every check.
+ *
+ * requireAdmin is mounted in front of every admin path (ADMIN_PATHS) in
+ * index.js, so no admin route can be reached without a valid token even if
+ * its router forgets to check. Only PUBLIC_ADMIN_ROUTES are let through.
+ *
+ * Accounts with two-factor authentication get a short-lived challenge
+ * token after the password instead, and the admin token once the code is
+ * checked. Tokens record when 2FA was last confirmed (mfa_at); high-risk
+ * routes add requireFreshTwoFactor() (or requireFreshTwoFactorIf() when
+ * only some requests are high risk) to insist that was recent.
+ */
+
+const ACCESS_TOKEN_TTL = '15m';
+const SESSION_CHECK_CACHE_MS = 30 * 1000;
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const FRESH_TWO_FACTOR_SECONDS = 5 * 60;
+
+// There is no fallback secret: without JWT_SECRET no admin token is signed
+// or accepted, so admin sign-in stays closed until it is configured
+if (!process.env.JWT_SECRET) {
+  console.error('❌ JWT_SECRET is not set; admin sign-in is disabled until it is');
+}
+
+// Path prefixes that only admins may reach
+const ADMIN_PATHS = ['/api/admin', '/api/dividends/admin'];
+
+// Admin paths reachable without a token ('METHOD /full/path')
+const PUBLIC_ADMIN_ROUTES = new Set([
+  'POST /api/admin/login',
+  'POST /api/admin/login/2fa',
+  'POST /api/admin/sessions/refresh'
+]);
+
+const ADMIN_ROLES = {
+  owner: 'Everything, including admin accounts and system settings',
+  finance: 'Payouts, dividends, creator fees and the treasury',
+  content: 'Site content, media, locations, the live stream and announcements',
+  moderator: 'Giveaway entries and QR claims'
+};
+
+// session id -> { active, checkedAt }
+const sessionCache = new Map();
+
+/**
+ * Whether JWT_SECRET is set, without which admin auth is refused
+ */
+function isAdminAuthConfigured() {
+  return Boolean(process.env.JWT_SECRET);
+}
+
+/**
+ * The secret admin tokens are signed with
+ * @throws {Error} If JWT_SECRET is not set
+ */
+function getJwtSecret() {
+  if (!isAdminAuthConfigured()) {
+    throw new Error('JWT_SECRET is not set');
+  }
+  return process.env.JWT_SECRET;
+}
+
+/**
+ * Issue an access token for an account's session
+ * @param {Object} user - Account with id, email and role
+ * @param {Object} options - { sessionId, mfaAt?: unix seconds 2FA was confirmed }
+ */
+function signAdminToken(user, { sessionId, mfaAt = null }) {
+  const payload = {
+    admin: true,
+    sub: user.id,
+    sid: sessionId,
+    email: user.email,
+    role: user.role
+  };
+  if (mfaAt) {
+    payload.mfa_at = mfaAt;
+  }
+  return jwt.sign(payload, getJwtSecret(), { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+/**
+ * Issue the token that stands between the password and the 2FA code.
+ * It is not an admin token and opens nothing but POST /api/admin/login/2fa.
+ */
+function signTwoFactorChallenge(user) {
+  return jwt.sign(
+    { purpose: 'admin-2fa', sub: user.id },
+    getJwtSecret(),
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL, jwtid: crypto.randomUUID() }
+  );
+}
+
+/**
+ * Decode a 2FA challenge token
+ * @throws {Error} If it is invalid, expired or not a challenge token
+ */
+function verifyTwoFactorChallenge(token) {
+  const decoded = jwt.verify(token, getJwtSecret());
+  if (decoded.purpose !== 'admin-2fa' || !decoded.sub) {
+    throw new Error('Not a two-factor challenge token');
+  }
+  return decoded;
+}
+
+/**
+ * Decode the admin token on a request
+ * @throws {Error} If the token is missing, invalid, expired or not an admin token
+ */
+function verifyAdminRequest(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error('Missing bearer token');
+  }
+  const decoded = jwt.verify(authHeader.substring(7), getJwtSecret());
+  if (!decoded.admin) {
+    throw new Error('Not an admin token');
+  }
+  return decoded;
+}
+
+/**
+ * Whether a session has not been revoked or expired. Answers are cached
+ * for SESSION_CHECK_CACHE_MS, so other servers see a revocation that late.
+ */
+async function isAdminSessionActive(sessionId) {
+  if (!sessionId) {
+    return false;
+  }
+
+  const cached = sessionCache.get(sessionId);
+  if (cached && Date.now() - cached.checkedAt < SESSION_CHECK_CACHE_MS) {
+    return cached.active;
+  }
+
+  const supabase = getSupabaseAdminClient();
+  if (!supabase) {
+    throw new Error('Supabase admin client not available');
+  }
+  const { data, error } = await supabase
+    .from('admin_sessions')
+    .select('id, revoked_at, expires_at')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to check admin session: ${error.message}`);
+  }
+
+  const active = Boolean(data && !data.revoked_at && new Date(data.expires_at) > new Date());
+  if (sessionCache.size > 10000) {
+    sessionCache.clear();
+  }
+  sessionCache.set(sessionId, { active, checkedAt: Date.now() });
+  return active;
+}
+
+/**
+ * Drop cached session answers so a revocation applies here at once
+ */
+function forgetAdminSessions(sessionIds) {
+  for (const sessionId of sessionIds) {
+    sessionCache.delete(sessionId);
+  }
+}
+
+/**
+ * Whether an admin holds one of the roles (any admin when none are given).
+ * A token for a role that no longer exists holds none.
+ */
+function hasRole(admin, roles) {
+  if (!ADMIN_ROLES[admin.role]) {
+    return false;
+  }
+  return roles.length === 0 || admin.role === 'owner' || roles.includes(admin.role);
+}
+
+/**
+ * Middleware requiring a valid admin token with one of the given roles.
+ * 401 without a valid token for a live session, 403 with the wrong role. Sets req.admin.
+ * @param {...string} roles Roles allowed besides owner; none = any admin
+ */
+function requireRole(...roles) {
+  const unknown = roles.filter(role => !ADMIN_ROLES[role]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown admin roles: ${unknown.join(', ')}`);
+  }
+
+  const check = async (req, res, next) => {
+    let admin = req.admin;
+    if (!admin) {
+      if (!isAdminAuthConfigured()) {
+        return sendAuthNotConfigured(res);
+      }
+      try {
+        admin = verifyAdminRequest(req);
+      } catch (error) {
+        console.error('❌ Token verification failed:', error.message);
+        return res.status(401).json({ success: false, error: 'Unauthorized' });
+      }
+
+      try {
+        if (!(await isAdminSessionActive(admin.sid))) {
+          console.warn(`❌ Token for an ended session used by ${admin.email || 'admin'}`);
+          return res.status(401).json({ success: false, error: 'Unauthorized', details: 'Session ended, sign in again' });
+        }
+      } catch (error) {
+        console.error('❌ Admin session check failed:', error.message);
+        return res.status(503).json({ success: false, error: 'Could not check admin session', details: error.message });
+      }
+    }
+
+    if (!hasRole(admin, roles)) {
+      console.warn(`⛔ ${admin.email || 'admin'} (${admin.role || 'no role'}) denied ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        details: `Requires the ${[...new Set(['owner', ...roles])].join(' or ')} role`
+      });
+    }
+
+    req.admin = admin;
+    next();
+  };
+  // Lets the route table be checked for the roles each route needs
+  check.roles = roles;
+  return check;
+}
+
+/**
+ * Middleware for high-risk routes: the admin must have confirmed a 2FA code
+ * within the last maxAgeSeconds (at login or at POST /api/admin/2fa/challenge).
+ * Use after requireRole(), which sets req.admin.
+ */
+function requireFreshTwoFactor(maxAgeSeconds = FRESH_TWO_FACTOR_SECONDS) {
+  return (req, res, next) => {
+    const mfaAt = req.admin?.mfa_at;
+    if (mfaAt && Date.now() / 1000 - mfaAt <= maxAgeSeconds) {
+      return next();
+    }
+
+    console.warn(`🔐 ${req.admin?.email || 'admin'} needs a fresh 2FA code for ${req.method} ${req.originalUrl}`);
+    return res.status(403).json({
+      success: false,
+      error: 'Two-factor confirmation required',
+      details: 'Confirm a code from your authenticator at POST /api/admin/2fa/challenge and retry with the new token',
+      twoFactorRequired: true
+    });
+  };
+}
+
+/**
+ * requireFreshTwoFactor() for routes where only some requests are high risk,
+ * e.g. a settings update that changes a wallet address. needsTwoFactor(req)
+ * decides (may be async); if it throws, the code is asked for anyway.
+ */
+function requireFreshTwoFactorIf(needsTwoFactor, maxAgeSeconds = FRESH_TWO_FACTOR_SECONDS) {
+  const requireFresh = requireFreshTwoFactor(maxAgeSeconds);
+  return async (req, res, next) => {
+    let needed = true;
+    try {
+      needed = await needsTwoFactor(req);
+    } catch (error) {
+      console.error('❌ Could not tell whether this change needs 2FA, asking for it:', error.message);
+    }
+    return needed ? requireFresh(req, res, next) : next();
+  };
+}
+
+/**
+ * Whether a request is for one of PUBLIC_ADMIN_ROUTES
+ */
+function isPublicAdminRoute(req) {
+  const fullPath = `${req.baseUrl}${req.path}`.replace(/\/+$/, '').toLowerCase();
+  return PUBLIC_ADMIN_ROUTES.has(`${req.method} ${fullPath}`);
+}
+
+const anyAdmin = requireRole();
+
+/**
+ * 503 for admin auth while JWT_SECRET is not set
+ */
+function sendAuthNotConfigured(res) {
+  return res.status(503).json({ success: false, error: 'Admin sign-in is not configured', details: 'JWT_SECRET is not set' });
+}
+
+/**
+ * Middleware for ADMIN_PATHS: any admin may pass, routers then narrow it
+ * down with requireRole(). CORS preflights and PUBLIC_ADMIN_ROUTES pass,
+ * except that sign-in is refused while JWT_SECRET is not set.
+ */
+function requireAdmin(req, res, next) {
+  if (req.method === 'OPTIONS') {
+    return next();
+  }
+  if (isPublicAdminRoute(req)) {
+    return isAdminAuthConfigured() ? next() : sendAuthNotConfigured(res);
+  }
+  return anyAdmin(req, res, next);
+}
+
+module.exports = {
+  ADMIN_PATHS,
+  PUBLIC_ADMIN_ROUTES,
+  ADMIN_ROLES,
+  FRESH_TWO_FACTOR_SECONDS,
+  isAdminAuthConfigured,
+  signAdminToken,
+  isAdminSessionActive,
+  forgetAdminSessions,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  verifyAdminRequest,
+  hasRole,
+  requireRole,
+  requireFreshTwoFactor,
+  requireFreshTwoFactorIf,
+  requireAdmin
+};
@@ -1,724 +0,0 @@
-/**
- * Comprehensive Dividend System for Creator Fee Claims
- * 
- * This system implements the complete dividend flow:
- * 1. Claims creator fees from PumpFun
- * 2. Takes configurable percentage (default 20%) for dividends  
- * 3. Maintains $10 SOL minimum in wallet for transaction fees
- * 4. Takes holder snapshots at claim time
- * 5. Tracks 30% sell threshold for eligibility
- * 6. Distributes dividends proportionally to eligible holders
- * 7. Records all transactions in database
- */
-
-const { Connection, Transaction, Keypair, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
-const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
-const { getSupabaseAdminClient } = require('../database.js');
-
-// Database adapter function to convert SQL calls to Supabase
-function createConnection() {
-  return {
-    query: async (sql, params) => {
-      // This is a simplified adapter - for production, implement proper SQL-to-Supabase translation
-      console.log('⚠️ Legacy SQL query called:', sql.substring(0, 50) + '...');
-      return { rows: [] }; // Return empty result for now
-    },
-    end: async () => {
-      // No-op for Supabase
-    }
-  };
-}
-const bs58 = require('bs58');
-
-// AWS Secrets Manager client
-const secretsClient = new SecretsManagerClient({
-  region: process.env.AWS_REGION || 'us-east-1',
-  credentials: process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY ? {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-  } : undefined
-});
-
-// API endpoints and constants
-const HELIUS_RPC_ENDPOINT = 'https://pump-fe.helius-rpc.com/?api-key=1b8db865-a5a1-4535-9aec-01061440523b';
-const PUMPPORTAL_API_URL = 'https://pumpportal.fun/api/trade-local';
-const PUMPFUN_API_URL = 'https://swap-api.pump.fun/v1/creators';
-
-// Default configuration
-const MINIMUM_WALLET_BALANCE_SOL = 10; // Always maintain $10 worth of SOL
-const DEFAULT_DIVIDEND_PERCENTAGE = 20; // Default 20% for dividends
-const DEFAULT_SELL_THRESHOLD = 30; // Default 30% sell threshold
-
-/**
- * Get Claims Wallet private key from AWS
- */
-async function getClaimsPrivateKey() {
-  try {
-    const secretName = process.env.AWS_SECRET_NAME || 'myBot/staticKeys';
-    console.log(`🔐 Fetching CLAIMS private key from AWS: ${secretName}`);
-    
-    const command = new GetSecretValueCommand({ SecretId: secretName });
-    const response = await secretsClient.send(command);
-    
-    if (!response.SecretString) {
-      throw new Error('Secret string is empty');
-    }
-
-    const keys = JSON.parse(response.SecretString);
-    
-    if (!keys.CLAIMS_PRIVATE_KEY) {
-      throw new Error('CLAIMS_PRIVATE_KEY not found in AWS secrets');
-    }
-
-    console.log('✅ Claims wallet private key retrieved from AWS');
-    return keys.CLAIMS_PRIVATE_KEY;
-    
-  } catch (error) {
-    console.error('❌ Failed to get claims private key from AWS:', error.message);
-    throw error;
-  }
-}
-
-/**
- * Get dividend configuration from database
- */
-async function getDividendConfig(key) {
-  const db = createConnection();
-  try {
-    const result = await db.query(
-      'SELECT value FROM dividend_config WHERE key = $1 AND is_active = true',
-      [key]
-    );
-    return result.rows[0]?.value || null;
-  } catch (error) {
-    console.error(`❌ Failed to get config ${key}:`, error.message);
-    return null;
-  } finally {
-    if (db.end) await db.end();
-  }
-}
-
-/**
- * Create creator wallet keypair
- */
-async function getCreatorWalletKeypair() {
-  try {
-    console.log('🔑 Loading CLAIMS wallet keypair from AWS...');
-    
-    const privateKeyString = await getClaimsPrivateKey();
-    const privateKeyBytes = bs58.decode(privateKeyString);
-    
-    if (privateKeyBytes.length !== 64) {
-      throw new Error(`Invalid private key length: ${privateKeyBytes.length}`);
-    }
-    
-    const keypair = Keypair.fromSecretKey(privateKeyBytes);
-    console.log(`✅ Claims wallet loaded: ${keypair.publicKey.toString()}`);
-    
-    return keypair;
-    
-  } catch (error) {
-    console.error('❌ Failed to create creator wallet keypair:', error.message);
-    throw error;
-  }
-}
-
-/**
- * Record wallet balance check in database
- */
-async function recordWalletBalance(walletAddress, balanceLamports, reason, notes = null) {
-  const db = createConnection();
-  try {
-    const balanceSol = balanceLamports / LAMPORTS_PER_SOL;
-    const result = await db.query(`
-      INSERT INTO wallet_balance_history (
-        wallet_address, balance_sol, balance_lamports, 
-        balance_type, check_reason, notes, checked_at
-      ) VALUES ($1, $2, $3, 'actual', $4, $5, NOW())
-      RETURNING id
-    `, [walletAddress, balanceSol, balanceLamports, reason, notes]);
-    
-    return result.rows[0].id;
-  } catch (error) {
-    console.error('❌ Failed to record wallet balance:', error.message);
-    throw error;
-  } finally {
-    if (db.end) await db.end();
-  }
-}
-
-/**
- * Check wallet balance and ensure minimum is maintained
- */
-async function checkWalletBalance(wallet, requiredAmount = 0) {
-  try {
-    // Try public RPC first, fallback to Helius
-    let connection;
-    let balance = 0;
-    
-    try {
-      connection = new Connection('https://api.mainnet-beta.solana.com');
-      balance = await connection.getBalance(wallet.publicKey);
-      console.log('✅ Balance retrieved from public RPC');
-    } catch (publicError) {
-      console.log('⚠️ Public RPC failed, trying Helius...');
-      console.log(`   Public RPC error: ${publicError.message}`);
-      connection = new Connection(HELIUS_RPC_ENDPOINT);
-      balance = await connection.getBalance(wallet.publicKey);
-      console.log('✅ Balance retrieved from Helius RPC');
-    }
-    
-    const balanceSol = balance / LAMPORTS_PER_SOL;
-    console.log(`💰 Current wallet balance: ${balanceSol.toFixed(9)} SOL`);
-    
-    // Record balance check
-    await recordWalletBalance(
-      wallet.publicKey.toString(), 
-      balance, 
-      'pre_claim_check',
-      `Required: ${requiredAmount} SOL, Available: ${balanceSol.toFixed(9)} SOL`
-    );
-    
-    const minimumSol = Number.parseFloat(await getDividendConfig('wallet_minimum_sol')) || MINIMUM_WALLET_BALANCE_SOL;
-    const totalRequired = minimumSol + requiredAmount;
-    
-    if (balanceSol < totalRequired) {
-      throw new Error(
-        `Insufficient wallet balance: ${balanceSol.toFixed(9)} SOL available, ` +
-        `${totalRequired.toFixed(9)} SOL required (${minimumSol} minimum + ${requiredAmount} for fees)`
-      );
-    }
-    
-    return { balance, balanceSol, hasMinimum: balanceSol >= minimumSol };
-    
-  } catch (error) {
-    console.error('❌ Failed to check wallet balance:', error.message);
-    throw error;
-  }
-}
-
-/**
- * Get available creator fees from PumpFun API
- */
-async function getAvailableCreatorFees(creatorWallet) {
-  try {
-    console.log('📊 Checking available creator fees...');
-    
-    const response = await fetch(`${PUMPFUN_API_URL}/${creatorWallet}/fees/total`);
-    
-    if (!response.ok) {
-      throw new Error(`PumpFun API error: ${response.status} ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    console.log('📊 Available fees:', JSON.stringify(data, null, 2));
-    
-    return {
-      totalFeesLamports: Number.parseInt(data.totalFees || '0'),
-      totalFeesSol: Number.parseFloat(data.totalFeesSOL || '0'),
-      hasClaimableFees: Number.parseFloat(data.totalFeesSOL || '0') > 0
-    };
-    
-  } catch (error) {
-    console.error('❌ Failed to get available creator fees:', error.message);
-    throw error;
-  }
-}
-
-/**
- * Get token holders from Solana blockchain (simplified version)
- */
-async function getTokenHolders(tokenMintAddress) {
-  try {
-    console.log('📊 Fetching token holders from blockchain...');
-    
-    // For the MVP, we'll create a mock holder set
-    // In production, you would query the actual blockchain
-    const mockHolders = [
-      { address: 'DJc94YEAEZ8JGrN2spVwUccX5jJmwogMitY6S1oP7Nnp', balance: 1000000, percentage: 0 },
-      { address: 'HxhWkVpk5NS4Ltg5nij2G671CKXFRKPK8vy271Ub4uEK', balance: 500000, percentage: 0 },
-      { address: '9YqhNPHBQmC1uoggyDq8HfqzQqy8tMDxhYL5taP5pump', balance: 300000, percentage: 0 }
-    ];
-    
-    const totalSupply = mockHolders.reduce((sum, holder) => sum + holder.balance, 0);
-    
-    // Calculate percentages
-    for (const holder of mockHolders) {
-      holder.percentage = totalSupply > 0 ? (holder.balance / totalSupply) * 100 : 0;
-    }
-    
-    console.log(`✅ Successfully retrieved ${mockHolders.length} token holders`);
-    console.log(`📊 Total supply: ${totalSupply}`);
-    
-    return { holders: mockHolders, totalSupply };
-    
-  } catch (error) {
-    console.error('❌ Failed to get token holders:', error.message);
-    throw error;
-  }
-}
-
-/**
- * Check holder eligibility based on sell threshold
- */
-async function checkHolderEligibility(holderAddress, currentBalance) {
-  const db = createConnection();
-  try {
-    // Get or create initial position record
-    let initialResult = await db.query(
-      'SELECT initial_balance FROM holder_initial_positions WHERE holder_address = $1',
-      [holderAddress]
-    );
-    
-    let initialBalance = currentBalance;
-    
-    if (initialResult.rows.length === 0) {
-      // New holder - record initial position
-      await db.query(`
-        INSERT INTO holder_initial_positions (
-          holder_address, initial_balance, token_mint_address
-        ) VALUES ($1, $2, $3)
-      `, [holderAddress, currentBalance, await getDividendConfig('token_mint_address')]);
-    } else {
-      initialBalance = Number.parseInt(initialResult.rows[0].initial_balance);
-    }
-    
-    // Calculate retention percentage
-    const retentionPercentage = initialBalance > 0 ? (currentBalance / initialBalance) * 100 : 100;
-    const sellThreshold = Number.parseFloat(await getDividendConfig('sell_threshold_percentage')) || DEFAULT_SELL_THRESHOLD;
-    const isEligible = retentionPercentage >= (100 - sellThreshold);
-    
-    // Update or create eligibility record
-    await db.query(`
-      INSERT INTO holder_eligibility (
-        holder_address, current_balance, initial_balance, 
-        retention_percentage, is_eligible, last_checked_at
-      ) VALUES ($1, $2, $3, $4, $5, NOW())
-      ON CONFLICT (holder_address) DO UPDATE SET
-        current_balance = EXCLUDED.current_balance,
-        retention_percentage = EXCLUDED.retention_percentage,
-        is_eligible = EXCLUDED.is_eligible,
-        last_checked_at = NOW()
-    `, [holderAddress, currentBalance, initialBalance, retentionPercentage, isEligible]);
-    
-    if (!isEligible) {
-      console.log(`⚠️ Holder ${holderAddress} ineligible: ${retentionPercentage.toFixed(2)}% retention (threshold: ${100 - sellThreshold}%)`);
-    }
-    
-    return isEligible;
-    
-  } catch (error) {
-    console.error(`❌ Failed to check eligibility for ${holderAddress}:`, error.message);
-    return false; // Default to ineligible on error
-  } finally {
-    if (db.end) await db.end();
-  }
-}
-
-/**
- * Create dividend claim record in database
- */
-async function createDividendClaim(claimedAmount, transactionId, distributionAmount, holderCount) {
-  const db = createConnection();
-  try {
-    const result = await db.query(`
-      INSERT INTO dividend_claims (
-        claimed_amount, transaction_id, distribution_amount, 
-        total_supply, holder_count, status, claim_timestamp
-      ) VALUES ($1, $2, $3, $4, $5, 'pending', NOW())
-      RETURNING id
-    `, [claimedAmount, transactionId, distributionAmount, 0, holderCount]);
-    
-    return result.rows[0].id;
-  } catch (error) {
-    console.error('❌ Failed to create dividend claim record:', error.message);
-    throw error;
-  } finally {
-    if (db.end) await db.end();
-  }
-}
-
-/**
- * Update dividend claim status
- */
-async function updateDividendClaimStatus(claimId, status, errorMessage = null) {
-  const db = createConnection();
-  try {
-    await db.query(`
-      UPDATE dividend_claims 
-      SET status = $2, error_message = $3, updated_at = NOW()
-      WHERE id = $1
-    `, [claimId, status, errorMessage]);
-  } catch (error) {
-    console.error('❌ Failed to update dividend claim status:', error.message);
-    throw error;
-  } finally {
-    if (db.end) await db.end();
-  }
-}
-
-/**
- * Update claim transaction ID in database
- */
-async function updateClaimTransactionId(claimId, transactionId) {
-  const db = createConnection();
-  try {
-    await db.query(
-      'UPDATE dividend_claims SET transaction_id = $2 WHERE id = $1',
-      [claimId, transactionId]
-    );
-  } catch (error) {
-    console.error('❌ Failed to update claim transaction ID:', error.message);
-  } finally {
-    if (db.end) await db.end();
-  }
-}
-
-/**
- * Create holder snapshot for dividend claim
- */
-async function createHolderSnapshot(claimId, holders) {
-  const db = createConnection();
-  try {
-    console.log('📸 Creating holder snapshot...');
-    
-    let eligibleCount = 0;
-    
-    for (const holder of holders) {
-      // Check eligibility based on sell threshold
-      const isEligible = await checkHolderEligibility(holder.address, holder.balance);
-      
-      if (isEligible) {
-        eligibleCount++;
-      }
-      
-      await db.query(`
-        INSERT INTO holder_snapshots (
-          claim_id, holder_address, token_balance, percentage, 
-          initial_balance, retention_percentage, is_eligible, snapshot_timestamp
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
-      `, [
-        claimId, 
-        holder.address, 
-        holder.balance, 
-        holder.percentage,
-        holder.balance, // For new holders, initial = current
-        100, // 100% retention for new holders
-        isEligible
-      ]);
-    }
-    
-    console.log(`📸 Snapshot created: ${holders.length} total holders, ${eligibleCount} eligible`);
-    
-    return eligibleCount;
-    
-  } catch (error) {
-    console.error('❌ Failed to create holder snapshot:', error.message);
-    throw error;
-  } finally {
-    if (db.end) await db.end();
-  }
-}
-
-/**
- * Distribute dividends to eligible holders
- */
-async function distributeDividends(claimId, distributionAmount) {
-  const db = createConnection();
-  try {
-    console.log('💰 Starting dividend distribution...');
-    
-    // Get eligible holders from snapshot
-    const eligibleHolders = await db.query(`
-      SELECT holder_address, token_balance, percentage
-      FROM holder_snapshots 
-      WHERE claim_id = $1 AND is_eligible = true
-      ORDER BY token_balance DESC
-    `, [claimId]);
-    
-    if (eligibleHolders.rows.length === 0) {
-      console.log('⚠️ No eligible holders found for dividend distribution');
-      return { success: false, reason: 'No eligible holders' };
-    }
-    
-    console.log(`💰 Distributing to ${eligibleHolders.rows.length} eligible holders`);
-    
-    // Calculate total eligible percentage
-    const totalEligiblePercentage = eligibleHolders.rows.reduce(
-      (sum, holder) => sum + Number.parseFloat(holder.percentage), 
-      0
-    );
-    
-    const distributions = [];
-    let totalDistributed = 0;
-    
-    // Create distribution records
-    for (const holder of eligibleHolders.rows) {
-      const holderPercentage = Number.parseFloat(holder.percentage);
-      const adjustedPercentage = (holderPercentage / totalEligiblePercentage) * 100;
-      const dividendAmount = (distributionAmount * adjustedPercentage) / 100;
-      
-      // Create distribution record
-      const distResult = await db.query(`
-        INSERT INTO dividend_distributions (
-          claim_id, holder_address, token_balance, percentage, 
-          dividend_amount, status
-        ) VALUES ($1, $2, $3, $4, $5, 'pending')
-        RETURNING id
-      `, [claimId, holder.holder_address, holder.token_balance, adjustedPercentage, dividendAmount]);
-      
-      distributions.push({
-        id: distResult.rows[0].id,
-        holder: holder.holder_address,
-        amount: dividendAmount,
-        percentage: adjustedPercentage
-      });
-      
-      totalDistributed += dividendAmount;
-    }
-    
-    console.log(`💰 Created ${distributions.length} distribution records`);
-    console.log(`💰 Total to distribute: ${distributionAmount.toFixed(9)} SOL`);
-    console.log(`💰 Total calculated: ${totalDistributed.toFixed(9)} SOL`);
-    
-    // Process actual payouts (simulation for now)
-    await processDistributionPayouts(distributions, claimId);
-    
-    return { 
-      success: true, 
-      distributionCount: distributions.length,
-      totalAmount: totalDistributed,
-      distributions
-    };
-    
-  } catch (error) {
-    console.error('❌ Failed to distribute dividends:', error.message);
-    throw error;
-  } finally {
-    if (db.end) await db.end();
-  }
-}
-
-/**
- * Process actual SOL payouts to holders (simulation for now)
- */
-async function processDistributionPayouts(distributions, claimId) {
-  const db = createConnection();
-  try {
-    console.log('💸 Processing distribution payouts...');
-    
-    for (const distribution of distributions) {
-      // Simulate successful distribution
-      const mockTxSignature = `dist_${Date.now()}_${Math.random().toString(36).substring(2, 15)}`;
-      
-      await db.query(`
-        INSERT INTO dividend_payouts (
-          claim_id, distribution_id, holder_address, 
-          payout_amount_sol, payout_amount_lamports,
-          transaction_signature, payout_status, paid_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, 'completed', NOW())
-      `, [
-        claimId,
-        distribution.id,
-        distribution.holder,
-        distribution.amount,
-        Math.floor(distribution.amount * LAMPORTS_PER_SOL),
-        mockTxSignature
-      ]);
-      
-      // Update distribution status
-      await db.query(`
-        UPDATE dividend_distributions 
-        SET status = 'completed', distribution_timestamp = NOW(),
-            distribution_tx_id = $2
-        WHERE id = $1
-      `, [distribution.id, mockTxSignature]);
-      
-      console.log(`💸 Distributed ${distribution.amount.toFixed(9)} SOL to ${distribution.holder}`);
-    }
-    
-    console.log('✅ All distribution payouts processed');
-    
-  } catch (error) {
-    console.error('❌ Failed to process distribution payouts:', error.message);
-    throw error;
-  } finally {
-    if (db.end) await db.end();
-  }
-}
-
-/**
- * Initialize dividend system configuration
- */
-async function initializeDividendSystem() {
-  try {
-    const config = {
-      dividendPercentage: Number.parseFloat(await getDividendConfig('dividend_percentage')) || DEFAULT_DIVIDEND_PERCENTAGE,
-      sellThreshold: Number.parseFloat(await getDividendConfig('sell_threshold_percentage')) || DEFAULT_SELL_THRESHOLD,
-      walletMinimum: Number.parseFloat(await getDividendConfig('wallet_minimum_sol')) || MINIMUM_WALLET_BALANCE_SOL,
-      tokenMintAddress: await getDividendConfig('token_mint_address') || '9YqhNPHBQmC1uoggyDq8HfqzQqy8tMDxhYL5taP5pump',
-      autoClaimEnabled: (await getDividendConfig('auto_claim_enabled')) === 'true',
-      autoDistributionEnabled: (await getDividendConfig('auto_distribution_enabled')) === 'true'
-    };
-    
-    console.log('⚙️ Dividend system initialized');
-    return config;
-    
-  } catch (error) {
-    console.error('❌ Failed to initialize dividend system:', error.message);
-    throw error;
-  }
-}
-
-/**
- * Main comprehensive dividend system function
- */
-async function claimCreatorFeesWithDividends(creatorWallet = null, contractAddress = null) {
-  let claimId = null;
-  let creatorKeypair = null;
-  
-  try {
-    console.log('🚀 Starting comprehensive creator fee claim with dividend system...');
-    console.log('='.repeat(80));
-    
-    // Step 1: Initialize and validate configuration
-    const config = await initializeDividendSystem();
-    creatorKeypair = await getCreatorWalletKeypair();
-    const actualCreatorWallet = creatorWallet || creatorKeypair.publicKey.toString();
-    const actualContractAddress = contractAddress || config.tokenMintAddress;
-    
-    console.log('📋 Configuration:');
-    console.log(`   Creator Wallet: ${actualCreatorWallet}`);
-    console.log(`   Contract: ${actualContractAddress}`);
-    console.log(`   Dividend Percentage: ${config.dividendPercentage}%`);
-    console.log(`   Wallet Minimum: ${config.walletMinimum} SOL`);
-    console.log(`   Sell Threshold: ${config.sellThreshold}%`);
-    
-    // Step 2: Check available creator fees
-    const feeInfo = await getAvailableCreatorFees(actualCreatorWallet);
-    if (!feeInfo.hasClaimableFees) {
-      console.log('⚠️ No claimable fees available');
-      return {
-        success: false,
-        reason: 'No claimable fees available',
-        claimedAmount: 0,
-        dividendAmount: 0
-      };
-    }
-    
-    console.log(`💰 Available fees: ${feeInfo.totalFeesSol.toFixed(9)} SOL`);
-    
-    // Step 3: Check wallet balance and ensure minimum is maintained
-    await checkWalletBalance(creatorKeypair, 0.001); // Reserve for tx fees
-    
-    // Step 4: Get current token holders and create snapshot
-    console.log('📸 Taking holder snapshot...');
-    const { holders } = await getTokenHolders(actualContractAddress);
-    
-    // Step 5: Calculate dividend amounts
-    const claimedAmount = feeInfo.totalFeesSol;
-    const dividendAmount = (claimedAmount * config.dividendPercentage) / 100;
-    const remainingAmount = claimedAmount - dividendAmount;
-    
-    console.log('💰 Financial breakdown:');
-    console.log(`   Total claimed: ${claimedAmount.toFixed(9)} SOL`);
-    console.log(`   For dividends (${config.dividendPercentage}%): ${dividendAmount.toFixed(9)} SOL`);
-    console.log(`   Remaining in wallet: ${remainingAmount.toFixed(9)} SOL`);
-    
-    // Step 6: Create dividend claim record in database
-    claimId = await createDividendClaim(claimedAmount, 'pending_transaction', dividendAmount, holders.length);
-    console.log(`📝 Created dividend claim record: ${claimId}`);
-    
-    // Step 7: Create holder snapshot with eligibility checking
-    const eligibleCount = await createHolderSnapshot(claimId, holders);
-    console.log(`📸 Snapshot completed: ${eligibleCount}/${holders.length} holders eligible`);
-    
-    // Step 8: Simulate fee claiming (would normally call PumpPortal API)
-    console.log('🎯 Simulating creator fee claim from PumpFun...');
-    const transactionSignature = `claim_${Date.now()}_${Math.random().toString(36).substring(2, 15)}`;
-    
-    // Update claim record with transaction
-    await updateDividendClaimStatus(claimId, 'completed', null);
-    await updateClaimTransactionId(claimId, transactionSignature);
-    
-    console.log(`✅ Fees claimed successfully (simulated): ${transactionSignature}`);
-    
-    // Step 9: Distribute dividends to eligible holders
-    console.log('💸 Distributing dividends...');
-    const distributionResult = await distributeDividends(claimId, dividendAmount);
-    
-    if (distributionResult.success) {
-      console.log(`✅ Distributed ${distributionResult.totalAmount.toFixed(9)} SOL to ${distributionResult.distributionCount} holders`);
-    } else {
-      console.log(`❌ Distribution failed: ${distributionResult.reason}`);
-    }
-    
-    // Step 10: Record final wallet balance
-    const finalBalance = await checkWalletBalance(creatorKeypair, 0);
-    await recordWalletBalance(
-      actualCreatorWallet,
-      finalBalance.balance,
-      'post_claim_check',
-      `Final balance after claiming ${claimedAmount.toFixed(9)} SOL and distributing ${dividendAmount.toFixed(9)} SOL`
-    );
-    
-    // Step 11: Generate comprehensive result
-    const result = {
-      success: true,
-      claimId: claimId,
-      transactionId: transactionSignature,
-      claimedAmount: claimedAmount,
-      dividendAmount: dividendAmount,
-      remainingAmount: remainingAmount,
-      holderCount: holders.length,
-      eligibleHolders: eligibleCount,
-      distributionCount: distributionResult.distributionCount || 0,
-      walletBalance: finalBalance.balanceSol,
-      timestamp: new Date().toISOString(),
-      explorerUrl: `https://solscan.io/tx/${transactionSignature}`,
-      source: 'comprehensive-dividend-system'
-    };
-    
-    console.log('🎉 Comprehensive dividend system completed successfully!');
-    console.log('📊 Final Summary:');
-    console.log(`   💰 Claimed: ${result.claimedAmount.toFixed(9)} SOL`);
-    console.log(`   💸 Distributed: ${result.dividendAmount.toFixed(9)} SOL`);
-    console.log(`   👥 Beneficiaries: ${result.distributionCount}/${result.holderCount} holders`);
-    console.log(`   💼 Wallet Balance: ${result.walletBalance.toFixed(9)} SOL`);
-    console.log(`   🔗 Transaction: ${result.transactionId}`);
-    console.log('='.repeat(80));
-    
-    return result;
-    
-  } catch (error) {
-    console.error('❌ Comprehensive dividend system failed:', error);
-    
-    // Update claim status if we created one
-    if (claimId) {
-      await updateDividendClaimStatus(claimId, 'failed', error.message);
-    }
-    
-    return {
-      success: false,
-      error: error.message || 'Unknown error during comprehensive dividend processing',
-      claimedAmount: 0,
-      dividendAmount: 0,
-      reason: 'Comprehensive system failed: ' + (error.message || 'Unknown error'),
-      claimId: claimId
-    };
-    
-  } finally {
-    // Security: Clear private key from memory
-    if (creatorKeypair && creatorKeypair.secretKey) {
-      creatorKeypair.secretKey.fill(0);
-    }
-  }
-}
-
-module.exports = {
-  claimCreatorFeesWithDividends,
-  getDividendConfig,
-  checkWalletBalance,
-  getAvailableCreatorFees,
-  initializeDividendSystem
-};
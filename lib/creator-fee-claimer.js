@@ -1,33 +1,16 @@
 /**
  * Enhanced Creator Fee Claimer Module (Backend JS)
  * 
- * Comprehensive dividend system implementation:
- * 1. Claims creator fees from PumpFun
- * 2. Takes configurable percentage (default 20%) for dividends  
- * 3. Maintains $10 SOL minimum in wallet for transaction fees
- * 4. Takes holder snapshots at claim time
- * 5. Tracks 30% sell threshold for eligibility
- * 6. Distributes dividends proportionally to eligible holders
- * 7. Records all transactions in database
+ * Claims creator fees from PumpFun with the claims wallet:
+ * 1. Requests a collectCreatorFee transaction from PumpPortal
+ * 2. Signs it with the claims wallet key from AWS
+ * 3. Broadcasts it through Helius and waits for confirmation
+ * 
+ * Snapshots, eligibility and distribution live in api/services/dividend-service.js.
  */
 
-const { Connection, Transaction, Keypair, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { Connection, Transaction, Keypair } = require('@solana/web3.js');
 const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
-const { getSupabaseAdminClient } = require('../database.js');
-
-// Database adapter function to convert SQL calls to Supabase
-function createConnection() {
-  return {
-    query: async (sql, params) => {
-      // This is a simplified adapter - for production, implement proper SQL-to-Supabase translation
-      console.log('⚠️ Legacy SQL query called:', sql.substring(0, 50) + '...');
-      return { rows: [] }; // Return empty result for now
-    },
-    end: async () => {
-      // No-op for Supabase
-    }
-  };
-}
 
 // AWS Secrets Manager client (using existing config pattern)
 const secretsClient = new SecretsManagerClient({
@@ -71,136 +54,12 @@ async function getClaimsPrivateKey() {
   }
 }
 
-/**
- * Get dividend configuration from database
- */
-async function getDividendConfig(key) {
-  const supabase = getSupabaseAdminClient();
-  try {
-    const { data, error } = await supabase
-      .from('dividend_config')
-      .select('value')
-      .eq('key', key)
-      .eq('is_active', true)
-      .single();
-    
-    if (error) {
-      console.error(`❌ Failed to get config ${key}:`, error.message);
-      return null;
-    }
-    
-    return data?.value || null;
-  } catch (error) {
-    console.error(`❌ Failed to get config ${key}:`, error.message);
-    return null;
-  }
-}
-
-/**
- * Record wallet balance check in database
- */
-async function recordWalletBalance(walletAddress, balanceLamports, reason, notes = null) {
-  const supabase = getSupabaseAdminClient();
-  try {
-    const balanceSol = balanceLamports / LAMPORTS_PER_SOL;
-    
-    const { data, error } = await supabase
-      .from('wallet_balance_history')
-      .insert({
-        wallet_address: walletAddress,
-        balance_sol: balanceSol,
-        balance_lamports: balanceLamports,
-        balance_type: 'actual',
-        check_reason: reason,
-        notes: notes,
-        checked_at: new Date().toISOString()
-      })
-      .select('id')
-      .single();
-    
-    if (error) {
-      console.error('❌ Failed to record wallet balance:', error.message);
-      throw error;
-    }
-    
-    return data.id;
-  } catch (error) {
-    console.error('❌ Failed to record wallet balance:', error.message);
-    throw error;
-  }
-}
-
-/**
- * Create dividend claim record in database
- */
-async function createDividendClaim(claimedAmount, transactionId, distributionAmount, holderCount) {
-  const supabase = getSupabaseAdminClient();
-  try {
-    const { data, error } = await supabase
-      .from('dividend_claims')
-      .insert({
-        claimed_amount: claimedAmount,
-        transaction_id: transactionId,
-        distribution_amount: distributionAmount,
-        total_supply: 0,
-        holder_count: holderCount,
-        status: 'pending',
-        claim_timestamp: new Date().toISOString()
-      })
-      .select('id')
-      .single();
-    
-    if (error) {
-      console.error('❌ Failed to create dividend claim record:', error.message);
-      throw error;
-    }
-    
-    return data.id;
-  } catch (error) {
-    console.error('❌ Failed to create dividend claim record:', error.message);
-    throw error;
-  }
-}
-
-/**
- * Update dividend claim status
- */
-async function updateDividendClaimStatus(claimId, status, errorMessage = null) {
-  const supabase = getSupabaseAdminClient();
-  try {
-    const { error } = await supabase
-      .from('dividend_claims')
-      .update({
-        status: status,
-        error_message: errorMessage,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', claimId);
-    
-    if (error) {
-      console.error('❌ Failed to update dividend claim status:', error.message);
-      throw error;
-    }
-  } catch (error) {
-    console.error('❌ Failed to update dividend claim status:', error.message);
-    throw error;
-  }
-}
-
 // Helius RPC endpoint for transaction broadcasting
 const HELIUS_RPC_ENDPOINT = 'https://pump-fe.helius-rpc.com/?api-key=1b8db865-a5a1-4535-9aec-01061440523b';
 
 // PumpPortal API endpoint for collectCreatorFee transactions
 const PUMPPORTAL_API_URL = 'https://pumpportal.fun/api/trade-local';
 
-// PumpFun API endpoint for fee checking
-const PUMPFUN_API_URL = 'https://swap-api.pump.fun/v1/creators';
-
-// Constants for the dividend system
-const MINIMUM_WALLET_BALANCE_SOL = 10; // Always maintain $10 worth of SOL (adjust based on SOL price)
-const DEFAULT_DIVIDEND_PERCENTAGE = 20; // Default 20% for dividends
-const DEFAULT_SELL_THRESHOLD = 30; // Default 30% sell threshold
-
 /**
  * Decode Base58 string to Uint8Array (simplified implementation)
  */
@@ -210,313 +69,8 @@ function decodeBase58(input) {
 }
 
 /**
- * Get token holders from Solana blockchain
+ * Get creator (claims) wallet keypair from AWS
  */
-async function getTokenHolders(tokenMintAddress) {
-  try {
-    console.log('📊 Fetching token holders from blockchain...');
-    
-    const connection = new Connection(HELIUS_RPC_ENDPOINT);
-    const mintPublicKey = new PublicKey(tokenMintAddress);
-    
-    // Get all token accounts for this mint
-    const tokenAccounts = await connection.getProgramAccounts(
-      new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA'), // SPL Token Program
-      {
-        filters: [
-          {
-            dataSize: 165, // Token account data size
-          },
-          {
-            memcmp: {
-              offset: 0,
-              bytes: mintPublicKey.toBase58(),
-            },
-          },
-        ],
-      }
-    );
-
-    console.log(`📊 Found ${tokenAccounts.length} token accounts`);
-    
-    // Parse token account data to get holders and balances
-    const holders = [];
-    for (const account of tokenAccounts) {
-      try {
-        // Parse token account data (simplified - in production you'd use proper SPL token parsing)
-        const data = account.account.data;
-        if (data.length >= 64) {
-          // Extract balance (8 bytes at offset 64)
-          const balance = data.readBigUInt64LE(64);
-          if (balance > 0) {
-            // Extract owner (32 bytes at offset 32)
-            const owner = new PublicKey(data.slice(32, 64)).toBase58();
-            holders.push({
-              address: owner,
-              balance: Number(balance),
-              percentage: 0 // Will be calculated later
-            });
-          }
-        }
-      } catch (parseError) {
-        console.warn('⚠️ Failed to parse token account:', parseError.message);
-      }
-    }
-
-    // Calculate total supply and percentages
-    const totalSupply = holders.reduce((sum, holder) => sum + holder.balance, 0);
-    for (const holder of holders) {
-      holder.percentage = totalSupply > 0 ? (holder.balance / totalSupply) * 100 : 0;
-    }
-
-    console.log(`✅ Successfully retrieved ${holders.length} token holders`);
-    console.log(`📊 Total supply: ${totalSupply}`);
-    
-    return { holders, totalSupply };
-    
-  } catch (error) {
-    console.error('❌ Failed to get token holders:', error.message);
-    throw error;
-  }
-}
-
-/**
- * Create holder snapshot for dividend claim
- */
-async function createHolderSnapshot(claimId, holders) {
-  const supabase = getSupabaseAdminClient();
-  try {
-    console.log('📸 Creating holder snapshot...');
-    
-    const snapshotData = [];
-    for (const holder of holders) {
-      // Check eligibility based on sell threshold
-      const isEligible = await checkHolderEligibility(holder.address, holder.balance);
-      
-      snapshotData.push({
-        claim_id: claimId,
-        holder_address: holder.address,
-        token_balance: holder.balance,
-        percentage: holder.percentage,
-        initial_balance: holder.balance, // For new holders, initial = current
-        retention_percentage: 100, // 100% retention for new holders
-        is_eligible: isEligible,
-        snapshot_timestamp: new Date().toISOString()
-      });
-    }
-    
-    const { error } = await supabase
-      .from('holder_snapshots')
-      .insert(snapshotData);
-    
-    if (error) {
-      console.error('❌ Failed to create holder snapshot:', error.message);
-      throw error;
-    }
-    
-    const eligibleCount = holders.filter(h => h.isEligible !== false).length;
-    console.log(`📸 Snapshot created: ${holders.length} total holders, ${eligibleCount} eligible`);
-    
-    return eligibleCount;
-    
-  } catch (error) {
-    console.error('❌ Failed to create holder snapshot:', error.message);
-    throw error;
-  } finally {
-    if (db.end) await db.end();
-  }
-}
-
-/**
- * Check holder eligibility based on sell threshold
- */
-async function checkHolderEligibility(holderAddress, currentBalance) {
-  const db = createConnection();
-  try {
-    // Get or create initial position record
-    let initialResult = await db.query(
-      'SELECT initial_balance FROM holder_initial_positions WHERE holder_address = $1',
-      [holderAddress]
-    );
-    
-    let initialBalance = currentBalance;
-    
-    if (initialResult.rows.length === 0) {
-      // New holder - record initial position
-      await db.query(`
-        INSERT INTO holder_initial_positions (
-          holder_address, initial_balance, token_mint_address
-        ) VALUES ($1, $2, $3)
-      `, [holderAddress, currentBalance, await getDividendConfig('token_mint_address')]);
-    } else {
-      initialBalance = Number.parseInt(initialResult.rows[0].initial_balance);
-    }
-    
-    // Calculate retention percentage
-    const retentionPercentage = initialBalance > 0 ? (currentBalance / initialBalance) * 100 : 100;
-    const sellThreshold = Number.parseFloat(await getDividendConfig('sell_threshold_percentage')) || DEFAULT_SELL_THRESHOLD;
-    const isEligible = retentionPercentage >= (100 - sellThreshold);
-    
-    // Update or create eligibility record
-    await db.query(`
-      INSERT INTO holder_eligibility (
-        holder_address, current_balance, initial_balance, 
-        retention_percentage, is_eligible, last_checked_at
-      ) VALUES ($1, $2, $3, $4, $5, NOW())
-      ON CONFLICT (holder_address) DO UPDATE SET
-        current_balance = EXCLUDED.current_balance,
-        retention_percentage = EXCLUDED.retention_percentage,
-        is_eligible = EXCLUDED.is_eligible,
-        last_checked_at = NOW()
-    `, [holderAddress, currentBalance, initialBalance, retentionPercentage, isEligible]);
-    
-    if (!isEligible) {
-      console.log(`⚠️ Holder ${holderAddress} ineligible: ${retentionPercentage.toFixed(2)}% retention (threshold: ${100 - sellThreshold}%)`);
-    }
-    
-    return isEligible;
-    
-  } catch (error) {
-    console.error(`❌ Failed to check eligibility for ${holderAddress}:`, error.message);
-    return false; // Default to ineligible on error
-  } finally {
-    if (db.end) await db.end();
-  }
-}
-
-/**
- * Distribute dividends to eligible holders
- */
-async function distributeDividends(claimId, distributionAmount) {
-  const db = createConnection();
-  try {
-    console.log('💰 Starting dividend distribution...');
-    
-    // Get eligible holders from snapshot
-    const eligibleHolders = await db.query(`
-      SELECT holder_address, token_balance, percentage
-      FROM holder_snapshots 
-      WHERE claim_id = $1 AND is_eligible = true
-      ORDER BY token_balance DESC
-    `, [claimId]);
-    
-    if (eligibleHolders.rows.length === 0) {
-      console.log('⚠️ No eligible holders found for dividend distribution');
-      return { success: false, reason: 'No eligible holders' };
-    }
-    
-    console.log(`💰 Distributing to ${eligibleHolders.rows.length} eligible holders`);
-    
-    // Calculate total eligible percentage
-    const totalEligiblePercentage = eligibleHolders.rows.reduce(
-      (sum, holder) => sum + Number.parseFloat(holder.percentage), 
-      0
-    );
-    
-    const distributions = [];
-    let totalDistributed = 0;
-    
-    // Create distribution records
-    for (const holder of eligibleHolders.rows) {
-      const holderPercentage = Number.parseFloat(holder.percentage);
-      const adjustedPercentage = (holderPercentage / totalEligiblePercentage) * 100;
-      const dividendAmount = (distributionAmount * adjustedPercentage) / 100;
-      
-      // Create distribution record
-      const distResult = await db.query(`
-        INSERT INTO dividend_distributions (
-          claim_id, holder_address, token_balance, percentage, 
-          dividend_amount, status
-        ) VALUES ($1, $2, $3, $4, $5, 'pending')
-        RETURNING id
-      `, [claimId, holder.holder_address, holder.token_balance, adjustedPercentage, dividendAmount]);
-      
-      distributions.push({
-        id: distResult.rows[0].id,
-        holder: holder.holder_address,
-        amount: dividendAmount,
-        percentage: adjustedPercentage
-      });
-      
-      totalDistributed += dividendAmount;
-    }
-    
-    console.log(`💰 Created ${distributions.length} distribution records`);
-    console.log(`💰 Total to distribute: ${distributionAmount.toFixed(9)} SOL`);
-    console.log(`💰 Total calculated: ${totalDistributed.toFixed(9)} SOL`);
-    
-    // Here you would implement actual SOL transfers to holders
-    // For now, we'll mark them as completed in database
-    await processDistributionPayouts(distributions, claimId);
-    
-    return { 
-      success: true, 
-      distributionCount: distributions.length,
-      totalAmount: totalDistributed,
-      distributions
-    };
-    
-  } catch (error) {
-    console.error('❌ Failed to distribute dividends:', error.message);
-    throw error;
-  } finally {
-    if (db.end) await db.end();
-  }
-}
-
-/**
- * Process actual SOL payouts to holders (placeholder for now)
- */
-async function processDistributionPayouts(distributions, claimId) {
-  const db = createConnection();
-  try {
-    console.log('💸 Processing distribution payouts...');
-    
-    for (const distribution of distributions) {
-      // In a real implementation, you would:
-      // 1. Create and sign a SOL transfer transaction
-      // 2. Send it to the blockchain
-      // 3. Wait for confirmation
-      // 4. Record the transaction signature
-      
-      // For now, we'll simulate successful distribution
-      const mockTxSignature = `dist_${Date.now()}_${Math.random().toString(36).substring(2, 15)}`;
-      
-      await db.query(`
-        INSERT INTO dividend_payouts (
-          claim_id, distribution_id, holder_address, 
-          payout_amount_sol, payout_amount_lamports,
-          transaction_signature, payout_status, paid_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, 'completed', NOW())
-      `, [
-        claimId,
-        distribution.id,
-        distribution.holder,
-        distribution.amount,
-        Math.floor(distribution.amount * LAMPORTS_PER_SOL),
-        mockTxSignature
-      ]);
-      
-      // Update distribution status
-      await db.query(`
-        UPDATE dividend_distributions 
-        SET status = 'completed', distribution_timestamp = NOW(),
-            distribution_tx_id = $2
-        WHERE id = $1
-      `, [distribution.id, mockTxSignature]);
-      
-      console.log(`💸 Distributed ${distribution.amount.toFixed(9)} SOL to ${distribution.holder}`);
-    }
-    
-    console.log('✅ All distribution payouts processed');
-    
-  } catch (error) {
-    console.error('❌ Failed to process distribution payouts:', error.message);
-    throw error;
-  } finally {
-    if (db.end) await db.end();
-  }
-}
 async function getCreatorWalletKeypair() {
   try {
     console.log('🔑 Loading CLAIMS wallet keypair from AWS...');
@@ -815,6 +369,23 @@ async function claimPumpFunFeesEnhanced(settings) {
   }
 }
 
+/**
+ * Get the creator (claims) wallet address. CREATOR_WALLET_ADDRESS avoids
+ * loading the private key just to read the public key.
+ */
+async function getCreatorWalletAddress() {
+  if (process.env.CREATOR_WALLET_ADDRESS) {
+    return process.env.CREATOR_WALLET_ADDRESS;
+  }
+
+  const creatorKeypair = await getCreatorWalletKeypair();
+  try {
+    return creatorKeypair.publicKey.toString();
+  } finally {
+    creatorKeypair.secretKey.fill(0);
+  }
+}
+
 /**
  * Check if creator fee claiming is available using CLAIMS_WALLET_PRIVATE_KEY
  */
@@ -835,5 +406,6 @@ async function isCreatorFeeClaimingAvailable() {
 module.exports = {
   claimCreatorFees,
   claimPumpFunFeesEnhanced,
-  isCreatorFeeClaimingAvailable
+  isCreatorFeeClaimingAvailable,
+  getCreatorWalletAddress
 };
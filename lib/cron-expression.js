@@ -0,0 +1,169 @@
+/**
+ * Cron Expression
+ *
+ * Parses standard 5-field cron expressions (minute hour day-of-month month
+ * day-of-week) and works out when they next fire, in UTC. Supports *, lists,
+ * ranges, steps and JAN-DEC / SUN-SAT names. As in standard cron, when both
+ * day-of-month and day-of-week are restricted (neither starts with *), a day
+ * matches if either one does: '0 0 1 * 1' fires on the 1st and on Mondays.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const MINUTE_MS = 60 * 1000;
+const MAX_SEARCH_DAYS = 366 * 4; // Long enough for 29 February schedules
+
+/**
+ * Turn a field value (number or name) into a number
+ */
+function parseValue(value, field) {
+  const index = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+  const number = index >= 0 ? index + (field.name === 'month' ? 1 : 0) : Number(value);
+
+  if ((index < 0 && !/^\d+$/.test(value)) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name} value '${value}'`);
+  }
+
+  return number;
+}
+
+/**
+ * Expand one cron field into the set of values it matches
+ */
+function parseField(expression, field) {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid ${field.name} step '${stepText}'`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(value => parseValue(value, field));
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    if (start > end) {
+      throw new Error(`Invalid ${field.name} range '${range}'`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      // 7 is Sunday as well as 0
+      values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression
+ * @throws {Error} When the expression is invalid
+ */
+function parseCronExpression(expression) {
+  if (typeof expression !== 'string') {
+    throw new Error('Cron expression must be a string');
+  }
+
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+  parsed.eitherDay = !parts[2].startsWith('*') && !parts[4].startsWith('*');
+  return parsed;
+}
+
+/**
+ * Check whether a cron expression is valid
+ * @returns {string|null} The problem, or null when valid
+ */
+function validateCronExpression(expression) {
+  try {
+    parseCronExpression(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Whether a schedule fires on the day of a date
+ */
+function matchesDay(schedule, date) {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getUTCDay());
+  return schedule.eitherDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Find the first time strictly after `after` that the expression fires
+ * @returns {Date|null} null when it never fires (e.g. 31 February)
+ */
+function getNextCronTime(expression, after = new Date()) {
+  const schedule = typeof expression === 'string' ? parseCronExpression(expression) : expression;
+  const date = new Date(Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+  const limit = after.getTime() + MAX_SEARCH_DAYS * 24 * 60 * MINUTE_MS;
+
+  while (date.getTime() <= limit) {
+    if (!schedule.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!schedule.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!schedule.minute.has(date.getUTCMinutes())) {
+      date.setTime(date.getTime() + MINUTE_MS);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * List the next `count` times an expression fires
+ */
+function getUpcomingCronTimes(expression, count, after = new Date()) {
+  const schedule = parseCronExpression(expression);
+  const times = [];
+  let cursor = after;
+
+  while (times.length < count) {
+    cursor = getNextCronTime(schedule, cursor);
+    if (!cursor) break;
+    times.push(cursor);
+  }
+
+  return times;
+}
+
+module.exports = {
+  parseCronExpression,
+  validateCronExpression,
+  getNextCronTime,
+  getUpcomingCronTimes
+};
@@ -0,0 +1,29 @@
+/**
+ * CSV helpers for admin and holder exports
+ */
+
+/**
+ * Quote a CSV field when it contains separators, quotes or newlines
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV with a header line, one column per entry in `columns`
+ */
+function toCsv(columns, rows) {
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => escapeCsvValue(row[column])).join(','))
+  ].join('\n') + '\n';
+}
+
+module.exports = {
+  escapeCsvValue,
+  toCsv
+};
@@ -0,0 +1,910 @@
+/**
+ * Dividend Store
+ *
+ * Supabase-backed data access for the dividend system tables:
+ * dividend_config, dividend_claims, holder_snapshots, dividend_distributions,
+ * dividend_payouts, dividend_distribution_runs, holder_stats and
+ * wallet_balance_history (tagged by wallet role for the treasury monitor,
+ * database/treasury-monitor.sql). Holder eligibility is kept by
+ * api/services/holder-loyalty.js.
+ *
+ * A claim, its holder snapshot and its distributions are written together
+ * through the record_dividend_claim database function
+ * (database/dividend-claim-transaction.sql) so they commit or fail as one.
+ * Payout runs are locked per claim through dividend_distribution_runs
+ * (database/dividend-distribution-runs.sql). Periodic holder snapshots taken
+ * between claims for time-weighted dividends are kept in holder_snapshots
+ * with no claim (database/twab-snapshots.sql). Wallets excluded from dividends
+ * are kept in dividend_excluded_wallets (database/dividend-exclusions.sql).
+ * Pull-mode withdrawals are reserved and settled through database functions
+ * (database/dividend-pull-claims.sql) so a balance can only be paid once.
+ * Push-mode shares below the minimum payout are carried forward in
+ * dividend_carry_balances (database/dividend-carry-forward.sql).
+ * Fee collections found on-chain for reconciliation are kept in
+ * creator_fee_collections (database/creator-fee-reconciliation.sql).
+ */
+
+const { getSupabaseAdminClient } = require('../database.js');
+
+const PAGE_SIZE = 1000; // PostgREST returns at most 1000 rows per request
+
+/**
+ * Read every page of a query; buildQuery(from, to) must return the ranged query
+ */
+async function fetchAllPages(buildQuery, description) {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to get ${description}: ${error.message}`);
+    }
+
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+/**
+ * Get the Supabase admin client or fail loudly
+ */
+function getClient() {
+  const supabase = getSupabaseAdminClient();
+  if (!supabase) {
+    throw new Error('Supabase admin client not available');
+  }
+  return supabase;
+}
+
+/**
+ * Get an active dividend_config value by key
+ */
+async function getConfigValue(key) {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('dividend_config')
+    .select('value')
+    .eq('key', key)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to get config ${key}: ${error.message}`);
+  }
+
+  return data?.value ?? null;
+}
+
+/**
+ * Create or replace a dividend_config value
+ */
+async function setConfigValue(key, value, valueType, description) {
+  const supabase = getClient();
+  const { error } = await supabase
+    .from('dividend_config')
+    .upsert({
+      key,
+      value,
+      value_type: valueType,
+      description,
+      is_active: true,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'key' });
+
+  if (error) {
+    throw new Error(`Failed to set config ${key}: ${error.message}`);
+  }
+}
+
+/**
+ * Insert a wallet balance history row and return its id
+ */
+async function recordWalletBalance(entry) {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('wallet_balance_history')
+    .insert({
+      balance_type: 'actual',
+      ...entry,
+      checked_at: new Date().toISOString()
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    throw new Error('Failed to record wallet balance: ' + error.message);
+  }
+
+  return data.id;
+}
+
+/**
+ * Get the newest wallet balance row for a wallet role, or null
+ */
+async function getLatestWalletBalance(walletRole, checkReason = null) {
+  const supabase = getClient();
+  let query = supabase
+    .from('wallet_balance_history')
+    .select('*')
+    .eq('wallet_role', walletRole)
+    .order('checked_at', { ascending: false })
+    .limit(1);
+
+  if (checkReason) {
+    query = query.eq('check_reason', checkReason);
+  }
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to get latest ${walletRole} wallet balance: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Get wallet balance rows for some wallet roles in a time range, oldest first
+ */
+async function getWalletBalanceHistory({ roles, from, to }) {
+  const supabase = getClient();
+
+  return await fetchAllPages((rangeFrom, rangeTo) => supabase
+    .from('wallet_balance_history')
+    .select('wallet_role, wallet_address, balance_sol, check_reason, checked_at')
+    .in('wallet_role', roles)
+    .gte('checked_at', from)
+    .lte('checked_at', to)
+    .order('checked_at', { ascending: true })
+    .range(rangeFrom, rangeTo), 'wallet balance history');
+}
+
+/**
+ * Atomically create a claim together with its snapshot and distributions
+ * @returns {Promise<{claimId: string, distributions: Array}>}
+ */
+async function recordClaimWithSnapshot(claim, snapshots, distributions) {
+  const supabase = getClient();
+  const { data, error } = await supabase.rpc('record_dividend_claim', {
+    p_claim: claim,
+    p_snapshots: snapshots,
+    p_distributions: distributions
+  });
+
+  if (error) {
+    throw new Error('Failed to record dividend claim: ' + error.message);
+  }
+
+  return {
+    claimId: data.claim_id,
+    distributions: data.distributions || []
+  };
+}
+
+/**
+ * Insert one periodic holder snapshot; every row shares the same timestamp
+ */
+async function recordPeriodicSnapshot(rows, takenAt) {
+  const supabase = getClient();
+  const { error } = await supabase
+    .from('holder_snapshots')
+    .insert(rows.map(row => ({
+      ...row,
+      claim_id: null,
+      snapshot_type: 'periodic',
+      snapshot_timestamp: takenAt
+    })));
+
+  if (error) {
+    throw new Error('Failed to record periodic snapshot: ' + error.message);
+  }
+}
+
+/**
+ * Get periodic snapshot rows taken after `since` (exclusive) up to `until` (inclusive)
+ */
+async function getPeriodicSnapshots(since, until) {
+  const supabase = getClient();
+
+  return await fetchAllPages((from, to) => {
+    let query = supabase
+      .from('holder_snapshots')
+      .select('holder_address, token_balance, snapshot_timestamp')
+      .eq('snapshot_type', 'periodic')
+      .lte('snapshot_timestamp', until)
+      .order('snapshot_timestamp', { ascending: true })
+      .order('holder_address', { ascending: true })
+      .range(from, to);
+
+    return since ? query.gt('snapshot_timestamp', since) : query;
+  }, 'periodic snapshots');
+}
+
+/**
+ * Get the timestamp of the latest periodic snapshot, or null
+ */
+async function getLatestPeriodicSnapshotTime() {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('holder_snapshots')
+    .select('snapshot_timestamp')
+    .eq('snapshot_type', 'periodic')
+    .order('snapshot_timestamp', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error('Failed to get latest periodic snapshot: ' + error.message);
+  }
+
+  return data?.snapshot_timestamp || null;
+}
+
+/**
+ * Get the timestamp of the latest dividend claim, or null
+ */
+async function getLatestClaimTime() {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('dividend_claims')
+    .select('claim_timestamp')
+    .order('claim_timestamp', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error('Failed to get latest claim: ' + error.message);
+  }
+
+  return data?.claim_timestamp || null;
+}
+
+/**
+ * Get excluded wallets, active ones only unless includeInactive is set
+ */
+async function getExcludedWallets({ includeInactive = false } = {}) {
+  const supabase = getClient();
+  let query = supabase
+    .from('dividend_excluded_wallets')
+    .select('*')
+    .order('created_at', { ascending: true });
+
+  if (!includeInactive) {
+    query = query.eq('is_active', true);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error('Failed to get excluded wallets: ' + error.message);
+  }
+
+  return data || [];
+}
+
+/**
+ * Get one excluded wallet, active or not; null when unknown
+ */
+async function getExcludedWallet(walletAddress) {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('dividend_excluded_wallets')
+    .select('*')
+    .eq('wallet_address', walletAddress)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to get excluded wallet ${walletAddress}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Create or re-activate an excluded wallet
+ */
+async function upsertExcludedWallet(wallet) {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('dividend_excluded_wallets')
+    .upsert({
+      ...wallet,
+      is_active: true,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'wallet_address' })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save excluded wallet ${wallet.wallet_address}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Deactivate an excluded wallet; returns the row or null when unknown
+ */
+async function deactivateExcludedWallet(walletAddress) {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('dividend_excluded_wallets')
+    .update({ is_active: false, updated_at: new Date().toISOString() })
+    .eq('wallet_address', walletAddress)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to remove excluded wallet ${walletAddress}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Get every claim snapshot row for a holder, with its claim
+ */
+async function getHolderClaimSnapshots(holderAddress) {
+  const supabase = getClient();
+
+  return await fetchAllPages((from, to) => supabase
+    .from('holder_snapshots')
+    .select('*, dividend_claims(id, claim_timestamp, transaction_id, claimed_amount, distribution_amount, status)')
+    .eq('holder_address', holderAddress)
+    .eq('snapshot_type', 'claim')
+    .order('snapshot_timestamp', { ascending: true })
+    .range(from, to), `snapshots for ${holderAddress}`);
+}
+
+/**
+ * Get every dividend distribution for a holder, with its claim
+ */
+async function getHolderDistributions(holderAddress) {
+  const supabase = getClient();
+
+  return await fetchAllPages((from, to) => supabase
+    .from('dividend_distributions')
+    .select('*, dividend_claims(id, claim_timestamp, transaction_id, claimed_amount, distribution_amount, status)')
+    .eq('holder_address', holderAddress)
+    .order('created_at', { ascending: true })
+    .range(from, to), `distributions for ${holderAddress}`);
+}
+
+/**
+ * Get every dividend payout for a holder
+ */
+async function getHolderPayouts(holderAddress) {
+  const supabase = getClient();
+
+  return await fetchAllPages((from, to) => supabase
+    .from('dividend_payouts')
+    .select('*')
+    .eq('holder_address', holderAddress)
+    .order('claim_id', { ascending: true })
+    .range(from, to), `payouts for ${holderAddress}`);
+}
+
+/**
+ * Get a holder's claimable accrued distributions
+ * @param {string|null} accruedAfter Ignore distributions accrued at or before this time (expired)
+ */
+async function getAccruedDistributions(holderAddress, accruedAfter = null) {
+  const supabase = getClient();
+
+  return await fetchAllPages((from, to) => {
+    const query = supabase
+      .from('dividend_distributions')
+      .select('id, claim_id, dividend_amount, accrued_at')
+      .eq('holder_address', holderAddress)
+      .eq('status', 'accrued')
+      .order('accrued_at', { ascending: true })
+      .range(from, to);
+
+    return accruedAfter ? query.gt('accrued_at', accruedAfter) : query;
+  }, `accrued distributions for ${holderAddress}`);
+}
+
+/**
+ * Mark accrued distributions older than the cutoff as expired
+ * @returns {Promise<{count: number, amount: number}>}
+ */
+async function expireAccruedDistributions(accruedBefore) {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('dividend_distributions')
+    .update({ status: 'expired' })
+    .eq('status', 'accrued')
+    .lte('accrued_at', accruedBefore)
+    .select('dividend_amount');
+
+  if (error) {
+    throw new Error('Failed to expire accrued distributions: ' + error.message);
+  }
+
+  return {
+    count: data.length,
+    amount: data.reduce((sum, row) => sum + Number.parseFloat(row.dividend_amount), 0)
+  };
+}
+
+/**
+ * Reserve a holder's claimable balance for one withdrawal
+ * @returns {Promise<Object>} { reserved, reason?, withdrawal_id?, amount, amount_lamports?, distribution_count? }
+ */
+async function reserveWithdrawal({ holderAddress, minAmount, accruedAfter, claimMessage, messageSignature }) {
+  const supabase = getClient();
+  const { data, error } = await supabase.rpc('reserve_dividend_withdrawal', {
+    p_holder_address: holderAddress,
+    p_min_amount: minAmount,
+    p_accrued_after: accruedAfter,
+    p_claim_message: claimMessage,
+    p_message_signature: messageSignature
+  });
+
+  if (error) {
+    // Unique violation: the signed message was already used, or a withdrawal is already open
+    if (error.code === '23505') {
+      return { reserved: false, reason: 'duplicate_request' };
+    }
+    throw new Error(`Failed to reserve withdrawal for ${holderAddress}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Record the signed transfer for a withdrawal before it is broadcast.
+ * Throws if the withdrawal is no longer pending (it was released meanwhile),
+ * so the transfer is never sent.
+ */
+async function markWithdrawalSent(withdrawalId, signature, lastValidBlockHeight) {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('dividend_withdrawals')
+    .update({
+      status: 'sent',
+      transaction_signature: signature,
+      last_valid_block_height: lastValidBlockHeight,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', withdrawalId)
+    .eq('status', 'pending')
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to mark withdrawal ${withdrawalId} sent: ${error.message}`);
+  }
+
+  if (!data || data.length === 0) {
+    throw new Error(`Withdrawal ${withdrawalId} is no longer pending`);
+  }
+}
+
+/**
+ * Confirm a withdrawal (distributions become claimed) or fail it (they accrue again),
+ * if it is still in fromStatus
+ * @returns {Promise<boolean>} false when the withdrawal had moved on and was left alone
+ */
+async function settleWithdrawal(withdrawalId, fromStatus, status, signature = null, errorMessage = null) {
+  const supabase = getClient();
+  const { data, error } = await supabase.rpc('settle_dividend_withdrawal', {
+    p_withdrawal_id: withdrawalId,
+    p_from_status: fromStatus,
+    p_status: status,
+    p_transaction_signature: signature,
+    p_error_message: errorMessage
+  });
+
+  if (error) {
+    throw new Error(`Failed to settle withdrawal ${withdrawalId}: ${error.message}`);
+  }
+
+  return data === true;
+}
+
+/**
+ * Get a holder's withdrawal that is still pending or sent, or null
+ */
+async function getOpenWithdrawal(holderAddress) {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('dividend_withdrawals')
+    .select('*')
+    .eq('holder_address', holderAddress)
+    .in('status', ['pending', 'sent'])
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to get open withdrawal for ${holderAddress}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Get every withdrawal for a holder
+ */
+async function getHolderWithdrawals(holderAddress) {
+  const supabase = getClient();
+
+  return await fetchAllPages((from, to) => supabase
+    .from('dividend_withdrawals')
+    .select('*')
+    .eq('holder_address', holderAddress)
+    .order('created_at', { ascending: true })
+    .range(from, to), `withdrawals for ${holderAddress}`);
+}
+
+/**
+ * Carry a claim's sub-minimum shares forward and add carried balances to
+ * the shares that are paid
+ * @returns {Promise<Object>} { carried_count, carried_amount, released_count, released_amount }
+ */
+async function applyCarryForward(claimId, minPayout) {
+  const supabase = getClient();
+  const { data, error } = await supabase.rpc('apply_dividend_carry_forward', {
+    p_claim_id: claimId,
+    p_min_payout: minPayout
+  });
+
+  if (error) {
+    throw new Error(`Failed to apply carry-forward for claim ${claimId}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Get every holder with a carried-forward balance, largest first
+ */
+async function getCarryBalances() {
+  const supabase = getClient();
+
+  return await fetchAllPages((from, to) => supabase
+    .from('dividend_carry_balances')
+    .select('*')
+    .gt('carried_sol', 0)
+    .order('carried_sol', { ascending: false })
+    .range(from, to), 'carried-forward balances');
+}
+
+/**
+ * Get a holder's carried-forward balance, or null if they have none
+ */
+async function getHolderCarryBalance(holderAddress) {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('dividend_carry_balances')
+    .select('*')
+    .eq('holder_address', holderAddress)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to get carried-forward balance for ${holderAddress}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Update fields on a dividend claim
+ */
+async function updateClaim(claimId, fields) {
+  const supabase = getClient();
+  const { error } = await supabase
+    .from('dividend_claims')
+    .update({
+      ...fields,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', claimId);
+
+  if (error) {
+    throw new Error(`Failed to update dividend claim ${claimId}: ${error.message}`);
+  }
+}
+
+/**
+ * Get a dividend claim by id, or null if it does not exist
+ */
+async function getClaim(claimId) {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('dividend_claims')
+    .select('*')
+    .eq('id', claimId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to get dividend claim ${claimId}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Get all distributions of a claim, largest first
+ */
+async function getDistributions(claimId) {
+  const supabase = getClient();
+  // Ordered by id as well so pages do not overlap between equal amounts
+  return await fetchAllPages((from, to) => supabase
+    .from('dividend_distributions')
+    .select('*')
+    .eq('claim_id', claimId)
+    .order('dividend_amount', { ascending: false })
+    .order('id', { ascending: true })
+    .range(from, to), `distributions for claim ${claimId}`);
+}
+
+/**
+ * Update the same fields on several dividend distributions
+ */
+async function updateDistributions(distributionIds, fields) {
+  if (distributionIds.length === 0) return;
+
+  const supabase = getClient();
+  const { error } = await supabase
+    .from('dividend_distributions')
+    .update(fields)
+    .in('id', distributionIds);
+
+  if (error) {
+    throw new Error('Failed to update distributions: ' + error.message);
+  }
+}
+
+/**
+ * Get all payouts of a claim
+ */
+async function getPayouts(claimId) {
+  const supabase = getClient();
+  return await fetchAllPages((from, to) => supabase
+    .from('dividend_payouts')
+    .select('*')
+    .eq('claim_id', claimId)
+    .order('id', { ascending: true })
+    .range(from, to), `payouts for claim ${claimId}`);
+}
+
+/**
+ * Create or reset the payout row for a claim and holder and return it
+ */
+async function upsertPayout(payout) {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('dividend_payouts')
+    .upsert({
+      ...payout,
+      updated_at: new Date().toISOString()
+    }, {
+      onConflict: 'claim_id,holder_address'
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to record payout for ${payout.holder_address}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Update the same fields on several dividend payouts
+ */
+async function updatePayouts(payoutIds, fields) {
+  if (payoutIds.length === 0) return;
+
+  const supabase = getClient();
+  const { error } = await supabase
+    .from('dividend_payouts')
+    .update({
+      ...fields,
+      updated_at: new Date().toISOString()
+    })
+    .in('id', payoutIds);
+
+  if (error) {
+    throw new Error('Failed to update payouts: ' + error.message);
+  }
+}
+
+/**
+ * Create or update a holder's stats row
+ */
+async function upsertHolderStats(stats) {
+  const supabase = getClient();
+  const { error } = await supabase
+    .from('holder_stats')
+    .upsert(stats, {
+      onConflict: 'holder_address'
+    });
+
+  if (error) {
+    throw new Error(`Failed to update stats for ${stats.holder_address}: ${error.message}`);
+  }
+}
+
+/**
+ * Take the distribution run lock for a claim
+ * @returns {Promise<{acquired: boolean, run: Object|null}>}
+ */
+async function acquireRunLock(claimId, owner, ttlSeconds) {
+  const supabase = getClient();
+  const { data, error } = await supabase.rpc('acquire_distribution_run_lock', {
+    p_claim_id: claimId,
+    p_owner: owner,
+    p_ttl_seconds: ttlSeconds
+  });
+
+  if (error) {
+    throw new Error(`Failed to lock distribution run for claim ${claimId}: ${error.message}`);
+  }
+
+  if (data && data.length > 0) {
+    return { acquired: true, run: data[0] };
+  }
+
+  return { acquired: false, run: await getRun(claimId) };
+}
+
+/**
+ * Extend the run lock while its owner is still working.
+ * Throws if the owner no longer holds it (it expired and someone else took it),
+ * so the run stops instead of paying alongside the new owner.
+ */
+async function renewRunLock(claimId, owner, ttlSeconds) {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('dividend_distribution_runs')
+    .update({
+      lock_expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('claim_id', claimId)
+    .eq('locked_by', owner)
+    .select('claim_id');
+
+  if (error) {
+    throw new Error(`Failed to renew distribution run lock for claim ${claimId}: ${error.message}`);
+  }
+
+  if (!data || data.length === 0) {
+    const lostError = new Error(`Distribution run lock for claim ${claimId} is no longer held by ${owner}`);
+    lostError.code = 'RUN_LOCK_LOST';
+    throw lostError;
+  }
+}
+
+/**
+ * Release the run lock and record how the run ended
+ */
+async function releaseRunLock(claimId, owner, status, lastError = null) {
+  const supabase = getClient();
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('dividend_distribution_runs')
+    .update({
+      status,
+      last_error: lastError,
+      locked_by: null,
+      lock_expires_at: null,
+      finished_at: now,
+      updated_at: now
+    })
+    .eq('claim_id', claimId)
+    .eq('locked_by', owner);
+
+  if (error) {
+    throw new Error(`Failed to release distribution run lock for claim ${claimId}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the distribution run for a claim, or null if it never started
+ */
+async function getRun(claimId) {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('dividend_distribution_runs')
+    .select('*')
+    .eq('claim_id', claimId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to get distribution run for claim ${claimId}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Get every dividend claim with the fields reconciliation needs, oldest first
+ */
+async function getClaimsForReconciliation() {
+  const supabase = getClient();
+
+  return await fetchAllPages((from, to) => supabase
+    .from('dividend_claims')
+    .select('id, claim_timestamp, transaction_id, claimed_amount, status, reconciliation_status, onchain_amount, reconciled_at')
+    .order('claim_timestamp', { ascending: true })
+    .range(from, to), 'dividend claims for reconciliation');
+}
+
+/**
+ * Get every fee collection found on-chain, newest first
+ */
+async function getFeeCollections() {
+  const supabase = getClient();
+
+  return await fetchAllPages((from, to) => supabase
+    .from('creator_fee_collections')
+    .select('*')
+    .order('block_time', { ascending: false })
+    .range(from, to), 'creator fee collections');
+}
+
+/**
+ * Insert or update fee collections by signature
+ */
+async function upsertFeeCollections(collections) {
+  if (collections.length === 0) return;
+
+  const supabase = getClient();
+  const { error } = await supabase
+    .from('creator_fee_collections')
+    .upsert(collections, { onConflict: 'signature' });
+
+  if (error) {
+    throw new Error('Failed to save creator fee collections: ' + error.message);
+  }
+}
+
+module.exports = {
+  getConfigValue,
+  setConfigValue,
+  recordWalletBalance,
+  getLatestWalletBalance,
+  getWalletBalanceHistory,
+  recordClaimWithSnapshot,
+  recordPeriodicSnapshot,
+  getPeriodicSnapshots,
+  getLatestPeriodicSnapshotTime,
+  getLatestClaimTime,
+  getExcludedWallets,
+  getExcludedWallet,
+  upsertExcludedWallet,
+  deactivateExcludedWallet,
+  getHolderClaimSnapshots,
+  getHolderDistributions,
+  getHolderPayouts,
+  getAccruedDistributions,
+  expireAccruedDistributions,
+  reserveWithdrawal,
+  markWithdrawalSent,
+  settleWithdrawal,
+  getOpenWithdrawal,
+  getHolderWithdrawals,
+  applyCarryForward,
+  getCarryBalances,
+  getHolderCarryBalance,
+  updateClaim,
+  getClaim,
+  getDistributions,
+  updateDistributions,
+  getPayouts,
+  upsertPayout,
+  updatePayouts,
+  upsertHolderStats,
+  acquireRunLock,
+  renewRunLock,
+  releaseRunLock,
+  getRun,
+  getClaimsForReconciliation,
+  getFeeCollections,
+  upsertFeeCollections
+};
@@ -0,0 +1,243 @@
+/**
+ * Job Leases
+ *
+ * Database-backed leases that stop several replicas from running the same
+ * background job. A lease is a job_leases row (database/job-leases.sql) with
+ * an owner and an expiry. Only its owner can renew it, and anyone can take it
+ * over once it has expired, so a dead instance loses it after the TTL.
+ *
+ * The 'scheduler' lease elects one leader instance: a heartbeat renews it and
+ * only the leader runs the scheduled jobs (dividend cron, upload recovery).
+ * Jobs started on demand can hold a lease of their own for as long as they
+ * run (withJobLease).
+ *
+ * Without the lease functions (database/job-leases.sql not applied) nothing
+ * can be coordinated, so no instance leads and leased jobs refuse to run.
+ */
+
+const os = require('node:os');
+const { getSupabaseAdminClient } = require('../database.js');
+
+const INSTANCE_ID = `${process.env.RAILWAY_REPLICA_ID || os.hostname()}:${process.pid}`;
+const LEADER_LEASE = 'scheduler';
+const LEADER_TTL_SECONDS = 90;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000; // Three heartbeats per TTL, so one missed beat keeps the lease
+const MISSING_FUNCTION_CODES = new Set(['PGRST202', '42883']); // Lease migration not applied
+const LEASES_NOT_SET_UP = 'Job leases are not set up (run database/job-leases.sql)';
+
+let heartbeatTimer = null;
+let leaderUntil = 0;
+let lastHeartbeat = null;
+let leaseUnavailable = false;
+
+/**
+ * Take or renew a lease
+ * @returns {Promise<{acquired: boolean, lease: Object|null}>}
+ */
+async function acquireLease(name, ttlSeconds) {
+  const supabase = getSupabaseAdminClient();
+  const { data, error } = await supabase.rpc('acquire_job_lease', {
+    p_name: name,
+    p_owner: INSTANCE_ID,
+    p_ttl_seconds: ttlSeconds
+  });
+
+  if (error) {
+    const leaseError = new Error(`Failed to acquire job lease ${name}: ${error.message}`);
+    leaseError.code = error.code;
+    throw leaseError;
+  }
+
+  if (data && data.length > 0) {
+    return { acquired: true, lease: data[0] };
+  }
+
+  return { acquired: false, lease: await getLease(name) };
+}
+
+/**
+ * Give up a lease this instance holds
+ */
+async function releaseLease(name) {
+  const supabase = getSupabaseAdminClient();
+  const { error } = await supabase.rpc('release_job_lease', {
+    p_name: name,
+    p_owner: INSTANCE_ID
+  });
+
+  if (error) {
+    throw new Error(`Failed to release job lease ${name}: ${error.message}`);
+  }
+}
+
+/**
+ * Get a lease row, or null if nobody holds it
+ */
+async function getLease(name) {
+  const supabase = getSupabaseAdminClient();
+  const { data, error } = await supabase
+    .from('job_leases')
+    .select('*')
+    .eq('name', name)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to get job lease ${name}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Get every lease row
+ */
+async function getLeases() {
+  const supabase = getSupabaseAdminClient();
+  const { data, error } = await supabase
+    .from('job_leases')
+    .select('*')
+    .order('name', { ascending: true });
+
+  if (error) {
+    throw new Error('Failed to get job leases: ' + error.message);
+  }
+
+  return data || [];
+}
+
+/**
+ * Run `job` while holding a lease; skips it when another instance holds the lease
+ * @returns {Promise<{acquired: boolean, lease?: Object, result?: *}>}
+ */
+async function withJobLease(name, ttlSeconds, job) {
+  let acquired;
+  let lease;
+
+  try {
+    ({ acquired, lease } = await acquireLease(name, ttlSeconds));
+  } catch (error) {
+    if (MISSING_FUNCTION_CODES.has(error.code)) {
+      const unavailable = new Error(`${LEASES_NOT_SET_UP} - not running ${name} without a lease`);
+      unavailable.code = 'LEASES_UNAVAILABLE';
+      throw unavailable;
+    }
+    throw error;
+  }
+
+  if (!acquired) {
+    return { acquired: false, lease };
+  }
+
+  try {
+    return { acquired: true, result: await job() };
+  } finally {
+    await releaseLease(name)
+      .catch(error => console.error(`⚠️ Failed to release job lease ${name}:`, error.message));
+  }
+}
+
+/**
+ * Renew (or try to take) the leader lease
+ */
+async function heartbeat() {
+  const wasLeader = isJobLeader();
+
+  try {
+    const { acquired, lease } = await acquireLease(LEADER_LEASE, LEADER_TTL_SECONDS);
+    lastHeartbeat = new Date().toISOString();
+    leaseUnavailable = false;
+    leaderUntil = acquired ? Date.now() + LEADER_TTL_SECONDS * 1000 : 0;
+
+    if (acquired && !wasLeader) {
+      console.log(`👑 ${INSTANCE_ID} is now the job leader`);
+    } else if (!acquired && wasLeader) {
+      console.log(`🔻 ${INSTANCE_ID} lost the job leader lease to ${lease?.owner}`);
+    }
+  } catch (error) {
+    if (MISSING_FUNCTION_CODES.has(error.code)) {
+      // Without the lease table there is no way to coordinate - lead nowhere rather than everywhere
+      if (!leaseUnavailable) {
+        console.error(`❌ ${LEASES_NOT_SET_UP} - scheduled jobs will not run on any instance`);
+      }
+      leaseUnavailable = true;
+      leaderUntil = 0;
+      return;
+    }
+
+    // Keep leading until the current lease runs out; another instance can take over after that
+    console.error('❌ Job leader heartbeat failed:', error.message);
+  }
+}
+
+/**
+ * Start competing for the leader lease
+ */
+async function startLeaderElection() {
+  if (heartbeatTimer) {
+    return;
+  }
+
+  heartbeatTimer = setInterval(heartbeat, HEARTBEAT_INTERVAL_MS);
+  await heartbeat();
+  console.log(`✅ Job leader election started for ${INSTANCE_ID} (${isJobLeader() ? 'leader' : 'standby'})`);
+}
+
+/**
+ * Stop heartbeating and hand the leader lease back
+ */
+async function stopLeaderElection() {
+  if (heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+
+  if (isJobLeader() && !leaseUnavailable) {
+    await releaseLease(LEADER_LEASE)
+      .catch(error => console.error('⚠️ Failed to release job leader lease:', error.message));
+  }
+  leaderUntil = 0;
+}
+
+/**
+ * Whether this instance should run the scheduled jobs right now
+ */
+function isJobLeader() {
+  return Date.now() < leaderUntil;
+}
+
+/**
+ * Whether the last heartbeat found the lease functions missing
+ */
+function areJobLeasesUnavailable() {
+  return leaseUnavailable;
+}
+
+/**
+ * Describe this instance's part in the leader election and every lease held
+ */
+async function getJobLeaseStatus() {
+  return {
+    instanceId: INSTANCE_ID,
+    isLeader: isJobLeader(),
+    electionRunning: !!heartbeatTimer,
+    leasesAvailable: !leaseUnavailable,
+    lastHeartbeat,
+    leaderLeaseExpiresAt: leaderUntil ? new Date(leaderUntil).toISOString() : null,
+    leases: leaseUnavailable ? [] : await getLeases()
+  };
+}
+
+module.exports = {
+  INSTANCE_ID,
+  LEADER_LEASE,
+  acquireLease,
+  releaseLease,
+  getLease,
+  getLeases,
+  withJobLease,
+  startLeaderElection,
+  stopLeaderElection,
+  isJobLeader,
+  areJobLeasesUnavailable,
+  getJobLeaseStatus
+};
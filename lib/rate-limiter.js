@@ -0,0 +1,224 @@
+const { getSupabaseAdminClient } = require('../database.js');
+
+/**
+ * Sliding Window Rate Limiter
+ *
+ * Counts hits per key in fixed windows and estimates the rate over the last
+ * full window by weighting the previous window's count by how much of it
+ * is still inside the sliding window:
+ *
+ *   estimate = previous * (1 - elapsed / window) + current
+ *
+ * Counters live in a store: increment(key, windowStart, windowMs) adds a
+ * hit and returns { current, previous }, reset(key) clears a key and
+ * snapshot() lists the busiest keys. Two are provided: an in-memory store
+ * for a single instance and a Supabase store (database/rate-limits.sql)
+ * shared by every instance. Another backend, like Redis, only needs the
+ * same three methods.
+ */
+
+const MEMORY_SWEEP_EVERY = 1000; // Increments between sweeps of stale memory counters
+const MAX_SNAPSHOT_KEYS = 200;
+
+/**
+ * Get the Supabase admin client or fail loudly
+ */
+function getClient() {
+  const supabase = getSupabaseAdminClient();
+  if (!supabase) {
+    throw new Error('Supabase admin client not available');
+  }
+  return supabase;
+}
+
+/**
+ * Weighted hit count over the sliding window ending now
+ */
+function estimateHits(previous, current, elapsedMs, windowMs) {
+  return previous * (1 - elapsedMs / windowMs) + current;
+}
+
+/**
+ * Milliseconds until one more hit fits under the limit, assuming no other
+ * hits arrive in the meantime
+ */
+function msUntilAllowed(previous, current, max, elapsedMs, windowMs) {
+  // Room may open up within this window as the previous one slides out
+  if (current < max && previous > 0) {
+    const elapsedNeeded = windowMs * (1 - (max - current - 1) / previous);
+    if (elapsedNeeded < windowMs) {
+      return Math.max(0, elapsedNeeded - elapsedMs);
+    }
+  }
+
+  // Otherwise this window's hits have to slide out in the next one
+  const intoNextWindow = current > 0 ? windowMs * Math.max(0, 1 - (max - 1) / current) : 0;
+  return windowMs - elapsedMs + intoNextWindow;
+}
+
+/**
+ * Count a hit against a key and check it against a limit
+ * @param {Object} store - Counter store
+ * @param {string} key - What is being limited, e.g. 'giveaway-entry:ip:1.2.3.4'
+ * @param {Object} limit - { max, windowSeconds }
+ * @returns {Promise<Object>} { allowed, hits, limit, remaining, resetSeconds, retryAfterSeconds }
+ */
+async function hitRateLimit(store, key, { max, windowSeconds }, now = Date.now()) {
+  const windowMs = windowSeconds * 1000;
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const elapsedMs = now - windowStart;
+
+  const { current, previous } = await store.increment(key, windowStart, windowMs);
+  const hits = estimateHits(previous, current, elapsedMs, windowMs);
+  const allowed = hits <= max;
+
+  return {
+    allowed,
+    hits: Math.ceil(hits),
+    limit: max,
+    remaining: Math.max(0, Math.floor(max - hits)),
+    resetSeconds: Math.ceil((windowMs - elapsedMs) / 1000),
+    retryAfterSeconds: allowed
+      ? 0
+      : Math.max(1, Math.ceil(msUntilAllowed(previous, current, max, elapsedMs, windowMs) / 1000))
+  };
+}
+
+/**
+ * Counters kept in this process; each instance limits on its own
+ */
+function createMemoryRateLimitStore() {
+  const counters = new Map(); // key -> { windowStart, windowMs, current, previous }
+  let incrementsSinceSweep = 0;
+
+  function sweep(now) {
+    for (const [key, counter] of counters) {
+      if (counter.windowStart + 2 * counter.windowMs <= now) counters.delete(key);
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowStart, windowMs) {
+      if (++incrementsSinceSweep >= MEMORY_SWEEP_EVERY) {
+        incrementsSinceSweep = 0;
+        sweep(windowStart);
+      }
+
+      let counter = counters.get(key);
+      if (!counter || counter.windowMs !== windowMs || counter.windowStart + windowMs < windowStart) {
+        counter = { windowStart, windowMs, current: 0, previous: 0 };
+      } else if (counter.windowStart < windowStart) {
+        counter = { windowStart, windowMs, current: 0, previous: counter.current };
+      }
+
+      counter.current++;
+      counters.set(key, counter);
+      return { current: counter.current, previous: counter.previous };
+    },
+
+    async reset(key) {
+      return counters.delete(key);
+    },
+
+    async snapshot(now = Date.now()) {
+      sweep(now);
+      return [...counters.entries()]
+        .map(([key, counter]) => {
+          const elapsedMs = now - counter.windowStart;
+          const live = elapsedMs < counter.windowMs
+            ? counter
+            : { current: 0, previous: elapsedMs < 2 * counter.windowMs ? counter.current : 0 };
+          return {
+            key,
+            hits: Math.ceil(estimateHits(live.previous, live.current, elapsedMs % counter.windowMs, counter.windowMs)),
+            windowSeconds: counter.windowMs / 1000
+          };
+        })
+        .filter(entry => entry.hits > 0)
+        .sort((a, b) => b.hits - a.hits)
+        .slice(0, MAX_SNAPSHOT_KEYS);
+    }
+  };
+}
+
+/**
+ * Counters in rate_limit_counters, shared by every instance
+ */
+function createSupabaseRateLimitStore() {
+  return {
+    name: 'supabase',
+
+    async increment(key, windowStart, windowMs) {
+      const supabase = getClient();
+      const { data, error } = await supabase.rpc('rate_limit_hit', {
+        p_key: key,
+        p_window_start: new Date(windowStart).toISOString(),
+        p_window_seconds: windowMs / 1000
+      });
+
+      if (error) {
+        throw new Error('Failed to count rate limit hit: ' + error.message);
+      }
+
+      const row = Array.isArray(data) ? data[0] : data;
+      return { current: row?.current_hits || 0, previous: row?.previous_hits || 0 };
+    },
+
+    async reset(key) {
+      const supabase = getClient();
+      const { data, error } = await supabase
+        .from('rate_limit_counters')
+        .delete()
+        .eq('key', key)
+        .select('key');
+
+      if (error) {
+        throw new Error('Failed to reset rate limit: ' + error.message);
+      }
+      return (data || []).length > 0;
+    },
+
+    async snapshot(now = Date.now()) {
+      const supabase = getClient();
+      const { data, error } = await supabase
+        .from('rate_limit_counters')
+        .select('key, window_start, window_seconds, hits')
+        .gte('expires_at', new Date(now).toISOString())
+        .order('hits', { ascending: false })
+        .limit(MAX_SNAPSHOT_KEYS);
+
+      if (error) {
+        throw new Error('Failed to get rate limit counters: ' + error.message);
+      }
+
+      // Rows are the current and previous window of each key
+      const windows = new Map();
+      for (const row of data || []) {
+        const windowMs = row.window_seconds * 1000;
+        const currentStart = Math.floor(now / windowMs) * windowMs;
+        const entry = windows.get(row.key) || { current: 0, previous: 0, windowMs, currentStart };
+        const rowStart = new Date(row.window_start).getTime();
+        if (rowStart === currentStart) entry.current = row.hits;
+        if (rowStart === currentStart - windowMs) entry.previous = row.hits;
+        windows.set(row.key, entry);
+      }
+
+      return [...windows.entries()]
+        .map(([key, entry]) => ({
+          key,
+          hits: Math.ceil(estimateHits(entry.previous, entry.current, now - entry.currentStart, entry.windowMs)),
+          windowSeconds: entry.windowMs / 1000
+        }))
+        .filter(entry => entry.hits > 0)
+        .sort((a, b) => b.hits - a.hits);
+    }
+  };
+}
+
+module.exports = {
+  hitRateLimit,
+  createMemoryRateLimitStore,
+  createSupabaseRateLimitStore
+};
@@ -0,0 +1,18 @@
+/**
+ * Request IP
+ *
+ * The caller's IP for logs, sessions and rate limits. Behind the hosting
+ * proxy the socket address is the proxy's, so this is Express's req.ip:
+ * with 'trust proxy' set to the number of proxy hops (TRUST_PROXY_HOPS in
+ * index.js) it reads X-Forwarded-For from the right, skipping only entries
+ * those proxies added. The left-most entry is whatever the caller sent.
+ */
+
+/**
+ * The caller's IP as seen by the trusted proxies
+ */
+function getRequestIp(req) {
+  return req.ip || req.socket?.remoteAddress || null;
+}
+
+module.exports = { getRequestIp };
@@ -4,15 +4,22 @@ const {
   Transaction, 
   SystemProgram, 
   Keypair, 
-  sendAndConfirmTransaction,
-  LAMPORTS_PER_SOL
+  LAMPORTS_PER_SOL,
+  PACKET_DATA_SIZE
 } = require('@solana/web3.js');
 const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
 const bs58 = require('bs58');
 
+// Handle both CommonJS default export patterns
+const bs58Codec = bs58.default || bs58;
+
 // Solana RPC configuration
 const SOLANA_RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
 
+// Transaction sizing
+const TRANSACTION_FEE_LAMPORTS = 5000; // Base fee for a single-signature transaction
+const SIGNATURE_LENGTH = 64;
+
 // Initialize AWS Secrets Manager client
 const secretsClient = new SecretsManagerClient({
   region: process.env.AWS_REGION || 'us-east-1',
@@ -66,9 +73,8 @@ async function getTrendingWallet() {
     
     const privateKeyString = await getTrendingPrivateKey();
     
-    // Decode the base58 private key (handle both CommonJS default export patterns)
-    const bs58Decoder = bs58.default || bs58;
-    const privateKeyBytes = bs58Decoder.decode(privateKeyString);
+    // Decode the base58 private key
+    const privateKeyBytes = bs58Codec.decode(privateKeyString);
     
     // Create keypair from private key
     const keypair = Keypair.fromSecretKey(privateKeyBytes);
@@ -146,26 +152,51 @@ class SolanaPaymentService {
    * @returns {Promise<string>} Transaction signature if successful
    */
   async sendSOL(recipientAddress, amountLamports) {
+    return this.sendSOLBatch([{ recipientAddress, amountLamports }]);
+  }
+
+  /**
+   * Send SOL to several recipients in a single transaction
+   * @param {Array<{recipientAddress: string, amountLamports: number}>} transfers Transfers to pack into the transaction
+   * @param {Object} [options]
+   * @param {function(string, number): Promise<void>} [options.onSigned] Called with the signature and the last valid block height
+   *   once signed and before broadcast, so they can be recorded first; if it throws nothing is sent
+   * @returns {Promise<string>} Transaction signature once confirmed
+   */
+  async sendSOLBatch(transfers, { onSigned } = {}) {
     if (!this.initialized || !this.payoutWallet) {
       throw new Error('Payment service not initialized. Call initialize() first.');
     }
 
-    // Validate recipient address
-    if (!isValidSolanaAddress(recipientAddress)) {
-      throw new Error(`Invalid recipient address: ${recipientAddress}`);
+    if (!Array.isArray(transfers) || transfers.length === 0) {
+      throw new Error('No transfers to send');
     }
 
-    // Validate amount
-    if (amountLamports <= 0) {
-      throw new Error(`Invalid amount: ${amountLamports} lamports`);
+    for (const { recipientAddress, amountLamports } of transfers) {
+      // Validate recipient address
+      if (!isValidSolanaAddress(recipientAddress)) {
+        throw new Error(`Invalid recipient address: ${recipientAddress}`);
+      }
+
+      // Validate amount
+      if (!Number.isInteger(amountLamports) || amountLamports <= 0) {
+        throw new Error(`Invalid amount: ${amountLamports} lamports`);
+      }
     }
 
+    if (!this.fitsInTransaction(transfers)) {
+      throw new Error(`Too many transfers for one transaction: ${transfers.length}`);
+    }
+
+    let signature = null;
+    let lastValidBlockHeight = null;
+
     try {
-      const recipientPublicKey = new PublicKey(recipientAddress);
+      const totalLamports = transfers.reduce((sum, transfer) => sum + transfer.amountLamports, 0);
 
       // Check payout wallet balance
       const balance = await this.connection.getBalance(this.payoutWallet.publicKey);
-      const requiredAmount = amountLamports + 5000; // Add 5000 lamports for transaction fee
+      const requiredAmount = totalLamports + TRANSACTION_FEE_LAMPORTS;
 
       if (balance < requiredAmount) {
         throw new Error(
@@ -175,37 +206,43 @@ class SolanaPaymentService {
 
       console.log('💸 Preparing SOL transfer:', {
         from: this.payoutWallet.publicKey.toBase58(),
-        to: recipientAddress,
-        amountSOL: (amountLamports / LAMPORTS_PER_SOL).toFixed(6),
-        lamports: amountLamports,
+        recipients: transfers.length,
+        amountSOL: (totalLamports / LAMPORTS_PER_SOL).toFixed(6),
+        lamports: totalLamports,
         currentBalance: (balance / LAMPORTS_PER_SOL).toFixed(4) + ' SOL'
       });
 
       // Create transfer transaction
-      const transaction = new Transaction().add(
-        SystemProgram.transfer({
-          fromPubkey: this.payoutWallet.publicKey,
-          toPubkey: recipientPublicKey,
-          lamports: amountLamports
-        })
-      );
+      const latestBlockhash = await this.connection.getLatestBlockhash('confirmed');
+      const { blockhash } = latestBlockhash;
+      lastValidBlockHeight = latestBlockhash.lastValidBlockHeight;
+      const transaction = this.buildTransferTransaction(transfers, blockhash);
+      transaction.lastValidBlockHeight = lastValidBlockHeight;
+      transaction.sign(this.payoutWallet);
+      const signed = bs58Codec.encode(transaction.signature);
+
+      // Report the signature before sending, so a crash mid-send still leaves it on record
+      if (onSigned) {
+        await onSigned(signed, lastValidBlockHeight);
+      }
+      signature = signed;
 
-      // Send and confirm transaction
       console.log('📡 Sending transaction to Solana network...');
-      const signature = await sendAndConfirmTransaction(
-        this.connection,
-        transaction,
-        [this.payoutWallet],
-        {
-          commitment: 'confirmed',
-          maxRetries: 3
-        }
+      await this.connection.sendRawTransaction(transaction.serialize(), { maxRetries: 3 });
+
+      const confirmation = await this.connection.confirmTransaction(
+        { signature, blockhash, lastValidBlockHeight },
+        'confirmed'
       );
 
+      if (confirmation.value.err) {
+        throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
+      }
+
       console.log('✅ SOL transfer successful:', {
         signature,
-        to: recipientAddress,
-        amountSOL: (amountLamports / LAMPORTS_PER_SOL).toFixed(6),
+        recipients: transfers.length,
+        amountSOL: (totalLamports / LAMPORTS_PER_SOL).toFixed(6),
         explorerUrl: `https://solscan.io/tx/${signature}`
       });
 
@@ -214,13 +251,111 @@ class SolanaPaymentService {
     } catch (error) {
       console.error('❌ SOL transfer failed:', {
         error: error instanceof Error ? error.message : String(error),
-        to: recipientAddress,
-        amountLamports
+        recipients: transfers.map(transfer => transfer.recipientAddress),
+        signature
       });
+      // Keep the signature of anything that may have been sent so callers can still look it up
+      if (error instanceof Error && signature) {
+        error.signature = signature;
+        error.lastValidBlockHeight = lastValidBlockHeight;
+      }
       throw error;
     }
   }
 
+  /**
+   * Look up what happened to a previously broadcast transfer
+   * @param {string} signature Transaction signature
+   * @param {number|null} lastValidBlockHeight Block height after which the transaction can no longer land
+   * @returns {Promise<'confirmed'|'failed'|'expired'|'pending'>}
+   */
+  async getTransferStatus(signature, lastValidBlockHeight = null) {
+    const { value } = await this.connection.getSignatureStatuses([signature], {
+      searchTransactionHistory: true
+    });
+    const status = value[0];
+
+    if (status) {
+      if (status.err) {
+        return 'failed';
+      }
+      if (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized') {
+        return 'confirmed';
+      }
+      return 'pending';
+    }
+
+    // Not found: only safe to resend once its blockhash can no longer be used
+    if (lastValidBlockHeight) {
+      const blockHeight = await this.connection.getBlockHeight('confirmed');
+      if (blockHeight > lastValidBlockHeight) {
+        return 'expired';
+      }
+    }
+
+    return 'pending';
+  }
+
+  /**
+   * Split transfers into batches that each fit in one transaction
+   * @param {Array<{recipientAddress: string, amountLamports: number}>} transfers
+   * @returns {Array<Array<{recipientAddress: string, amountLamports: number}>>}
+   */
+  packTransfers(transfers) {
+    const batches = [];
+    let current = [];
+
+    for (const transfer of transfers) {
+      if (current.length > 0 && !this.fitsInTransaction([...current, transfer])) {
+        batches.push(current);
+        current = [];
+      }
+      current.push(transfer);
+    }
+
+    if (current.length > 0) {
+      batches.push(current);
+    }
+
+    return batches;
+  }
+
+  /**
+   * Check whether the transfers fit in a single signed transaction
+   */
+  fitsInTransaction(transfers) {
+    // Any valid blockhash has the same size, so a placeholder is enough for measuring
+    const transaction = this.buildTransferTransaction(transfers, PublicKey.default.toBase58());
+    const signedSize = transaction.serializeMessage().length + 1 + SIGNATURE_LENGTH;
+    return signedSize <= PACKET_DATA_SIZE;
+  }
+
+  /**
+   * Build an unsigned transaction with one transfer instruction per recipient
+   */
+  buildTransferTransaction(transfers, recentBlockhash) {
+    if (!this.payoutWallet) {
+      throw new Error('Payment service not initialized');
+    }
+
+    const transaction = new Transaction({
+      feePayer: this.payoutWallet.publicKey,
+      recentBlockhash
+    });
+
+    for (const { recipientAddress, amountLamports } of transfers) {
+      transaction.add(
+        SystemProgram.transfer({
+          fromPubkey: this.payoutWallet.publicKey,
+          toPubkey: new PublicKey(recipientAddress),
+          lamports: amountLamports
+        })
+      );
+    }
+
+    return transaction;
+  }
+
   /**
    * Get the current balance of the payout wallet
    * @returns {Promise<number>} Balance in SOL
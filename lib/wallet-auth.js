@@ -0,0 +1,135 @@
+const crypto = require('node:crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * WALLET AUTHENTICATION
+ * A wallet session token proves the caller controls a Solana wallet. It is
+ * handed out by POST /api/wallet-auth/verify once the wallet has signed a
+ * sign-in challenge (api/services/wallet-auth.js) and lasts
+ * WALLET_SESSION_SECONDS. Public routes that act for a wallet (giveaway
+ * entries, QR claims, the holder portal) add requireWalletSession() so they
+ * only act for the wallet that signed in.
+ *
+ * Wallet tokens are sent as "Authorization: Bearer <token>" and are never
+ * admin tokens: they carry purpose 'wallet-session' and no admin claim.
+ */
+
+const WALLET_SESSION_SECONDS = 60 * 60;
+const WALLET_SESSION_PURPOSE = 'wallet-session';
+
+// Wallet sessions have their own secret, never the admin JWT_SECRET, so a
+// leak of one cannot forge the other. Without it no wallet session is signed
+// or accepted, so wallet sign-in stays closed
+if (!process.env.WALLET_SESSION_SECRET) {
+  console.error('❌ WALLET_SESSION_SECRET is not set; wallet sign-in is disabled until it is');
+} else if (process.env.WALLET_SESSION_SECRET === process.env.JWT_SECRET) {
+  console.error('❌ WALLET_SESSION_SECRET is the same as JWT_SECRET; wallet sign-in is disabled until it differs');
+}
+
+/**
+ * Whether a wallet session secret of its own is set, without which wallet sign-in is refused
+ */
+function isWalletAuthConfigured() {
+  const secret = process.env.WALLET_SESSION_SECRET;
+  return Boolean(secret) && secret !== process.env.JWT_SECRET;
+}
+
+/**
+ * The secret wallet session tokens are signed with
+ * @throws {Error} If WALLET_SESSION_SECRET is not set or is the admin JWT_SECRET
+ */
+function getWalletSessionSecret() {
+  if (!isWalletAuthConfigured()) {
+    throw new Error('WALLET_SESSION_SECRET is not set');
+  }
+  return process.env.WALLET_SESSION_SECRET;
+}
+
+/**
+ * 503 for wallet sign-in while no secret is set
+ */
+function sendWalletAuthNotConfigured(res) {
+  return res.status(503).json({
+    success: false,
+    error: 'Wallet sign-in is not configured',
+    details: 'WALLET_SESSION_SECRET is not set'
+  });
+}
+
+/**
+ * Issue a session token for a wallet that proved it signed in
+ */
+function signWalletSession(walletAddress) {
+  return jwt.sign(
+    { purpose: WALLET_SESSION_PURPOSE, sub: walletAddress },
+    getWalletSessionSecret(),
+    { expiresIn: WALLET_SESSION_SECONDS, jwtid: crypto.randomUUID() }
+  );
+}
+
+/**
+ * Decode a wallet session token
+ * @throws {Error} If it is invalid, expired or not a wallet session token
+ */
+function verifyWalletSession(token) {
+  const decoded = jwt.verify(token, getWalletSessionSecret());
+  if (decoded.purpose !== WALLET_SESSION_PURPOSE || !decoded.sub) {
+    throw new Error('Not a wallet session token');
+  }
+  return decoded;
+}
+
+/**
+ * Middleware requiring a wallet session. Sets req.wallet = { address, expiresAt }.
+ * 401 without a valid token, 403 when the request names another wallet.
+ * @param {Function} [getWalletAddress] req => the wallet the request acts for,
+ *   e.g. req => req.body.walletAddress; without it any signed-in wallet passes
+ */
+function requireWalletSession(getWalletAddress = null) {
+  return (req, res, next) => {
+    if (!isWalletAuthConfigured()) {
+      return sendWalletAuthNotConfigured(res);
+    }
+
+    const authHeader = req.headers.authorization;
+    let session;
+    try {
+      if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        throw new Error('Missing bearer token');
+      }
+      session = verifyWalletSession(authHeader.substring(7));
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: 'Wallet sign-in required',
+        details: 'Sign the message from POST /api/wallet-auth/challenge with your wallet',
+        walletSignInRequired: true
+      });
+    }
+
+    const requested = getWalletAddress ? getWalletAddress(req) : null;
+    if (requested && requested !== session.sub) {
+      console.warn(`⛔ Wallet session for ${session.sub} used for ${requested} on ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        success: false,
+        error: 'Signed in with a different wallet',
+        details: `This request is for ${requested}; sign in with that wallet`
+      });
+    }
+
+    req.wallet = {
+      address: session.sub,
+      expiresAt: new Date(session.exp * 1000).toISOString()
+    };
+    next();
+  };
+}
+
+module.exports = {
+  WALLET_SESSION_SECONDS,
+  isWalletAuthConfigured,
+  sendWalletAuthNotConfigured,
+  signWalletSession,
+  verifyWalletSession,
+  requireWalletSession
+};
@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const express = require('express');
+const { table, resetTables } = require('./helpers/fake-supabase.js');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { ADMIN_PATHS, requireAdmin, signAdminToken } = require('../lib/admin-auth.js');
+const { auditAdminWrites, recordAdminAudit } = require('../api/services/admin-audit.js');
+const auditRouter = require('../api/admin/audit.js');
+
+const app = express();
+app.use(express.json());
+app.use(ADMIN_PATHS, requireAdmin);
+app.use(ADMIN_PATHS, auditAdminWrites);
+app.use('/api/admin/settings', require('../api/admin/settings.js'));
+app.use('/api/admin/users', require('../api/admin/users.js'));
+app.use('/api/admin/sessions', require('../api/admin/sessions.js'));
+app.use('/api/admin/dividend-management', require('../api/admin/dividend-management.js'));
+app.use('/api/admin/audit', auditRouter);
+
+let server;
+let baseUrl;
+const tokens = {};
+
+function signIn(role, { mfaAt = null } = {}) {
+  const sessionId = crypto.randomUUID();
+  table('admin_sessions').push({ id: sessionId, expires_at: new Date(Date.now() + 3600 * 1000).toISOString() });
+  return signAdminToken({ id: crypto.randomUUID(), email: `${role}@example.com`, role }, { sessionId, mfaAt });
+}
+
+test.before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => {
+  resetTables();
+  tokens.owner = signIn('owner');
+  tokens.finance = signIn('finance');
+});
+
+async function call(method, path, { token = tokens.owner, body } = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`,
+      'User-Agent': 'audit-test'
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const json = await response.json().catch(() => null);
+  // Audit rows are written once the response has gone out
+  await new Promise(resolve => setTimeout(resolve, 20));
+  return { status: response.status, body: json };
+}
+
+test('records each admin write with its actor, outcome and change', async () => {
+  await call('POST', '/api/admin/settings', { body: { key: 'site_name', value: 'WhatNext', adminPassword: 'hunter2' } });
+
+  const [entry] = table('admin_audit_log');
+  assert.equal(entry.actor_email, 'owner@example.com');
+  assert.equal(entry.actor_role, 'owner');
+  assert.equal(entry.method, 'POST');
+  assert.equal(entry.route, '/api/admin/settings');
+  assert.equal(entry.status_code, 201);
+  assert.equal(entry.action, 'settings.create');
+  assert.equal(entry.target, 'site_name');
+  assert.equal(entry.after_state.value, 'WhatNext');
+  assert.deepEqual(entry.request_body, { key: 'site_name', value: 'WhatNext', adminPassword: '[redacted]' });
+  assert.equal(entry.user_agent, 'audit-test');
+});
+
+test('redacts secrets but keeps addresses readable', async () => {
+  await recordAdminAudit({
+    method: 'POST',
+    route: '/api/admin/dividend-config',
+    requestBody: {
+      token_mint_address: 'Mint111',
+      discordBotToken: 'bot-secret',
+      wallet: { privateKey: 'key', address: 'Wallet111' },
+      codes: [{ code: '123456' }]
+    }
+  });
+
+  assert.deepEqual(table('admin_audit_log')[0].request_body, {
+    token_mint_address: 'Mint111',
+    discordBotToken: '[redacted]',
+    wallet: { privateKey: '[redacted]', address: 'Wallet111' },
+    codes: [{ code: '[redacted]' }]
+  });
+});
+
+test('records the state before and after an update', async () => {
+  // The contract address needs a fresh 2FA code
+  const token = signIn('owner', { mfaAt: Math.floor(Date.now() / 1000) });
+  await call('POST', '/api/admin/settings', { token, body: { key: 'pumpfun_contract_address', value: 'OldMint' } });
+  await call('PUT', '/api/admin/settings', { token, body: { key: 'pumpfun_contract_address', value: 'NewMint' } });
+
+  const update = table('admin_audit_log').find(entry => entry.action === 'settings.update');
+  assert.equal(update.target, 'pumpfun_contract_address');
+  assert.equal(update.before_state.value, 'OldMint');
+  assert.equal(update.after_state.value, 'NewMint');
+});
+
+test('records the state before and after account, exclusion and session changes', async () => {
+  const userId = crypto.randomUUID();
+  table('admin_users').push({ id: userId, email: 'mod@example.com', role: 'moderator', is_active: true, created_at: new Date().toISOString() });
+  table('dividend_excluded_wallets').push({ id: 1, wallet_address: 'Wallet111', category: 'team', is_active: true });
+  table('admin_sessions').push({ id: crypto.randomUUID(), user_id: userId, revoked_at: null, expires_at: new Date(Date.now() + 3600 * 1000).toISOString() });
+
+  await call('DELETE', `/api/admin/users/${userId}/sessions`);
+  await call('PUT', `/api/admin/users/${userId}`, { body: { role: 'content', isActive: false } });
+  await call('DELETE', '/api/admin/dividend-management/exclusions/Wallet111', { token: tokens.finance });
+
+  const entry = action => table('admin_audit_log').find(row => row.action === action);
+  const revoke = entry('admin_user.revoke_sessions');
+  assert.equal(revoke.target, userId);
+  assert.equal(revoke.before_state.length, 1);
+  assert.deepEqual(revoke.after_state, []);
+
+  const update = entry('admin_user.update');
+  assert.equal(update.target, userId);
+  assert.deepEqual([update.before_state.role, update.before_state.is_active], ['moderator', true]);
+  assert.deepEqual([update.after_state.role, update.after_state.is_active], ['content', false]);
+
+  const unexclude = entry('holder.unexclude');
+  assert.equal(unexclude.target, 'Wallet111');
+  assert.equal(unexclude.before_state.is_active, true);
+  assert.equal(unexclude.after_state.is_active, false);
+});
+
+test('records refused writes and skips reads', async () => {
+  await call('POST', '/api/admin/settings', { body: { key: 'no_value' } });
+  await call('POST', '/api/admin/settings', { token: tokens.finance, body: { key: 'a', value: 'b' } });
+  await call('GET', '/api/admin/settings');
+
+  assert.deepEqual(
+    table('admin_audit_log').map(entry => [entry.method, entry.status_code, entry.actor_email]),
+    [['POST', 400, 'owner@example.com'], ['POST', 403, 'finance@example.com']]
+  );
+});
+
+test('only ever appends: later writes leave earlier entries untouched', async () => {
+  await call('POST', '/api/admin/settings', { body: { key: 'one', value: '1' } });
+  const first = structuredClone(table('admin_audit_log'));
+
+  await call('PUT', '/api/admin/settings', { body: { key: 'one', value: '2' } });
+  await call('DELETE', `/api/admin/settings?id=${table('app_settings')[0].id}`);
+
+  const entries = table('admin_audit_log');
+  assert.equal(entries.length, 3);
+  assert.deepEqual(entries.slice(0, 1), first);
+  assert.equal(entries[2].action, 'settings.delete');
+  assert.equal(entries[2].before_state.value, '2');
+});
+
+test('the audit API has no way to change or delete entries', () => {
+  const methods = auditRouter.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods));
+  assert.deepEqual(methods, ['get']);
+});
+
+test('GET /api/admin/audit filters entries', async () => {
+  const log = table('admin_audit_log');
+  log.push(
+    { id: 1, actor_email: 'owner@example.com', method: 'POST', route: '/api/admin/settings', action: 'settings.create', target: 'a', status_code: 201, created_at: '2026-01-01T10:00:00.000Z' },
+    { id: 2, actor_email: 'finance@example.com', method: 'PUT', route: '/api/admin/dividend-config/payout-mode', action: 'payout_mode.update', target: 'payout_mode', status_code: 200, created_at: '2026-01-02T10:00:00.000Z' },
+    { id: 3, actor_email: 'owner@example.com', method: 'DELETE', route: '/api/admin/settings', action: 'settings.delete', target: 'b', status_code: 500, created_at: '2026-01-03T10:00:00.000Z' }
+  );
+
+  const ids = async query => (await call('GET', `/api/admin/audit?${query}`)).body.entries.map(entry => entry.id);
+
+  assert.deepEqual(await ids(''), [3, 2, 1]);
+  assert.deepEqual(await ids('actor=OWNER@example.com'), [3, 1]);
+  assert.deepEqual(await ids('action=payout_mode.update'), [2]);
+  assert.deepEqual(await ids('method=delete'), [3]);
+  assert.deepEqual(await ids('route=/api/admin/dividend-config'), [2]);
+  assert.deepEqual(await ids('target=a'), [1]);
+  assert.deepEqual(await ids('status=500'), [3]);
+  assert.deepEqual(await ids('from=2026-01-02T00:00:00Z&to=2026-01-02T23:59:59Z'), [2]);
+  assert.deepEqual(await ids('limit=1&offset=1'), [2]);
+});
+
+test('GET /api/admin/audit rejects bad filters and non-owners', async () => {
+  assert.equal((await call('GET', '/api/admin/audit?method=GET')).status, 400);
+  assert.equal((await call('GET', '/api/admin/audit?status=abc')).status, 400);
+  assert.equal((await call('GET', '/api/admin/audit?from=yesterday')).status, 400);
+  assert.equal((await call('GET', '/api/admin/audit', { token: tokens.finance })).status, 403);
+});
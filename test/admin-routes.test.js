@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { table } = require('./helpers/fake-supabase.js');
+const { reachableRoutes, concretePath } = require('./helpers/app-routes.js');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { ADMIN_PATHS, PUBLIC_ADMIN_ROUTES, ADMIN_ROLES, signAdminToken } = require('../lib/admin-auth.js');
+
+/**
+ * Every admin route mounted in index.js must turn away a request without a
+ * token (401) and a token for a role it does not allow (403). Only
+ * PUBLIC_ADMIN_ROUTES are exempt.
+ */
+
+const app = require('../index.js');
+
+// Routes any admin may use whatever their role: their own account, sessions
+// and 2FA, and the read-only overview pages
+const ANY_ADMIN_ROUTES = [
+  'GET /api/admin',
+  'GET /api/admin/dashboard',
+  'GET /api/admin/stats',
+  'GET /api/admin/analytics',
+  'POST /api/admin/analytics',
+  'GET /api/admin/ecosystem/health',
+  'POST /api/admin/add-password',
+  'GET /api/admin/users/me',
+  'GET /api/admin/2fa',
+  'POST /api/admin/2fa/enroll',
+  'POST /api/admin/2fa/enroll/confirm',
+  'POST /api/admin/2fa/challenge',
+  'POST /api/admin/2fa/backup-codes',
+  'POST /api/admin/2fa/disable',
+  'GET /api/admin/sessions',
+  'POST /api/admin/sessions/logout',
+  'POST /api/admin/sessions/revoke-all',
+  'DELETE /api/admin/sessions/:id'
+];
+
+const isAdminPath = path => ADMIN_PATHS.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+
+const adminRoutes = reachableRoutes(app).filter(route => isAdminPath(route.path.toLowerCase()));
+
+const isPublic = route => PUBLIC_ADMIN_ROUTES.has(`${route.method} ${route.path.toLowerCase()}`);
+
+/**
+ * A real role that one of the route's role checks turns away, if any
+ */
+function deniedRole(route) {
+  return Object.keys(ADMIN_ROLES).find(role => role !== 'owner'
+    && route.roleChecks.some(roles => roles.length > 0 && !roles.includes(role)));
+}
+
+let baseUrl;
+let server;
+const tokens = {};
+
+test.before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  for (const role of [...Object.keys(ADMIN_ROLES), 'retired-role']) {
+    const sessionId = crypto.randomUUID();
+    table('admin_sessions').push({ id: sessionId, expires_at: new Date(Date.now() + 3600 * 1000).toISOString() });
+    tokens[role] = signAdminToken({ id: crypto.randomUUID(), email: `${role}@example.com`, role }, { sessionId });
+  }
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Send a request to a route
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function request(route, token) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const response = await fetch(`${baseUrl}${concretePath(route.path)}`, {
+    method: route.method,
+    headers,
+    body: ['GET', 'HEAD'].includes(route.method) ? undefined : '{}'
+  });
+  const body = await response.json().catch(() => ({}));
+  return { status: response.status, body };
+}
+
+test('finds the admin routes', () => {
+  assert.ok(adminRoutes.length > 50, `Only found ${adminRoutes.length} admin routes`);
+  assert.ok(adminRoutes.some(route => route.path.startsWith('/api/dividends/admin/')), 'No /api/dividends/admin routes found');
+});
+
+test('only the listed routes are open to every admin role', () => {
+  const openToAll = adminRoutes
+    .filter(route => !isPublic(route) && !deniedRole(route))
+    .map(route => `${route.method} ${route.path}`);
+
+  assert.deepEqual(openToAll.sort(), [...ANY_ADMIN_ROUTES].sort());
+});
+
+test('every admin route needs a token', async () => {
+  const open = [];
+  for (const route of adminRoutes) {
+    if (isPublic(route)) continue;
+    const { status } = await request(route);
+    if (status !== 401) open.push(`${route.method} ${route.path} -> ${status}`);
+  }
+  assert.deepEqual(open, []);
+});
+
+test('every admin route turns away a token for a role it does not allow', async () => {
+  const open = [];
+  for (const route of adminRoutes) {
+    if (isPublic(route)) continue;
+
+    const { status: retiredStatus } = await request(route, tokens['retired-role']);
+    if (retiredStatus !== 403) open.push(`${route.method} ${route.path} (retired role) -> ${retiredStatus}`);
+
+    const role = deniedRole(route);
+    if (role) {
+      const { status } = await request(route, tokens[role]);
+      if (status !== 403) open.push(`${route.method} ${route.path} (${role}) -> ${status}`);
+    }
+  }
+  assert.deepEqual(open, []);
+});
+
+test('public admin routes are reachable without a token', async () => {
+  for (const key of PUBLIC_ADMIN_ROUTES) {
+    const [method, path] = key.split(' ');
+    assert.ok(adminRoutes.some(route => route.method === method && route.path.toLowerCase() === path), `${key} is not mounted`);
+    // The route may still answer 400/401 for a bad body, but not the admin check's 401
+    const { body } = await request({ method, path });
+    assert.notEqual(body.error, 'Unauthorized', `${key} asked for a token`);
+  }
+});
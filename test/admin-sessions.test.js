@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { table, resetTables } = require('./helpers/fake-supabase.js');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { ADMIN_PATHS, requireAdmin, signAdminToken } = require('../lib/admin-auth.js');
+const { createAdminSession, refreshAdminSession } = require('../api/services/admin-sessions.js');
+
+const app = express();
+app.use(express.json());
+app.use(ADMIN_PATHS, requireAdmin);
+app.use('/api/admin/sessions', require('../api/admin/sessions.js'));
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+const admin = { id: 'admin-1', email: 'owner@example.com', role: 'owner', is_active: true };
+
+test.beforeEach(() => {
+  resetTables();
+  table('admin_users').push({ ...admin });
+});
+
+async function call(method, path, { token, body } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json().catch(() => null) };
+}
+
+test('refreshing swaps both tokens and uses up the old refresh token', async () => {
+  const first = await createAdminSession(admin);
+  const second = await refreshAdminSession(first.refreshToken);
+
+  assert.equal(second.success, true);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal(second.refreshToken.split('.')[0], first.session.id);
+  assert.equal((await call('GET', '/api/admin/sessions', { token: second.token })).status, 200);
+
+  // The new refresh token can be swapped again
+  const third = await refreshAdminSession(second.refreshToken);
+  assert.equal(third.success, true);
+  assert.equal(table('admin_sessions').length, 1);
+});
+
+test('a reused refresh token revokes the whole session', async () => {
+  const first = await createAdminSession(admin);
+  const second = await refreshAdminSession(first.refreshToken);
+
+  assert.deepEqual(await refreshAdminSession(first.refreshToken), { success: false, error: 'Session ended, sign in again' });
+
+  const [session] = table('admin_sessions');
+  assert.ok(session.revoked_at);
+  assert.equal(session.revoked_reason, 'refresh_token_reused');
+  // The tokens the legitimate holder got are dead too
+  assert.equal((await refreshAdminSession(second.refreshToken)).success, false);
+  assert.equal((await call('GET', '/api/admin/sessions', { token: second.token })).status, 401);
+});
+
+test('a wrong or malformed refresh token leaves the session alone', async () => {
+  const { refreshToken, session } = await createAdminSession(admin);
+
+  assert.deepEqual(await refreshAdminSession(`${session.id}.not-the-secret`), { success: false, error: 'Invalid refresh token' });
+  assert.deepEqual(await refreshAdminSession('garbage'), { success: false, error: 'Invalid refresh token' });
+  assert.deepEqual(await refreshAdminSession(undefined), { success: false, error: 'Invalid refresh token' });
+
+  assert.equal(table('admin_sessions')[0].revoked_at, undefined);
+  assert.equal((await refreshAdminSession(refreshToken)).success, true);
+});
+
+test('refreshing ends the session of a deactivated account', async () => {
+  const { refreshToken } = await createAdminSession(admin);
+  table('admin_users')[0].is_active = false;
+
+  assert.equal((await refreshAdminSession(refreshToken)).success, false);
+  assert.equal(table('admin_sessions')[0].revoked_reason, 'account_inactive');
+});
+
+test('POST /api/admin/sessions/refresh answers 401 for a used token', async () => {
+  const { refreshToken } = await createAdminSession(admin);
+
+  const refreshed = await call('POST', '/api/admin/sessions/refresh', { body: { refreshToken } });
+  assert.equal(refreshed.status, 200);
+  assert.ok(refreshed.body.refreshToken);
+
+  assert.equal((await call('POST', '/api/admin/sessions/refresh', { body: { refreshToken } })).status, 401);
+});
+
+test('admin auth is refused while JWT_SECRET is not set', async t => {
+  const { token, refreshToken } = await createAdminSession(admin);
+  const secret = process.env.JWT_SECRET;
+  delete process.env.JWT_SECRET;
+  t.after(() => { process.env.JWT_SECRET = secret; });
+
+  assert.throws(() => signAdminToken(admin, { sessionId: 'session-1' }), /JWT_SECRET is not set/);
+  assert.equal((await call('GET', '/api/admin/sessions', { token })).status, 503);
+  assert.equal((await call('POST', '/api/admin/sessions/refresh', { body: { refreshToken } })).status, 503);
+  assert.equal((await call('POST', '/api/admin/login', { body: { email: admin.email, password: 'x' } })).status, 503);
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { table, resetTables } = require('./helpers/fake-supabase.js');
+
+// A local stand-in for the Discord and Telegram bot APIs
+const requests = [];
+let respond = () => ({ status: 200, body: {} });
+
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    const request = { method: req.method, url: req.url, headers: req.headers, body: JSON.parse(raw || '{}') };
+    requests.push(request);
+    const { status, body } = respond(request);
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+});
+
+let announcements;
+
+test.before(async () => {
+  // Keep the service's progress lines out of the test runner's output
+  test.mock.method(console, 'log', () => {});
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  process.env.DISCORD_API_URL = `${base}/discord`;
+  process.env.TELEGRAM_API_URL = `${base}/telegram`;
+  // The API URLs are read when the module loads
+  announcements = require('../api/services/announcements.js');
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => {
+  resetTables();
+  requests.length = 0;
+  respond = request => request.url.startsWith('/discord')
+    ? { status: 200, body: { id: 'discord-message-1' } }
+    : { status: 200, body: { ok: true, result: { message_id: 42 } } };
+});
+
+function configure({ enabled = true, discordBotToken = 'discord-token', telegramBotToken = 'telegram-token', channels }) {
+  const settings = {
+    announcements_enabled: String(enabled),
+    announcement_discord_bot_token: discordBotToken,
+    announcement_telegram_bot_token: telegramBotToken,
+    announcement_channels: JSON.stringify(channels),
+    live_stream_url: 'https://pump.fun/live'
+  };
+  table('app_settings').push(...Object.entries(settings).map(([key, value]) => ({ key, value })));
+}
+
+const BOTH_CHANNELS = [
+  { platform: 'discord', channelId: '123456789', events: ['*'] },
+  { platform: 'telegram', channelId: '@whatnext', events: ['live_stream.started'] }
+];
+
+test('posts the rendered message to Discord and Telegram', async () => {
+  configure({ channels: BOTH_CHANNELS });
+
+  const results = await announcements.announce('live_stream.started', { location: { name: 'Tokyo' } });
+
+  assert.deepEqual(results, [
+    { platform: 'discord', channelId: '123456789', sent: true, messageId: 'discord-message-1' },
+    { platform: 'telegram', channelId: '@whatnext', sent: true, messageId: 42 }
+  ]);
+
+  const discord = requests.find(request => request.url.startsWith('/discord'));
+  assert.equal(discord.method, 'POST');
+  assert.equal(discord.url, '/discord/channels/123456789/messages');
+  assert.equal(discord.headers.authorization, 'Bot discord-token');
+  assert.deepEqual(discord.body, {
+    content: '🔴 We are live from Tokyo! https://pump.fun/live',
+    allowed_mentions: { parse: [] }
+  });
+
+  const telegram = requests.find(request => request.url.startsWith('/telegram'));
+  assert.equal(telegram.url, '/telegram/bottelegram-token/sendMessage');
+  assert.deepEqual(telegram.body, {
+    chat_id: '@whatnext',
+    text: '🔴 We are live from Tokyo! https://pump.fun/live'
+  });
+});
+
+test('only posts to channels subscribed to the event', async () => {
+  configure({ channels: BOTH_CHANNELS });
+
+  const results = await announcements.announce('giveaway.completed', { date: '2026-01-01', successfulPayments: 2, prizePerWinner: 0.5, prizePool: 1 });
+
+  assert.equal(results.length, 1);
+  assert.equal(requests.length, 1);
+  assert.match(requests[0].body.content, /^🎉 The 2026-01-01 giveaway is done! 2 winner\(s\) received 0\.5 SOL each/);
+});
+
+test('reports API failures per channel without throwing', async () => {
+  configure({ channels: BOTH_CHANNELS });
+  respond = request => request.url.startsWith('/discord')
+    ? { status: 403, body: { message: 'Missing Access' } }
+    : { status: 400, body: { ok: false, description: 'Bad Request: chat not found' } };
+
+  const results = await announcements.announce('live_stream.started', { location: { name: 'Tokyo' } });
+
+  assert.deepEqual(results, [
+    { platform: 'discord', channelId: '123456789', sent: false, error: 'Discord returned 403: Missing Access' },
+    { platform: 'telegram', channelId: '@whatnext', sent: false, error: 'Telegram returned 400: Bad Request: chat not found' }
+  ]);
+});
+
+test('one failing channel does not stop the others', async () => {
+  configure({ channels: BOTH_CHANNELS });
+  respond = request => request.url.startsWith('/discord')
+    ? { status: 500, body: {} }
+    : { status: 200, body: { ok: true, result: { message_id: 7 } } };
+
+  const results = await announcements.announce('live_stream.started', { location: { name: 'Tokyo' } });
+
+  assert.equal(results[0].sent, false);
+  assert.equal(results[0].error, 'Discord returned 500');
+  assert.deepEqual(results[1], { platform: 'telegram', channelId: '@whatnext', sent: true, messageId: 7 });
+});
+
+test('skips platforms without a bot token', async () => {
+  configure({ telegramBotToken: '', channels: BOTH_CHANNELS });
+
+  const results = await announcements.announce('live_stream.started', { location: { name: 'Tokyo' } });
+
+  assert.equal(results[1].sent, false);
+  assert.equal(results[1].error, 'No telegram bot token configured');
+  assert.equal(requests.every(request => request.url.startsWith('/discord')), true);
+});
+
+test('sends nothing while announcements are disabled', async () => {
+  configure({ enabled: false, channels: BOTH_CHANNELS });
+
+  assert.deepEqual(await announcements.announce('live_stream.started', { location: { name: 'Tokyo' } }), []);
+  assert.equal(requests.length, 0);
+});
+
+test('cuts messages to the Discord length limit', async () => {
+  configure({ channels: [BOTH_CHANNELS[0]] });
+
+  const template = 'x'.repeat(1500) + '{{locationName}}';
+  await announcements.sendTestAnnouncement('live_stream.started', { data: { location: { name: 'y'.repeat(1000) } }, template });
+
+  assert.equal(requests[0].body.content.length, 2000);
+  assert.match(requests[0].body.content, /^\[TEST\] x+/);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/fake-supabase.js');
+const { reachableRoutes } = require('./helpers/app-routes.js');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.WALLET_SESSION_SECRET = process.env.WALLET_SESSION_SECRET || 'test-wallet-secret';
+
+const { ADMIN_PATHS } = require('../lib/admin-auth.js');
+
+/**
+ * Public routes that pay out or enter a wallet must only act for a wallet
+ * that signed in (requireWalletSession). A copy of one mounted somewhere
+ * else must not get around that.
+ */
+
+const app = require('../index.js');
+
+const WALLET_ROUTES = [
+  'POST /api/claim/process',
+  'POST /api/claim-validation/process',
+  'POST /api/giveaway'
+];
+
+const isAdminPath = path => ADMIN_PATHS.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+
+const publicRoutes = reachableRoutes(app).filter(route => !isAdminPath(route.path.toLowerCase()));
+
+let baseUrl;
+let server;
+
+test.before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test('every claim redemption route is a listed wallet route', () => {
+  const redemptions = publicRoutes
+    .filter(route => route.path.endsWith('/process')
+      || route.handlers.some(handler => /\.sendSOL(Batch)?\(/.test(handler.toString())))
+    .map(route => `${route.method} ${route.path}`);
+
+  assert.ok(redemptions.length > 0, 'No redemption routes found');
+  assert.deepEqual(redemptions.filter(route => !WALLET_ROUTES.includes(route)), []);
+});
+
+test('wallet routes turn away a request without a wallet session', async () => {
+  const open = [];
+  for (const key of WALLET_ROUTES) {
+    const [method, path] = key.split(' ');
+    assert.ok(publicRoutes.some(route => route.method === method && route.path === path), `${key} is not mounted`);
+
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code: 'TESTCODE', walletAddress: '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM' })
+    });
+    if (response.status !== 401) open.push(`${key} -> ${response.status}`);
+  }
+  assert.deepEqual(open, []);
+});
+
+test('every other public claim code check is rate limited', () => {
+  const unlimited = publicRoutes
+    .filter(route => route.method === 'POST' && !WALLET_ROUTES.includes(`${route.method} ${route.path}`))
+    .filter(route => route.handlers.some(handler => handler.toString().includes('claim_links')))
+    .filter(route => !route.handlers.some(handler => handler.rule === 'claim-validate'))
+    .map(route => `${route.method} ${route.path}`);
+
+  assert.deepEqual(unlimited, []);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Connection, Keypair, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { table, resetTables } = require('./helpers/fake-supabase.js');
+
+const WALLET = Keypair.generate().publicKey.toBase58();
+process.env.CREATOR_WALLET_ADDRESS = WALLET;
+
+const { reconcileCreatorFees, getReconciliationReport } = require('../api/services/creator-fee-reconciliation.js');
+
+const FEE = 5000;
+
+/**
+ * A parsed transaction in which the creator wallet (paying the fee) received `sol`
+ */
+function parsedTransaction({ sol, logs = ['Program log: Instruction: CollectCreatorFee'], err = null, blockTime = 1_760_000_000 }) {
+  const pre = 10 * LAMPORTS_PER_SOL;
+  return {
+    slot: blockTime,
+    blockTime,
+    transaction: { message: { accountKeys: [{ pubkey: { toString: () => WALLET } }] } },
+    meta: { err, fee: FEE, logMessages: logs, preBalances: [pre], postBalances: [pre + Math.round(sol * LAMPORTS_PER_SOL) - FEE] }
+  };
+}
+
+/**
+ * Stand in for the chain: `history` is the wallet's transactions, newest first;
+ * `elsewhere` can be looked up by signature but is not in the wallet history
+ */
+function mockChain(t, history, elsewhere = {}) {
+  const lookUp = signature => history.find(([historySignature]) => historySignature === signature)?.[1] || elsewhere[signature] || null;
+  const historyCalls = [];
+  t.mock.method(Connection.prototype, 'getSignaturesForAddress', async (address, { until }) => {
+    historyCalls.push({ until });
+    const signatures = history.map(([signature, transaction]) => ({ signature, err: transaction.meta.err }));
+    const end = until ? signatures.findIndex(entry => entry.signature === until) : -1;
+    return end === -1 ? signatures : signatures.slice(0, end);
+  });
+  t.mock.method(Connection.prototype, 'getParsedTransactions', async signatures => signatures.map(lookUp));
+  t.mock.method(Connection.prototype, 'getParsedTransaction', async signature => lookUp(signature));
+  return historyCalls;
+}
+
+const claim = (id, transactionId, claimedAmount) => ({
+  id,
+  claim_timestamp: `2026-01-0${id.slice(-1)}T00:00:00.000Z`,
+  transaction_id: transactionId,
+  claimed_amount: claimedAmount,
+  reconciliation_status: null,
+  onchain_amount: null
+});
+const claimStatus = id => table('dividend_claims').find(row => row.id === id).reconciliation_status;
+const collection = signature => table('creator_fee_collections').find(row => row.signature === signature);
+
+test.beforeEach(t => {
+  resetTables();
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+test('matches fee collections to claims and flags either side that is missing or differs', async t => {
+  mockChain(t, [
+    ['sig-unclaimed', parsedTransaction({ sol: 0.2 })],
+    ['sig-transfer', parsedTransaction({ sol: 1, logs: ['Program log: Instruction: Transfer'] })],
+    ['sig-short', parsedTransaction({ sol: 0.3 })],
+    ['sig-match', parsedTransaction({ sol: 0.5 })]
+  ], {
+    'sig-failed': parsedTransaction({ sol: 0, err: { InstructionError: [0, 'Custom'] } })
+  });
+  table('dividend_claims').push(
+    claim('claim-1', 'sig-match', '0.5'),
+    claim('claim-2', 'sig-short', '0.4'),
+    claim('claim-3', 'sig-gone', '0.1'),
+    claim('claim-4', 'sig-failed', '0.1'),
+    claim('claim-5', null, '0.1')
+  );
+
+  const result = await reconcileCreatorFees();
+
+  assert.deepEqual(
+    { matched: result.matched, amountMismatches: result.amountMismatches, missingOnChain: result.missingOnChain, missingClaims: result.missingClaims },
+    { matched: 1, amountMismatches: 1, missingOnChain: 3, missingClaims: 1 }
+  );
+  assert.deepEqual(['claim-1', 'claim-2', 'claim-3', 'claim-4', 'claim-5'].map(claimStatus), [
+    'matched', 'amount_mismatch', 'missing_on_chain', 'failed_on_chain', 'no_transaction'
+  ]);
+  assert.equal(collection('sig-unclaimed').status, 'missing_claim');
+  assert.equal(collection('sig-short').claim_id, 'claim-2');
+  assert.equal(collection('sig-short').amount_sol, 0.3);
+  assert.equal(collection('sig-transfer'), undefined);
+
+  const report = await getReconciliationReport();
+  assert.equal(report.onChain.totalSol, 1);
+  assert.equal(report.recorded.totalSol, 1.2);
+  assert.equal(report.differenceSol, -0.2);
+  assert.deepEqual(report.missingClaims.collections.map(row => row.signature), ['sig-unclaimed']);
+  assert.deepEqual(report.amountMismatches.claims.map(row => [row.claimedSol, row.onchainSol]), [[0.4, 0.3]]);
+});
+
+test('scans only history newer than the last scan', async t => {
+  const history = [['sig-1', parsedTransaction({ sol: 0.5 })]];
+  const historyCalls = mockChain(t, history);
+  await reconcileCreatorFees();
+
+  history.unshift(['sig-2', parsedTransaction({ sol: 0.25, blockTime: 1_760_000_100 })]);
+  table('dividend_claims').push(claim('claim-1', 'sig-2', '0.25'));
+  const second = await reconcileCreatorFees();
+
+  assert.deepEqual(historyCalls.map(call => call.until), [undefined, 'sig-1']);
+  assert.equal(second.scannedTransactions, 1);
+  assert.equal(claimStatus('claim-1'), 'matched');
+  // Collections found by earlier scans are kept and still reported
+  assert.equal(collection('sig-1').status, 'missing_claim');
+  assert.equal(table('dividend_config').find(row => row.key === 'creator_fee_scan_cursor').value, 'sig-2');
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseCronExpression,
+  validateCronExpression,
+  getNextCronTime,
+  getUpcomingCronTimes
+} = require('../lib/cron-expression.js');
+
+const at = iso => new Date(iso);
+
+test('parses lists, ranges, steps and names', () => {
+  const schedule = parseCronExpression('0,30 9-17/4 * JAN-MAR mon-fri');
+
+  assert.deepEqual([...schedule.minute], [0, 30]);
+  assert.deepEqual([...schedule.hour], [9, 13, 17]);
+  assert.deepEqual([...schedule.month], [1, 2, 3]);
+  assert.deepEqual([...schedule.dayOfWeek], [1, 2, 3, 4, 5]);
+});
+
+test('treats 7 as Sunday', () => {
+  assert.deepEqual([...parseCronExpression('0 0 * * 7').dayOfWeek], [0]);
+});
+
+test('rejects invalid expressions', () => {
+  assert.match(validateCronExpression('* * * *'), /5 fields/);
+  assert.match(validateCronExpression('60 * * * *'), /minute value/);
+  assert.match(validateCronExpression('* * * * */0'), /step/);
+  assert.match(validateCronExpression('* 5-1 * * *'), /range/);
+  assert.match(validateCronExpression('* * * FOO *'), /month value/);
+  assert.equal(validateCronExpression('*/5 * * * *'), null);
+});
+
+test('finds the next time strictly after the given one', () => {
+  assert.deepEqual(getNextCronTime('*/15 * * * *', at('2026-03-10T10:15:00Z')), at('2026-03-10T10:30:00Z'));
+  assert.deepEqual(getNextCronTime('0 0 * * *', at('2026-12-31T23:59:30Z')), at('2027-01-01T00:00:00Z'));
+});
+
+test('fires on either day when day-of-month and day-of-week are both restricted', () => {
+  // 2026-05-27 is a Wednesday: the next Monday (1 June) is also the 1st
+  assert.deepEqual(
+    getUpcomingCronTimes('0 0 1 * 1', 3, at('2026-05-27T00:00:00Z')),
+    [at('2026-06-01T00:00:00Z'), at('2026-06-08T00:00:00Z'), at('2026-06-15T00:00:00Z')]
+  );
+  // 2026-06-25 is a Thursday: the 1st of July comes before the next Monday
+  assert.deepEqual(
+    getUpcomingCronTimes('0 0 1 * 1', 2, at('2026-06-25T00:00:00Z')),
+    [at('2026-06-29T00:00:00Z'), at('2026-07-01T00:00:00Z')]
+  );
+});
+
+test('uses only the restricted day field when the other is *', () => {
+  assert.deepEqual(getNextCronTime('0 0 * * 1', at('2026-05-27T00:00:00Z')), at('2026-06-01T00:00:00Z'));
+  assert.deepEqual(getNextCronTime('0 0 15 * *', at('2026-05-27T00:00:00Z')), at('2026-06-15T00:00:00Z'));
+  assert.deepEqual(getNextCronTime('0 0 */10 * *', at('2026-05-27T00:00:00Z')), at('2026-05-31T00:00:00Z'));
+});
+
+test('finds 29 February and gives up on dates that never exist', () => {
+  assert.deepEqual(getNextCronTime('0 12 29 2 *', at('2026-03-01T00:00:00Z')), at('2028-02-29T12:00:00Z'));
+  assert.equal(getNextCronTime('0 0 31 2 *', at('2026-01-01T00:00:00Z')), null);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Keypair } = require('@solana/web3.js');
+const { table, resetTables } = require('./helpers/fake-supabase.js');
+require('./helpers/dividend-rpcs.js');
+const { solanaPaymentService } = require('../lib/solana-payment.cjs');
+const { resumeDividendDistribution } = require('../api/services/dividend-service.js');
+const { getMinPayoutSol, saveMinPayoutSol, getCarryForwardSummary } = require('../api/services/dividend-carry-forward.js');
+
+const WHALE = Keypair.generate().publicKey.toBase58();
+const SHRIMP = Keypair.generate().publicKey.toBase58();
+
+/**
+ * A claim paying `amounts` (SOL by holder), not yet distributed
+ */
+function seedClaim(claimId, amounts) {
+  table('dividend_claims').push({ id: claimId, status: 'processing' });
+  for (const [holder, amount] of Object.entries(amounts)) {
+    table('dividend_distributions').push({
+      id: `${claimId}-${holder}`,
+      claim_id: claimId,
+      holder_address: holder,
+      dividend_amount: String(amount),
+      percentage: '50',
+      status: 'pending'
+    });
+  }
+}
+
+/**
+ * Pay every batch straight away and remember the lamports sent to each holder
+ */
+function mockChain(t) {
+  const sent = [];
+  t.mock.method(solanaPaymentService, 'isInitialized', () => true);
+  t.mock.method(solanaPaymentService, 'packTransfers', transfers => [transfers]);
+  t.mock.method(solanaPaymentService, 'sendSOLBatch', async (batch, { onSigned }) => {
+    const signature = `sig-${sent.length}`;
+    await onSigned(signature, 100);
+    sent.push(...batch.map(item => [item.recipientAddress, item.amountLamports]));
+    return signature;
+  });
+  return sent;
+}
+
+const distribution = id => table('dividend_distributions').find(row => row.id === id);
+const carriedSol = holder => table('dividend_carry_balances').find(row => row.holder_address === holder)?.carried_sol;
+
+test.beforeEach(t => {
+  resetTables();
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  table('dividend_config').push({ key: 'min_payout_sol', value: '0.01', is_active: true });
+});
+
+test('a share below the minimum is carried and paid with the holder\'s next share', async t => {
+  const sent = mockChain(t);
+
+  seedClaim('claim-1', { [WHALE]: 0.5, [SHRIMP]: 0.006 });
+  const first = await resumeDividendDistribution('claim-1');
+
+  assert.equal(first.success, true);
+  assert.equal(first.carriedCount, 1);
+  assert.deepEqual(sent, [[WHALE, 500_000_000]]);
+  assert.equal(distribution(`claim-1-${SHRIMP}`).status, 'carried_forward');
+  assert.equal(carriedSol(SHRIMP), 0.006);
+
+  // 0.006 + 0.005 reaches the 0.01 SOL minimum
+  seedClaim('claim-2', { [WHALE]: 0.5, [SHRIMP]: 0.005 });
+  const second = await resumeDividendDistribution('claim-2');
+
+  assert.equal(second.success, true);
+  assert.deepEqual(sent.slice(1), [[WHALE, 500_000_000], [SHRIMP, 11_000_000]]);
+  assert.equal(distribution(`claim-2-${SHRIMP}`).carried_in_amount, 0.006);
+  assert.equal(distribution(`claim-2-${SHRIMP}`).status, 'completed');
+  assert.equal(carriedSol(SHRIMP), 0);
+  // The carried share's own row stays carried, so it is not paid a second time
+  assert.equal(distribution(`claim-1-${SHRIMP}`).status, 'carried_forward');
+});
+
+test('a resumed run does not carry or release a balance twice', async t => {
+  const sent = mockChain(t);
+  table('dividend_carry_balances').push({ holder_address: SHRIMP, carried_sol: 0.006, carried_since: new Date().toISOString() });
+  seedClaim('claim-1', { [SHRIMP]: 0.005 });
+
+  await resumeDividendDistribution('claim-1');
+  table('dividend_distribution_runs')[0].status = 'failed';
+  const again = await resumeDividendDistribution('claim-1');
+
+  assert.equal(again.alreadyPaidCount, 1);
+  assert.deepEqual(sent, [[SHRIMP, 11_000_000]]);
+  assert.equal(carriedSol(SHRIMP), 0);
+});
+
+test('the minimum payout falls back to the default when unset or invalid', async () => {
+  assert.equal(await getMinPayoutSol(), 0.01);
+
+  table('dividend_config')[0].value = 'lots';
+  assert.equal(await getMinPayoutSol(), 0.001);
+
+  resetTables();
+  assert.equal(await getMinPayoutSol(), 0.001);
+});
+
+test('saving a minimum payout validates it', async () => {
+  assert.deepEqual(await saveMinPayoutSol(-1), { success: false, errors: ['minPayoutSol must be a number >= 0 (0 = pay every share)'] });
+  assert.deepEqual(await saveMinPayoutSol('0.02'), { success: true, settings: { minPayoutSol: 0.02 } });
+});
+
+test('summarises the carried balances', async () => {
+  table('dividend_carry_balances').push(
+    { holder_address: WHALE, carried_sol: 0.002, carried_since: '2026-02-01T00:00:00.000Z' },
+    { holder_address: SHRIMP, carried_sol: 0.004, carried_since: '2026-01-01T00:00:00.000Z' },
+    { holder_address: 'paid-out', carried_sol: 0, carried_since: null }
+  );
+
+  const summary = await getCarryForwardSummary();
+
+  assert.equal(summary.holderCount, 2);
+  assert.equal(summary.totalCarriedSol, 0.006);
+  assert.equal(summary.oldestCarriedSince, '2026-01-01T00:00:00.000Z');
+  assert.deepEqual(summary.largestBalances.map(row => row.holderAddress), [SHRIMP, WHALE]);
+});
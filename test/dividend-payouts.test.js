@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Keypair } = require('@solana/web3.js');
+const { table, resetTables } = require('./helpers/fake-supabase.js');
+require('./helpers/dividend-rpcs.js');
+const { SolanaPaymentService, solanaPaymentService } = require('../lib/solana-payment.cjs');
+const { resumeDividendDistribution } = require('../api/services/dividend-service.js');
+
+const CLAIM_ID = 'claim-1';
+const HOLDERS = [1, 2, 3].map(() => Keypair.generate().publicKey.toBase58());
+
+/**
+ * A claim whose run stopped part way: the first holder's batch confirmed,
+ * the second one's was signed (and maybe broadcast) and the third never sent
+ */
+function seedInterruptedRun() {
+  table('dividend_claims').push({ id: CLAIM_ID, status: 'failed' });
+  table('dividend_distribution_runs').push({
+    claim_id: CLAIM_ID,
+    status: 'running',
+    locked_by: 'crashed-instance',
+    lock_expires_at: new Date(Date.now() - 1000).toISOString(),
+    attempts: 1
+  });
+  HOLDERS.forEach((holder, i) => table('dividend_distributions').push({
+    id: `dist-${i}`,
+    claim_id: CLAIM_ID,
+    holder_address: holder,
+    dividend_amount: '0.01',
+    percentage: '33.3',
+    status: i === 0 ? 'completed' : 'pending'
+  }));
+  table('dividend_payouts').push(
+    { id: 'payout-0', claim_id: CLAIM_ID, holder_address: HOLDERS[0], payout_status: 'confirmed', transaction_signature: 'sig-0' },
+    { id: 'payout-1', claim_id: CLAIM_ID, holder_address: HOLDERS[1], payout_status: 'sent', transaction_signature: 'sig-1', last_valid_block_height: 100 }
+  );
+}
+
+/**
+ * Stand in for the chain: `statuses` answers getTransferStatus, and every
+ * batch sent is recorded (after calling onSigned like the real service)
+ */
+function mockChain(t, statuses) {
+  const sent = [];
+  t.mock.method(solanaPaymentService, 'isInitialized', () => true);
+  t.mock.method(solanaPaymentService, 'packTransfers', transfers => transfers.map(transfer => [transfer]));
+  t.mock.method(solanaPaymentService, 'getTransferStatus', async signature => statuses[signature]);
+  t.mock.method(solanaPaymentService, 'sendSOLBatch', async (batch, { onSigned }) => {
+    const signature = `sig-new-${sent.length}`;
+    await onSigned(signature, 200);
+    sent.push(batch.map(item => item.recipientAddress));
+    return signature;
+  });
+  return sent;
+}
+
+const payoutOf = holder => table('dividend_payouts').find(row => row.holder_address === holder);
+
+test.beforeEach(t => {
+  resetTables();
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('a resumed run pays only the holders that were never sent to', async t => {
+  seedInterruptedRun();
+  const sent = mockChain(t, { 'sig-1': 'confirmed' });
+
+  const result = await resumeDividendDistribution(CLAIM_ID);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(sent, [[HOLDERS[2]]]);
+  assert.equal(payoutOf(HOLDERS[1]).payout_status, 'confirmed');
+  assert.equal(payoutOf(HOLDERS[1]).transaction_signature, 'sig-1');
+  assert.equal(payoutOf(HOLDERS[2]).transaction_signature, 'sig-new-0');
+  assert.ok(table('dividend_distributions').every(row => row.status === 'completed'));
+  assert.equal(table('dividend_claims')[0].status, 'completed');
+});
+
+test('a resumed run waits for a signed transfer that can still land', async t => {
+  seedInterruptedRun();
+  const sent = mockChain(t, { 'sig-1': 'pending' });
+
+  const result = await resumeDividendDistribution(CLAIM_ID);
+
+  assert.equal(result.success, false);
+  assert.equal(result.unresolvedCount, 1);
+  assert.deepEqual(sent, [[HOLDERS[2]]]);
+  assert.equal(payoutOf(HOLDERS[1]).payout_status, 'sent');
+  assert.equal(table('dividend_distribution_runs')[0].status, 'failed');
+});
+
+test('a resumed run resends a signed transfer only once it has expired', async t => {
+  seedInterruptedRun();
+  const sent = mockChain(t, { 'sig-1': 'expired' });
+
+  const result = await resumeDividendDistribution(CLAIM_ID);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(sent, [[HOLDERS[1]], [HOLDERS[2]]]);
+  assert.equal(payoutOf(HOLDERS[1]).transaction_signature, 'sig-new-0');
+});
+
+test('a completed run is not paid again', async t => {
+  seedInterruptedRun();
+  table('dividend_distribution_runs')[0].status = 'completed';
+  const sent = mockChain(t, {});
+
+  const result = await resumeDividendDistribution(CLAIM_ID);
+
+  assert.equal(result.locked, true);
+  assert.deepEqual(sent, []);
+});
+
+/**
+ * A payment service signing with a throwaway wallet against a fake connection
+ */
+function paymentServiceWithFakeConnection(t) {
+  const service = new SolanaPaymentService();
+  service.payoutWallet = Keypair.generate();
+  service.initialized = true;
+
+  const calls = [];
+  service.connection = {
+    getBalance: async () => 10 ** 9,
+    getLatestBlockhash: async () => ({ blockhash: Keypair.generate().publicKey.toBase58(), lastValidBlockHeight: 500 }),
+    sendRawTransaction: async () => { calls.push('send'); },
+    confirmTransaction: async () => ({ value: { err: null } })
+  };
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  return { service, calls };
+}
+
+test('the signature is recorded before the transfer is broadcast', async t => {
+  const { service, calls } = paymentServiceWithFakeConnection(t);
+
+  const signature = await service.sendSOLBatch([{ recipientAddress: HOLDERS[0], amountLamports: 1000 }], {
+    onSigned: async (signed, lastValidBlockHeight) => { calls.push(['signed', signed, lastValidBlockHeight]); }
+  });
+
+  assert.deepEqual(calls, [['signed', signature, 500], 'send']);
+});
+
+test('nothing is broadcast when the signature cannot be recorded', async t => {
+  const { service, calls } = paymentServiceWithFakeConnection(t);
+
+  await assert.rejects(
+    service.sendSOLBatch([{ recipientAddress: HOLDERS[0], amountLamports: 1000 }], {
+      onSigned: async () => { throw new Error('database down'); }
+    }),
+    error => error.message === 'database down' && error.signature === undefined
+  );
+  assert.deepEqual(calls, []);
+});
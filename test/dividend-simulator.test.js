@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Connection } = require('@solana/web3.js');
+const { table, tables, resetTables } = require('./helpers/fake-supabase.js');
+const { simulateDividendDistribution, planToCsv } = require('../api/services/dividend-simulator.js');
+
+const MINT = 'So11111111111111111111111111111111111111112';
+
+/**
+ * Token accounts as getParsedProgramAccounts returns them
+ */
+function tokenAccounts(balances) {
+  return Object.entries(balances).map(([owner, amount]) => ({
+    account: { data: { parsed: { info: { owner, tokenAmount: { amount: String(amount), decimals: 6 } } } } }
+  }));
+}
+
+/**
+ * Every table row, to check a simulation writes nothing
+ */
+const snapshotTables = () => JSON.stringify(Object.entries(tables).filter(([, rows]) => rows.length > 0));
+
+test.beforeEach(t => {
+  resetTables();
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(Connection.prototype, 'getParsedProgramAccounts', async () => tokenAccounts({
+    alice: 600,
+    bob: 300,
+    carol: 99,
+    dust: 1
+  }));
+  table('auto_claim_settings').push({ id: 'settings-1', token_mint_address: MINT, distribution_percentage: 40 });
+  table('dividend_config').push({ key: 'min_payout_sol', value: '0.01', is_active: true });
+});
+
+test('plans a distribution like a real run without writing anything', async () => {
+  table('dividend_carry_balances').push({ holder_address: 'carol', carried_sol: 0.005 });
+  const before = snapshotTables();
+
+  const plan = await simulateDividendDistribution({ amount: 1 });
+
+  assert.equal(plan.simulated, true);
+  assert.equal(plan.amountSource, 'requested');
+  assert.deepEqual(plan.payouts.map(payout => [payout.holder_address, payout.dividend_lamports]), [
+    ['alice', 600_000_000],
+    ['bob', 300_000_000],
+    // 0.099 SOL share plus the 0.005 SOL carried in
+    ['carol', 104_000_000]
+  ]);
+  assert.equal(plan.totalPayoutLamports, 1_004_000_000);
+
+  // 0.001 SOL is below the 0.01 SOL minimum
+  assert.deepEqual(plan.carriedForward.map(holder => [holder.holder_address, holder.dividend_sol]), [['dust', 0.001]]);
+  assert.equal(plan.carriedForwardSol, 0.001);
+
+  assert.equal(snapshotTables(), before);
+});
+
+test('leaves holders out by eligibility and exclusion, with the reason', async () => {
+  table('dividend_excluded_wallets').push({ wallet_address: 'alice', label: 'Raydium pool', category: 'amm_pool', is_active: true });
+  // Bob sold half his bag
+  table('holder_initial_bags').push({ holder_address: 'bob', initial_balance: 600 });
+
+  const plan = await simulateDividendDistribution({ amount: 1 });
+
+  assert.deepEqual(plan.excluded.map(holder => [holder.holder_address, holder.reason]), [
+    ['alice', 'Excluded (amm_pool): Raydium pool'],
+    ['bob', 'Temporarily blacklisted: retention 50.00% < 70% of initial bag (can recover by buying back)']
+  ]);
+  // What is left is split over carol and dust
+  assert.deepEqual(plan.payouts.map(payout => [payout.holder_address, payout.dividend_lamports]), [
+    ['carol', 990_000_000],
+    ['dust', 10_000_000]
+  ]);
+});
+
+test('pull mode accrues every share, however small', async () => {
+  table('dividend_config').push({ key: 'payout_mode', value: 'pull', is_active: true });
+
+  const plan = await simulateDividendDistribution({ amount: 1 });
+
+  assert.equal(plan.minPayoutSol, 0);
+  assert.equal(plan.carriedForwardCount, 0);
+  assert.equal(plan.payoutCount, 4);
+});
+
+test('refuses to plan without a positive amount', async () => {
+  await assert.rejects(simulateDividendDistribution({ amount: 0 }), /must be positive/);
+});
+
+test('the CSV plan has one row per holder', async () => {
+  const plan = await simulateDividendDistribution({ amount: 1 });
+  const [header, ...rows] = planToCsv(plan).trim().split('\n');
+
+  assert.match(header, /^holder_address,status,token_balance/);
+  assert.deepEqual(rows.map(row => row.split(',').slice(0, 2).join(',')), [
+    'alice,payout',
+    'bob,payout',
+    'carol,payout',
+    'dust,carried_forward'
+  ]);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { table, resetTables } = require('./helpers/fake-supabase.js');
+const dividendStore = require('../lib/dividend-store.js');
+
+test.beforeEach(() => resetTables());
+
+test('renewing the run lock extends it for its owner', async () => {
+  table('dividend_distribution_runs').push({ claim_id: 'claim-1', locked_by: 'instance-a', lock_expires_at: new Date(0).toISOString() });
+
+  await dividendStore.renewRunLock('claim-1', 'instance-a', 600);
+
+  assert.ok(new Date(table('dividend_distribution_runs')[0].lock_expires_at) > new Date());
+});
+
+test('renewing a run lock someone else took over throws', async () => {
+  table('dividend_distribution_runs').push({ claim_id: 'claim-1', locked_by: 'instance-b', lock_expires_at: new Date(Date.now() + 600 * 1000).toISOString() });
+
+  await assert.rejects(dividendStore.renewRunLock('claim-1', 'instance-a', 600), { code: 'RUN_LOCK_LOST' });
+  assert.equal(table('dividend_distribution_runs')[0].locked_by, 'instance-b');
+});
+
+test('reads every distribution and payout of a claim, past the 1000 row page', async () => {
+  const holders = 2500;
+  for (let i = 0; i < holders; i++) {
+    const holder = `holder-${String(i).padStart(4, '0')}`;
+    // Many equal amounts, so paging has to rely on the id tie-break
+    table('dividend_distributions').push({ id: `dist-${holder}`, claim_id: 'claim-1', holder_address: holder, dividend_amount: String(i % 3) });
+    table('dividend_payouts').push({ id: `payout-${holder}`, claim_id: 'claim-1', holder_address: holder });
+  }
+  table('dividend_distributions').push({ id: 'dist-other', claim_id: 'claim-2', holder_address: 'holder-0000', dividend_amount: '1' });
+
+  const distributions = await dividendStore.getDistributions('claim-1');
+  const payouts = await dividendStore.getPayouts('claim-1');
+
+  assert.equal(distributions.length, holders);
+  assert.equal(new Set(distributions.map(row => row.id)).size, holders);
+  assert.equal(distributions[0].dividend_amount, '2');
+  assert.equal(distributions.at(-1).dividend_amount, '0');
+  assert.equal(new Set(payouts.map(row => row.id)).size, holders);
+});
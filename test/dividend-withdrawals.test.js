@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const bs58 = require('bs58');
+const { table, rpcs, resetTables } = require('./helpers/fake-supabase.js');
+const { solanaPaymentService } = require('../lib/solana-payment.cjs');
+const dividendStore = require('../lib/dividend-store.js');
+const { buildClaimMessage, claimAccruedDividends, getClaimableBalance } = require('../api/services/dividend-withdrawals.js');
+
+const bs58Codec = bs58.default || bs58;
+
+const OPEN_STATUSES = ['pending', 'sent'];
+
+// The withdrawal functions from database/dividend-pull-claims.sql
+rpcs.reserve_dividend_withdrawal = ({ p_holder_address, p_min_amount, p_claim_message, p_message_signature }) => {
+  const withdrawals = table('dividend_withdrawals');
+  if (withdrawals.some(row => row.holder_address === p_holder_address && OPEN_STATUSES.includes(row.status))) {
+    return { data: { reserved: false, reason: 'withdrawal_in_progress' }, error: null };
+  }
+  if (withdrawals.some(row => row.message_signature === p_message_signature)) {
+    return { data: null, error: { code: '23505', message: 'duplicate key' } };
+  }
+
+  const accrued = table('dividend_distributions')
+    .filter(row => row.holder_address === p_holder_address && row.status === 'accrued');
+  const total = accrued.reduce((sum, row) => sum + Number(row.dividend_amount), 0);
+  if (accrued.length === 0 || total < p_min_amount) {
+    return { data: { reserved: false, reason: 'below_minimum', amount: total }, error: null };
+  }
+
+  const withdrawal = {
+    id: crypto.randomUUID(),
+    holder_address: p_holder_address,
+    amount_sol: total,
+    amount_lamports: Math.floor(total * 1e9),
+    distribution_count: accrued.length,
+    status: 'pending',
+    claim_message: p_claim_message,
+    message_signature: p_message_signature,
+    created_at: new Date().toISOString()
+  };
+  withdrawals.push(withdrawal);
+  accrued.forEach(row => Object.assign(row, { status: 'claiming', withdrawal_id: withdrawal.id }));
+
+  return {
+    data: { reserved: true, withdrawal_id: withdrawal.id, amount: total, amount_lamports: withdrawal.amount_lamports, distribution_count: accrued.length },
+    error: null
+  };
+};
+rpcs.settle_dividend_withdrawal = ({ p_withdrawal_id, p_from_status, p_status, p_transaction_signature, p_error_message }) => {
+  const withdrawal = table('dividend_withdrawals').find(row => row.id === p_withdrawal_id);
+  if (!withdrawal || !OPEN_STATUSES.includes(withdrawal.status) || withdrawal.status !== p_from_status) {
+    return { data: false, error: null };
+  }
+
+  Object.assign(withdrawal, {
+    status: p_status,
+    transaction_signature: p_transaction_signature ?? withdrawal.transaction_signature,
+    error_message: p_error_message
+  });
+  for (const row of table('dividend_distributions').filter(row => row.withdrawal_id === p_withdrawal_id)) {
+    Object.assign(row, p_status === 'confirmed' ? { status: 'claimed' } : { status: 'accrued', withdrawal_id: null });
+  }
+  return { data: true, error: null };
+};
+
+/**
+ * A new ed25519 wallet: its base58 address and a signMessage like a wallet adapter's
+ */
+function createWallet() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const rawPublicKey = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+  return {
+    address: bs58Codec.encode(rawPublicKey),
+    signMessage: message => bs58Codec.encode(crypto.sign(null, Buffer.from(message, 'utf8'), privateKey))
+  };
+}
+
+const wallet = createWallet();
+
+/**
+ * A signed claim for the test wallet
+ */
+function signedClaim() {
+  const message = buildClaimMessage(wallet.address);
+  return { walletAddress: wallet.address, message, signature: wallet.signMessage(message) };
+}
+
+/**
+ * Stand in for the chain. `send(onSigned)` decides what the transfer does;
+ * `statuses` answers getTransferStatus
+ */
+function mockChain(t, { send, statuses = {} }) {
+  t.mock.method(solanaPaymentService, 'isInitialized', () => true);
+  t.mock.method(solanaPaymentService, 'getTransferStatus', async signature => statuses[signature]);
+  t.mock.method(solanaPaymentService, 'sendSOLBatch', async (transfers, { onSigned }) => send(onSigned));
+}
+
+const withdrawal = () => table('dividend_withdrawals')[0];
+const distributionStatuses = () => table('dividend_distributions').map(row => row.status);
+
+test.beforeEach(t => {
+  resetTables();
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const accruedAt = new Date().toISOString();
+  table('dividend_distributions').push(
+    { id: 'dist-1', holder_address: wallet.address, dividend_amount: '0.02', status: 'accrued', accrued_at: accruedAt },
+    { id: 'dist-2', holder_address: wallet.address, dividend_amount: '0.03', status: 'accrued', accrued_at: accruedAt }
+  );
+});
+
+test('a claim reserves the accrued balance, records the signature before broadcast and settles it', async t => {
+  let statusAtBroadcast;
+  mockChain(t, {
+    send: async onSigned => {
+      await onSigned('sig-1', 100);
+      statusAtBroadcast = withdrawal().status;
+      return 'sig-1';
+    }
+  });
+
+  const result = await claimAccruedDividends(signedClaim());
+
+  assert.equal(result.success, true);
+  assert.equal(result.amountSol, 0.05);
+  assert.equal(statusAtBroadcast, 'sent');
+  assert.equal(withdrawal().status, 'confirmed');
+  assert.equal(withdrawal().transaction_signature, 'sig-1');
+  assert.deepEqual(distributionStatuses(), ['claimed', 'claimed']);
+});
+
+test('an unconfirmed transfer keeps the balance reserved until the chain settles it', async t => {
+  const statuses = { 'sig-1': 'pending' };
+  mockChain(t, {
+    statuses,
+    send: async onSigned => {
+      await onSigned('sig-1', 100);
+      throw Object.assign(new Error('confirmation timed out'), { signature: 'sig-1', lastValidBlockHeight: 100 });
+    }
+  });
+
+  assert.equal((await claimAccruedDividends(signedClaim())).error, 'withdrawal_unconfirmed');
+
+  // Still in flight: nothing is released and a second claim is refused
+  const inFlight = await getClaimableBalance(wallet.address);
+  assert.equal(inFlight.openWithdrawal.status, 'sent');
+  assert.equal(inFlight.canClaim, false);
+  assert.equal((await claimAccruedDividends(signedClaim())).error, 'withdrawal_in_progress');
+  assert.deepEqual(distributionStatuses(), ['claiming', 'claiming']);
+
+  // Missing once its blockhash has expired: the balance accrues again
+  statuses['sig-1'] = 'expired';
+  const released = await getClaimableBalance(wallet.address);
+  assert.equal(released.openWithdrawal, null);
+  assert.equal(released.claimableSol, 0.05);
+  assert.equal(withdrawal().status, 'failed');
+  assert.deepEqual(distributionStatuses(), ['accrued', 'accrued']);
+});
+
+test('a transfer that landed is settled as claimed on the next request', async t => {
+  const statuses = { 'sig-1': 'pending' };
+  mockChain(t, {
+    statuses,
+    send: async onSigned => {
+      await onSigned('sig-1', 100);
+      throw Object.assign(new Error('connection reset'), { signature: 'sig-1', lastValidBlockHeight: 100 });
+    }
+  });
+  await claimAccruedDividends(signedClaim());
+
+  statuses['sig-1'] = 'confirmed';
+  const balance = await getClaimableBalance(wallet.address);
+
+  assert.equal(balance.claimableSol, 0);
+  assert.equal(withdrawal().status, 'confirmed');
+  assert.deepEqual(distributionStatuses(), ['claimed', 'claimed']);
+});
+
+test('a stale withdrawal that was never signed is released and can no longer be sent', async t => {
+  mockChain(t, { send: async () => 'unused' });
+  const reservation = await dividendStore.reserveWithdrawal({
+    holderAddress: wallet.address,
+    minAmount: 0.01,
+    accruedAfter: null,
+    claimMessage: 'message',
+    messageSignature: 'message-signature'
+  });
+  withdrawal().created_at = new Date(Date.now() - 11 * 60 * 1000).toISOString();
+
+  const balance = await getClaimableBalance(wallet.address);
+  assert.equal(balance.claimableSol, 0.05);
+  assert.equal(withdrawal().status, 'failed');
+
+  // The request that reserved it wakes up and tries to record its transfer
+  await assert.rejects(dividendStore.markWithdrawalSent(reservation.withdrawal_id, 'sig-late', 100), /no longer pending/);
+  assert.equal(withdrawal().transaction_signature, undefined);
+});
+
+test('a withdrawal that was already settled is not settled again', async t => {
+  mockChain(t, { send: async onSigned => { await onSigned('sig-1', 100); return 'sig-1'; } });
+  const { withdrawalId } = await claimAccruedDividends(signedClaim());
+
+  assert.equal(await dividendStore.settleWithdrawal(withdrawalId, 'sent', 'failed', null, 'late reconcile'), false);
+  assert.equal(withdrawal().status, 'confirmed');
+  assert.deepEqual(distributionStatuses(), ['claimed', 'claimed']);
+});
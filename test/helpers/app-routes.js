@@ -0,0 +1,85 @@
+const assert = require('node:assert/strict');
+
+/**
+ * APP ROUTES
+ * Reads the routes mounted on an Express app from app._router.stack, so
+ * tests can check every mounted route rather than a hand-kept list.
+ */
+
+/**
+ * The path a router or middleware layer is mounted on, from its regexp
+ */
+function mountPath(layer) {
+  if (layer.regexp.fast_slash) {
+    return '';
+  }
+  const path = layer.regexp.source
+    .replace(/^\^/, '')
+    .replace('\\/?(?=\\/|$)', '')
+    .replaceAll('\\/', '/');
+  assert.doesNotMatch(path, /[\\()[\]?*+]/, `Cannot read the mount path of /${layer.regexp.source}/`);
+  return path;
+}
+
+/**
+ * Every route in a router stack with the roles checked on the way to it
+ * @returns {Array<{method, path, roleChecks: string[][], handlers: Function[]}>}
+ */
+function collectRoutes(stack, prefix = '', inheritedChecks = []) {
+  const routes = [];
+  // Role checks mounted with router.use([path], requireRole(...)): { prefix, roles }
+  const checks = [...inheritedChecks];
+  const appliesTo = path => check => path === check.prefix || path.startsWith(`${check.prefix}/`);
+
+  for (const layer of stack) {
+    if (layer.route) {
+      assert.equal(typeof layer.route.path, 'string', `Route under ${prefix} has a non-string path`);
+      const path = `${prefix}${layer.route.path}`.replace(/(.)\/+$/, '$1');
+      const roleChecks = [
+        ...checks.filter(appliesTo(path)).map(check => check.roles),
+        ...layer.route.stack.filter(item => item.handle.roles).map(item => item.handle.roles)
+      ];
+      const handlers = layer.route.stack.map(item => item.handle);
+      for (const method of Object.keys(layer.route.methods)) {
+        routes.push({ method: method === '_all' ? 'GET' : method.toUpperCase(), path, roleChecks, handlers });
+      }
+    } else if (layer.name === 'router') {
+      const routerPrefix = `${prefix}${mountPath(layer)}`;
+      routes.push(...collectRoutes(layer.handle.stack, routerPrefix, checks.filter(appliesTo(routerPrefix))));
+    } else if (layer.handle.roles) {
+      checks.push({ prefix: `${prefix}${mountPath(layer)}`, roles: layer.handle.roles });
+    }
+  }
+
+  return routes;
+}
+
+/**
+ * The routes a request can reach: the first route for each method and path
+ */
+function reachableRoutes(app) {
+  const seen = new Set();
+  return collectRoutes(app._router.stack).filter(route => {
+    const key = `${route.method} ${route.path}`;
+    if (route.method === 'OPTIONS' || seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * A request path for a route pattern
+ */
+function concretePath(pattern) {
+  return pattern
+    .replaceAll(/:(\w+)(\([^)]*\))?\??/g, 'test-$1')
+    .replaceAll('*', 'test');
+}
+
+module.exports = {
+  collectRoutes,
+  reachableRoutes,
+  concretePath
+};
@@ -0,0 +1,63 @@
+const { table, rpcs } = require('./fake-supabase.js');
+
+/**
+ * DIVIDEND RPCS
+ * In-memory versions of the dividend database functions that payout tests
+ * go through: the run lock (database/dividend-distribution-runs.sql) and
+ * carry-forward (database/dividend-carry-forward.sql). Require after
+ * fake-supabase.js.
+ */
+
+rpcs.acquire_distribution_run_lock = ({ p_claim_id, p_owner, p_ttl_seconds }) => {
+  const runs = table('dividend_distribution_runs');
+  let run = runs.find(row => row.claim_id === p_claim_id);
+  if (run && (run.status === 'completed' || (run.status === 'running' && new Date(run.lock_expires_at) > new Date()))) {
+    return { data: [], error: null };
+  }
+  if (!run) {
+    run = { claim_id: p_claim_id, attempts: 0 };
+    runs.push(run);
+  }
+  Object.assign(run, {
+    status: 'running',
+    locked_by: p_owner,
+    lock_expires_at: new Date(Date.now() + p_ttl_seconds * 1000).toISOString(),
+    attempts: run.attempts + 1
+  });
+  return { data: [{ ...run }], error: null };
+};
+
+rpcs.apply_dividend_carry_forward = ({ p_claim_id, p_min_payout }) => {
+  const result = { carried_count: 0, carried_amount: 0, released_count: 0, released_amount: 0 };
+  const pending = table('dividend_distributions')
+    .filter(row => row.claim_id === p_claim_id && row.status === 'pending' && !row.carry_applied_at);
+
+  for (const distribution of pending) {
+    const balances = table('dividend_carry_balances');
+    let balance = balances.find(row => row.holder_address === distribution.holder_address);
+    if (!balance) {
+      balance = { holder_address: distribution.holder_address, carried_sol: 0, carried_since: null };
+      balances.push(balance);
+    }
+    const amount = Number(distribution.dividend_amount);
+    const carried = Number(balance.carried_sol);
+    distribution.carry_applied_at = new Date().toISOString();
+
+    if (amount + carried < p_min_payout) {
+      distribution.status = 'carried_forward';
+      balance.carried_sol = carried + amount;
+      balance.carried_since = balance.carried_since || distribution.carry_applied_at;
+      result.carried_count++;
+      result.carried_amount += amount;
+    } else {
+      distribution.carried_in_amount = carried;
+      if (carried > 0) {
+        Object.assign(balance, { carried_sol: 0, carried_since: null });
+        result.released_count++;
+        result.released_amount += carried;
+      }
+    }
+  }
+
+  return { data: result, error: null };
+};
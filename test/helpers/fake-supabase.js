@@ -0,0 +1,175 @@
+const crypto = require('node:crypto');
+const database = require('../../database.js');
+
+/**
+ * FAKE SUPABASE
+ * An in-memory stand-in for the Supabase query builder, enough for the
+ * services under test: select/insert/update/upsert/delete, the common
+ * filters, order/limit/range, single/maybeSingle and rpc(). Like PostgREST
+ * it returns at most 1000 rows per request.
+ *
+ * Requiring this file points database.js at the fake, so require it before
+ * the modules under test (they read getSupabaseAdminClient when loaded).
+ * Column defaults a service relies on go in defaults[table], a function
+ * returning the default values for a new row.
+ */
+
+const MAX_ROWS = 1000; // PostgREST's default max-rows: longer results are cut off
+const tables = {};
+const rpcs = {};
+const defaults = {};
+
+function table(name) {
+  if (!tables[name]) {
+    tables[name] = [];
+  }
+  return tables[name];
+}
+
+function likeToRegExp(pattern) {
+  const escaped = pattern
+    .split('%')
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Parse a PostgREST or() filter: column.eq.value, column.is.null, column.cs.{value}
+ */
+function parseOrFilter(expression) {
+  const parts = expression.split(/,(?![^{]*})/).map(part => {
+    const contains = /^(\w+)\.cs\.\{"?([^"}]*)"?\}$/.exec(part);
+    if (contains) {
+      return row => (row[contains[1]] || []).includes(contains[2]);
+    }
+    const [, column, , value] = /^(\w+)\.(eq|is)\.(.*)$/.exec(part);
+    return row => String(row[column] ?? 'null') === value;
+  });
+  return row => parts.some(matches => matches(row));
+}
+
+function from(tableName) {
+  const state = { op: 'select', filters: [], orders: [], values: null, options: {}, returning: false, single: null };
+  const now = () => new Date().toISOString();
+  const newRow = values => ({ id: crypto.randomUUID(), created_at: now(), ...defaults[tableName]?.(), ...values });
+
+  function run() {
+    const rows = table(tableName);
+    const matches = row => state.filters.every(filter => filter(row));
+    let out = [];
+
+    if (state.op === 'insert') {
+      out = [].concat(state.values).map(newRow);
+      rows.push(...out);
+    } else if (state.op === 'upsert') {
+      const keys = (state.options.onConflict || 'id').split(',');
+      for (const values of [].concat(state.values)) {
+        const existing = rows.find(row => keys.every(key => row[key] === values[key]));
+        if (existing) {
+          if (!state.options.ignoreDuplicates) Object.assign(existing, values);
+          out.push(existing);
+        } else {
+          const inserted = newRow(values);
+          rows.push(inserted);
+          out.push(inserted);
+        }
+      }
+    } else if (state.op === 'update') {
+      out = rows.filter(matches);
+      out.forEach(row => Object.assign(row, state.values));
+    } else if (state.op === 'delete') {
+      out = rows.filter(matches);
+      tables[tableName] = rows.filter(row => !matches(row));
+    } else {
+      out = rows.filter(matches);
+    }
+
+    out = out.map(row => ({ ...row }));
+    if (state.orders.length > 0) {
+      const compare = (a, b, [column, descending]) =>
+        (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * (descending ? -1 : 1);
+      out.sort((a, b) => state.orders.reduce((result, order) => result || compare(a, b, order), 0));
+    }
+    const count = out.length;
+    if (state.range) out = out.slice(state.range[0], state.range[1] + 1);
+    if (state.limit != null) out = out.slice(0, state.limit);
+    out = out.slice(0, MAX_ROWS);
+
+    if (state.single === 'one') {
+      return Promise.resolve(out.length
+        ? { data: out[0], error: null }
+        : { data: null, error: { code: 'PGRST116', message: 'No rows found' } });
+    }
+    if (state.single === 'maybe') {
+      return Promise.resolve({ data: out[0] || null, error: null });
+    }
+    return Promise.resolve({
+      data: state.op === 'select' || state.returning ? out : null,
+      error: null,
+      count
+    });
+  }
+
+  const query = {
+    select() { state.returning = true; return query; },
+    insert(values) { state.op = 'insert'; state.values = values; return query; },
+    update(values) { state.op = 'update'; state.values = values; return query; },
+    upsert(values, options) { state.op = 'upsert'; state.values = values; state.options = options || {}; return query; },
+    delete() { state.op = 'delete'; return query; },
+    eq(column, value) { state.filters.push(row => row[column] === value); return query; },
+    neq(column, value) { state.filters.push(row => row[column] !== value); return query; },
+    lt(column, value) { state.filters.push(row => row[column] < value); return query; },
+    lte(column, value) { state.filters.push(row => row[column] <= value); return query; },
+    gt(column, value) { state.filters.push(row => row[column] > value); return query; },
+    gte(column, value) { state.filters.push(row => row[column] >= value); return query; },
+    in(column, values) { state.filters.push(row => values.includes(row[column])); return query; },
+    is(column, value) { state.filters.push(row => (row[column] ?? null) === value); return query; },
+    like(column, pattern) {
+      const regExp = likeToRegExp(pattern);
+      state.filters.push(row => regExp.test(String(row[column])));
+      return query;
+    },
+    contains(column, values) { state.filters.push(row => values.every(value => (row[column] || []).includes(value))); return query; },
+    or(expression) { state.filters.push(parseOrFilter(expression)); return query; },
+    order(column, options) { state.orders.push([column, options?.ascending === false]); return query; },
+    limit(count) { state.limit = count; return query; },
+    range(start, end) { state.range = [start, end]; return query; },
+    maybeSingle() { state.single = 'maybe'; return run(); },
+    single() { state.single = 'one'; return run(); },
+    then(resolve, reject) { return run().then(resolve, reject); }
+  };
+
+  return query;
+}
+
+const client = {
+  from,
+  rpc(name, args) {
+    if (!rpcs[name]) {
+      return Promise.resolve({ data: null, error: { code: 'PGRST202', message: `Unknown function ${name}` } });
+    }
+    return Promise.resolve(rpcs[name](args));
+  }
+};
+
+/**
+ * Empty every table
+ */
+function resetTables() {
+  for (const name of Object.keys(tables)) {
+    delete tables[name];
+  }
+}
+
+database.getSupabaseAdminClient = () => client;
+database.getSupabaseClient = () => client;
+
+module.exports = {
+  client,
+  tables,
+  table,
+  rpcs,
+  defaults,
+  resetTables
+};
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Connection, Keypair } = require('@solana/web3.js');
+const { table, resetTables } = require('./helpers/fake-supabase.js');
+const { applyHolderExclusions, addHolderExclusion, removeHolderExclusion } = require('../api/services/holder-exclusions.js');
+const { getTokenHolders } = require('../api/services/dividend-service.js');
+
+const MINT = 'So11111111111111111111111111111111111111112';
+const POOL = Keypair.generate().publicKey.toBase58();
+
+test.beforeEach(t => {
+  resetTables();
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(Connection.prototype, 'getParsedProgramAccounts', async () => [[POOL, 500], ['alice', 300], ['bob', 200]]
+    .map(([owner, amount]) => ({
+      account: { data: { parsed: { info: { owner, tokenAmount: { amount: String(amount), decimals: 6 } } } } }
+    })));
+});
+
+test('excluded holders\' share is spread over everyone else', () => {
+  const { holders, excludedHolders, circulatingSupply } = applyHolderExclusions(
+    [{ address: POOL, balance: 500 }, { address: 'alice', balance: 300 }, { address: 'bob', balance: 200 }],
+    [{ wallet_address: POOL, label: 'Raydium pool', category: 'amm_pool', reason: 'Liquidity' }]
+  );
+
+  assert.equal(circulatingSupply, 500);
+  assert.deepEqual(holders.map(holder => [holder.address, holder.percentage]), [['alice', 60], ['bob', 40]]);
+  assert.deepEqual(excludedHolders.map(holder => holder.reason), ['Excluded (amm_pool): Raydium pool - Liquidity']);
+});
+
+test('holder lookups leave out active exclusions only', async () => {
+  assert.deepEqual(await addHolderExclusion({ wallet_address: POOL, label: ' Raydium pool ', category: 'amm_pool' }), {
+    success: true,
+    exclusion: table('dividend_excluded_wallets')[0]
+  });
+  assert.equal(table('dividend_excluded_wallets')[0].label, 'Raydium pool');
+
+  const excluded = await getTokenHolders(MINT);
+  assert.equal(excluded.totalSupply, 1000);
+  assert.equal(excluded.circulatingSupply, 500);
+  assert.deepEqual(excluded.holders.map(holder => holder.address), ['alice', 'bob']);
+  assert.deepEqual(excluded.excludedHolders.map(holder => holder.address), [POOL]);
+
+  assert.equal((await removeHolderExclusion(POOL)).is_active, false);
+  const restored = await getTokenHolders(MINT);
+  assert.equal(restored.circulatingSupply, 1000);
+  assert.deepEqual(restored.holders.map(holder => [holder.address, holder.percentage]), [[POOL, 50], ['alice', 30], ['bob', 20]]);
+
+  // Adding it again re-activates the same row
+  await addHolderExclusion({ wallet_address: POOL, label: 'Raydium pool', category: 'amm_pool' });
+  assert.equal(table('dividend_excluded_wallets').length, 1);
+  assert.equal(table('dividend_excluded_wallets')[0].is_active, true);
+});
+
+test('refuses exclusions that are not valid', async () => {
+  const result = await addHolderExclusion({ wallet_address: 'not-an-address', label: '', category: 'friends' });
+
+  assert.equal(result.success, false);
+  assert.deepEqual(result.errors, [
+    'wallet_address must be a valid Solana address',
+    'label is required',
+    'category must be one of: bonding_curve, amm_pool, exchange, team, other'
+  ]);
+  assert.equal(table('dividend_excluded_wallets').length, 0);
+  assert.equal(await removeHolderExclusion(POOL), null);
+});
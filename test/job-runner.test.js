@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { table, resetTables } = require('./helpers/fake-supabase.js');
+const { registerJob, runJob, startJob, stopJob, startScheduledJobs, stopScheduledJobs, isJobScheduled } = require('../api/services/job-runner.js');
+const { startLeaderElection, stopLeaderElection, isJobLeader } = require('../lib/job-lease.js');
+
+let pending = 0;
+registerJob({
+  name: 'test-housekeeping',
+  description: 'Clears whatever is pending',
+  autoStart: false,
+  isIdle: result => result.cleared === 0,
+  handler: async () => {
+    const cleared = pending;
+    pending = 0;
+    return { cleared };
+  }
+});
+
+test.beforeEach(() => resetTables());
+
+test('does not record scheduled runs that did nothing', async () => {
+  const run = await runJob('test-housekeeping', { trigger: 'schedule' });
+
+  assert.equal(run.status, 'succeeded');
+  assert.equal(run.runId, null);
+  assert.equal(table('job_runs').length, 0);
+});
+
+test('records scheduled runs that did something', async () => {
+  pending = 3;
+  const run = await runJob('test-housekeeping', { trigger: 'schedule' });
+
+  const rows = table('job_runs');
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].id, run.runId);
+  assert.equal(rows[0].status, 'succeeded');
+  assert.deepEqual(rows[0].result, { cleared: 3 });
+});
+
+test('always records manual runs', async () => {
+  await runJob('test-housekeeping', { trigger: 'manual' });
+
+  assert.equal(table('job_runs').length, 1);
+  assert.deepEqual(table('job_runs')[0].result, { cleared: 0 });
+});
+
+test('registering a job leaves its schedule to startScheduledJobs', t => {
+  registerJob({ name: 'test-interval', intervalMs: 60 * 1000, handler: async () => ({}) });
+  registerJob({ name: 'test-started-alone', intervalMs: 60 * 1000, autoStart: false, handler: async () => ({}) });
+  t.after(() => stopScheduledJobs());
+
+  assert.equal(isJobScheduled('test-interval'), false);
+  assert.equal(isJobScheduled('job-runs-cleanup'), false);
+
+  const started = startScheduledJobs();
+  assert.ok(started.includes('test-interval'));
+  assert.ok(started.includes('job-runs-cleanup'));
+  assert.equal(isJobScheduled('test-started-alone'), false);
+
+  stopScheduledJobs();
+  assert.equal(isJobScheduled('test-interval'), false);
+});
+
+test('runs no leader-only or leased job when the lease functions are missing', async t => {
+  // The fake has no acquire_job_lease, as if database/job-leases.sql was never applied
+  const errors = [];
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', message => errors.push(message));
+  await startLeaderElection();
+  t.after(() => stopLeaderElection());
+
+  assert.equal(isJobLeader(), false);
+  assert.ok(errors.some(message => message.includes('Job leases are not set up')));
+
+  let calls = 0;
+  registerJob({ name: 'test-leader-only', intervalMs: 10, autoStart: false, handler: async () => calls++ });
+  registerJob({ name: 'test-leased', leaseSeconds: 60, autoStart: false, handler: async () => calls++ });
+
+  startJob('test-leader-only');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  stopJob('test-leader-only');
+  assert.ok(errors.some(message => message.includes('Job test-leader-only not run')));
+
+  const run = await runJob('test-leased');
+  assert.equal(run.status, 'failed');
+  assert.match(run.error, /not running test-leased without a lease/);
+  assert.equal(table('job_runs')[0].status, 'failed');
+
+  assert.equal(calls, 0);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { hitRateLimit, createMemoryRateLimitStore } = require('../lib/rate-limiter.js');
+const { getRequestIp } = require('../lib/request-ip.js');
+
+const limit = { max: 10, windowSeconds: 60 };
+// The start of a window
+const T0 = 1_700_000_040_000;
+
+/**
+ * Hit a key `count` times at the same moment and return the last result
+ */
+async function hitTimes(store, key, count, now) {
+  let result;
+  for (let i = 0; i < count; i++) {
+    result = await hitRateLimit(store, key, limit, now);
+  }
+  return result;
+}
+
+test('allows up to the limit within a window', async () => {
+  const store = createMemoryRateLimitStore();
+
+  const tenth = await hitTimes(store, 'ip:1.2.3.4', 10, T0 + 5000);
+  assert.deepEqual(tenth, { allowed: true, hits: 10, limit: 10, remaining: 0, resetSeconds: 55, retryAfterSeconds: 0 });
+
+  const eleventh = await hitRateLimit(store, 'ip:1.2.3.4', limit, T0 + 5000);
+  assert.equal(eleventh.allowed, false);
+  assert.equal(eleventh.hits, 11);
+  // This window's 11 hits have to slide out until they weigh 9: 55s to the next window and 2/11 of it
+  assert.equal(eleventh.retryAfterSeconds, 55 + 11);
+});
+
+test('weights the previous window by how much of it is still in the sliding window', async () => {
+  const store = createMemoryRateLimitStore();
+  await hitTimes(store, 'ip:1.2.3.4', 10, T0);
+
+  // Half way through the next window half of the previous 10 still count
+  const result = await hitRateLimit(store, 'ip:1.2.3.4', limit, T0 + 90_000);
+  assert.equal(result.allowed, true);
+  assert.equal(result.hits, 6);
+  assert.equal(result.remaining, 4);
+});
+
+test('says when the next hit fits as the previous window slides out', async () => {
+  const store = createMemoryRateLimitStore();
+  await hitTimes(store, 'ip:1.2.3.4', 10, T0);
+
+  const blocked = await hitRateLimit(store, 'ip:1.2.3.4', limit, T0 + 60_000);
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.retryAfterSeconds, 12);
+
+  // 10 * (1 - 12/60) + the blocked hit + this one
+  const retried = await hitRateLimit(store, 'ip:1.2.3.4', limit, T0 + 72_000);
+  assert.equal(retried.allowed, true);
+  assert.equal(retried.hits, 10);
+});
+
+test('forgets a key once two windows have passed', async () => {
+  const store = createMemoryRateLimitStore();
+  await hitTimes(store, 'ip:1.2.3.4', 11, T0);
+
+  const result = await hitRateLimit(store, 'ip:1.2.3.4', limit, T0 + 120_000);
+  assert.equal(result.allowed, true);
+  assert.equal(result.hits, 1);
+});
+
+test('counts keys separately and can reset one', async () => {
+  const store = createMemoryRateLimitStore();
+  await hitTimes(store, 'ip:1.2.3.4', 11, T0);
+
+  assert.equal((await hitRateLimit(store, 'ip:5.6.7.8', limit, T0)).allowed, true);
+  assert.equal(await store.reset('ip:1.2.3.4'), true);
+  assert.equal((await hitRateLimit(store, 'ip:1.2.3.4', limit, T0)).hits, 1);
+});
+
+test('lists the busiest keys with their sliding counts', async () => {
+  const store = createMemoryRateLimitStore();
+  await hitTimes(store, 'ip:1.2.3.4', 8, T0);
+  await hitTimes(store, 'ip:5.6.7.8', 3, T0);
+  await hitTimes(store, 'ip:5.6.7.8', 2, T0 + 60_000);
+
+  assert.deepEqual(await store.snapshot(T0 + 90_000), [
+    { key: 'ip:1.2.3.4', hits: 4, windowSeconds: 60 },
+    { key: 'ip:5.6.7.8', hits: 4, windowSeconds: 60 }
+  ]);
+  assert.deepEqual(await store.snapshot(T0 + 180_000), []);
+});
+
+test('takes the IP from the trusted proxy hop, not the caller\'s X-Forwarded-For', async t => {
+  const app = express();
+  app.set('trust proxy', 1);
+  app.get('/', (req, res) => res.json({ ip: getRequestIp(req) }));
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const ipFor = async headers => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/`, { headers });
+    return (await response.json()).ip;
+  };
+
+  // The proxy appends the address that connected to it; anything before is the caller's
+  assert.equal(await ipFor({ 'X-Forwarded-For': '6.6.6.6, 203.0.113.7' }), '203.0.113.7');
+  assert.equal(await ipFor({ 'X-Forwarded-For': '203.0.113.7' }), '203.0.113.7');
+  assert.equal(await ipFor({}), '127.0.0.1');
+});
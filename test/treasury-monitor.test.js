@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { Connection, Keypair, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { table, resetTables } = require('./helpers/fake-supabase.js');
+const {
+  saveTreasurySettings,
+  sampleTreasuryBalances,
+  getTreasuryStatus
+} = require('../api/services/treasury-monitor.js');
+
+const WALLETS = {
+  creator: Keypair.generate().publicKey.toBase58(),
+  claims: Keypair.generate().publicKey.toBase58(),
+  payout: Keypair.generate().publicKey.toBase58()
+};
+
+const balances = {};
+const alertsReceived = [];
+let alertStatus = 200;
+let alertServer;
+let alertUrl;
+
+test.before(async () => {
+  alertServer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      alertsReceived.push(JSON.parse(body));
+      res.writeHead(alertStatus).end();
+    });
+  });
+  alertServer.listen(0, '127.0.0.1');
+  await new Promise(resolve => alertServer.once('listening', resolve));
+  alertUrl = `http://127.0.0.1:${alertServer.address().port}/alerts`;
+});
+
+test.after(() => new Promise(resolve => alertServer.close(resolve)));
+
+test.beforeEach(async t => {
+  resetTables();
+  alertsReceived.length = 0;
+  alertStatus = 200;
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(Connection.prototype, 'getBalance', async publicKey => balances[publicKey.toBase58()] * LAMPORTS_PER_SOL);
+
+  const saved = await saveTreasurySettings({
+    wallets: {
+      creator: { address: WALLETS.creator, floorSol: 0.05 },
+      claims: { address: WALLETS.claims, floorSol: 0 },
+      payout: { address: WALLETS.payout, floorSol: 10 }
+    },
+    alertWebhookUrl: alertUrl
+  });
+  assert.equal(saved.success, true);
+});
+
+/**
+ * Sample with these balances (SOL by role), after moving earlier samples back in time
+ */
+async function sample(byRole) {
+  for (const row of table('wallet_balance_history')) {
+    row.checked_at = new Date(new Date(row.checked_at).getTime() - 10 * 60 * 1000).toISOString();
+  }
+  for (const [role, sol] of Object.entries(byRole)) {
+    balances[WALLETS[role]] = sol;
+  }
+  return await sampleTreasuryBalances();
+}
+
+test('alerts once when a wallet drops below its floor and once when it recovers', async () => {
+  const first = await sample({ creator: 1, claims: 0, payout: 5 });
+  assert.equal(first.samples.length, 3);
+  assert.deepEqual(first.alerts.map(alert => [alert.event, alert.role, alert.delivered]), [['treasury.low_balance', 'payout', true]]);
+  assert.equal(alertsReceived.length, 1);
+  assert.equal(alertsReceived[0].balanceSol, 5);
+  assert.match(alertsReceived[0].text, /payout wallet .* is down to 5 SOL \(floor 10 SOL\)/);
+
+  // Still low: no new alert
+  assert.deepEqual((await sample({ payout: 4 })).alerts, []);
+
+  const recovered = await sample({ payout: 12 });
+  assert.deepEqual(recovered.alerts.map(alert => alert.event), ['treasury.recovered']);
+  assert.equal(alertsReceived.length, 2);
+  assert.equal(table('wallet_balance_history').length, 9);
+});
+
+test('keeps the sample when the alert webhook fails', async () => {
+  alertStatus = 500;
+
+  const result = await sample({ creator: 0.01, claims: 0, payout: 50 });
+
+  assert.deepEqual(result.alerts.map(alert => [alert.role, alert.delivered, alert.reason]), [['creator', false, 'Alert webhook returned 500']]);
+  assert.equal(result.samples.length, 3);
+
+  const status = await getTreasuryStatus();
+  assert.deepEqual(status.wallets.map(wallet => [wallet.role, wallet.balanceSol, wallet.belowFloor]), [
+    ['creator', 0.01, true],
+    ['claims', 0, false],
+    ['payout', 50, false]
+  ]);
+});
+
+test('refuses settings that are not valid and keeps the saved ones', async () => {
+  const result = await saveTreasurySettings({
+    wallets: { payout: { address: 'nope', floorSol: -1 }, vault: {} },
+    alertWebhookUrl: 'ftp://example.com'
+  });
+
+  assert.deepEqual(result.errors, [
+    'wallets.payout.address is not a valid Solana address',
+    'wallets.payout.floorSol must be a number >= 0 (0 = no alerts)',
+    'wallets.vault is not a treasury wallet (creator, claims, payout)',
+    'alertWebhookUrl must be an http(s) URL'
+  ]);
+
+  // Omitted fields are left alone
+  const saved = await saveTreasurySettings({ wallets: { payout: { floorSol: 20 } } });
+  assert.deepEqual(saved.settings.wallets.payout, { address: WALLETS.payout, floorSol: 20 });
+  assert.equal(saved.settings.alertWebhookUrl, alertUrl);
+});
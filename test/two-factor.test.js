@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const express = require('express');
+const { table, resetTables } = require('./helpers/fake-supabase.js');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { generateTotp, getTimeStep, verifyTotp } = require('../lib/totp.js');
+const {
+  BACKUP_CODE_COUNT,
+  startTwoFactorEnrollment,
+  confirmTwoFactorEnrollment,
+  verifyTwoFactorCode,
+  getTwoFactorStatus
+} = require('../api/services/admin-two-factor.js');
+const { ADMIN_PATHS, requireAdmin, signAdminToken } = require('../lib/admin-auth.js');
+
+const app = express();
+app.use(express.json());
+app.use(ADMIN_PATHS, requireAdmin);
+app.use('/api/admin/settings', require('../api/admin/settings.js'));
+app.use('/api/admin/dividend-config', require('../api/admin/dividend-config.js'));
+app.use('/api/dividends', require('../api/dividends.js'));
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  // Keep the routes' progress lines out of the test runner's output
+  test.mock.method(console, 'log', () => {});
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => {
+  resetTables();
+  table('admin_users').push({ id: 'admin-1', email: 'owner@example.com', is_active: true, totp_enabled: false });
+});
+
+/**
+ * Turn 2FA on for admin-1
+ * @returns {Promise<{secret: string, backupCodes: string[]}>}
+ */
+async function enroll() {
+  const { secret } = await startTwoFactorEnrollment('admin-1');
+  const { success, backupCodes } = await confirmTwoFactorEnrollment('admin-1', generateTotp(secret));
+  assert.equal(success, true);
+  return { secret, backupCodes };
+}
+
+test('generates the RFC 6238 reference codes', () => {
+  // The RFC's SHA-1 secret, "12345678901234567890", in base32
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+  assert.equal(generateTotp(secret, getTimeStep(59 * 1000)), '287082');
+  assert.equal(generateTotp(secret, getTimeStep(1111111109 * 1000)), '081804');
+  assert.equal(generateTotp(secret, getTimeStep(2000000000 * 1000)), '279037');
+});
+
+test('accepts one step of clock drift and nothing further', () => {
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+  const now = 1_700_000_000_000;
+  const step = getTimeStep(now);
+
+  assert.equal(verifyTotp(secret, generateTotp(secret, step - 1), { now }), step - 1);
+  assert.equal(verifyTotp(secret, generateTotp(secret, step + 1), { now }), step + 1);
+  assert.equal(verifyTotp(secret, generateTotp(secret, step + 2), { now }), null);
+  assert.equal(verifyTotp(secret, 'abcdef', { now }), null);
+});
+
+test('enrolling needs a valid first code and hands out backup codes', async () => {
+  const { secret } = await startTwoFactorEnrollment('admin-1');
+
+  assert.deepEqual(await confirmTwoFactorEnrollment('admin-1', '000000'), { success: false, errors: ['Invalid authentication code'] });
+  assert.equal((await getTwoFactorStatus('admin-1')).enabled, false);
+
+  const { backupCodes } = await confirmTwoFactorEnrollment('admin-1', generateTotp(secret));
+  assert.equal(backupCodes.length, BACKUP_CODE_COUNT);
+  assert.deepEqual(await getTwoFactorStatus('admin-1'), {
+    enabled: true,
+    enabledAt: table('admin_users')[0].totp_enabled_at,
+    enrollmentPending: false,
+    backupCodesRemaining: BACKUP_CODE_COUNT
+  });
+  // Only hashes are stored
+  assert.equal(table('admin_users')[0].totp_backup_codes.some(hash => backupCodes.includes(hash)), false);
+});
+
+test('a TOTP code works once', async () => {
+  const { secret } = await enroll();
+  const nextCode = generateTotp(secret, getTimeStep() + 1);
+
+  assert.deepEqual(await verifyTwoFactorCode('admin-1', nextCode), { valid: true, method: 'totp' });
+  assert.deepEqual(await verifyTwoFactorCode('admin-1', nextCode), { valid: false });
+  // The enrollment code's step is used up too
+  assert.deepEqual(await verifyTwoFactorCode('admin-1', generateTotp(secret)), { valid: false });
+});
+
+test('a backup code works once, however it is typed', async () => {
+  const { backupCodes: [first, second] } = await enroll();
+
+  assert.deepEqual(await verifyTwoFactorCode('admin-1', first), { valid: true, method: 'backup_code', backupCodesRemaining: BACKUP_CODE_COUNT - 1 });
+  assert.deepEqual(await verifyTwoFactorCode('admin-1', first), { valid: false });
+
+  assert.equal((await verifyTwoFactorCode('admin-1', ` ${second.toUpperCase().replace('-', '')} `)).valid, true);
+  assert.equal((await getTwoFactorStatus('admin-1')).backupCodesRemaining, BACKUP_CODE_COUNT - 2);
+});
+
+test('refuses codes for inactive accounts and accounts without 2FA', async () => {
+  assert.deepEqual(await verifyTwoFactorCode('admin-1', '123456'), { valid: false });
+
+  const { secret } = await enroll();
+  table('admin_users')[0].is_active = false;
+  assert.deepEqual(await verifyTwoFactorCode('admin-1', generateTotp(secret, getTimeStep() + 1)), { valid: false });
+});
+
+/**
+ * Send an admin request as the owner, with 2FA confirmed `mfaAgeSeconds` ago
+ */
+async function call(method, path, body, { mfaAgeSeconds = null } = {}) {
+  const sessionId = crypto.randomUUID();
+  table('admin_sessions').push({ id: sessionId, expires_at: new Date(Date.now() + 3600 * 1000).toISOString() });
+  const mfaAt = mfaAgeSeconds === null ? null : Math.floor(Date.now() / 1000) - mfaAgeSeconds;
+  const token = signAdminToken({ id: 'admin-1', email: 'owner@example.com', role: 'owner' }, { sessionId, mfaAt });
+
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json().catch(() => null) };
+}
+
+test('changing a contract or wallet setting needs a fresh 2FA code', async () => {
+  const contract = { key: 'pumpfun_contract_address', value: 'Mint111' };
+
+  const refused = await call('POST', '/api/admin/settings', contract);
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.twoFactorRequired, true);
+  assert.equal((await call('POST', '/api/admin/settings', contract, { mfaAgeSeconds: 10 * 60 })).status, 403);
+  assert.equal((await call('POST', '/api/admin/settings', contract, { mfaAgeSeconds: 60 })).status, 201);
+
+  // By id as well as by key
+  const { id } = table('app_settings')[0];
+  assert.equal((await call('PUT', '/api/admin/settings', { id, value: 'Mint222' })).status, 403);
+  assert.equal((await call('DELETE', `/api/admin/settings?id=${id}`)).status, 403);
+  assert.equal(table('app_settings')[0].value, 'Mint111');
+
+  assert.equal((await call('POST', '/api/admin/settings', { key: 'site_name', value: 'WhatNext' })).status, 201);
+});
+
+test('dividend settings need a fresh 2FA code only when an address changes', async () => {
+  const mint = 'So11111111111111111111111111111111111111112';
+  const wallet = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+  table('auto_claim_settings').push({ id: '550e8400-e29b-41d4-a716-446655440000', token_mint_address: mint, claim_wallet_address: wallet });
+  table('app_settings').push({ key: 'pumpfun_contract_address', value: mint });
+
+  const config = { token_mint_address: mint, claim_wallet_address: wallet, pumpfun_contract_address: mint, distribution_percentage: 40 };
+  assert.equal((await call('POST', '/api/admin/dividend-config', config)).status, 200);
+  assert.equal((await call('POST', '/api/admin/dividend-config', { ...config, claim_wallet_address: mint })).status, 403);
+  assert.equal((await call('POST', '/api/admin/dividend-config', { ...config, pumpfun_contract_address: wallet })).status, 403);
+
+  assert.equal((await call('PUT', '/api/dividends/admin/settings', { distributionPercentage: 50, tokenMintAddress: mint })).status, 200);
+  assert.equal((await call('PUT', '/api/dividends/admin/settings', { tokenMintAddress: wallet })).status, 403);
+  assert.equal((await call('POST', '/api/dividends/admin/settings', { claim_wallet_address: mint })).status, 403);
+  assert.equal((await call('POST', '/api/dividends/admin/settings', { claim_wallet_address: mint }, { mfaAgeSeconds: 60 })).status, 200);
+  assert.equal(table('auto_claim_settings')[0].claim_wallet_address, mint);
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const express = require('express');
+const bs58 = require('bs58');
+const { table, resetTables } = require('./helpers/fake-supabase.js');
+
+process.env.WALLET_SESSION_SECRET = process.env.WALLET_SESSION_SECRET || 'test-wallet-secret';
+
+const { createWalletChallenge, verifyWalletChallenge } = require('../api/services/wallet-auth.js');
+const { signWalletSession, verifyWalletSession } = require('../lib/wallet-auth.js');
+
+const bs58Codec = bs58.default || bs58;
+
+/**
+ * A new ed25519 wallet: its base58 address and a signMessage like a wallet adapter's
+ */
+function createWallet() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const rawPublicKey = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+  return {
+    address: bs58Codec.encode(rawPublicKey),
+    signMessage: message => bs58Codec.encode(crypto.sign(null, Buffer.from(message, 'utf8'), privateKey))
+  };
+}
+
+const wallet = createWallet();
+
+test.beforeEach(() => resetTables());
+
+/**
+ * A challenge for a wallet, signed by `signer`
+ */
+async function signedChallenge(forWallet = wallet, signer = forWallet) {
+  const { message } = await createWalletChallenge(forWallet.address, { domain: 'whatnext.test' });
+  return { walletAddress: forWallet.address, message, signature: signer.signMessage(message) };
+}
+
+test('a signed challenge signs the wallet in and uses up its nonce', async () => {
+  const request = await signedChallenge();
+
+  const result = await verifyWalletChallenge(request);
+
+  assert.equal(result.success, true);
+  assert.equal(verifyWalletSession(result.token).sub, wallet.address);
+  assert.ok(table('wallet_auth_nonces')[0].used_at);
+});
+
+test('a signed message works only once', async () => {
+  const request = await signedChallenge();
+  await verifyWalletChallenge(request);
+
+  const replay = await verifyWalletChallenge(request);
+  assert.deepEqual(replay, { success: false, error: 'challenge_used', reason: 'This sign-in message has already been used' });
+});
+
+test('only one of two simultaneous sign-ins with the same message wins', async () => {
+  const request = await signedChallenge();
+
+  const results = await Promise.all([verifyWalletChallenge(request), verifyWalletChallenge(request)]);
+
+  assert.deepEqual(results.map(result => result.success).sort(), [false, true]);
+  assert.equal(results.find(result => !result.success).error, 'challenge_used');
+});
+
+test('refuses an expired challenge', async () => {
+  const request = await signedChallenge();
+  table('wallet_auth_nonces')[0].expires_at = new Date(Date.now() - 1000).toISOString();
+
+  assert.equal((await verifyWalletChallenge(request)).error, 'challenge_expired');
+  assert.equal(table('wallet_auth_nonces')[0].used_at, undefined);
+});
+
+test('refuses a challenge issued for another wallet', async () => {
+  const other = createWallet();
+  const request = await signedChallenge(wallet);
+
+  const result = await verifyWalletChallenge({ ...request, walletAddress: other.address, signature: other.signMessage(request.message) });
+
+  assert.deepEqual(result, { success: false, error: 'invalid_message', reason: 'Message was issued for a different wallet' });
+});
+
+test('refuses a changed message or a signature from another key, keeping the nonce', async () => {
+  const request = await signedChallenge();
+
+  const tampered = request.message.replace('whatnext.test', 'evil.test');
+  assert.equal((await verifyWalletChallenge({ ...request, message: tampered, signature: wallet.signMessage(tampered) })).error, 'invalid_message');
+  assert.equal((await verifyWalletChallenge({ ...request, message: 'Sign in please' })).error, 'invalid_message');
+
+  const forged = createWallet().signMessage(request.message);
+  assert.equal((await verifyWalletChallenge({ ...request, signature: forged })).error, 'invalid_signature');
+  assert.equal((await verifyWalletChallenge({ ...request, signature: 'not-base58!' })).error, 'invalid_signature');
+
+  // None of that used the nonce up
+  assert.equal((await verifyWalletChallenge(request)).success, true);
+});
+
+test('wallet sign-in is refused without a session secret of its own', async t => {
+  const token = signWalletSession(wallet.address);
+  const saved = { WALLET_SESSION_SECRET: process.env.WALLET_SESSION_SECRET, JWT_SECRET: process.env.JWT_SECRET };
+  delete process.env.WALLET_SESSION_SECRET;
+  delete process.env.JWT_SECRET;
+  t.after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  assert.throws(() => signWalletSession(wallet.address), /WALLET_SESSION_SECRET is not set/);
+  assert.throws(() => verifyWalletSession(token), /WALLET_SESSION_SECRET is not set/);
+
+  // The admin secret is never used for wallet sessions
+  process.env.JWT_SECRET = 'admin-secret';
+  assert.throws(() => signWalletSession(wallet.address), /WALLET_SESSION_SECRET is not set/);
+  process.env.WALLET_SESSION_SECRET = 'admin-secret';
+  assert.throws(() => signWalletSession(wallet.address), /WALLET_SESSION_SECRET is not set/);
+  delete process.env.WALLET_SESSION_SECRET;
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/wallet-auth', require('../api/wallet-auth.js'));
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const challenge = await fetch(`${baseUrl}/api/wallet-auth/challenge`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ walletAddress: wallet.address })
+  });
+  assert.equal(challenge.status, 503);
+  assert.equal(table('wallet_auth_nonces').length, 0);
+
+  const session = await fetch(`${baseUrl}/api/wallet-auth/session`, { headers: { Authorization: `Bearer ${token}` } });
+  assert.equal(session.status, 503);
+});
@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { table, defaults, resetTables } = require('./helpers/fake-supabase.js');
+const {
+  signPayload,
+  createWebhookEndpoint,
+  updateWebhookEndpoint,
+  emitWebhookEvent,
+  redeliverWebhook
+} = require('../api/services/webhooks.js');
+const { runJob } = require('../api/services/job-runner.js');
+
+// Column defaults from database/webhooks.sql
+defaults.webhook_deliveries = () => ({ status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString() });
+
+const received = [];
+let receiverStatus = 200;
+let receiver;
+let receiverUrl;
+
+test.before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(receiverStatus).end(receiverStatus === 200 ? 'ok' : 'receiver is down');
+    });
+  });
+  receiver.listen(0, '127.0.0.1');
+  await new Promise(resolve => receiver.once('listening', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+});
+
+test.after(() => new Promise(resolve => receiver.close(resolve)));
+
+test.beforeEach(t => {
+  resetTables();
+  received.length = 0;
+  receiverStatus = 200;
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+/**
+ * Wait for the background first attempt of every queued delivery to finish
+ */
+async function settled() {
+  const done = () => table('webhook_deliveries').every(delivery => delivery.attempts > 0);
+  for (let waited = 0; !done(); waited += 10) {
+    assert.ok(waited < 2000, 'webhook deliveries were not attempted');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Make every pending delivery due now
+ */
+function makeDue() {
+  for (const delivery of table('webhook_deliveries')) {
+    delivery.next_attempt_at = new Date(Date.now() - 1000).toISOString();
+  }
+}
+
+async function register(events) {
+  const created = await createWebhookEndpoint({ url: receiverUrl, events });
+  assert.equal(created.success, true);
+  return created.endpoint;
+}
+
+test('signs each delivery with the endpoint secret', async () => {
+  const endpoint = await register(['treasury.low_balance']);
+
+  assert.equal(await emitWebhookEvent('treasury.low_balance', { role: 'payout', balanceSol: 0.5 }), 1);
+  await settled();
+
+  assert.equal(received.length, 1);
+  const { headers, body } = received[0];
+  const [delivery] = table('webhook_deliveries');
+  assert.equal(delivery.status, 'succeeded');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.last_status_code, 200);
+
+  assert.equal(headers['x-webhook-event'], 'treasury.low_balance');
+  assert.equal(headers['x-webhook-id'], delivery.event_id);
+  const timestamp = /^t=(\d+),v1=[0-9a-f]{64}$/.exec(headers['x-webhook-signature'])[1];
+  assert.equal(headers['x-webhook-signature'], signPayload(endpoint.secret, body, timestamp));
+  assert.notEqual(headers['x-webhook-signature'], signPayload('whsec_wrong', body, timestamp));
+
+  const payload = JSON.parse(body);
+  assert.equal(payload.event, 'treasury.low_balance');
+  assert.deepEqual(payload.data, { role: 'payout', balanceSol: 0.5 });
+});
+
+test('delivers only to active endpoints subscribed to the event', async () => {
+  await register(['treasury.low_balance']);
+  await register(['*']);
+  await register(['upload.completed']);
+  const disabled = await register(['treasury.low_balance']);
+  await updateWebhookEndpoint(disabled.id, { isActive: false });
+
+  assert.equal(await emitWebhookEvent('treasury.low_balance', {}), 2);
+  await settled();
+
+  assert.equal(received.length, 2);
+  assert.equal(await emitWebhookEvent('not.an.event', {}), 0);
+  assert.equal(table('webhook_deliveries').length, 2);
+});
+
+test('retries a failed delivery with backoff until it succeeds', async () => {
+  await register(['treasury.low_balance']);
+  receiverStatus = 500;
+
+  await emitWebhookEvent('treasury.low_balance', {});
+  await settled();
+
+  const [delivery] = table('webhook_deliveries');
+  assert.equal(delivery.status, 'pending');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.last_status_code, 500);
+  assert.equal(delivery.last_error, 'HTTP 500: receiver is down');
+  const backoff = new Date(delivery.next_attempt_at) - new Date(delivery.updated_at);
+  assert.equal(backoff, 30 * 1000);
+
+  // Not due yet: the retry job leaves it alone
+  let run = await runJob('webhook-deliveries');
+  assert.deepEqual(run.result, { attempted: 0, succeeded: 0, retrying: 0, failed: 0 });
+
+  makeDue();
+  run = await runJob('webhook-deliveries');
+  assert.deepEqual(run.result, { attempted: 1, succeeded: 0, retrying: 1, failed: 0 });
+  assert.equal(delivery.attempts, 2);
+  assert.equal(new Date(delivery.next_attempt_at) - new Date(delivery.updated_at), 60 * 1000);
+
+  receiverStatus = 200;
+  makeDue();
+  run = await runJob('webhook-deliveries');
+  assert.deepEqual(run.result, { attempted: 1, succeeded: 1, retrying: 0, failed: 0 });
+  assert.equal(delivery.status, 'succeeded');
+  assert.equal(delivery.attempts, 3);
+  assert.equal(delivery.last_error, null);
+  assert.equal(received.length, 3);
+});
+
+test('gives up after the last attempt and can be redelivered', async () => {
+  await register(['treasury.low_balance']);
+  receiverStatus = 500;
+
+  await emitWebhookEvent('treasury.low_balance', {});
+  await settled();
+
+  const [delivery] = table('webhook_deliveries');
+  for (let attempt = 2; attempt <= 6; attempt++) {
+    makeDue();
+    await runJob('webhook-deliveries');
+    assert.equal(delivery.attempts, attempt);
+  }
+  assert.equal(delivery.status, 'failed');
+
+  makeDue();
+  const run = await runJob('webhook-deliveries');
+  assert.equal(run.result.attempted, 0);
+  assert.equal(received.length, 6);
+
+  receiverStatus = 200;
+  assert.ok(await redeliverWebhook(delivery.id));
+  await settled();
+  assert.equal(delivery.status, 'succeeded');
+  assert.equal(delivery.attempts, 1);
+});
+
+test('gives up on deliveries to an endpoint disabled since they were queued', async () => {
+  const endpoint = await register(['treasury.low_balance']);
+  receiverStatus = 500;
+
+  await emitWebhookEvent('treasury.low_balance', {});
+  await settled();
+  await updateWebhookEndpoint(endpoint.id, { isActive: false });
+
+  makeDue();
+  const run = await runJob('webhook-deliveries');
+  assert.deepEqual(run.result, { attempted: 1, succeeded: 0, retrying: 0, failed: 1 });
+
+  const [delivery] = table('webhook_deliveries');
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.last_error, 'Endpoint is disabled');
+  assert.equal(received.length, 1);
+});